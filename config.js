@@ -11,10 +11,31 @@ const config = {
   // JWT Configuration
   JWT_SECRET: process.env.JWT_SECRET || 'nso_jwt_secret_key_change_in_production',
   JWT_EXPIRES_IN: process.env.JWT_EXPIRES_IN || '24h',
+  REFRESH_TOKEN_EXPIRES_IN: process.env.REFRESH_TOKEN_EXPIRES_IN || '7d',
+  ADMIN_JWT_EXPIRES_IN: process.env.ADMIN_JWT_EXPIRES_IN || '8h',
+  
+  // Device Registry (max active devices per user; DEVICE_LIMITS is a JSON map of role -> limit)
+  DEVICE_LIMITS: {
+    default: parseInt(process.env.DEVICE_LIMIT_DEFAULT, 10) || 2,
+    ...JSON.parse(process.env.DEVICE_LIMITS || '{}')
+  },
   
   // Rate Limiting
   RATE_LIMIT_WINDOW: 15 * 60 * 1000, // 15 minutes
   RATE_LIMIT_MAX_REQUESTS: 100,
+  TRUST_PROXY: process.env.TRUST_PROXY ? (parseInt(process.env.TRUST_PROXY, 10) || process.env.TRUST_PROXY) : false,
+  
+  // Activation Key Brute-Force Protection
+  BRUTE_FORCE_WINDOW_MINUTES: parseInt(process.env.BRUTE_FORCE_WINDOW_MINUTES, 10) || 60,
+  BRUTE_FORCE_FREE_ATTEMPTS: parseInt(process.env.BRUTE_FORCE_FREE_ATTEMPTS, 10) || 5,
+  BRUTE_FORCE_BASE_DELAY_SECONDS: parseInt(process.env.BRUTE_FORCE_BASE_DELAY_SECONDS, 10) || 30,
+  BRUTE_FORCE_MAX_DELAY_MINUTES: parseInt(process.env.BRUTE_FORCE_MAX_DELAY_MINUTES, 10) || 60,
+  BRUTE_FORCE_DEVICE_BAN_THRESHOLD: parseInt(process.env.BRUTE_FORCE_DEVICE_BAN_THRESHOLD, 10) || 20,
+  BRUTE_FORCE_DEVICE_BAN_HOURS: parseInt(process.env.BRUTE_FORCE_DEVICE_BAN_HOURS, 10) || 24,
+  
+  // Self-service Key Requests (per client IP)
+  KEY_REQUEST_WINDOW_MINUTES: parseInt(process.env.KEY_REQUEST_WINDOW_MINUTES, 10) || 60,
+  KEY_REQUEST_MAX_PER_WINDOW: parseInt(process.env.KEY_REQUEST_MAX_PER_WINDOW, 10) || 5,
   
   // API Configuration
   API_VERSION: '/api/v1',
@@ -24,12 +45,87 @@ const config = {
   ACTIVATION_TIMEOUT: 60000, // 60 seconds for activation requests
   SYNC_TIMEOUT: 120000, // 2 minutes for sync operations
   
+  // Sync Upload (items written per bulkWrite; the sync log is saved once per batch)
+  SYNC_BATCH_SIZE: parseInt(process.env.SYNC_BATCH_SIZE, 10) || 200,
+
+  // Sync Download (records per data type per page; recent writes left for the next page)
+  SYNC_DOWNLOAD_PAGE_SIZE: parseInt(process.env.SYNC_DOWNLOAD_PAGE_SIZE, 10) || 500,
+  SYNC_SETTLE_SECONDS: process.env.SYNC_SETTLE_SECONDS !== undefined ? parseInt(process.env.SYNC_SETTLE_SECONDS, 10) : 5,
+
+  // Tombstones of removed records; devices whose last sync is older must download everything again
+  SYNC_TOMBSTONE_RETENTION_DAYS: parseInt(process.env.SYNC_TOMBSTONE_RETENTION_DAYS, 10) || 90,
+
+  // Chunked sync uploads (largest chunk and whole upload accepted; unfinished sessions are dropped after the TTL)
+  SYNC_UPLOAD_CHUNK_MAX_BYTES: parseInt(process.env.SYNC_UPLOAD_CHUNK_MAX_BYTES, 10) || 1024 * 1024,
+  SYNC_UPLOAD_SESSION_MAX_BYTES: parseInt(process.env.SYNC_UPLOAD_SESSION_MAX_BYTES, 10) || 100 * 1024 * 1024,
+  SYNC_UPLOAD_SESSION_TTL_HOURS: parseInt(process.env.SYNC_UPLOAD_SESSION_TTL_HOURS, 10) || 72,
+  // A commit that finishes no chunk for this long is treated as crashed, and committing again takes it over
+  SYNC_UPLOAD_COMMIT_LOCK_MINUTES: parseInt(process.env.SYNC_UPLOAD_COMMIT_LOCK_MINUTES, 10) || 15,
+
+  // Diagnosis snapshots kept as merge ancestors for devices editing older revisions
+  DIAGNOSIS_REVISION_RETENTION_DAYS: parseInt(process.env.DIAGNOSIS_REVISION_RETENTION_DAYS, 10) || 90,
+
+  // Idempotency-Key responses are kept this long for replay
+  IDEMPOTENCY_TTL_HOURS: parseInt(process.env.IDEMPOTENCY_TTL_HOURS, 10) || 24,
+  // A request still processing after this long is treated as abandoned and its key reclaimed
+  IDEMPOTENCY_LOCK_MINUTES: parseInt(process.env.IDEMPOTENCY_LOCK_MINUTES, 10) || 5,
+  
   // Encryption
   ENCRYPTION_KEY: process.env.ENCRYPTION_KEY || 'nso_encryption_key_32_chars_long',
   
+  // Licence Expiry (days a lapsed licence keeps working, with warning headers)
+  LICENSE_GRACE_DAYS: process.env.LICENSE_GRACE_DAYS !== undefined ? parseInt(process.env.LICENSE_GRACE_DAYS, 10) : 7,
+  
+  // Activation Keys (set to false once every key without a check digit has been retired)
+  ACCEPT_LEGACY_ACTIVATION_KEYS: process.env.ACCEPT_LEGACY_ACTIVATION_KEYS !== 'false',
+  
+  // Activation Payload Encryption (keyring of key id -> secret; new payloads use the current key)
+  ACTIVATION_KEY_SECRET: process.env.ACTIVATION_KEY_SECRET || 'nso-activation-key-2024',
+  ACTIVATION_KEYRING: JSON.parse(process.env.ACTIVATION_KEYRING || '{}'),
+  ACTIVATION_KEY_CURRENT_ID: process.env.ACTIVATION_KEY_CURRENT_ID,
+  
+  // Offline Activation Payloads (v1 = legacy AES payload, v2 = Ed25519-signed payload)
+  OFFLINE_PAYLOAD_FORMATS: (process.env.OFFLINE_PAYLOAD_FORMATS || 'v1,v2').split(',').map(f => f.trim()),
+  OFFLINE_SIGNING_PRIVATE_KEY: process.env.OFFLINE_SIGNING_PRIVATE_KEY,
+  OFFLINE_SIGNING_PRIVATE_KEY_PATH: process.env.OFFLINE_SIGNING_PRIVATE_KEY_PATH,
+  OFFLINE_SIGNING_KEY_ID: process.env.OFFLINE_SIGNING_KEY_ID,
+  OFFLINE_VERIFICATION_PUBLIC_KEYS: JSON.parse(process.env.OFFLINE_VERIFICATION_PUBLIC_KEYS || '{}'),
+  
   // File Upload
   MAX_FILE_SIZE: 10 * 1024 * 1024, // 10MB
   UPLOAD_PATH: './uploads',
+  BULK_KEY_MAX_ROWS: parseInt(process.env.BULK_KEY_MAX_ROWS, 10) || 2000,
+  
+  // Notifications (email transport: smtp, file or console; SMS transport: http, file or console)
+  // console prints keys to the logs, so it is only the default outside production
+  NOTIFICATION_EMAIL_TRANSPORT: process.env.NOTIFICATION_EMAIL_TRANSPORT || (process.env.NODE_ENV === 'production' ? '' : 'console'),
+  NOTIFICATION_SMS_TRANSPORT: process.env.NOTIFICATION_SMS_TRANSPORT || (process.env.NODE_ENV === 'production' ? '' : 'console'),
+  NOTIFICATION_FILE_DIR: process.env.NOTIFICATION_FILE_DIR || './logs/notifications',
+  NOTIFICATION_FROM_EMAIL: process.env.NOTIFICATION_FROM_EMAIL || 'NSO <no-reply@nso.gov.ng>',
+  NOTIFICATION_MAX_ATTEMPTS: parseInt(process.env.NOTIFICATION_MAX_ATTEMPTS, 10) || 5,
+  NOTIFICATION_RETRY_BASE_SECONDS: parseInt(process.env.NOTIFICATION_RETRY_BASE_SECONDS, 10) || 60,
+  SMTP_HOST: process.env.SMTP_HOST,
+  SMTP_PORT: parseInt(process.env.SMTP_PORT, 10) || 587,
+  SMTP_SECURE: process.env.SMTP_SECURE === 'true',
+  SMTP_USER: process.env.SMTP_USER,
+  SMTP_PASS: process.env.SMTP_PASS,
+  SMS_GATEWAY_URL: process.env.SMS_GATEWAY_URL,
+  SMS_GATEWAY_API_KEY: process.env.SMS_GATEWAY_API_KEY,
+  SMS_SENDER_ID: process.env.SMS_SENDER_ID || 'NSO',
+  SMS_GATEWAY_TIMEOUT_MS: parseInt(process.env.SMS_GATEWAY_TIMEOUT_MS, 10) || 10000,
+  
+  // Scheduled Jobs (node-cron expressions)
+  SCHEDULER_ENABLED: process.env.SCHEDULER_ENABLED !== 'false',
+  SCHEDULER_TIMEZONE: process.env.SCHEDULER_TIMEZONE || 'Africa/Lagos',
+  KEY_LIFECYCLE_CRON: process.env.KEY_LIFECYCLE_CRON || '0 * * * *',
+  NOTIFICATION_RETRY_CRON: process.env.NOTIFICATION_RETRY_CRON || '*/5 * * * *',
+  KEY_ISSUANCE_RECOVERY_CRON: process.env.KEY_ISSUANCE_RECOVERY_CRON || '*/10 * * * *',
+  UPLOAD_SESSION_EXPIRY_CRON: process.env.UPLOAD_SESSION_EXPIRY_CRON || '30 * * * *',
+  // A bulk issuance batch that saved no progress for this long is treated as stopped by a restart
+  KEY_ISSUANCE_BATCH_TIMEOUT_MINUTES: parseInt(process.env.KEY_ISSUANCE_BATCH_TIMEOUT_MINUTES, 10) || 15,
+  JOB_LOCK_MINUTES: parseInt(process.env.JOB_LOCK_MINUTES, 10) || 60,
+  LICENSE_REMINDER_DAYS: (process.env.LICENSE_REMINDER_DAYS || '30,7,1').split(',').map(d => parseInt(d, 10)).filter(d => d > 0),
+  LICENSE_REMINDER_CHANNELS: (process.env.LICENSE_REMINDER_CHANNELS || 'email,sms').split(',').map(c => c.trim()).filter(Boolean),
   
   // Logging
   LOG_LEVEL: process.env.LOG_LEVEL || 'info',
@@ -121,7 +121,7 @@ async function debugActivationFlow() {
         console.log('✅ Key is valid for activation');
         
         // Test decryption
-        const userData = ActivationKey.decryptUserData(keyDoc.encryptedUserData, normalizedKey);
+        const userData = ActivationKey.decryptUserData(keyDoc.encryptedUserData);
         if (!userData) {
           console.error('❌ Failed to decrypt user data');
         } else {
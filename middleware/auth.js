@@ -1,7 +1,48 @@
 const jwt = require('jsonwebtoken');
 const User = require('../models/User');
+const RevokedToken = require('../models/RevokedToken');
+const Device = require('../models/Device');
 const config = require('../config');
 
+const MOBILE_TOKEN_AUDIENCE = 'nso-mobile-app';
+const ADMIN_TOKEN_AUDIENCE = 'nso-admin-panel';
+
+// Supervisors can sign in to the admin panel to review key requests; all other admin routes also require requireAdmin
+const ADMIN_PANEL_ROLES = ['admin', 'supervisor'];
+
+/**
+ * Set licence headers on the response and return the user's licence status
+ * @param {Object} user - User document
+ * @param {Object} res - Express response
+ * @returns {Object} Licence status (see User#getLicenseStatus)
+ */
+const applyLicenseStatus = (user, res) => {
+  const license = user.getLicenseStatus();
+  if (license.state === 'none') return license;
+
+  res.set('X-License-Expires-At', license.expiresAt.toISOString());
+  res.set('X-License-Remaining-Days', String(license.remainingDays));
+  if (license.state === 'grace') {
+    res.set('X-License-Grace-Remaining-Days', String(license.graceRemainingDays));
+  }
+  return license;
+};
+
+/**
+ * Build the error body for a lapsed licence
+ * @param {Object} license - Licence status
+ * @returns {Object} Error response body
+ */
+const licenseExpiredResponse = (license) => ({
+  success: false,
+  error: 'Activation licence has expired; contact your administrator for a renewal',
+  code: 'LICENSE_EXPIRED',
+  data: {
+    expiredAt: license.expiresAt,
+    graceEndedAt: license.graceEndsAt
+  }
+});
+
 /**
  * Middleware to verify JWT token and authenticate user
  */
@@ -18,8 +59,28 @@ const authenticateToken = async (req, res, next) => {
       });
     }
 
-    // Verify token
-    const decoded = jwt.verify(token, config.JWT_SECRET);
+    // Verify token (admin panel tokens are not accepted here)
+    const decoded = jwt.verify(token, config.JWT_SECRET, {
+      audience: MOBILE_TOKEN_AUDIENCE
+    });
+
+    // Refresh tokens share the audience but must never be used as access tokens
+    if (decoded.type === 'refresh') {
+      return res.status(401).json({
+        success: false,
+        error: 'Invalid token',
+        code: 'TOKEN_INVALID'
+      });
+    }
+
+    // Reject tokens revoked by logout, reuse detection or deactivation
+    if (await RevokedToken.isRevoked(decoded.jti)) {
+      return res.status(401).json({
+        success: false,
+        error: 'Token has been revoked',
+        code: 'TOKEN_REVOKED'
+      });
+    }
     
     // Find user
     const user = await User.findById(decoded.userId).select('-password');
@@ -49,9 +110,17 @@ const authenticateToken = async (req, res, next) => {
       });
     }
 
+    // Check that the activation licence has not lapsed beyond the grace period
+    const license = applyLicenseStatus(user, res);
+    if (license.state === 'expired') {
+      return res.status(403).json(licenseExpiredResponse(license));
+    }
+
     // Add user to request object
     req.user = user;
+    req.license = license;
     req.token = token;
+    req.tokenPayload = decoded;
     next();
   } catch (error) {
     if (error.name === 'JsonWebTokenError') {
@@ -79,6 +148,92 @@ const authenticateToken = async (req, res, next) => {
   }
 };
 
+/**
+ * Middleware to verify admin panel JWT and authenticate the admin user
+ */
+const authenticateAdmin = async (req, res, next) => {
+  try {
+    const authHeader = req.headers['authorization'];
+    const token = authHeader && authHeader.split(' ')[1]; // Bearer TOKEN
+
+    if (!token) {
+      return res.status(401).json({
+        success: false,
+        error: 'Admin access token required',
+        code: 'ADMIN_TOKEN_MISSING'
+      });
+    }
+
+    // Only tokens issued by the admin login are accepted
+    const decoded = jwt.verify(token, config.JWT_SECRET, {
+      audience: ADMIN_TOKEN_AUDIENCE
+    });
+
+    const user = await User.findById(decoded.userId).select('-password');
+    if (!user) {
+      return res.status(401).json({
+        success: false,
+        error: 'User not found',
+        code: 'USER_NOT_FOUND'
+      });
+    }
+
+    if (!user.isActive) {
+      return res.status(401).json({
+        success: false,
+        error: 'User account is deactivated',
+        code: 'USER_DEACTIVATED'
+      });
+    }
+
+    if (user.isLocked) {
+      return res.status(401).json({
+        success: false,
+        error: 'User account is locked',
+        code: 'USER_LOCKED'
+      });
+    }
+
+    // Role may have changed since the token was issued
+    if (!ADMIN_PANEL_ROLES.includes(user.role)) {
+      return res.status(403).json({
+        success: false,
+        error: 'Insufficient permissions',
+        code: 'INSUFFICIENT_PERMISSIONS',
+        required: ADMIN_PANEL_ROLES,
+        current: user.role
+      });
+    }
+
+    req.user = user;
+    req.token = token;
+    next();
+  } catch (error) {
+    if (error.name === 'JsonWebTokenError') {
+      return res.status(401).json({
+        success: false,
+        error: 'Invalid token',
+        code: 'TOKEN_INVALID'
+      });
+    }
+
+    if (error.name === 'TokenExpiredError') {
+      return res.status(401).json({
+        success: false,
+        error: 'Token expired',
+        code: 'TOKEN_EXPIRED'
+      });
+    }
+
+    console.error('Admin authentication error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Authentication failed',
+      code: 'AUTH_ERROR'
+    });
+  }
+};
+
 /**
  * Middleware to check if user has required role
  */
@@ -125,9 +280,9 @@ const requireMedical = requireRole(['doctor', 'nurse']);
 const requireSupervisor = requireRole(['admin', 'supervisor']);
 
 /**
- * Middleware to verify device ID matches user's registered device
+ * Middleware to verify the device is an active device in the user's registry
  */
-const verifyDevice = (req, res, next) => {
+const verifyDevice = async (req, res, next) => {
   try {
     const deviceId = req.headers['x-device-id'] || req.body.deviceId;
     
@@ -139,12 +294,16 @@ const verifyDevice = (req, res, next) => {
       });
     }
 
-    if (req.user && req.user.deviceId && req.user.deviceId !== deviceId) {
-      return res.status(403).json({
-        success: false,
-        error: 'Device not authorized',
-        code: 'DEVICE_NOT_AUTHORIZED'
-      });
+    if (req.user) {
+      const result = await Device.authorize(req.user, deviceId);
+      if (!result.authorized) {
+        return res.status(403).json({
+          success: false,
+          error: result.error,
+          code: result.code
+        });
+      }
+      req.device = result.device;
     }
 
     req.deviceId = deviceId;
@@ -208,35 +367,63 @@ const logRequest = (req, res, next) => {
 
 /**
  * Generate JWT token for user
+ * @param {Object} user - User document
+ * @param {Object} options - Optional jti, token family and device binding
  */
-const generateToken = (user) => {
+const generateToken = (user, options = {}) => {
   const payload = {
     userId: user._id,
     username: user.username,
     role: user.role,
-    deviceId: user.deviceId
+    deviceId: options.deviceId || user.deviceId
   };
 
+  if (options.family) payload.fam = options.family;
+
   return jwt.sign(payload, config.JWT_SECRET, {
     expiresIn: config.JWT_EXPIRES_IN || '24h',
     issuer: 'nso-backend',
-    audience: 'nso-mobile-app'
+    audience: MOBILE_TOKEN_AUDIENCE,
+    ...(options.jti && { jwtid: options.jti })
+  });
+};
+
+/**
+ * Generate JWT token for the admin panel
+ */
+const generateAdminToken = (user) => {
+  const payload = {
+    userId: user._id,
+    username: user.username,
+    email: user.email,
+    role: user.role
+  };
+
+  return jwt.sign(payload, config.JWT_SECRET, {
+    expiresIn: config.ADMIN_JWT_EXPIRES_IN || '8h',
+    issuer: 'nso-backend',
+    audience: ADMIN_TOKEN_AUDIENCE
   });
 };
 
 /**
  * Generate refresh token for user
+ * @param {Object} user - User document
+ * @param {Object} options - Optional jti and token family
  */
-const generateRefreshToken = (user) => {
+const generateRefreshToken = (user, options = {}) => {
   const payload = {
     userId: user._id,
     type: 'refresh'
   };
 
+  if (options.family) payload.fam = options.family;
+
   return jwt.sign(payload, config.JWT_REFRESH_SECRET || config.JWT_SECRET, {
-    expiresIn: '7d',
+    expiresIn: config.REFRESH_TOKEN_EXPIRES_IN || '7d',
     issuer: 'nso-backend',
-    audience: 'nso-mobile-app'
+    audience: MOBILE_TOKEN_AUDIENCE,
+    ...(options.jti && { jwtid: options.jti })
   });
 };
 
@@ -245,7 +432,9 @@ const generateRefreshToken = (user) => {
  */
 const verifyRefreshToken = (token) => {
   try {
-    return jwt.verify(token, config.JWT_REFRESH_SECRET || config.JWT_SECRET);
+    return jwt.verify(token, config.JWT_REFRESH_SECRET || config.JWT_SECRET, {
+      audience: MOBILE_TOKEN_AUDIENCE
+    });
   } catch (error) {
     throw error;
   }
@@ -253,6 +442,8 @@ const verifyRefreshToken = (token) => {
 
 module.exports = {
   authenticateToken,
+  authenticateAdmin,
+  ADMIN_PANEL_ROLES,
   requireRole,
   requireAdmin,
   requireMedical,
@@ -261,6 +452,9 @@ module.exports = {
   extractSession,
   logRequest,
   generateToken,
+  generateAdminToken,
   generateRefreshToken,
-  verifyRefreshToken
+  verifyRefreshToken,
+  applyLicenseStatus,
+  licenseExpiredResponse
 };
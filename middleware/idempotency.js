@@ -0,0 +1,132 @@
+const crypto = require('crypto');
+const IdempotencyRecord = require('../models/IdempotencyRecord');
+const config = require('../config');
+
+const MAX_KEY_LENGTH = 255;
+
+/**
+ * Hash a request body so a reused key can be told apart from a retry
+ * @param {Object} body - Parsed request body
+ * @returns {string} SHA-256 hex digest
+ */
+const hashRequest = (body) => crypto
+  .createHash('sha256')
+  .update(JSON.stringify(body || {}))
+  .digest('hex');
+
+/**
+ * Claim an idempotency key, or return the record already holding it
+ * @param {Object} fields - key, userId, scope, requestHash
+ * @returns {Promise<Object>} { record } when claimed, { existing } otherwise
+ */
+const claimKey = async (fields) => {
+  const expiresAt = new Date(Date.now() + config.IDEMPOTENCY_TTL_HOURS * 60 * 60 * 1000);
+
+  try {
+    return { record: await IdempotencyRecord.create({ ...fields, expiresAt }) };
+  } catch (error) {
+    if (error.code !== 11000) throw error;
+  }
+
+  const existing = await IdempotencyRecord.findOne({ userId: fields.userId, scope: fields.scope, key: fields.key });
+
+  // Removed since the insert failed (TTL monitor, or another request reclaiming it): try again
+  if (!existing) {
+    return claimKey(fields);
+  }
+
+  // Expired but not yet removed by the TTL monitor: the key is free again
+  if (existing.expiresAt <= new Date()) {
+    await IdempotencyRecord.deleteOne({ _id: existing._id, expiresAt: existing.expiresAt });
+    return claimKey(fields);
+  }
+
+  // Still processing long after it started: the server handling it crashed or restarted
+  const abandonedBefore = new Date(Date.now() - config.IDEMPOTENCY_LOCK_MINUTES * 60 * 1000);
+  if (existing.status === 'processing' && existing.createdAt < abandonedBefore) {
+    await IdempotencyRecord.deleteOne({ _id: existing._id, status: 'processing', createdAt: existing.createdAt });
+    return claimKey(fields);
+  }
+
+  return { existing };
+};
+
+/**
+ * Make a route replay its first response to retries sent with the same
+ * Idempotency-Key header. Requests without the header are processed as usual.
+ * Must run after authenticateToken (keys are scoped to the user).
+ * @param {string} scope - Name of the operation the key applies to
+ * @returns {Function} Middleware
+ */
+const idempotent = (scope) => async (req, res, next) => {
+  const key = req.get('Idempotency-Key');
+  if (key === undefined) {
+    return next();
+  }
+
+  if (!key.trim() || key.length > MAX_KEY_LENGTH) {
+    return res.status(400).json({
+      success: false,
+      error: `Idempotency-Key must be between 1 and ${MAX_KEY_LENGTH} characters`,
+      code: 'INVALID_IDEMPOTENCY_KEY'
+    });
+  }
+
+  try {
+    const requestHash = hashRequest(req.body);
+    const { record, existing } = await claimKey({ key: key.trim(), userId: req.user._id, scope, requestHash });
+
+    if (existing) {
+      if (existing.requestHash !== requestHash) {
+        return res.status(422).json({
+          success: false,
+          error: 'Idempotency-Key was already used for a different request',
+          code: 'IDEMPOTENCY_KEY_REUSED'
+        });
+      }
+
+      if (existing.status !== 'completed') {
+        return res.status(409).json({
+          success: false,
+          error: 'A request with this Idempotency-Key is still being processed; retry shortly',
+          code: 'IDEMPOTENCY_REQUEST_IN_PROGRESS'
+        });
+      }
+
+      res.set('Idempotent-Replayed', 'true');
+      return res.status(existing.responseStatus).json(existing.responseBody);
+    }
+
+    // Store the response before sending it, so a retry never sees a half-finished record
+    const sendJson = res.json.bind(res);
+    res.json = (body) => {
+      const responseStatus = res.statusCode;
+      // Server errors are not stored: the retry runs the request again
+      const stored = responseStatus >= 500
+        ? IdempotencyRecord.deleteOne({ _id: record._id })
+        : IdempotencyRecord.updateOne(
+          { _id: record._id },
+          { status: 'completed', responseStatus, responseBody: JSON.parse(JSON.stringify(body)) }
+        );
+
+      stored
+        .catch(error => console.error('Idempotency record update error:', error))
+        .finally(() => sendJson(body));
+      return res;
+    };
+
+    next();
+
+  } catch (error) {
+    console.error('Idempotency check error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Idempotency check failed',
+      code: 'IDEMPOTENCY_ERROR'
+    });
+  }
+};
+
+module.exports = {
+  idempotent
+};
@@ -26,17 +26,31 @@ const handleValidationErrors = (req, res, next) => {
  * Validation rules for user activation
  */
 const validateActivation = [
+  // QR mode: the scanned payload carries the key instead
   body('activationKey')
+    .if(body('qrPayload').not().exists())
     .notEmpty()
     .withMessage('Activation key is required')
     .matches(/^\d{12}$/)
     .withMessage('Invalid activation key format - must be 12 digits'),
   
+  body('qrPayload')
+    .optional()
+    .isString()
+    .isLength({ max: 4096 })
+    .withMessage('QR payload must be a string of at most 4096 characters'),
+  
   body('userInfo.fullName')
     .optional()
     .isLength({ min: 2, max: 100 })
     .withMessage('Full name must be between 2 and 100 characters'),
   
+  body('userInfo.email')
+    .optional()
+    .trim()
+    .isEmail()
+    .withMessage('Invalid email format'),
+  
   body('userInfo.role')
     .optional()
     .isIn(['doctor', 'nurse', 'admin', 'technician', 'inspector', 'supervisor'])
@@ -87,6 +101,25 @@ const validateLogin = [
   handleValidationErrors
 ];
 
+/**
+ * Validation rules for admin panel login
+ */
+const validateAdminLogin = [
+  body('email')
+    .notEmpty()
+    .withMessage('Email is required')
+    .isEmail()
+    .withMessage('Invalid email format'),
+  
+  body('password')
+    .notEmpty()
+    .withMessage('Password is required')
+    .isString()
+    .withMessage('Password must be a string'),
+  
+  handleValidationErrors
+];
+
 /**
  * Validation rules for activity tracking
  */
@@ -229,6 +262,77 @@ const validateSync = [
   handleValidationErrors
 ];
 
+/**
+ * Validation rules for paged sync downloads (used after validateSync)
+ */
+const validateSyncDownload = [
+  body('cursor')
+    .optional()
+    .isString()
+    .isLength({ max: 2048 })
+    .withMessage('Cursor must be the string returned by a previous download'),
+  
+  body('watermark')
+    .optional()
+    .isString()
+    .isLength({ max: 2048 })
+    .withMessage('Watermark must be the string returned by a previous download'),
+  
+  body('limit')
+    .optional()
+    .isInt({ min: 1, max: 1000 })
+    .withMessage('Limit must be between 1 and 1000')
+    .toInt(),
+  
+  handleValidationErrors
+];
+
+/**
+ * Validation rules for starting a chunked sync upload (used after validateSync)
+ */
+const validateUploadSession = [
+  body('itemCounts')
+    .isObject()
+    .withMessage('Item counts must be an object of counts per data type'),
+  
+  body('itemCounts.*')
+    .isInt({ min: 0 })
+    .withMessage('Item counts must be non-negative integers')
+    .toInt(),
+  
+  body('totalChunks')
+    .isInt({ min: 1, max: 10000 })
+    .withMessage('Total chunks must be between 1 and 10000')
+    .toInt(),
+  
+  handleValidationErrors
+];
+
+/**
+ * Validation rules for resolving a sync conflict
+ */
+const validateConflictResolution = [
+  body('syncId')
+    .isMongoId()
+    .withMessage('Invalid sync ID'),
+  
+  body('conflictItemId')
+    .isString()
+    .notEmpty()
+    .withMessage('Conflict item ID is required'),
+  
+  body('resolution')
+    .isIn(['server_wins', 'client_wins', 'merge', 'skip'])
+    .withMessage('Resolution must be server_wins, client_wins, merge or skip'),
+  
+  body('mergedData')
+    .optional()
+    .isObject()
+    .withMessage('Merged data must be an object'),
+  
+  handleValidationErrors
+];
+
 /**
  * Validation rules for user profile updates
  */
@@ -317,37 +421,224 @@ const validateObjectId = (paramName) => [
 ];
 
 /**
- * Validation rules for activation key management (admin)
+ * Validation rules for the user details attached to an activation key
+ * (shared by single key creation and each row of a bulk CSV upload)
  */
-const validateActivationKeyCreation = [
-  body('assignedTo.email')
+const activationKeyUserDetailsRules = [
+  body('userDetails.fullName')
+    .trim()
+    .notEmpty()
+    .withMessage('Full name is required')
+    .isLength({ min: 2, max: 100 })
+    .withMessage('Full name must be between 2 and 100 characters'),
+  
+  body('userDetails.email')
+    .trim()
     .notEmpty()
     .withMessage('Email is required')
     .isEmail()
     .withMessage('Invalid email format'),
   
-  body('assignedTo.fullName')
+  body('userDetails.phone')
+    .optional({ values: 'falsy' })
+    .isLength({ max: 20 })
+    .withMessage('Phone number cannot exceed 20 characters'),
+  
+  body('userDetails.role')
+    .trim()
+    .notEmpty()
+    .withMessage('Role is required')
+    .isIn(['doctor', 'nurse', 'admin', 'technician', 'inspector', 'supervisor'])
+    .withMessage('Invalid role'),
+  
+  body('userDetails.facility')
+    .optional({ values: 'falsy' })
+    .isLength({ max: 100 })
+    .withMessage('Facility name cannot exceed 100 characters'),
+  
+  body('userDetails.state')
+    .optional({ values: 'falsy' })
+    .isLength({ max: 50 })
+    .withMessage('State name cannot exceed 50 characters')
+];
+
+/**
+ * Validation rules for activation key management (admin)
+ */
+const validateActivationKeyCreation = [
+  ...activationKeyUserDetailsRules,
+  
+  body('expiresAt')
+    .optional()
+    .isISO8601()
+    .withMessage('Invalid expiration date format'),
+  
+  body('notes')
+    .optional()
+    .isLength({ max: 500 })
+    .withMessage('Notes cannot exceed 500 characters'),
+  
+  body('maxUses')
+    .optional()
+    .isInt({ min: 1, max: 1000 })
+    .withMessage('maxUses must be between 1 and 1000')
+    .toInt(),
+  
+  body('constraints.states')
+    .optional()
+    .isArray()
+    .withMessage('constraints.states must be a list of states'),
+  
+  body('constraints.states.*')
+    .isString()
+    .trim()
+    .isLength({ min: 1, max: 50 })
+    .withMessage('Each allowed state must be between 1 and 50 characters'),
+  
+  body('constraints.platforms')
+    .optional()
+    .isArray()
+    .withMessage('constraints.platforms must be a list of platforms'),
+  
+  body('constraints.platforms.*')
+    .isIn(['ios', 'android', 'web'])
+    .withMessage('Invalid platform'),
+  
+  body('constraints.notBefore')
+    .optional({ values: 'null' })
+    .isISO8601()
+    .withMessage('Invalid not-before date format')
+    // Keys without expiresAt expire 30 days from now
+    .custom((value, { req }) => new Date(value) < (req.body.expiresAt
+      ? new Date(req.body.expiresAt)
+      : new Date(Date.now() + 30 * 24 * 60 * 60 * 1000)))
+    .withMessage('Not-before date must be before the expiration date (30 days from now by default)'),
+  
+  body('constraints.deviceId')
+    .optional({ values: 'null' })
+    .isString()
+    .trim()
+    .isLength({ min: 1, max: 200 })
+    .withMessage('constraints.deviceId must be between 1 and 200 characters'),
+  
+  handleValidationErrors
+];
+
+/**
+ * Validation rules for the optional key delivery channels (`deliver: true` or a list)
+ */
+const validateKeyDelivery = [
+  body('deliver')
+    .optional()
+    .custom(value => typeof value === 'boolean' ||
+      (Array.isArray(value) && value.length > 0 && value.every(channel => ['email', 'sms'].includes(channel))))
+    .withMessage('deliver must be true, false or a list of channels (email, sms)'),
+  
+  handleValidationErrors
+];
+
+/**
+ * Validation rules for changing an activation key's usage quota
+ */
+const validateKeyQuota = [
+  body('maxUses')
+    .notEmpty()
+    .withMessage('maxUses is required')
+    .isInt({ min: 1, max: 1000 })
+    .withMessage('maxUses must be between 1 and 1000')
+    .toInt(),
+  
+  handleValidationErrors
+];
+
+/**
+ * Validation rules for a self-service activation key request
+ */
+const validateKeyRequest = [
+  body('fullName')
+    .trim()
     .notEmpty()
     .withMessage('Full name is required')
     .isLength({ min: 2, max: 100 })
     .withMessage('Full name must be between 2 and 100 characters'),
   
-  body('assignedTo.role')
+  body('email')
+    .trim()
+    .notEmpty()
+    .withMessage('Email is required')
+    .isEmail()
+    .withMessage('Invalid email format'),
+  
+  body('phone')
+    .optional({ values: 'falsy' })
+    .isLength({ max: 20 })
+    .withMessage('Phone number cannot exceed 20 characters'),
+  
+  body('role')
+    .trim()
     .notEmpty()
     .withMessage('Role is required')
-    .isIn(['doctor', 'nurse', 'admin', 'technician', 'inspector', 'supervisor'])
+    .isIn(['doctor', 'nurse', 'technician', 'inspector', 'supervisor'])
     .withMessage('Invalid role'),
   
-  body('validUntil')
+  body('facility')
+    .trim()
+    .notEmpty()
+    .withMessage('Facility is required')
+    .isLength({ max: 100 })
+    .withMessage('Facility name cannot exceed 100 characters'),
+  
+  body('state')
+    .trim()
+    .notEmpty()
+    .withMessage('State is required')
+    .isLength({ max: 50 })
+    .withMessage('State name cannot exceed 50 characters'),
+  
+  body('licenseNumber')
+    .optional({ values: 'falsy' })
+    .trim()
+    .isLength({ max: 50 })
+    .withMessage('Licence number cannot exceed 50 characters'),
+  
+  body('licenseNumber')
+    .if(body('role').isIn(['doctor', 'nurse']))
     .notEmpty()
-    .withMessage('Expiration date is required')
+    .withMessage('Licence number is required for doctors and nurses'),
+  
+  body('deviceId')
+    .trim()
+    .notEmpty()
+    .withMessage('Device ID is required')
+    .isLength({ max: 200 })
+    .withMessage('Device ID cannot exceed 200 characters'),
+  
+  body('message')
+    .optional()
+    .isLength({ max: 500 })
+    .withMessage('Message cannot exceed 500 characters'),
+  
+  handleValidationErrors
+];
+
+/**
+ * Validation rules for approving or rejecting a key request
+ */
+const validateKeyRequestReview = [
+  body('expiresAt')
+    .optional()
     .isISO8601()
     .withMessage('Invalid expiration date format'),
   
-  body('maxUses')
+  body('notes')
     .optional()
-    .isInt({ min: 1 })
-    .withMessage('Max uses must be a positive integer'),
+    .isLength({ max: 500 })
+    .withMessage('Notes cannot exceed 500 characters'),
+  
+  body('reason')
+    .optional()
+    .isLength({ max: 500 })
+    .withMessage('Reason cannot exceed 500 characters'),
   
   handleValidationErrors
 ];
@@ -356,13 +647,22 @@ module.exports = {
   handleValidationErrors,
   validateActivation,
   validateLogin,
+  validateAdminLogin,
   validateActivity,
   validateBatchActivity,
   validateDiagnosis,
   validateSync,
+  validateSyncDownload,
+  validateConflictResolution,
+  validateUploadSession,
   validateProfileUpdate,
   validatePagination,
   validateDateRange,
   validateObjectId,
-  validateActivationKeyCreation
+  validateActivationKeyCreation,
+  validateKeyQuota,
+  validateKeyDelivery,
+  validateKeyRequest,
+  validateKeyRequestReview,
+  activationKeyUserDetailsRules
 };
@@ -1,5 +1,7 @@
 const mongoose = require('mongoose');
 const crypto = require('crypto');
+const keyring = require('../utils/keyring');
+const activationKeyFormat = require('../utils/activationKeyFormat');
 
 const activationKeySchema = new mongoose.Schema({
   // Key Information - 12-digit numeric key
@@ -16,11 +18,25 @@ const activationKeySchema = new mongoose.Schema({
     required: [true, 'Key hash is required'],
     unique: true
   },
+  // 'verhoeff' keys end in a check digit; 'legacy' keys were issued before check digits
+  keyFormat: {
+    type: String,
+    enum: ['legacy', 'verhoeff'],
+    default: 'legacy'
+  },
 
-  // Encrypted user data for offline validation
+  // Encrypted user data for offline validation (v1 payload)
   encryptedUserData: {
     type: String,
-    required: [true, 'Encrypted user data is required']
+    required: [
+      function() { return !this.signedPayload; },
+      'Encrypted user data is required'
+    ]
+  },
+
+  // Server-signed claims for offline validation (v2 payload)
+  signedPayload: {
+    type: String
   },
 
   // User details for admin management (plain text)
@@ -58,16 +74,47 @@ const activationKeySchema = new mongoose.Schema({
       type: String,
       trim: true,
       maxlength: [50, 'State name cannot exceed 50 characters']
+    },
+    licenseNumber: {
+      type: String,
+      trim: true,
+      maxlength: [50, 'Licence number cannot exceed 50 characters']
     }
   },
 
   // Status and Lifecycle
   status: {
     type: String,
-    enum: ['unused', 'used', 'expired', 'revoked'],
+    enum: ['unused', 'used', 'exhausted', 'expired', 'revoked'],
     default: 'unused'
   },
 
+  // Usage quota: single-use keys move to 'used', multi-use keys to 'exhausted' once maxUses is reached
+  maxUses: {
+    type: Number,
+    default: 1,
+    min: [1, 'A key must allow at least one use']
+  },
+  usageCount: {
+    type: Number,
+    default: 0,
+    min: 0
+  },
+  redemptions: [{
+    userId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    },
+    deviceId: {
+      type: String,
+      trim: true
+    },
+    redeemedAt: {
+      type: Date,
+      default: Date.now
+    }
+  }],
+
   // Timestamps
   createdAt: {
     type: Date,
@@ -82,6 +129,28 @@ const activationKeySchema = new mongoose.Schema({
     default: null
   },
 
+  // Optional redemption constraints (also embedded in the offline payload)
+  constraints: {
+    states: [{
+      type: String,
+      trim: true,
+      maxlength: [50, 'State name cannot exceed 50 characters']
+    }],
+    platforms: [{
+      type: String,
+      enum: ['ios', 'android', 'web']
+    }],
+    notBefore: {
+      type: Date,
+      default: null
+    },
+    deviceId: {
+      type: String,
+      trim: true,
+      default: null
+    }
+  },
+
   // Administrative Information
   createdBy: {
     type: mongoose.Schema.Types.ObjectId,
@@ -89,6 +158,20 @@ const activationKeySchema = new mongoose.Schema({
     required: [true, 'Creator is required']
   },
 
+  // Keys generated offline in a signed key pack and imported later
+  keyPackId: {
+    type: String,
+    trim: true,
+    default: null
+  },
+
+  // Renewal keys re-activate an existing account instead of creating a new one
+  renewalFor: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  },
+
   // Notes (optional)
   notes: {
     type: String,
@@ -117,6 +200,7 @@ const activationKeySchema = new mongoose.Schema({
     transform: function(doc, ret) {
       delete ret.keyHash;
       delete ret.encryptedUserData; // Don't expose encrypted data in JSON
+      delete ret.signedPayload;
       delete ret.__v;
       return ret;
     }
@@ -129,10 +213,12 @@ activationKeySchema.index({ keyHash: 1 });
 activationKeySchema.index({ status: 1, expiresAt: 1 });
 activationKeySchema.index({ 'userDetails.email': 1 });
 activationKeySchema.index({ createdBy: 1, createdAt: -1 });
+activationKeySchema.index({ keyPackId: 1 }, { sparse: true });
 
 // Compound indexes
 activationKeySchema.index({ status: 1, createdAt: -1 });
 activationKeySchema.index({ 'userDetails.role': 1, status: 1 });
+activationKeySchema.index({ 'redemptions.deviceId': 1 });
 
 // Virtual for checking if key is expired
 activationKeySchema.virtual('isExpired').get(function() {
@@ -142,7 +228,12 @@ activationKeySchema.virtual('isExpired').get(function() {
 // Virtual for checking if key is valid
 activationKeySchema.virtual('isValid').get(function() {
   const now = new Date();
-  return this.status === 'unused' && this.expiresAt > now;
+  return this.status === 'unused' && this.expiresAt > now && this.usageCount < this.maxUses;
+});
+
+// Virtual for the number of activations left on the key
+activationKeySchema.virtual('remainingUses').get(function() {
+  return Math.max(0, this.maxUses - this.usageCount);
 });
 // Ensure keyHash is present before validation
 activationKeySchema.pre('validate', function(next) {
@@ -167,28 +258,14 @@ activationKeySchema.pre('save', function(next) {
   next();
 });
 
-// Static method to generate a new 12-digit activation key
+// Static method to generate a new 12-digit activation key (11 random digits + Verhoeff check digit)
 activationKeySchema.statics.generateKey = function() {
-  // Generate 12 random digits
-  let key = '';
-  for (let i = 0; i < 12; i++) {
-    key += Math.floor(Math.random() * 10).toString();
-  }
-  return key;
+  return activationKeyFormat.generateKey();
 };
 
 // Static method to generate encrypted user data for offline validation
-activationKeySchema.statics.encryptUserData = function(userData, key) {
-  // Derive 32-byte key from secret to match mobile app's decryption
-  const SECRET = process.env.ACTIVATION_KEY_SECRET || 'nso-activation-key-2024';
-  const derivedKey = Buffer.from(SECRET.padEnd(32, '0').slice(0, 32), 'utf8');
-  const iv = crypto.randomBytes(16);
-  const cipher = crypto.createCipheriv('aes-256-cbc', derivedKey, iv);
-  const json = JSON.stringify(userData);
-  let encrypted = cipher.update(json, 'utf8', 'hex');
-  encrypted += cipher.final('hex');
-  // Prefix IV (hex) to the encrypted payload to align with mobile
-  return iv.toString('hex') + encrypted;
+activationKeySchema.statics.encryptUserData = function(userData) {
+  return keyring.encrypt(userData);
 };
 
 // Static method to find by key
@@ -197,29 +274,94 @@ activationKeySchema.statics.findByKey = function(key) {
   return this.findOne({ keyHash });
 };
 
-// Static method to decrypt user data for validation
-activationKeySchema.statics.decryptUserData = function(encryptedData, key) {
-  try {
-    const SECRET = process.env.ACTIVATION_KEY_SECRET || 'nso-activation-key-2024';
-    const derivedKey = Buffer.from(SECRET.padEnd(32, '0').slice(0, 32), 'utf8');
-    // Extract IV (first 32 hex chars -> 16 bytes)
-    const ivHex = encryptedData.slice(0, 32);
-    const payloadHex = encryptedData.slice(32);
-    const iv = Buffer.from(ivHex, 'hex');
-    const decipher = crypto.createDecipheriv('aes-256-cbc', derivedKey, iv);
-    let decrypted = decipher.update(payloadHex, 'hex', 'utf8');
-    decrypted += decipher.final('utf8');
-    return JSON.parse(decrypted);
-  } catch (error) {
-    return null;
+// Static method to decrypt user data for validation (AES-GCM or legacy AES-CBC)
+activationKeySchema.statics.decryptUserData = function(encryptedData) {
+  if (!encryptedData) return null;
+  return keyring.decrypt(encryptedData);
+};
+
+// Static method to get the status a key should have for its usage count
+activationKeySchema.statics.statusForUsage = function(usageCount, maxUses) {
+  if (usageCount < maxUses) return 'unused';
+  return maxUses > 1 ? 'exhausted' : 'used';
+};
+
+// Static method to record a redemption without exceeding the quota (safe under concurrent activations)
+activationKeySchema.statics.redeem = async function(keyId, redemption = {}) {
+  const now = new Date();
+  const key = await this.findOneAndUpdate(
+    {
+      _id: keyId,
+      status: 'unused',
+      expiresAt: { $gt: now },
+      // Keys created before quotas existed have neither field
+      $expr: { $lt: [{ $ifNull: ['$usageCount', 0] }, { $ifNull: ['$maxUses', 1] }] }
+    },
+    {
+      $inc: { usageCount: 1 },
+      $push: { redemptions: { userId: redemption.userId, deviceId: redemption.deviceId, redeemedAt: now } },
+      $set: { usedAt: now }
+    },
+    { new: true }
+  );
+  if (!key) return null;
+
+  const status = this.statusForUsage(key.usageCount, key.maxUses);
+  if (status !== key.status) {
+    await this.updateOne({ _id: key._id, status: 'unused' }, { $set: { status } });
+    key.status = status;
   }
+  return key;
 };
 
-// Instance method to use/activate key
-activationKeySchema.methods.use = function() {
-  this.status = 'used';
-  this.usedAt = new Date();
-  return this.save();
+// Instance method to use/activate key (records one redemption against the quota)
+activationKeySchema.methods.use = async function(redemption = {}) {
+  const updated = await this.constructor.redeem(this._id, redemption);
+  if (!updated) return null;
+
+  this.set({
+    status: updated.status,
+    usageCount: updated.usageCount,
+    usedAt: updated.usedAt,
+    redemptions: updated.redemptions
+  });
+  return this;
+};
+
+// Static method to give back a use recorded by redeem() when the activation it was for failed
+activationKeySchema.statics.release = async function(keyId, redemption = {}) {
+  const match = { userId: redemption.userId, deviceId: redemption.deviceId };
+  const key = await this.findOneAndUpdate(
+    { _id: keyId, redemptions: { $elemMatch: match } },
+    { $inc: { usageCount: -1 }, $pull: { redemptions: match } },
+    { new: true }
+  );
+  if (!key) return null;
+
+  // A used or exhausted key is usable again; revoked and expired keys stay as they are
+  if (['used', 'exhausted'].includes(key.status) && this.statusForUsage(key.usageCount, key.maxUses) === 'unused') {
+    await this.updateOne({ _id: key._id, status: key.status }, { $set: { status: 'unused' } });
+    key.status = 'unused';
+  }
+  return key;
+};
+
+// Instance method to give back a use taken with use()
+activationKeySchema.methods.release = async function(redemption = {}) {
+  const updated = await this.constructor.release(this._id, redemption);
+  if (!updated) return null;
+
+  this.set({
+    status: updated.status,
+    usageCount: updated.usageCount,
+    redemptions: updated.redemptions
+  });
+  return this;
+};
+
+// Instance method to check whether a device already redeemed this key
+activationKeySchema.methods.findRedemption = function(deviceId) {
+  return this.redemptions.find(redemption => redemption.deviceId === deviceId) || null;
 };
 
 // Instance method to revoke key
@@ -234,7 +376,64 @@ activationKeySchema.methods.revoke = function(revokedBy, reason) {
 // Instance method to check if key can be used
 activationKeySchema.methods.canUse = function() {
   const now = new Date();
-  return this.status === 'unused' && this.expiresAt > now;
+  return this.status === 'unused' && this.expiresAt > now && this.usageCount < this.maxUses;
+};
+
+// Instance method to check the key's constraints against an activation
+// (with requireAll false, attributes missing from the context are not checked)
+activationKeySchema.methods.checkConstraints = function(context = {}, options = {}) {
+  const { requireAll = true } = options;
+  const constraints = this.constraints || {};
+  const now = context.now || new Date();
+  const applies = (value) => requireAll || (value !== undefined && value !== null && value !== '');
+
+  if (constraints.notBefore && constraints.notBefore > now) {
+    return {
+      code: 'KEY_NOT_YET_VALID',
+      error: `Activation key cannot be used before ${constraints.notBefore.toISOString()}`,
+      notBefore: constraints.notBefore
+    };
+  }
+
+  if (constraints.states && constraints.states.length > 0 && applies(context.state)) {
+    const state = (context.state || '').trim().toLowerCase();
+    if (!constraints.states.some(allowed => allowed.toLowerCase() === state)) {
+      return {
+        code: 'KEY_STATE_NOT_ALLOWED',
+        error: 'Activation key is not valid in this state',
+        allowedStates: constraints.states
+      };
+    }
+  }
+
+  if (constraints.platforms && constraints.platforms.length > 0 && applies(context.platform)) {
+    if (!constraints.platforms.includes(context.platform)) {
+      return {
+        code: 'KEY_PLATFORM_NOT_ALLOWED',
+        error: 'Activation key is not valid on this platform',
+        allowedPlatforms: constraints.platforms
+      };
+    }
+  }
+
+  if (constraints.deviceId && applies(context.deviceId) && context.deviceId !== constraints.deviceId) {
+    return {
+      code: 'KEY_DEVICE_MISMATCH',
+      error: 'Activation key is bound to another device'
+    };
+  }
+
+  return null;
+};
+
+// Static method to get constraints in the form embedded in offline payloads
+activationKeySchema.statics.toOfflineConstraints = function(constraints = {}) {
+  return {
+    states: constraints.states || [],
+    platforms: constraints.platforms || [],
+    notBefore: constraints.notBefore ? new Date(constraints.notBefore).toISOString() : null,
+    deviceId: constraints.deviceId || null
+  };
 };
 
 // Instance method to get remaining days
@@ -269,6 +269,10 @@ const activitySchema = new mongoose.Schema({
   },
 
   // Sync Status
+  clientId: {
+    type: String, // UUID generated on the device; makes sync uploads idempotent
+    trim: true
+  },
   syncStatus: {
     type: String,
     enum: ['pending', 'synced', 'failed'],
@@ -314,6 +318,8 @@ activitySchema.index({ timestamp: -1 });
 // Compound indexes
 activitySchema.index({ userId: 1, activityType: 1, timestamp: -1 });
 activitySchema.index({ deviceId: 1, syncStatus: 1 });
+activitySchema.index({ userId: 1, syncStatus: 1, updatedAt: 1, _id: 1 }); // Paged sync download
+activitySchema.index({ userId: 1, clientId: 1 }, { unique: true, partialFilterExpression: { clientId: { $type: 'string' } } });
 
 // Static method to get activity statistics
 activitySchema.statics.getActivityStats = function(userId, startDate, endDate) {
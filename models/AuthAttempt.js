@@ -0,0 +1,82 @@
+const mongoose = require('mongoose');
+
+const authAttemptSchema = new mongoose.Schema({
+  // What the failures are counted against
+  scope: {
+    type: String,
+    enum: ['ip', 'device', 'keyPrefix'],
+    required: [true, 'Scope is required']
+  },
+  identifier: {
+    type: String,
+    required: [true, 'Identifier is required'],
+    trim: true
+  },
+
+  // Failures within the current window
+  failures: {
+    type: Number,
+    default: 0
+  },
+  windowStartedAt: {
+    type: Date,
+    default: Date.now
+  },
+  lastFailureAt: {
+    type: Date,
+    default: null
+  },
+  lastPath: {
+    type: String,
+    trim: true
+  },
+
+  // Block state
+  blockedUntil: {
+    type: Date,
+    default: null
+  },
+  banned: {
+    type: Boolean,
+    default: false
+  },
+  bannedAt: {
+    type: Date,
+    default: null
+  },
+  unblockedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  },
+  unblockedAt: {
+    type: Date,
+    default: null
+  },
+
+  // Entries are dropped once both the window and any block are over
+  expiresAt: {
+    type: Date,
+    required: true
+  }
+}, {
+  timestamps: true,
+  toJSON: {
+    transform: function(doc, ret) {
+      delete ret.__v;
+      return ret;
+    }
+  }
+});
+
+// Indexes
+authAttemptSchema.index({ scope: 1, identifier: 1 }, { unique: true });
+authAttemptSchema.index({ blockedUntil: 1, scope: 1 });
+authAttemptSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+// Virtual for checking if the entry is currently blocked
+authAttemptSchema.virtual('isBlocked').get(function() {
+  return !!(this.blockedUntil && this.blockedUntil > new Date());
+});
+
+module.exports = mongoose.model('AuthAttempt', authAttemptSchema);
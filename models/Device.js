@@ -0,0 +1,162 @@
+const mongoose = require('mongoose');
+const User = require('./User');
+
+// How often lastSeenAt is written back while a device keeps making requests
+const LAST_SEEN_UPDATE_INTERVAL = 5 * 60 * 1000; // 5 minutes
+
+const deviceSchema = new mongoose.Schema({
+  // Binding
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: [true, 'User ID is required']
+  },
+  deviceId: {
+    type: String,
+    required: [true, 'Device ID is required'],
+    trim: true
+  },
+
+  // Device Details (from the deviceInfo the app sends)
+  platform: {
+    type: String,
+    enum: ['ios', 'android', 'web']
+  },
+  model: {
+    type: String,
+    trim: true,
+    maxlength: [50, 'Model cannot exceed 50 characters']
+  },
+  osVersion: {
+    type: String,
+    trim: true,
+    maxlength: [20, 'OS version cannot exceed 20 characters']
+  },
+  appVersion: {
+    type: String,
+    trim: true,
+    maxlength: [20, 'App version cannot exceed 20 characters']
+  },
+
+  // Status and Lifecycle
+  status: {
+    type: String,
+    enum: ['pending', 'active', 'revoked'],
+    default: 'active'
+  },
+  firstSeenAt: {
+    type: Date,
+    default: Date.now
+  },
+  lastSeenAt: {
+    type: Date,
+    default: Date.now
+  },
+
+  // Administrative Information
+  approvedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  },
+  approvedAt: {
+    type: Date,
+    default: null
+  },
+  revokedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  },
+  revokedAt: {
+    type: Date,
+    default: null
+  },
+  revocationReason: {
+    type: String,
+    trim: true,
+    maxlength: [200, 'Revocation reason cannot exceed 200 characters']
+  },
+  transferredFrom: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  }
+}, {
+  timestamps: true,
+  toJSON: {
+    transform: function(doc, ret) {
+      delete ret.__v;
+      return ret;
+    }
+  }
+});
+
+// Indexes
+deviceSchema.index({ userId: 1, deviceId: 1 }, { unique: true });
+deviceSchema.index({ deviceId: 1, status: 1 });
+deviceSchema.index({ userId: 1, status: 1 });
+deviceSchema.index({ status: 1, createdAt: -1 });
+
+// Static method to extract registry fields from the app's deviceInfo payload
+deviceSchema.statics.detailsFromDeviceInfo = function(deviceInfo = {}) {
+  const details = {};
+  if (deviceInfo.platform) details.platform = deviceInfo.platform;
+  if (deviceInfo.model) details.model = deviceInfo.model;
+  if (deviceInfo.osVersion) details.osVersion = deviceInfo.osVersion;
+  if (deviceInfo.appVersion || deviceInfo.version) {
+    details.appVersion = deviceInfo.appVersion || deviceInfo.version;
+  }
+  return details;
+};
+
+// Static method to check whether a user may use a device
+deviceSchema.statics.authorize = async function(user, deviceId) {
+  const device = await this.findOne({ userId: user._id, deviceId });
+
+  if (device) {
+    if (device.status === 'revoked') {
+      return { authorized: false, code: 'DEVICE_REVOKED', error: 'Device has been revoked' };
+    }
+    if (device.status === 'pending') {
+      return { authorized: false, code: 'DEVICE_PENDING_APPROVAL', error: 'Device is awaiting admin approval' };
+    }
+
+    if (Date.now() - device.lastSeenAt.getTime() > LAST_SEEN_UPDATE_INTERVAL) {
+      await this.updateOne({ _id: device._id }, { lastSeenAt: new Date() });
+    }
+    return { authorized: true, device };
+  }
+
+  // Accounts bound before the registry existed: migrate the single User.deviceId binding,
+  // or keep accepting the first device of an account that never had one
+  const hasDevices = await this.exists({ userId: user._id });
+  if (user.deviceId === deviceId || (!user.deviceId && !hasDevices)) {
+    // The same owner check as registering a device: never take over another account's device
+    const [otherDevice, otherUser] = await Promise.all([
+      this.exists({ deviceId, userId: { $ne: user._id }, status: { $in: ['active', 'pending'] } }),
+      User.exists({ deviceId, _id: { $ne: user._id } })
+    ]);
+    if (otherDevice || otherUser) {
+      return { authorized: false, code: 'DEVICE_ALREADY_REGISTERED', error: 'Device already registered to another user' };
+    }
+
+    const migrated = await this.findOneAndUpdate(
+      { userId: user._id, deviceId },
+      { $setOnInsert: { status: 'active', firstSeenAt: new Date(), lastSeenAt: new Date() } },
+      { upsert: true, new: true }
+    );
+    return { authorized: true, device: migrated };
+  }
+
+  return { authorized: false, code: 'DEVICE_NOT_AUTHORIZED', error: 'Device not authorized' };
+};
+
+// Instance method to record that the device was seen with fresh details
+deviceSchema.methods.touch = function(deviceInfo) {
+  this.set(this.constructor.detailsFromDeviceInfo(deviceInfo));
+  this.lastSeenAt = new Date();
+  return this.save();
+};
+
+module.exports = mongoose.model('Device', deviceSchema);
@@ -1,4 +1,6 @@
 const mongoose = require('mongoose');
+const DiagnosisRevision = require('./DiagnosisRevision');
+const config = require('../config');
 
 const diagnosisSchema = new mongoose.Schema({
   // User Information
@@ -295,6 +297,23 @@ const diagnosisSchema = new mongoose.Schema({
   },
 
   // Sync Information
+  clientId: {
+    type: String, // UUID generated on the device; makes sync uploads idempotent
+    trim: true
+  },
+  revision: {
+    type: Number, // Server-assigned; bumped on every change (see hooks below)
+    default: 1,
+    min: [1, 'Revision must be at least 1']
+  },
+  baseRevision: {
+    type: Number, // Revision the device edited from when it uploaded this version
+    default: null
+  },
+  resolvedConflict: {
+    type: mongoose.Schema.Types.Mixed, // { conflictId, resolution, revision } of the conflict resolution that wrote a revision
+    default: null
+  },
   syncStatus: {
     type: String,
     enum: ['pending', 'synced', 'failed', 'conflict'],
@@ -350,13 +369,76 @@ diagnosisSchema.index({ priority: 1, status: 1 });
 // Compound indexes
 diagnosisSchema.index({ userId: 1, status: 1, createdAt: -1 });
 diagnosisSchema.index({ deviceId: 1, syncStatus: 1 });
+diagnosisSchema.index({ userId: 1, syncStatus: 1, updatedAt: 1, _id: 1 }); // Paged sync download
+diagnosisSchema.index({ userId: 1, clientId: 1 }, { unique: true, partialFilterExpression: { clientId: { $type: 'string' } } });
 
-// Pre-save middleware to update lastModified
+// Pre-save middleware to update lastModified and the revision
 diagnosisSchema.pre('save', function(next) {
+  if (!this.isNew && this.isModified() && !this.isModified('revision')) {
+    this.revision += 1;
+  }
   this.lastModified = Date.now();
   next();
 });
 
+// Updates through queries get a new revision too, unless they set it themselves
+diagnosisSchema.pre(['findOneAndUpdate', 'updateOne', 'updateMany'], function(next) {
+  const update = this.getUpdate() || {};
+  const setsRevision = [update, update.$set, update.$inc]
+    .some(fields => fields && Object.prototype.hasOwnProperty.call(fields, 'revision'));
+
+  if (!setsRevision) {
+    update.$inc = { ...update.$inc, revision: 1 };
+    this.setUpdate(update);
+  }
+  next();
+});
+
+// Filter for a diagnosis still at a revision (records saved before revisions existed store none and read as 1)
+diagnosisSchema.statics.revisionFilter = function(revision) {
+  return revision === 1
+    ? { $or: [{ revision: 1 }, { revision: { $exists: false } }] }
+    : { revision };
+};
+
+// Keep a snapshot of every revision, as the common ancestor for three-way merges of sync uploads
+diagnosisSchema.statics.recordRevisions = async function(diagnoses) {
+  if (diagnoses.length === 0) return;
+
+  const expiresAt = new Date(Date.now() + config.DIAGNOSIS_REVISION_RETENTION_DAYS * 24 * 60 * 60 * 1000);
+
+  try {
+    await DiagnosisRevision.bulkWrite(diagnoses.map(diagnosis => ({
+      updateOne: {
+        filter: { diagnosisId: diagnosis._id, revision: diagnosis.revision },
+        update: {
+          $setOnInsert: {
+            userId: diagnosis.userId,
+            snapshot: diagnosis.toObject({ depopulate: true }),
+            expiresAt
+          }
+        },
+        upsert: true
+      }
+    })), { ordered: false });
+  } catch (error) {
+    // A missing snapshot only means a later conflict on this revision is not merged automatically
+    console.error('Error recording diagnosis revision:', error);
+  }
+};
+
+diagnosisSchema.post('save', async function(doc) {
+  await doc.constructor.recordRevisions([doc]);
+});
+
+diagnosisSchema.post('findOneAndUpdate', async function(doc) {
+  if (!doc) return;
+  const options = this.getOptions();
+  const returnsUpdated = options.new || options.returnDocument === 'after';
+  const current = returnsUpdated ? doc : await this.model.findById(doc._id);
+  if (current) await this.model.recordRevisions([current]);
+});
+
 // Static method to get diagnosis statistics
 diagnosisSchema.statics.getDiagnosisStats = function(userId, startDate, endDate) {
   return this.aggregate([
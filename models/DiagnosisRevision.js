@@ -0,0 +1,44 @@
+const mongoose = require('mongoose');
+
+const diagnosisRevisionSchema = new mongoose.Schema({
+  diagnosisId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Diagnosis',
+    required: [true, 'Diagnosis ID is required']
+  },
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: [true, 'User ID is required']
+  },
+  revision: {
+    type: Number,
+    required: [true, 'Revision is required'],
+    min: [1, 'Revision must be at least 1']
+  },
+
+  // The diagnosis as it was at this revision (common ancestor for three-way merges)
+  snapshot: {
+    type: mongoose.Schema.Types.Mixed,
+    required: true
+  },
+
+  expiresAt: {
+    type: Date,
+    required: true
+  }
+}, {
+  timestamps: { createdAt: true, updatedAt: false },
+  toJSON: {
+    transform: function(doc, ret) {
+      delete ret.__v;
+      return ret;
+    }
+  }
+});
+
+// Indexes
+diagnosisRevisionSchema.index({ diagnosisId: 1, revision: 1 }, { unique: true });
+diagnosisRevisionSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+module.exports = mongoose.model('DiagnosisRevision', diagnosisRevisionSchema);
@@ -0,0 +1,61 @@
+const mongoose = require('mongoose');
+
+const idempotencyRecordSchema = new mongoose.Schema({
+  // Idempotency-Key header sent by the client, unique per user and endpoint
+  key: {
+    type: String,
+    required: [true, 'Idempotency key is required'],
+    trim: true,
+    maxlength: [255, 'Idempotency key cannot exceed 255 characters']
+  },
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: [true, 'User ID is required']
+  },
+  scope: {
+    type: String,
+    required: [true, 'Scope is required'],
+    trim: true
+  },
+
+  // SHA-256 of the request body, so a key cannot be reused for a different request
+  requestHash: {
+    type: String,
+    required: true
+  },
+
+  // Stored response (replayed for retries once completed)
+  status: {
+    type: String,
+    enum: ['processing', 'completed'],
+    default: 'processing'
+  },
+  responseStatus: {
+    type: Number,
+    default: null
+  },
+  responseBody: {
+    type: mongoose.Schema.Types.Mixed,
+    default: null
+  },
+
+  expiresAt: {
+    type: Date,
+    required: true
+  }
+}, {
+  timestamps: true,
+  toJSON: {
+    transform: function(doc, ret) {
+      delete ret.__v;
+      return ret;
+    }
+  }
+});
+
+// Indexes
+idempotencyRecordSchema.index({ userId: 1, scope: 1, key: 1 }, { unique: true });
+idempotencyRecordSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+module.exports = mongoose.model('IdempotencyRecord', idempotencyRecordSchema);
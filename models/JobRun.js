@@ -0,0 +1,66 @@
+const mongoose = require('mongoose');
+
+const jobRunSchema = new mongoose.Schema({
+  job: {
+    type: String,
+    required: [true, 'Job name is required'],
+    trim: true
+  },
+  trigger: {
+    type: String,
+    enum: ['schedule', 'manual'],
+    default: 'schedule'
+  },
+  triggeredBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  },
+
+  // Outcome
+  status: {
+    type: String,
+    enum: ['running', 'succeeded', 'failed'],
+    default: 'running'
+  },
+  startedAt: {
+    type: Date,
+    default: Date.now
+  },
+  finishedAt: {
+    type: Date,
+    default: null
+  },
+  durationMs: {
+    type: Number,
+    default: null
+  },
+  counts: {
+    type: mongoose.Schema.Types.Mixed,
+    default: {}
+  },
+  errorMessages: [{
+    type: String,
+    maxlength: [500, 'Error cannot exceed 500 characters']
+  }],
+  host: {
+    type: String,
+    trim: true
+  }
+}, {
+  timestamps: true,
+  toJSON: {
+    transform: function(doc, ret) {
+      delete ret.__v;
+      return ret;
+    }
+  }
+});
+
+// Indexes
+jobRunSchema.index({ job: 1, startedAt: -1 });
+jobRunSchema.index({ status: 1, startedAt: -1 });
+// At most one running instance per job, across server processes
+jobRunSchema.index({ job: 1 }, { unique: true, partialFilterExpression: { status: 'running' } });
+
+module.exports = mongoose.model('JobRun', jobRunSchema);
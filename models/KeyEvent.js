@@ -0,0 +1,91 @@
+const mongoose = require('mongoose');
+
+const KEY_EVENTS = [
+  'created',
+  'exported',
+  'delivered',
+  'validation_failed',
+  'redeemed',
+  'revoked',
+  'renewed',
+  'reencrypted'
+];
+
+const keyEventSchema = new mongoose.Schema({
+  activationKeyId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'ActivationKey',
+    required: [true, 'Activation key ID is required']
+  },
+  event: {
+    type: String,
+    enum: KEY_EVENTS,
+    required: [true, 'Event is required']
+  },
+
+  // Who and where (admin actions carry the admin, activations the device)
+  actor: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  },
+  ipAddress: {
+    type: String,
+    trim: true
+  },
+  userAgent: {
+    type: String,
+    trim: true,
+    maxlength: [500, 'User agent cannot exceed 500 characters']
+  },
+  deviceId: {
+    type: String,
+    trim: true
+  },
+
+  // Outcome details
+  reason: {
+    type: String,
+    trim: true,
+    maxlength: [500, 'Reason cannot exceed 500 characters']
+  },
+  code: {
+    type: String,
+    trim: true
+  },
+  details: {
+    type: mongoose.Schema.Types.Mixed,
+    default: {}
+  }
+}, {
+  timestamps: { createdAt: true, updatedAt: false },
+  toJSON: {
+    transform: function(doc, ret) {
+      delete ret.__v;
+      return ret;
+    }
+  }
+});
+
+// Indexes
+keyEventSchema.index({ activationKeyId: 1, createdAt: 1 });
+keyEventSchema.index({ event: 1, createdAt: -1 });
+
+// Events are append-only: saved once, never changed or removed through the model
+keyEventSchema.pre('save', function(next) {
+  if (!this.isNew) {
+    return next(new Error('Key events cannot be modified'));
+  }
+  next();
+});
+
+keyEventSchema.pre(
+  ['updateOne', 'updateMany', 'findOneAndUpdate', 'replaceOne', 'deleteOne', 'deleteMany', 'findOneAndDelete', 'findOneAndReplace'],
+  function(next) {
+    next(new Error('Key events cannot be modified'));
+  }
+);
+
+keyEventSchema.statics.EVENTS = KEY_EVENTS;
+
+module.exports = mongoose.model('KeyEvent', keyEventSchema);
@@ -0,0 +1,124 @@
+const mongoose = require('mongoose');
+
+const batchRowSchema = new mongoose.Schema({
+  rowNumber: {
+    type: Number,
+    required: true
+  },
+
+  // Row data as uploaded
+  fullName: String,
+  email: String,
+  phone: String,
+  role: String,
+  facility: String,
+  state: String,
+
+  // Outcome
+  status: {
+    type: String,
+    enum: ['pending', 'created', 'duplicate_email', 'invalid', 'failed'],
+    default: 'pending'
+  },
+  key: {
+    type: String,
+    default: null
+  },
+  activationKeyId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'ActivationKey',
+    default: null
+  },
+  messages: [String]
+}, { _id: false });
+
+const keyIssuanceBatchSchema = new mongoose.Schema({
+  // Upload Information
+  fileName: {
+    type: String,
+    trim: true
+  },
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: [true, 'Creator is required']
+  },
+
+  // Options applied to every key in the batch
+  expiresAt: {
+    type: Date,
+    default: null
+  },
+  notes: {
+    type: String,
+    trim: true,
+    maxlength: [500, 'Notes cannot exceed 500 characters']
+  },
+
+  // Progress
+  status: {
+    type: String,
+    enum: ['pending', 'processing', 'completed', 'failed'],
+    default: 'pending'
+  },
+  totalRows: {
+    type: Number,
+    default: 0
+  },
+  processedRows: {
+    type: Number,
+    default: 0
+  },
+  summary: {
+    created: { type: Number, default: 0 },
+    duplicateEmail: { type: Number, default: 0 },
+    invalid: { type: Number, default: 0 },
+    failed: { type: Number, default: 0 }
+  },
+  startedAt: {
+    type: Date,
+    default: null
+  },
+  completedAt: {
+    type: Date,
+    default: null
+  },
+  failureReason: {
+    type: String,
+    default: null
+  },
+  // Times the recovery job picked the batch up again after processing stopped
+  resumeCount: {
+    type: Number,
+    default: 0
+  },
+
+  rows: [batchRowSchema]
+}, {
+  timestamps: true,
+  toJSON: {
+    transform: function(doc, ret) {
+      delete ret.__v;
+      return ret;
+    }
+  }
+});
+
+// Indexes
+keyIssuanceBatchSchema.index({ createdBy: 1, createdAt: -1 });
+keyIssuanceBatchSchema.index({ status: 1, createdAt: -1 });
+
+// Instance method to recount row outcomes
+keyIssuanceBatchSchema.methods.updateSummary = function() {
+  const count = (status) => this.rows.filter(row => row.status === status).length;
+
+  this.summary = {
+    created: count('created'),
+    duplicateEmail: count('duplicate_email'),
+    invalid: count('invalid'),
+    failed: count('failed')
+  };
+  this.processedRows = this.rows.filter(row => row.status !== 'pending').length;
+};
+
+module.exports = mongoose.model('KeyIssuanceBatch', keyIssuanceBatchSchema);
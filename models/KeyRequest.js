@@ -0,0 +1,102 @@
+const mongoose = require('mongoose');
+
+const keyRequestSchema = new mongoose.Schema({
+  // Details submitted by the health worker
+  fullName: {
+    type: String,
+    required: [true, 'Full name is required'],
+    trim: true,
+    maxlength: [100, 'Full name cannot exceed 100 characters']
+  },
+  email: {
+    type: String,
+    required: [true, 'Email is required'],
+    lowercase: true,
+    trim: true
+  },
+  phone: {
+    type: String,
+    trim: true,
+    maxlength: [20, 'Phone number cannot exceed 20 characters']
+  },
+  role: {
+    type: String,
+    required: [true, 'Role is required'],
+    enum: ['doctor', 'nurse', 'technician', 'inspector', 'supervisor']
+  },
+  facility: {
+    type: String,
+    required: [true, 'Facility is required'],
+    trim: true,
+    maxlength: [100, 'Facility name cannot exceed 100 characters']
+  },
+  state: {
+    type: String,
+    required: [true, 'State is required'],
+    trim: true,
+    maxlength: [50, 'State name cannot exceed 50 characters']
+  },
+  licenseNumber: {
+    type: String,
+    trim: true,
+    maxlength: [50, 'Licence number cannot exceed 50 characters']
+  },
+  deviceId: {
+    type: String,
+    required: [true, 'Device ID is required'],
+    trim: true
+  },
+  message: {
+    type: String,
+    trim: true,
+    maxlength: [500, 'Message cannot exceed 500 characters']
+  },
+  ipAddress: {
+    type: String,
+    trim: true
+  },
+
+  // Review
+  status: {
+    type: String,
+    enum: ['pending', 'approved', 'rejected'],
+    default: 'pending'
+  },
+  reviewedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  },
+  reviewedAt: {
+    type: Date,
+    default: null
+  },
+  reviewNotes: {
+    type: String,
+    trim: true,
+    maxlength: [500, 'Review notes cannot exceed 500 characters']
+  },
+
+  // Key generated on approval
+  activationKeyId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'ActivationKey',
+    default: null
+  }
+}, {
+  timestamps: true,
+  toJSON: {
+    transform: function(doc, ret) {
+      delete ret.__v;
+      return ret;
+    }
+  }
+});
+
+// Indexes
+keyRequestSchema.index({ status: 1, createdAt: -1 });
+keyRequestSchema.index({ state: 1, status: 1 });
+keyRequestSchema.index({ email: 1, status: 1 });
+keyRequestSchema.index({ deviceId: 1, status: 1 });
+
+module.exports = mongoose.model('KeyRequest', keyRequestSchema);
@@ -0,0 +1,95 @@
+const mongoose = require('mongoose');
+
+const notificationDeliverySchema = new mongoose.Schema({
+  // Message
+  channel: {
+    type: String,
+    enum: ['email', 'sms'],
+    required: [true, 'Channel is required']
+  },
+  recipient: {
+    type: String,
+    required: [true, 'Recipient is required'],
+    trim: true
+  },
+  template: {
+    type: String,
+    required: [true, 'Template is required'],
+    trim: true
+  },
+  // Template data is kept for retries; it can hold an activation key, so it is never serialised
+  data: {
+    type: mongoose.Schema.Types.Mixed,
+    default: {}
+  },
+
+  // Delivery state
+  status: {
+    type: String,
+    enum: ['queued', 'sent', 'failed', 'abandoned'],
+    default: 'queued'
+  },
+  transport: {
+    type: String,
+    trim: true
+  },
+  attempts: {
+    type: Number,
+    default: 0
+  },
+  lastAttemptAt: {
+    type: Date,
+    default: null
+  },
+  nextAttemptAt: {
+    type: Date,
+    default: null
+  },
+  lastError: {
+    type: String,
+    trim: true,
+    maxlength: [500, 'Error cannot exceed 500 characters']
+  },
+  sentAt: {
+    type: Date,
+    default: null
+  },
+  providerMessageId: {
+    type: String,
+    trim: true
+  },
+
+  // What the message is about
+  activationKeyId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'ActivationKey',
+    default: null
+  },
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  },
+  requestedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  }
+}, {
+  timestamps: true,
+  toJSON: {
+    transform: function(doc, ret) {
+      delete ret.data;
+      delete ret.__v;
+      return ret;
+    }
+  }
+});
+
+// Indexes
+notificationDeliverySchema.index({ status: 1, nextAttemptAt: 1 });
+notificationDeliverySchema.index({ activationKeyId: 1, createdAt: -1 });
+notificationDeliverySchema.index({ recipient: 1, createdAt: -1 });
+notificationDeliverySchema.index({ createdAt: -1 });
+
+module.exports = mongoose.model('NotificationDelivery', notificationDeliverySchema);
@@ -0,0 +1,80 @@
+const mongoose = require('mongoose');
+
+const refreshTokenSchema = new mongoose.Schema({
+  // Token Identity (jti claim of the refresh JWT)
+  jti: {
+    type: String,
+    required: [true, 'Token ID is required'],
+    unique: true
+  },
+  // All tokens descending from one login share a family
+  family: {
+    type: String,
+    required: [true, 'Token family is required']
+  },
+
+  // Owner Information
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: [true, 'User ID is required']
+  },
+  deviceId: {
+    type: String,
+    trim: true
+  },
+
+  // Access token issued alongside this refresh token
+  accessJti: {
+    type: String
+  },
+  accessExpiresAt: {
+    type: Date
+  },
+
+  // Lifecycle
+  status: {
+    type: String,
+    enum: ['active', 'rotated', 'revoked'],
+    default: 'active'
+  },
+  expiresAt: {
+    type: Date,
+    required: [true, 'Expiration date is required']
+  },
+  rotatedAt: {
+    type: Date,
+    default: null
+  },
+  replacedBy: {
+    type: String,
+    default: null
+  },
+  revokedAt: {
+    type: Date,
+    default: null
+  },
+  revocationReason: {
+    type: String,
+    trim: true,
+    maxlength: [100, 'Revocation reason cannot exceed 100 characters']
+  }
+}, {
+  timestamps: true,
+  toJSON: {
+    transform: function(doc, ret) {
+      delete ret.__v;
+      return ret;
+    }
+  }
+});
+
+// Indexes
+refreshTokenSchema.index({ family: 1, status: 1 });
+refreshTokenSchema.index({ userId: 1, status: 1 });
+refreshTokenSchema.index({ userId: 1, deviceId: 1, status: 1 });
+
+// Documents are only needed until the refresh JWT itself expires
+refreshTokenSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+module.exports = mongoose.model('RefreshToken', refreshTokenSchema);
@@ -0,0 +1,37 @@
+const mongoose = require('mongoose');
+
+const revokedTokenSchema = new mongoose.Schema({
+  // jti claim of the revoked access token
+  jti: {
+    type: String,
+    required: [true, 'Token ID is required'],
+    unique: true
+  },
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  reason: {
+    type: String,
+    trim: true,
+    maxlength: [100, 'Reason cannot exceed 100 characters']
+  },
+  // Same as the token's exp claim; the entry is useless afterwards
+  expiresAt: {
+    type: Date,
+    required: [true, 'Expiration date is required']
+  }
+}, {
+  timestamps: true
+});
+
+revokedTokenSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+// Static method to check whether an access token has been revoked
+revokedTokenSchema.statics.isRevoked = async function(jti) {
+  if (!jti) return false;
+  const entry = await this.exists({ jti });
+  return !!entry;
+};
+
+module.exports = mongoose.model('RevokedToken', revokedTokenSchema);
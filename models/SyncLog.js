@@ -74,6 +74,22 @@ const syncLogSchema = new mongoose.Schema({
       default: 0,
       min: [0, 'Percentage cannot be negative'],
       max: [100, 'Percentage cannot exceed 100']
+    },
+    // Chunked uploads: transfer state before the items are processed
+    totalChunks: {
+      type: Number,
+      default: 0,
+      min: [0, 'Total chunks cannot be negative']
+    },
+    receivedChunks: {
+      type: Number,
+      default: 0,
+      min: [0, 'Received chunks cannot be negative']
+    },
+    receivedItems: {
+      type: Number,
+      default: 0,
+      min: [0, 'Received items cannot be negative']
     }
   },
 
@@ -215,7 +231,15 @@ const syncLogSchema = new mongoose.Schema({
     },
     mergedVersion: {
       type: mongoose.Schema.Types.Mixed
-    }
+    },
+    // Version both sides edited from, and the fields they changed differently (three-way merge)
+    baseVersion: {
+      type: mongoose.Schema.Types.Mixed
+    },
+    fields: [{
+      type: String,
+      trim: true
+    }]
   }],
 
   // Retry Information
@@ -345,8 +369,8 @@ syncLogSchema.methods.markCompleted = function(status = 'completed') {
   return this.save();
 };
 
-// Instance method to add error
-syncLogSchema.methods.addError = function(code, message, severity = 'medium', dataType = null, itemId = null, retryable = true, stack = null) {
+// Instance method to record an error without saving (saved with the next progress update)
+syncLogSchema.methods.pushError = function(code, message, severity = 'medium', dataType = null, itemId = null, retryable = true, stack = null) {
   this.errors.push({
     code,
     message,
@@ -356,18 +380,32 @@ syncLogSchema.methods.addError = function(code, message, severity = 'medium', da
     retryable,
     stack
   });
+  return this;
+};
+
+// Instance method to add error
+syncLogSchema.methods.addError = function(code, message, severity = 'medium', dataType = null, itemId = null, retryable = true, stack = null) {
+  this.pushError(code, message, severity, dataType, itemId, retryable, stack);
   return this.save();
 };
 
-// Instance method to add conflict
-syncLogSchema.methods.addConflict = function(itemId, dataType, conflictType, localVersion, serverVersion) {
+// Instance method to record a conflict without saving (saved with the next progress update)
+syncLogSchema.methods.pushConflict = function(itemId, dataType, conflictType, localVersion, serverVersion, details = {}) {
   this.conflicts.push({
     itemId,
     dataType,
     conflictType,
     localVersion,
-    serverVersion
+    serverVersion,
+    baseVersion: details.baseVersion,
+    fields: details.fields || []
   });
+  return this;
+};
+
+// Instance method to add conflict
+syncLogSchema.methods.addConflict = function(itemId, dataType, conflictType, localVersion, serverVersion, details = {}) {
+  this.pushConflict(itemId, dataType, conflictType, localVersion, serverVersion, details);
   return this.save();
 };
 
@@ -0,0 +1,72 @@
+const mongoose = require('mongoose');
+const config = require('../config');
+
+const tombstoneSchema = new mongoose.Schema({
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: [true, 'User ID is required']
+  },
+  dataType: {
+    type: String,
+    enum: ['activities', 'diagnoses'],
+    required: [true, 'Data type is required']
+  },
+
+  // The removed record, by server ID and by the ID the devices know it by
+  recordId: {
+    type: mongoose.Schema.Types.ObjectId,
+    required: [true, 'Record ID is required']
+  },
+  clientId: {
+    type: String,
+    trim: true,
+    default: null
+  },
+
+  reason: {
+    type: String,
+    enum: ['deleted', 'archived'],
+    required: [true, 'Reason is required']
+  },
+  deletedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  },
+
+  expiresAt: {
+    type: Date,
+    required: true
+  }
+}, {
+  timestamps: { createdAt: true, updatedAt: false },
+  toJSON: {
+    transform: function(doc, ret) {
+      delete ret.__v;
+      return ret;
+    }
+  }
+});
+
+// Indexes
+tombstoneSchema.index({ userId: 1, dataType: 1, createdAt: 1, _id: 1 }); // Paged sync download
+tombstoneSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+// Static method to record removed records (kept for SYNC_TOMBSTONE_RETENTION_DAYS)
+tombstoneSchema.statics.record = function(dataType, records, details = {}) {
+  if (records.length === 0) return Promise.resolve([]);
+
+  const expiresAt = new Date(Date.now() + config.SYNC_TOMBSTONE_RETENTION_DAYS * 24 * 60 * 60 * 1000);
+  return this.insertMany(records.map(record => ({
+    userId: record.userId,
+    dataType,
+    recordId: record._id,
+    clientId: record.clientId || null,
+    reason: details.reason,
+    deletedBy: details.deletedBy || null,
+    expiresAt
+  })));
+};
+
+module.exports = mongoose.model('Tombstone', tombstoneSchema);
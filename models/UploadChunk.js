@@ -0,0 +1,47 @@
+const mongoose = require('mongoose');
+
+const uploadChunkSchema = new mongoose.Schema({
+  uploadSessionId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'UploadSession',
+    required: [true, 'Upload session ID is required']
+  },
+  index: {
+    type: Number,
+    required: [true, 'Chunk index is required'],
+    min: [0, 'Chunk index cannot be negative']
+  },
+
+  // SHA-256 (hex) of the chunk bytes, as sent by the device and checked on receipt
+  checksum: {
+    type: String,
+    required: [true, 'Checksum is required']
+  },
+  size: {
+    type: Number,
+    required: true
+  },
+  itemCounts: {
+    type: mongoose.Schema.Types.Mixed, // Items per data type in this chunk
+    default: {}
+  },
+  // Chunk body as received (JSON text), parsed again on commit
+  payload: {
+    type: String,
+    required: true
+  }
+}, {
+  timestamps: { createdAt: true, updatedAt: false },
+  toJSON: {
+    transform: function(doc, ret) {
+      delete ret.__v;
+      delete ret.payload;
+      return ret;
+    }
+  }
+});
+
+// Indexes
+uploadChunkSchema.index({ uploadSessionId: 1, index: 1 }, { unique: true });
+
+module.exports = mongoose.model('UploadChunk', uploadChunkSchema);
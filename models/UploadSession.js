@@ -0,0 +1,75 @@
+const mongoose = require('mongoose');
+
+const uploadSessionSchema = new mongoose.Schema({
+  // User and Device Information
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: [true, 'User ID is required']
+  },
+  deviceId: {
+    type: String,
+    required: [true, 'Device ID is required'],
+    trim: true
+  },
+  syncLogId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'SyncLog',
+    required: [true, 'Sync log ID is required']
+  },
+
+  // Declared when the session begins
+  dataTypes: [{
+    type: String,
+    enum: ['activities', 'diagnoses', 'user_profile', 'preferences', 'clinical_records', 'media_files']
+  }],
+  itemCounts: {
+    type: mongoose.Schema.Types.Mixed, // Items per data type, checked on commit
+    default: {}
+  },
+  totalChunks: {
+    type: Number,
+    required: [true, 'Total chunks is required'],
+    min: [1, 'An upload needs at least one chunk']
+  },
+
+  // open: accepting chunks; committing: items being applied; committed: done (result kept)
+  status: {
+    type: String,
+    enum: ['open', 'committing', 'committed'],
+    default: 'open'
+  },
+  // When the running commit claimed the session; a claim older than SYNC_UPLOAD_COMMIT_LOCK_MINUTES is stale
+  committingAt: {
+    type: Date,
+    default: null
+  },
+  committedAt: {
+    type: Date,
+    default: null
+  },
+  result: {
+    type: mongoose.Schema.Types.Mixed,
+    default: null
+  },
+
+  // Removed with its chunks by the upload-session-expiry job once passed
+  expiresAt: {
+    type: Date,
+    required: true
+  }
+}, {
+  timestamps: true,
+  toJSON: {
+    transform: function(doc, ret) {
+      delete ret.__v;
+      return ret;
+    }
+  }
+});
+
+// Indexes
+uploadSessionSchema.index({ userId: 1, createdAt: -1 });
+uploadSessionSchema.index({ expiresAt: 1 });
+
+module.exports = mongoose.model('UploadSession', uploadSessionSchema);
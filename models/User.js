@@ -1,5 +1,6 @@
 const mongoose = require('mongoose');
 const bcrypt = require('bcryptjs');
+const config = require('../config');
 
 const userSchema = new mongoose.Schema({
   // Basic Information
@@ -96,6 +97,40 @@ const userSchema = new mongoose.Schema({
   activationKeyExpires: {
     type: Date
   },
+  licenseHistory: [{
+    action: {
+      type: String,
+      enum: ['extended', 'renewal_key_issued', 'renewed']
+    },
+    previousExpiresAt: Date,
+    newExpiresAt: Date,
+    activationKeyId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'ActivationKey'
+    },
+    performedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    },
+    notes: {
+      type: String,
+      maxlength: [500, 'Notes cannot exceed 500 characters']
+    },
+    timestamp: {
+      type: Date,
+      default: Date.now
+    }
+  }],
+  // Expiry reminders already sent (per licence expiry, so a renewal starts over)
+  licenseReminders: [{
+    _id: false,
+    thresholdDays: Number,
+    expiresAt: Date,
+    sentAt: {
+      type: Date,
+      default: Date.now
+    }
+  }],
   
   // Login tracking
   lastLogin: {
@@ -140,6 +175,29 @@ userSchema.virtual('isLocked').get(function() {
   return !!(this.lockUntil && this.lockUntil > Date.now());
 });
 
+// Instance method to get licence status (expiry plus configurable grace period)
+userSchema.methods.getLicenseStatus = function(now = new Date()) {
+  if (!this.activationKeyExpires) {
+    return { state: 'none' };
+  }
+
+  const DAY = 24 * 60 * 60 * 1000;
+  const expiresAt = this.activationKeyExpires;
+  const graceEndsAt = new Date(expiresAt.getTime() + config.LICENSE_GRACE_DAYS * DAY);
+
+  let state = 'active';
+  if (now >= graceEndsAt) state = 'expired';
+  else if (now >= expiresAt) state = 'grace';
+
+  return {
+    state,
+    expiresAt,
+    graceEndsAt,
+    remainingDays: Math.max(0, Math.ceil((expiresAt - now) / DAY)),
+    graceRemainingDays: Math.max(0, Math.ceil((graceEndsAt - now) / DAY))
+  };
+};
+
 // Pre-save middleware to hash password
 userSchema.pre('save', async function(next) {
   // Only hash the password if it has been modified (or is new)
@@ -1,5 +1,6 @@
 const express = require('express');
 const Activity = require('../models/Activity');
+const Tombstone = require('../models/Tombstone');
 const { 
   authenticateToken, 
   verifyDevice, 
@@ -417,10 +418,17 @@ router.delete('/cleanup', async (req, res) => {
     const { days = 90 } = req.query;
     const cutoffDate = new Date(Date.now() - parseInt(days) * 24 * 60 * 60 * 1000);
 
-    const result = await Activity.deleteMany({
+    const removed = await Activity.find({
       userId: req.user._id,
       timestamp: { $lt: cutoffDate },
       syncStatus: 'synced' // Only delete synced activities
+    }).select('_id userId clientId').lean();
+
+    // Tombstones first: once the activities are gone a retry could not find them again
+    await Tombstone.record('activities', removed, { reason: 'deleted', deletedBy: req.user._id });
+
+    const result = await Activity.deleteMany({
+      _id: { $in: removed.map(activity => activity._id) }
     });
 
     res.json({
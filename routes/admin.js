@@ -1,19 +1,31 @@
 const express = require('express');
 const crypto = require('crypto');
 const mongoose = require('mongoose');
+const multer = require('multer');
 const User = require('../models/User');
 const ActivationKey = require('../models/ActivationKey');
 const Activity = require('../models/Activity');
 const Diagnosis = require('../models/Diagnosis');
 const SyncLog = require('../models/SyncLog');
+const Device = require('../models/Device');
+const KeyIssuanceBatch = require('../models/KeyIssuanceBatch');
+const tokenService = require('../services/tokenService');
+const deviceService = require('../services/deviceService');
+const config = require('../config');
 const { 
-  authenticateToken, 
+  authenticateAdmin,
+  ADMIN_PANEL_ROLES,
+  generateAdminToken,
   requireAdmin,
   requireSupervisor,
   logRequest
 } = require('../middleware/auth');
 const { 
+  validateAdminLogin,
   validateActivationKeyCreation,
+  validateKeyQuota,
+  validateKeyDelivery,
+  validateKeyRequestReview,
   validatePagination,
   validateDateRange,
   validateObjectId
@@ -21,26 +33,271 @@ const {
 
 const router = express.Router();
 
+// CSV uploads for bulk key issuance are small and parsed in memory
+const keyCsvUpload = multer({
+  storage: multer.memoryStorage(),
+  limits: { fileSize: 2 * 1024 * 1024, files: 1 },
+  fileFilter: (req, file, cb) => {
+    const isCsv = /\.csv$/i.test(file.originalname) ||
+      ['text/csv', 'application/csv', 'text/plain'].includes(file.mimetype);
+    req.rejectedFileType = !isCsv;
+    cb(null, isCsv);
+  }
+}).single('file');
+
+const uploadKeyCsv = (req, res, next) => {
+  keyCsvUpload(req, res, (error) => {
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        error: error.code === 'LIMIT_FILE_SIZE' ? 'CSV file is too large (max 2MB)' : error.message,
+        code: 'CSV_UPLOAD_ERROR'
+      });
+    }
+    if (req.rejectedFileType) {
+      return res.status(400).json({
+        success: false,
+        error: 'Only CSV files are supported; export XLSX sheets as CSV first',
+        code: 'UNSUPPORTED_FILE_TYPE'
+      });
+    }
+    next();
+  });
+};
+
+// Channels to deliver a new activation key on (`deliver: true` means both)
+const deliveryChannels = (deliver) => {
+  if (deliver === true) return ['email', 'sms'];
+  return Array.isArray(deliver) ? deliver : [];
+};
+
+// Request details recorded with activation key events
+const auditContext = (req) => ({
+  actor: req.user?._id,
+  ipAddress: req.ip,
+  userAgent: req.get('User-Agent')
+});
+
 // Apply middleware to all admin routes
 router.use(logRequest);
 
-// Simple admin authentication middleware - just check for admin in the request
-const simpleAdminAuth = (req, res, next) => {
-  // For demo purposes, allow admin access without complex authentication
-  // In production, you'd have proper admin authentication
-  const mongoose = require('mongoose');
-  req.user = {
-    _id: new mongoose.Types.ObjectId('507f1f77bcf86cd799439011'), // Valid ObjectId for admin
-    role: 'admin',
-    email: 'admin@nso.gov.ng',
-    firstName: 'Admin',
-    lastName: 'User'
-  };
-  next();
-};
+/**
+ * POST /api/v1/admin/auth/login
+ * Authenticate an administrator with email and password
+ */
+router.post('/auth/login', validateAdminLogin, async (req, res) => {
+  try {
+    const { email, password } = req.body;
+
+    const user = await User.findOne({ email: email.toLowerCase() });
+
+    // Same response for unknown emails and accounts without admin panel access
+    if (!user || !ADMIN_PANEL_ROLES.includes(user.role)) {
+      return res.status(401).json({
+        success: false,
+        error: 'Invalid credentials',
+        code: 'INVALID_CREDENTIALS'
+      });
+    }
+
+    if (user.isLocked) {
+      return res.status(401).json({
+        success: false,
+        error: 'Account is locked',
+        code: 'ACCOUNT_LOCKED'
+      });
+    }
+
+    if (!user.isActive) {
+      return res.status(401).json({
+        success: false,
+        error: 'User account is deactivated',
+        code: 'USER_DEACTIVATED'
+      });
+    }
+
+    const isMatch = await user.comparePassword(password);
+    if (!isMatch) {
+      await user.incLoginAttempts();
+      return res.status(401).json({
+        success: false,
+        error: 'Invalid credentials',
+        code: 'INVALID_CREDENTIALS'
+      });
+    }
+
+    // Update last login
+    user.lastLogin = new Date();
+    await user.resetLoginAttempts();
+    await user.save();
+
+    const token = generateAdminToken(user);
+
+    res.json({
+      success: true,
+      message: 'Admin login successful',
+      data: {
+        user: {
+          id: user._id,
+          username: user.username,
+          email: user.email,
+          firstName: user.firstName,
+          lastName: user.lastName,
+          role: user.role
+        },
+        token,
+        expiresIn: config.ADMIN_JWT_EXPIRES_IN
+      }
+    });
+
+  } catch (error) {
+    console.error('Admin login error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Admin login failed',
+      code: 'ADMIN_LOGIN_ERROR'
+    });
+  }
+});
+
+// All routes below require an admin panel token (admin or supervisor)
+router.use(authenticateAdmin);
+
+/**
+ * GET /api/v1/admin/auth/me
+ * Get the currently authenticated administrator
+ */
+router.get('/auth/me', (req, res) => {
+  res.json({
+    success: true,
+    data: {
+      user: {
+        id: req.user._id,
+        username: req.user.username,
+        email: req.user.email,
+        firstName: req.user.firstName,
+        lastName: req.user.lastName,
+        role: req.user.role,
+        lastLogin: req.user.lastLogin
+      }
+    }
+  });
+});
+
+/**
+ * GET /api/v1/admin/key-requests
+ * List self-service key requests (supervisors see their own state only)
+ */
+router.get('/key-requests', requireSupervisor, validatePagination, async (req, res) => {
+  try {
+    const keyRequestService = require('../services/keyRequestService');
+    const { page = 1, limit = 20, status, state, role, email } = req.query;
+
+    const result = await keyRequestService.getRequests(
+      req.user,
+      { status, state, role, email },
+      { page: parseInt(page), limit: parseInt(limit) }
+    );
+
+    res.json({
+      success: true,
+      data: result
+    });
+
+  } catch (error) {
+    console.error('Get key requests error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to retrieve key requests',
+      code: 'GET_KEY_REQUESTS_ERROR'
+    });
+  }
+});
+
+/**
+ * POST /api/v1/admin/key-requests/:requestId/approve
+ * Approve a key request and generate its activation key (bound to the requesting device)
+ */
+router.post('/key-requests/:requestId/approve', requireSupervisor, validateObjectId('requestId'), validateKeyRequestReview, async (req, res) => {
+  try {
+    const keyRequestService = require('../services/keyRequestService');
+    const { expiresAt, notes } = req.body;
+
+    const result = await keyRequestService.approveRequest(req.params.requestId, req.user, {
+      expiresAt: expiresAt ? new Date(expiresAt) : undefined,
+      notes,
+      audit: auditContext(req)
+    });
+
+    if (!result.success) {
+      const statusByCode = {
+        KEY_REQUEST_NOT_FOUND: 404,
+        KEY_REQUEST_ALREADY_REVIEWED: 409,
+        INSUFFICIENT_PERMISSIONS: 403
+      };
+      return res.status(statusByCode[result.code] || 500).json({
+        success: false,
+        error: result.error,
+        code: result.code
+      });
+    }
+
+    res.json({
+      success: true,
+      message: 'Key request approved',
+      data: result.data
+    });
+
+  } catch (error) {
+    console.error('Approve key request error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to approve key request',
+      code: 'APPROVE_KEY_REQUEST_ERROR'
+    });
+  }
+});
+
+/**
+ * POST /api/v1/admin/key-requests/:requestId/reject
+ * Reject a key request
+ */
+router.post('/key-requests/:requestId/reject', requireSupervisor, validateObjectId('requestId'), validateKeyRequestReview, async (req, res) => {
+  try {
+    const keyRequestService = require('../services/keyRequestService');
+    const result = await keyRequestService.rejectRequest(req.params.requestId, req.user, req.body.reason);
+
+    if (!result.success) {
+      const statusByCode = {
+        KEY_REQUEST_NOT_FOUND: 404,
+        KEY_REQUEST_ALREADY_REVIEWED: 409,
+        INSUFFICIENT_PERMISSIONS: 403
+      };
+      return res.status(statusByCode[result.code] || 500).json({
+        success: false,
+        error: result.error,
+        code: result.code
+      });
+    }
+
+    res.json({
+      success: true,
+      message: 'Key request rejected',
+      data: result.data
+    });
 
-// Apply simple admin auth to all admin routes
-router.use(simpleAdminAuth);
+  } catch (error) {
+    console.error('Reject key request error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to reject key request',
+      code: 'REJECT_KEY_REQUEST_ERROR'
+    });
+  }
+});
+
+// Everything else in the admin panel is for admins only
+router.use(requireAdmin);
 
 /**
  * GET /api/v1/admin/dashboard/stats
@@ -67,8 +324,9 @@ router.get('/dashboard/stats', validateDateRange, async (req, res) => {
 
     // Get activation key statistics
     const totalKeys = await ActivationKey.countDocuments();
-    const activeKeys = await ActivationKey.countDocuments({ status: 'active' });
+    const activeKeys = await ActivationKey.countDocuments({ status: 'unused', expiresAt: { $gt: new Date() } });
     const usedKeys = await ActivationKey.countDocuments({ status: 'used' });
+    const exhaustedKeys = await ActivationKey.countDocuments({ status: 'exhausted' });
     const expiredKeys = await ActivationKey.countDocuments({ status: 'expired' });
 
     // Get activity statistics
@@ -140,6 +398,7 @@ router.get('/dashboard/stats', validateDateRange, async (req, res) => {
           total: totalKeys,
           active: activeKeys,
           used: usedKeys,
+          exhausted: exhaustedKeys,
           expired: expiredKeys
         },
         activities: {
@@ -313,7 +572,7 @@ router.get('/users/:userId', validateObjectId('userId'), async (req, res) => {
  * POST /api/v1/admin/users
  * Create new user and activation key
  */
-router.post('/users', async (req, res) => {
+router.post('/users', validateKeyDelivery, async (req, res) => {
   try {
     const {
       fullName,
@@ -324,7 +583,8 @@ router.post('/users', async (req, res) => {
       contactInfo,
       deviceId,
       validityMonths = 12,
-      notes
+      notes,
+      deliver
     } = req.body;
 
     // Validate required fields
@@ -367,8 +627,8 @@ router.post('/users', async (req, res) => {
     }
 
     // Check if device ID is already in use
-    const existingDevice = await User.findOne({ deviceId });
-    if (existingDevice) {
+    const existingDeviceOwner = await deviceService.findDeviceOwner(deviceId);
+    if (existingDeviceOwner) {
       return res.status(400).json({
         success: false,
         error: 'Device ID is already in use',
@@ -418,7 +678,8 @@ router.post('/users', async (req, res) => {
     }, {
       expiresAt,
       notes,
-      createdBy: req.user?._id
+      createdBy: req.user?._id,
+      audit: auditContext(req)
     });
 
     if (!result.success || !result.data) {
@@ -438,6 +699,22 @@ router.post('/users', async (req, res) => {
     user.activationKeyExpires = expiresAt;
     await user.save();
 
+    // Admin-assigned devices are pre-approved in the registry
+    await deviceService.registerDevice(user, deviceId, {}, { approvedBy: req.user._id });
+
+    // Optionally send the key to the user's email/phone
+    const channels = deliveryChannels(deliver);
+    let deliveries;
+    if (channels.length > 0) {
+      const notificationService = require('../services/notificationService');
+      deliveries = await notificationService.deliverActivationKey(result.data, {
+        channels,
+        userId: user._id,
+        requestedBy: req.user._id,
+        audit: auditContext(req)
+      });
+    }
+
     res.status(201).json({
       success: true,
       message: 'User and activation key created successfully',
@@ -457,7 +734,8 @@ router.post('/users', async (req, res) => {
           isVerified: user.isVerified,
           createdAt: user.createdAt
         },
-        activationKey: result.data
+        activationKey: result.data,
+        deliveries
       }
     });
 
@@ -512,6 +790,10 @@ router.put('/users/:userId/status', validateObjectId('userId'), async (req, res)
       });
     }
 
+    if (!isActive) {
+      await tokenService.revokeUserTokens(user._id, 'account_deactivated');
+    }
+
     res.json({
       success: true,
       message: `User ${isActive ? 'activated' : 'deactivated'} successfully`,
@@ -528,6 +810,85 @@ router.put('/users/:userId/status', validateObjectId('userId'), async (req, res)
   }
 });
 
+/**
+ * POST /api/v1/admin/users/:userId/renew-license
+ * Extend a user's licence or issue a renewal key linked to the account
+ */
+router.post('/users/:userId/renew-license', validateObjectId('userId'), async (req, res) => {
+  try {
+    const { userId } = req.params;
+    const { mode = 'extend', validityMonths = 12, expiresAt, notes } = req.body;
+
+    if (!['extend', 'key'].includes(mode)) {
+      return res.status(400).json({
+        success: false,
+        error: 'mode must be "extend" or "key"',
+        code: 'INVALID_RENEWAL_MODE'
+      });
+    }
+
+    const months = parseInt(validityMonths, 10);
+    if (!expiresAt && (!Number.isInteger(months) || months < 1 || months > 60)) {
+      return res.status(400).json({
+        success: false,
+        error: 'validityMonths must be between 1 and 60',
+        code: 'INVALID_VALIDITY'
+      });
+    }
+
+    if (expiresAt && isNaN(new Date(expiresAt).getTime())) {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid expiration date format',
+        code: 'INVALID_EXPIRES_AT'
+      });
+    }
+
+    const licenseService = require('../services/licenseService');
+
+    const result = await licenseService.renewLicense(userId, {
+      mode,
+      validityMonths: months,
+      expiresAt,
+      notes,
+      performedBy: req.user._id,
+      audit: auditContext(req)
+    });
+
+    if (!result.success) {
+      const status = result.code === 'USER_NOT_FOUND' ? 404 : result.code === 'INVALID_RENEWAL_EXPIRY' ? 400 : 500;
+      return res.status(status).json({
+        success: false,
+        error: result.error,
+        code: result.code
+      });
+    }
+
+    const { user, previousExpiresAt, newExpiresAt, activationKey } = result.data;
+
+    res.json({
+      success: true,
+      message: mode === 'key' ? 'Renewal key issued successfully' : 'Licence extended successfully',
+      data: {
+        userId: user._id,
+        mode,
+        previousExpiresAt,
+        newExpiresAt,
+        license: user.getLicenseStatus(),
+        ...(activationKey ? { activationKey } : {})
+      }
+    });
+
+  } catch (error) {
+    console.error('Renew licence error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to renew licence',
+      code: 'LICENSE_RENEWAL_ERROR'
+    });
+  }
+});
+
 /**
  * DELETE /api/v1/admin/users/:userId
  * Delete user and associated activation key
@@ -551,8 +912,10 @@ router.delete('/users/:userId', validateObjectId('userId'), async (req, res) =>
       await ActivationKey.findOneAndDelete({ key: user.activationKey });
     }
 
-    // Delete user
+    // Delete user and kill any outstanding sessions
     await User.findByIdAndDelete(userId);
+    await Device.deleteMany({ userId: user._id });
+    await tokenService.revokeUserTokens(user._id, 'account_deleted');
 
     // Log the deletion activity
     await Activity.create({
@@ -582,101 +945,745 @@ router.delete('/users/:userId', validateObjectId('userId'), async (req, res) =>
 });
 
 /**
- * GET /api/v1/admin/activation-keys
- * Get activation keys with pagination and filtering
- */
-router.get('/activation-keys', validatePagination, (req, res, next) => {
-  // Delegate to the service-based implementation defined later for consistency
-  return next();
-});
-
-/**
- * POST /api/v1/admin/activation-keys
- * Create new 12-digit activation key
+ * GET /api/v1/admin/users/:userId/devices
+ * Get the devices bound to a user
  */
-router.post('/activation-keys', async (req, res) => {
+router.get('/users/:userId/devices', validateObjectId('userId'), async (req, res) => {
   try {
-    const {
-      userDetails,
-      expiresAt,
-      notes
-    } = req.body;
+    const { userId } = req.params;
+    const { status } = req.query;
 
-    // Validate required fields
-    if (!userDetails || !userDetails.fullName || !userDetails.email || !userDetails.role) {
-      return res.status(400).json({
+    const user = await User.findById(userId).select('role');
+    if (!user) {
+      return res.status(404).json({
         success: false,
-        error: 'User details (fullName, email, role) are required',
-        code: 'MISSING_USER_DETAILS'
+        error: 'User not found',
+        code: 'USER_NOT_FOUND'
       });
     }
 
-    // Import the new activation key service
-    const activationKeyService = require('../services/activationKeyService');
-
-    // Generate new 12-digit activation key
-    const result = await activationKeyService.generateKey(userDetails, {
-      expiresAt: expiresAt ? new Date(expiresAt) : undefined,
-      notes,
-      createdBy: req.user._id
-    });
-
-    if (!result.success) {
-      return res.status(500).json({
-        success: false,
-        error: result.error,
-        code: 'KEY_GENERATION_FAILED'
-      });
-    }
+    const devices = await deviceService.getUserDevices(userId, { status });
 
-    res.status(201).json({
+    res.json({
       success: true,
-      message: '12-digit activation key created successfully',
       data: {
-        activationKey: result.data
+        devices,
+        deviceLimit: deviceService.getDeviceLimit(user.role),
+        activeCount: devices.filter(d => d.status === 'active').length
       }
     });
 
   } catch (error) {
-    console.error('Create activation key error:', error);
+    console.error('Get user devices error:', error);
     res.status(500).json({
       success: false,
-      error: 'Failed to create activation key',
-      code: 'CREATE_ACTIVATION_KEY_ERROR'
+      error: 'Failed to retrieve user devices',
+      code: 'GET_USER_DEVICES_ERROR'
     });
   }
 });
 
 /**
- * GET /api/v1/admin/activation-keys
- * Get all activation keys with filtering and pagination
+ * GET /api/v1/admin/devices
+ * Get device bindings across users (defaults to the pending approval queue)
  */
-router.get('/activation-keys', async (req, res) => {
+router.get('/devices', validatePagination, async (req, res) => {
   try {
     const {
       page = 1,
       limit = 20,
-      status,
-      role,
-      email,
-      sortBy = 'createdAt',
-      sortOrder = 'desc'
+      status = 'pending',
+      deviceId
     } = req.query;
 
-    const activationKeyService = require('../services/activationKeyService');
+    const query = {};
+    if (status !== 'all') query.status = status;
+    if (deviceId) query.deviceId = deviceId;
 
-    const result = await activationKeyService.getKeys(
-      { status, role, email, createdBy: req.user._id },
-      { page: parseInt(page), limit: parseInt(limit), sortBy, sortOrder }
-    );
+    const skip = (page - 1) * limit;
 
-    if (!result.success) {
-      return res.status(500).json({
-        success: false,
-        error: result.error,
-        code: 'GET_KEYS_FAILED'
-      });
-    }
+    const [devices, total] = await Promise.all([
+      Device.find(query)
+        .populate('userId', 'username email firstName lastName role facility state')
+        .sort({ createdAt: -1 })
+        .skip(skip)
+        .limit(parseInt(limit))
+        .lean(),
+      Device.countDocuments(query)
+    ]);
+
+    res.json({
+      success: true,
+      data: {
+        devices,
+        pagination: {
+          page: parseInt(page),
+          limit: parseInt(limit),
+          total,
+          pages: Math.ceil(total / limit)
+        }
+      }
+    });
+
+  } catch (error) {
+    console.error('Get devices error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to retrieve devices',
+      code: 'GET_DEVICES_ERROR'
+    });
+  }
+});
+
+/**
+ * POST /api/v1/admin/devices/:deviceRecordId/approve
+ * Approve a pending device binding (overrides the role's device limit)
+ */
+router.post('/devices/:deviceRecordId/approve', validateObjectId('deviceRecordId'), async (req, res) => {
+  try {
+    const result = await deviceService.approveDevice(req.params.deviceRecordId, req.user._id);
+
+    if (!result.success) {
+      return res.status(result.code === 'DEVICE_NOT_FOUND' ? 404 : 400).json({
+        success: false,
+        error: result.error,
+        code: result.code
+      });
+    }
+
+    res.json({
+      success: true,
+      message: 'Device approved successfully',
+      data: result.data
+    });
+
+  } catch (error) {
+    console.error('Approve device error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to approve device',
+      code: 'APPROVE_DEVICE_ERROR'
+    });
+  }
+});
+
+/**
+ * POST /api/v1/admin/devices/:deviceRecordId/revoke
+ * Revoke a device binding and end its sessions
+ */
+router.post('/devices/:deviceRecordId/revoke', validateObjectId('deviceRecordId'), async (req, res) => {
+  try {
+    const { reason } = req.body;
+    const result = await deviceService.revokeDevice(req.params.deviceRecordId, req.user._id, reason);
+
+    if (!result.success) {
+      return res.status(result.code === 'DEVICE_NOT_FOUND' ? 404 : 400).json({
+        success: false,
+        error: result.error,
+        code: result.code
+      });
+    }
+
+    res.json({
+      success: true,
+      message: 'Device revoked successfully',
+      data: result.data
+    });
+
+  } catch (error) {
+    console.error('Revoke device error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to revoke device',
+      code: 'REVOKE_DEVICE_ERROR'
+    });
+  }
+});
+
+/**
+ * POST /api/v1/admin/devices/:deviceRecordId/transfer
+ * Transfer a device binding to another user
+ */
+router.post('/devices/:deviceRecordId/transfer', validateObjectId('deviceRecordId'), async (req, res) => {
+  try {
+    const { toUserId, reason } = req.body;
+
+    if (!toUserId || !mongoose.Types.ObjectId.isValid(toUserId)) {
+      return res.status(400).json({
+        success: false,
+        error: 'A valid toUserId is required',
+        code: 'INVALID_TARGET_USER'
+      });
+    }
+
+    const result = await deviceService.transferDevice(req.params.deviceRecordId, toUserId, req.user._id, reason);
+
+    if (!result.success) {
+      const status = ['DEVICE_NOT_FOUND', 'USER_NOT_FOUND'].includes(result.code) ? 404 : 400;
+      return res.status(status).json({
+        success: false,
+        error: result.error,
+        code: result.code
+      });
+    }
+
+    res.json({
+      success: true,
+      message: 'Device transferred successfully',
+      data: result.data
+    });
+
+  } catch (error) {
+    console.error('Transfer device error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to transfer device',
+      code: 'TRANSFER_DEVICE_ERROR'
+    });
+  }
+});
+
+/**
+ * GET /api/v1/admin/security/blocks
+ * Get IPs, devices and key prefixes blocked after failed activation attempts
+ */
+router.get('/security/blocks', validatePagination, async (req, res) => {
+  try {
+    const { page = 1, limit = 20, scope, includeExpired } = req.query;
+
+    if (scope && !['ip', 'device', 'keyPrefix'].includes(scope)) {
+      return res.status(400).json({
+        success: false,
+        error: 'scope must be one of: ip, device, keyPrefix',
+        code: 'INVALID_SCOPE'
+      });
+    }
+
+    const bruteForceService = require('../services/bruteForceService');
+    const result = await bruteForceService.getBlocks(
+      { scope, includeExpired: includeExpired === 'true' },
+      { page: parseInt(page), limit: parseInt(limit) }
+    );
+
+    res.json({
+      success: true,
+      data: result
+    });
+
+  } catch (error) {
+    console.error('Get security blocks error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to retrieve blocks',
+      code: 'GET_BLOCKS_ERROR'
+    });
+  }
+});
+
+/**
+ * POST /api/v1/admin/security/blocks/:blockId/unblock
+ * Lift a block or device ban
+ */
+router.post('/security/blocks/:blockId/unblock', validateObjectId('blockId'), async (req, res) => {
+  try {
+    const bruteForceService = require('../services/bruteForceService');
+    const result = await bruteForceService.unblock(req.params.blockId, req.user._id);
+
+    if (!result.success) {
+      return res.status(404).json({
+        success: false,
+        error: result.error,
+        code: result.code
+      });
+    }
+
+    res.json({
+      success: true,
+      message: 'Block lifted successfully',
+      data: result.data
+    });
+
+  } catch (error) {
+    console.error('Unblock error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to lift block',
+      code: 'UNBLOCK_ERROR'
+    });
+  }
+});
+
+/**
+ * GET /api/v1/admin/jobs
+ * Scheduled jobs with their schedule and latest run
+ */
+router.get('/jobs', async (req, res) => {
+  try {
+    const schedulerService = require('../services/schedulerService');
+    const jobs = await schedulerService.getJobs();
+
+    res.json({
+      success: true,
+      data: { jobs }
+    });
+
+  } catch (error) {
+    console.error('Get jobs error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to retrieve jobs',
+      code: 'GET_JOBS_ERROR'
+    });
+  }
+});
+
+/**
+ * GET /api/v1/admin/jobs/runs
+ * Job run history (counts, duration, errors)
+ */
+router.get('/jobs/runs', validatePagination, async (req, res) => {
+  try {
+    const schedulerService = require('../services/schedulerService');
+    const { page = 1, limit = 20, job, status } = req.query;
+
+    const result = await schedulerService.getRuns(
+      { job, status },
+      { page: parseInt(page), limit: parseInt(limit) }
+    );
+
+    res.json({
+      success: true,
+      data: result
+    });
+
+  } catch (error) {
+    console.error('Get job runs error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to retrieve job runs',
+      code: 'GET_JOB_RUNS_ERROR'
+    });
+  }
+});
+
+/**
+ * POST /api/v1/admin/jobs/:job/run
+ * Run a scheduled job now
+ */
+router.post('/jobs/:job/run', async (req, res) => {
+  try {
+    const schedulerService = require('../services/schedulerService');
+    const result = await schedulerService.runJob(req.params.job, {
+      trigger: 'manual',
+      triggeredBy: req.user._id
+    });
+
+    if (!result.success) {
+      return res.status(result.code === 'JOB_NOT_FOUND' ? 404 : 409).json({
+        success: false,
+        error: result.error,
+        code: result.code
+      });
+    }
+
+    res.json({
+      success: true,
+      data: result.data
+    });
+
+  } catch (error) {
+    console.error('Run job error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to run job',
+      code: 'RUN_JOB_ERROR'
+    });
+  }
+});
+
+/**
+ * GET /api/v1/admin/notifications
+ * Notification delivery log
+ */
+router.get('/notifications', validatePagination, async (req, res) => {
+  try {
+    const notificationService = require('../services/notificationService');
+    const { page = 1, limit = 20, status, channel, activationKeyId, recipient } = req.query;
+
+    const result = await notificationService.getDeliveries(
+      { status, channel, activationKeyId, recipient },
+      { page: parseInt(page), limit: parseInt(limit) }
+    );
+
+    res.json({
+      success: true,
+      data: result
+    });
+
+  } catch (error) {
+    console.error('Get notifications error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to retrieve notification deliveries',
+      code: 'GET_NOTIFICATIONS_ERROR'
+    });
+  }
+});
+
+/**
+ * POST /api/v1/admin/notifications/retry
+ * Retry failed deliveries whose backoff has passed
+ */
+router.post('/notifications/retry', async (req, res) => {
+  try {
+    const notificationService = require('../services/notificationService');
+    const stats = await notificationService.retryDueDeliveries();
+
+    res.json({
+      success: true,
+      data: stats
+    });
+
+  } catch (error) {
+    console.error('Retry notifications error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to retry notification deliveries',
+      code: 'RETRY_NOTIFICATIONS_ERROR'
+    });
+  }
+});
+
+/**
+ * POST /api/v1/admin/notifications/:deliveryId/retry
+ * Retry a failed or abandoned delivery now
+ */
+router.post('/notifications/:deliveryId/retry', validateObjectId('deliveryId'), async (req, res) => {
+  try {
+    const notificationService = require('../services/notificationService');
+    const result = await notificationService.retryDelivery(req.params.deliveryId);
+
+    if (!result.success) {
+      return res.status(result.code === 'DELIVERY_NOT_FOUND' ? 404 : 400).json({
+        success: false,
+        error: result.error,
+        code: result.code
+      });
+    }
+
+    res.json({
+      success: true,
+      data: result.data
+    });
+
+  } catch (error) {
+    console.error('Retry notification error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to retry notification delivery',
+      code: 'RETRY_NOTIFICATION_ERROR'
+    });
+  }
+});
+
+/**
+ * GET /api/v1/admin/activation-keys
+ * Get activation keys with pagination and filtering
+ */
+router.get('/activation-keys', validatePagination, (req, res, next) => {
+  // Delegate to the service-based implementation defined later for consistency
+  return next();
+});
+
+/**
+ * POST /api/v1/admin/activation-keys
+ * Create new 12-digit activation key
+ */
+router.post('/activation-keys', validateActivationKeyCreation, validateKeyDelivery, async (req, res) => {
+  try {
+    const {
+      userDetails,
+      expiresAt,
+      notes,
+      maxUses,
+      constraints,
+      deliver
+    } = req.body;
+
+    // Validate required fields
+    if (!userDetails || !userDetails.fullName || !userDetails.email || !userDetails.role) {
+      return res.status(400).json({
+        success: false,
+        error: 'User details (fullName, email, role) are required',
+        code: 'MISSING_USER_DETAILS'
+      });
+    }
+
+    // Import the new activation key service
+    const activationKeyService = require('../services/activationKeyService');
+
+    // Generate new 12-digit activation key
+    const result = await activationKeyService.generateKey(userDetails, {
+      expiresAt: expiresAt ? new Date(expiresAt) : undefined,
+      notes,
+      maxUses,
+      constraints,
+      createdBy: req.user._id,
+      audit: auditContext(req)
+    });
+
+    if (!result.success) {
+      return res.status(result.code === 'INVALID_CONSTRAINTS' ? 400 : 500).json({
+        success: false,
+        error: result.error,
+        code: result.code || 'KEY_GENERATION_FAILED'
+      });
+    }
+
+    // Optionally send the key to the email/phone in userDetails
+    const channels = deliveryChannels(deliver);
+    let deliveries;
+    if (channels.length > 0) {
+      const notificationService = require('../services/notificationService');
+      deliveries = await notificationService.deliverActivationKey(result.data, {
+        channels,
+        requestedBy: req.user._id,
+        audit: auditContext(req)
+      });
+    }
+
+    res.status(201).json({
+      success: true,
+      message: '12-digit activation key created successfully',
+      data: {
+        activationKey: result.data,
+        deliveries
+      }
+    });
+
+  } catch (error) {
+    console.error('Create activation key error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to create activation key',
+      code: 'CREATE_ACTIVATION_KEY_ERROR'
+    });
+  }
+});
+
+/**
+ * POST /api/v1/admin/activation-keys/bulk
+ * Upload a CSV of users and issue their activation keys in the background
+ */
+router.post('/activation-keys/bulk', uploadKeyCsv, async (req, res) => {
+  try {
+    if (!req.file) {
+      return res.status(400).json({
+        success: false,
+        error: 'CSV file is required (multipart field "file")',
+        code: 'CSV_FILE_MISSING'
+      });
+    }
+
+    const { expiresAt, notes } = req.body;
+    if (expiresAt && isNaN(new Date(expiresAt).getTime())) {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid expiration date format',
+        code: 'INVALID_EXPIRES_AT'
+      });
+    }
+
+    const keyIssuanceService = require('../services/keyIssuanceService');
+
+    const result = await keyIssuanceService.createBatch(req.file.buffer.toString('utf8'), {
+      fileName: req.file.originalname,
+      createdBy: req.user._id,
+      expiresAt: expiresAt ? new Date(expiresAt) : undefined,
+      notes
+    });
+
+    if (!result.success) {
+      return res.status(result.code === 'BATCH_CREATION_ERROR' ? 500 : 400).json({
+        success: false,
+        error: result.error,
+        code: result.code
+      });
+    }
+
+    const { batch } = result.data;
+    keyIssuanceService.startBatch(batch._id);
+
+    res.status(202).json({
+      success: true,
+      message: 'Bulk key issuance started',
+      data: {
+        batchId: batch._id,
+        status: batch.status,
+        totalRows: batch.totalRows,
+        summary: batch.summary,
+        statusUrl: `${config.API_VERSION}/admin/activation-keys/bulk/${batch._id}`,
+        reportUrl: `${config.API_VERSION}/admin/activation-keys/bulk/${batch._id}/report`
+      }
+    });
+
+  } catch (error) {
+    console.error('Bulk activation key upload error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to start bulk key issuance',
+      code: 'BULK_KEY_ISSUANCE_ERROR'
+    });
+  }
+});
+
+/**
+ * GET /api/v1/admin/activation-keys/bulk/:batchId
+ * Get the progress and per-row results of a bulk issuance batch
+ */
+router.get('/activation-keys/bulk/:batchId', validateObjectId('batchId'), async (req, res) => {
+  try {
+    const batch = await KeyIssuanceBatch.findById(req.params.batchId)
+      .populate('createdBy', 'username email');
+
+    if (!batch) {
+      return res.status(404).json({
+        success: false,
+        error: 'Batch not found',
+        code: 'BATCH_NOT_FOUND'
+      });
+    }
+
+    res.json({
+      success: true,
+      data: { batch }
+    });
+
+  } catch (error) {
+    console.error('Get bulk issuance batch error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to retrieve batch',
+      code: 'GET_BATCH_ERROR'
+    });
+  }
+});
+
+/**
+ * GET /api/v1/admin/activation-keys/bulk/:batchId/report
+ * Download the per-row result report of a bulk issuance batch as CSV
+ */
+router.get('/activation-keys/bulk/:batchId/report', validateObjectId('batchId'), async (req, res) => {
+  try {
+    const batch = await KeyIssuanceBatch.findById(req.params.batchId);
+
+    if (!batch) {
+      return res.status(404).json({
+        success: false,
+        error: 'Batch not found',
+        code: 'BATCH_NOT_FOUND'
+      });
+    }
+
+    const keyIssuanceService = require('../services/keyIssuanceService');
+    const activationKeyService = require('../services/activationKeyService');
+
+    // The report lists the issued keys in clear, so each download is recorded against them
+    await activationKeyService.recordEvent(
+      batch.rows.map(row => row.activationKeyId).filter(Boolean),
+      'exported',
+      { ...auditContext(req), details: { format: 'csv', batchId: batch._id } }
+    );
+
+    res.set({
+      'Content-Type': 'text/csv; charset=utf-8',
+      'Content-Disposition': `attachment; filename="activation-keys-${batch._id}.csv"`,
+      'Cache-Control': 'no-store',
+      'X-Batch-Status': batch.status
+    });
+    res.send(keyIssuanceService.buildReport(batch));
+
+  } catch (error) {
+    console.error('Download bulk issuance report error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to build batch report',
+      code: 'BATCH_REPORT_ERROR'
+    });
+  }
+});
+
+/**
+ * POST /api/v1/admin/activation-keys/packs/import
+ * Register the keys of a signed offline key pack (body: the pack JSON)
+ */
+router.post('/activation-keys/packs/import', async (req, res) => {
+  try {
+    const keyPackService = require('../services/keyPackService');
+    const result = await keyPackService.importPack(req.body, req.user._id, auditContext(req));
+
+    if (!result.success) {
+      const statusByCode = {
+        KEY_PACK_MALFORMED: 400,
+        KEY_PACK_UNSUPPORTED: 400,
+        KEY_PACK_SIZE: 400,
+        KEY_PACK_SIGNATURE_INVALID: 422
+      };
+      return res.status(statusByCode[result.code] || 500).json({
+        success: false,
+        error: result.error,
+        code: result.code
+      });
+    }
+
+    const { summary } = result.data;
+    res.status(summary.imported > 0 ? 201 : 200).json({
+      success: true,
+      message: `Imported ${summary.imported} of ${summary.total} keys`,
+      data: result.data
+    });
+
+  } catch (error) {
+    console.error('Import key pack error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to import key pack',
+      code: 'IMPORT_KEY_PACK_ERROR'
+    });
+  }
+});
+
+/**
+ * GET /api/v1/admin/activation-keys
+ * Get all activation keys with filtering and pagination
+ */
+router.get('/activation-keys', async (req, res) => {
+  try {
+    const {
+      page = 1,
+      limit = 20,
+      status,
+      role,
+      email,
+      createdBy,
+      sortBy = 'createdAt',
+      sortOrder = 'desc'
+    } = req.query;
+
+    const activationKeyService = require('../services/activationKeyService');
+
+    const result = await activationKeyService.getKeys(
+      { status, role, email, createdBy },
+      { page: parseInt(page), limit: parseInt(limit), sortBy, sortOrder }
+    );
+
+    if (!result.success) {
+      return res.status(500).json({
+        success: false,
+        error: result.error,
+        code: 'GET_KEYS_FAILED'
+      });
+    }
 
     res.json({
       success: true,
@@ -694,6 +1701,44 @@ router.get('/activation-keys', async (req, res) => {
   }
 });
 
+/**
+ * POST /api/v1/admin/activation-keys/reencrypt
+ * Re-encrypt stored offline payloads with the current keyring key
+ */
+router.post('/activation-keys/reencrypt', async (req, res) => {
+  try {
+    const { dryRun = false } = req.body;
+    const activationKeyService = require('../services/activationKeyService');
+
+    const result = await activationKeyService.reencryptPayloads({
+      dryRun: dryRun === true,
+      audit: auditContext(req)
+    });
+
+    if (!result.success) {
+      return res.status(500).json({
+        success: false,
+        error: result.error,
+        code: result.code
+      });
+    }
+
+    res.json({
+      success: true,
+      message: dryRun ? 'Re-encryption dry run completed' : 'Activation key payloads re-encrypted',
+      data: result.data
+    });
+
+  } catch (error) {
+    console.error('Re-encrypt activation keys error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to re-encrypt activation keys',
+      code: 'REENCRYPTION_ERROR'
+    });
+  }
+});
+
 /**
  * POST /api/v1/admin/activation-keys/:key/revoke
  * Revoke an activation key
@@ -713,7 +1758,7 @@ router.post('/activation-keys/:key/revoke', async (req, res) => {
 
     const activationKeyService = require('../services/activationKeyService');
 
-    const result = await activationKeyService.revokeKey(key, req.user._id, reason);
+    const result = await activationKeyService.revokeKey(key, req.user._id, reason, auditContext(req));
 
     if (!result.success) {
       return res.status(400).json({
@@ -738,6 +1783,178 @@ router.post('/activation-keys/:key/revoke', async (req, res) => {
   }
 });
 
+/**
+ * GET /api/v1/admin/activation-keys/:keyId/redemptions
+ * List the users and devices that redeemed an activation key
+ */
+router.get('/activation-keys/:keyId/redemptions', validateObjectId('keyId'), async (req, res) => {
+  try {
+    const activationKeyService = require('../services/activationKeyService');
+    const result = await activationKeyService.getRedemptions(req.params.keyId);
+
+    if (!result.success) {
+      return res.status(result.code === 'ACTIVATION_KEY_NOT_FOUND' ? 404 : 500).json({
+        success: false,
+        error: result.error,
+        code: result.code
+      });
+    }
+
+    res.json({
+      success: true,
+      data: result.data
+    });
+
+  } catch (error) {
+    console.error('Get key redemptions error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to retrieve key redemptions',
+      code: 'GET_KEY_REDEMPTIONS_ERROR'
+    });
+  }
+});
+
+/**
+ * GET /api/v1/admin/activation-keys/:keyId/history
+ * Audit trail of an activation key: who created, exported, delivered, tried, redeemed and revoked it
+ */
+router.get('/activation-keys/:keyId/history', validateObjectId('keyId'), validatePagination, async (req, res) => {
+  try {
+    const { page = 1, limit = 50, event } = req.query;
+
+    const KeyEvent = require('../models/KeyEvent');
+    if (event && !KeyEvent.EVENTS.includes(event)) {
+      return res.status(400).json({
+        success: false,
+        error: `event must be one of: ${KeyEvent.EVENTS.join(', ')}`,
+        code: 'INVALID_KEY_EVENT'
+      });
+    }
+
+    const activationKeyService = require('../services/activationKeyService');
+    const result = await activationKeyService.getKeyHistory(
+      req.params.keyId,
+      { event },
+      { page: parseInt(page), limit: parseInt(limit) }
+    );
+
+    if (!result.success) {
+      return res.status(result.code === 'ACTIVATION_KEY_NOT_FOUND' ? 404 : 500).json({
+        success: false,
+        error: result.error,
+        code: result.code
+      });
+    }
+
+    res.json({
+      success: true,
+      data: result.data
+    });
+
+  } catch (error) {
+    console.error('Get key history error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to retrieve key history',
+      code: 'GET_KEY_HISTORY_ERROR'
+    });
+  }
+});
+
+/**
+ * PUT /api/v1/admin/activation-keys/:keyId/quota
+ * Increase or reduce the number of activations a key allows
+ */
+router.put('/activation-keys/:keyId/quota', validateObjectId('keyId'), validateKeyQuota, async (req, res) => {
+  try {
+    const activationKeyService = require('../services/activationKeyService');
+    const result = await activationKeyService.updateQuota(req.params.keyId, req.body.maxUses);
+
+    if (!result.success) {
+      const statusByCode = {
+        ACTIVATION_KEY_NOT_FOUND: 404,
+        KEY_UNUSABLE: 400,
+        QUOTA_BELOW_USAGE: 400,
+        QUOTA_UPDATE_CONFLICT: 409
+      };
+      return res.status(statusByCode[result.code] || 500).json({
+        success: false,
+        error: result.error,
+        code: result.code
+      });
+    }
+
+    res.json({
+      success: true,
+      message: 'Activation key quota updated successfully',
+      data: result.data
+    });
+
+  } catch (error) {
+    console.error('Update key quota error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to update key quota',
+      code: 'UPDATE_KEY_QUOTA_ERROR'
+    });
+  }
+});
+
+/**
+ * GET /api/v1/admin/activation-keys/:keyId/qr
+ * Render a QR code with the key and its offline payload (format=png|svg, size in pixels)
+ */
+router.get('/activation-keys/:keyId/qr', validateObjectId('keyId'), async (req, res) => {
+  try {
+    const format = req.query.format || 'png';
+    const size = parseInt(req.query.size, 10) || 400;
+
+    if (!['png', 'svg'].includes(format) || size < 100 || size > 2000) {
+      return res.status(400).json({
+        success: false,
+        error: 'format must be png or svg and size between 100 and 2000',
+        code: 'INVALID_QR_OPTIONS'
+      });
+    }
+
+    const activationKeyService = require('../services/activationKeyService');
+    const result = await activationKeyService.getQrPayload(req.params.keyId, {
+      offline: req.query.offline !== 'false'
+    });
+
+    if (!result.success) {
+      const statusByCode = { ACTIVATION_KEY_NOT_FOUND: 404, KEY_UNUSABLE: 400, QR_PAYLOAD_TOO_LARGE: 422 };
+      return res.status(statusByCode[result.code] || 500).json({
+        success: false,
+        error: result.error,
+        code: result.code
+      });
+    }
+
+    const { renderQrCode } = require('../utils/activationQr');
+    const image = await renderQrCode(result.data.payload, { format, size });
+
+    await activationKeyService.recordEvent(result.data.keyId, 'exported', {
+      ...auditContext(req),
+      details: { format: `qr-${format}` }
+    });
+
+    // The image carries a live key, so keep it out of caches
+    res.set('Cache-Control', 'no-store');
+    res.type(format === 'svg' ? 'image/svg+xml' : 'image/png');
+    res.send(image);
+
+  } catch (error) {
+    console.error('Render activation QR error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to render activation QR code',
+      code: 'RENDER_QR_ERROR'
+    });
+  }
+});
+
 /**
  * POST /api/v1/admin/activation-keys/:keyId/revoke
  * Revoke an activation key
@@ -766,6 +1983,12 @@ router.post('/activation-keys/:keyId/revoke', validateObjectId('keyId'), async (
 
     await activationKey.revoke(req.user._id, reason || 'Admin revocation');
 
+    const activationKeyService = require('../services/activationKeyService');
+    await activationKeyService.recordEvent(activationKey, 'revoked', {
+      ...auditContext(req),
+      reason: activationKey.revocationReason
+    });
+
     res.json({
       success: true,
       message: 'Activation key revoked successfully',
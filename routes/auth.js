@@ -1,28 +1,101 @@
 const express = require('express');
 const crypto = require('crypto');
+const rateLimit = require('express-rate-limit');
 const User = require('../models/User');
-const ActivationKey = require('../models/ActivationKey');
 const Activity = require('../models/Activity');
+const tokenService = require('../services/tokenService');
+const deviceService = require('../services/deviceService');
+const offlineSigningService = require('../services/offlineSigningService');
+const activationKeyService = require('../services/activationKeyService');
+const bruteForceService = require('../services/bruteForceService');
+const keyRequestService = require('../services/keyRequestService');
+const activationKeyFormat = require('../utils/activationKeyFormat');
+const { decodeQrPayload } = require('../utils/activationQr');
+const config = require('../config');
 const { 
   authenticateToken, 
-  generateToken, 
-  generateRefreshToken, 
-  verifyRefreshToken,
   verifyDevice,
   extractSession,
-  logRequest
+  logRequest,
+  applyLicenseStatus,
+  licenseExpiredResponse
 } = require('../middleware/auth');
 const { 
   validateActivation, 
   validateLogin,
+  validateKeyRequest,
   handleValidationErrors
 } = require('../middleware/validation');
 
 const router = express.Router();
 
+// A key failing its check digit is more often a slip than a guess
+const TYPO_FAILURE_WEIGHT = 0.5;
+
 // Apply logging to all auth routes
 router.use(logRequest);
 
+// Respond to a client that is blocked by the attempt tracker
+const sendAttemptBlocked = (res, block) => {
+  res.set('Retry-After', String(block.retryAfter));
+  return res.status(block.code === 'DEVICE_BANNED' ? 403 : 429).json({
+    success: false,
+    error: block.error,
+    code: block.code,
+    retryAfter: block.retryAfter
+  });
+};
+
+// Key requests are unauthenticated, so each client IP may only submit a few
+const keyRequestLimiter = rateLimit({
+  windowMs: config.KEY_REQUEST_WINDOW_MINUTES * 60 * 1000,
+  max: config.KEY_REQUEST_MAX_PER_WINDOW,
+  standardHeaders: true,
+  legacyHeaders: false,
+  handler: (req, res) => res.status(429).json({
+    success: false,
+    error: 'Too many key requests from this IP, please try again later',
+    code: 'TOO_MANY_KEY_REQUESTS'
+  })
+});
+
+/**
+ * POST /api/v1/auth/key-requests
+ * Ask for an activation key; an admin or supervisor reviews the request
+ */
+router.post('/key-requests', keyRequestLimiter, validateKeyRequest, async (req, res) => {
+  try {
+    const result = await keyRequestService.createRequest(req.body, { ipAddress: req.ip });
+
+    if (!result.success) {
+      return res.status(result.code === 'KEY_REQUEST_PENDING' ? 409 : 500).json({
+        success: false,
+        error: result.error,
+        code: result.code
+      });
+    }
+
+    const { request } = result.data;
+    res.status(202).json({
+      success: true,
+      message: 'Key request submitted for review',
+      data: {
+        requestId: request._id,
+        status: request.status,
+        submittedAt: request.createdAt
+      }
+    });
+
+  } catch (error) {
+    console.error('Key request error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to submit key request',
+      code: 'KEY_REQUEST_ERROR'
+    });
+  }
+});
+
 /**
  * POST /api/v1/auth/activate
  * Activate device and create user account
@@ -30,13 +103,27 @@ router.use(logRequest);
 router.post('/activate', validateActivation, async (req, res) => {
   try {
     const {
-      activationKey,
+      qrPayload,
       userInfo = {},
       deviceId,
       deviceInfo,
       location,
       sessionId
     } = req.body;
+    let { activationKey } = req.body;
+
+    // QR mode: take the key from the scanned payload once its checksum matches
+    if (qrPayload) {
+      const scanned = decodeQrPayload(qrPayload);
+      if (!scanned.success) {
+        return res.status(400).json({
+          success: false,
+          error: scanned.error,
+          code: scanned.code
+        });
+      }
+      activationKey = scanned.data.key;
+    }
 
     console.log('[DEBUG AUTH] Activation request received:', {
       activationKey: activationKey,
@@ -56,27 +143,50 @@ router.post('/activate', validateActivation, async (req, res) => {
     }
 
     // Normalize key: support 12-digit or dashed formats
-    const normalizedKey = String(activationKey).replace(/\D/g, '');
+    const normalizedKey = activationKeyFormat.normalizeKey(activationKey);
     console.log('[DEBUG AUTH] Normalized key:', normalizedKey);
 
-    // Find activation key
-    const keyDoc = await ActivationKey.findByKey(normalizedKey);
-    if (!keyDoc) {
+    // Refuse clients that are backing off after repeated failures
+    const attemptContext = bruteForceService.getContext(req, normalizedKey);
+    const block = await bruteForceService.check(attemptContext);
+    if (block.blocked) {
+      return sendAttemptBlocked(res, block);
+    }
+
+    // Find activation key (a failed check digit is reported as a typo)
+    const lookup = await activationKeyService.lookupKey(normalizedKey);
+    if (!lookup.success) {
+      const isTypo = lookup.code === 'ACTIVATION_KEY_TYPO';
+      // While legacy keys (no check digit) are accepted a typo is as good as any wrong guess
+      await bruteForceService.recordFailure(attemptContext, {
+        weight: isTypo && !config.ACCEPT_LEGACY_ACTIVATION_KEYS ? TYPO_FAILURE_WEIGHT : 1
+      });
       return res.status(400).json({
         success: false,
-        error: 'Invalid activation key',
-        code: 'INVALID_ACTIVATION_KEY'
+        error: isTypo ? lookup.error : 'Invalid activation key',
+        code: isTypo ? lookup.code : 'INVALID_ACTIVATION_KEY'
       });
     }
+    const keyDoc = lookup.data.activationKey;
+
+    // From here on, failed attempts go to the key's audit trail
+    const audit = { ipAddress: req.ip, userAgent: req.get('User-Agent'), deviceId };
 
     // Check if key is valid
     if (!keyDoc.isValid) {
       let reason = 'Unknown';
       if (keyDoc.status === 'used') reason = 'Already used';
+      else if (keyDoc.status === 'exhausted') reason = 'Quota exhausted';
       else if (keyDoc.status === 'expired') reason = 'Expired';
       else if (keyDoc.status === 'revoked') reason = 'Revoked';
       else if (keyDoc.isExpired) reason = 'Expired';
 
+      await bruteForceService.recordFailure(attemptContext);
+      await activationKeyService.recordEvent(keyDoc, 'validation_failed', {
+        ...audit,
+        reason,
+        code: 'ACTIVATION_KEY_NOT_VALID'
+      });
 
       return res.status(400).json({
         success: false,
@@ -86,11 +196,56 @@ router.post('/activate', validateActivation, async (req, res) => {
       });
     }
 
+    // Enforce the key's allowed states, platforms, activation window and device binding
+    const violation = keyDoc.checkConstraints({
+      state: userInfo.state || keyDoc.userDetails?.state,
+      platform: deviceInfo?.platform,
+      deviceId
+    });
+    if (violation) {
+      await activationKeyService.recordEvent(keyDoc, 'validation_failed', {
+        ...audit,
+        reason: violation.error,
+        code: violation.code
+      });
+      return res.status(403).json({
+        success: false,
+        error: violation.error,
+        code: violation.code
+      });
+    }
+
+    // Multi-use (team) keys are shared, so each person redeeming one identifies themselves
+    const assigned = keyDoc.userDetails || {};
+    const isTeamKey = keyDoc.maxUses > 1;
+    if (isTeamKey && (!userInfo.email || !userInfo.fullName)) {
+      return res.status(400).json({
+        success: false,
+        error: 'userInfo.fullName and userInfo.email are required for team activation keys',
+        code: 'TEAM_KEY_USER_INFO_REQUIRED'
+      });
+    }
+    const email = ((isTeamKey ? userInfo.email : assigned.email) || '').toLowerCase();
+
     // Check if device is already registered
-    const existingUserByDevice = await User.findOne({ deviceId });
+    const deviceOwnerId = await deviceService.findDeviceOwner(deviceId);
+    const existingUserByDevice = deviceOwnerId ? await User.findById(deviceOwnerId) : null;
+
+    // The email of a team key redemption comes from the client, so it never identifies an existing
+    // account: only the user who redeemed this key on this device is matched again
+    const teamRedemption = isTeamKey ? keyDoc.findRedemption(deviceId) : null;
+
     if (existingUserByDevice) {
       // If the device is already tied to a pre-created user with the same email, treat this as activation of that account
-      if (existingUserByDevice.email?.toLowerCase() !== keyDoc.userDetails.email?.toLowerCase()) {
+      const isSameUser = isTeamKey
+        ? !!teamRedemption && String(teamRedemption.userId) === String(existingUserByDevice._id)
+        : existingUserByDevice.email?.toLowerCase() === email;
+      if (!isSameUser) {
+        await activationKeyService.recordEvent(keyDoc, 'validation_failed', {
+          ...audit,
+          reason: 'Device already registered to another user',
+          code: 'DEVICE_ALREADY_REGISTERED'
+        });
         return res.status(400).json({
           success: false,
           error: 'Device already registered',
@@ -100,13 +255,12 @@ router.post('/activate', validateActivation, async (req, res) => {
     }
 
     // Prepare core user fields (from key assignment, with optional overrides)
-    const assigned = keyDoc.userDetails || {};
     const fullName = userInfo.fullName || assigned.fullName || '';
     const firstName = fullName.split(' ')[0] || assigned.fullName?.split(' ')[0] || 'User';
     const lastName = fullName.split(' ').slice(1).join(' ') || firstName;
 
     const baseUserFields = {
-      email: assigned.email,
+      email,
       firstName,
       lastName,
       role: assigned.role,
@@ -114,65 +268,172 @@ router.post('/activate', validateActivation, async (req, res) => {
       state: userInfo.state || assigned.state,
       contactInfo: userInfo.contactInfo,
       deviceId,
-      activationKey: normalizedKey,
       activationKeyExpires: keyDoc.expiresAt,
       isActive: true,
       isVerified: true,
       lastLogin: new Date()
     };
 
-    // Add license number for roles that require it
-    if (assigned.role === 'doctor' || assigned.role === 'nurse') {
-      baseUserFields.licenseNumber = userInfo.licenseNumber || `LIC-${Date.now()}-${Math.random().toString(36).substr(2, 6).toUpperCase()}`;
+    // A team key is shared, so users activated with it are found through its redemptions instead
+    if (!isTeamKey) {
+      baseUserFields.activationKey = normalizedKey;
     }
 
     // Add license number for roles that require it
     if (assigned.role === 'doctor' || assigned.role === 'nurse') {
-      baseUserFields.licenseNumber = userInfo.licenseNumber || `LIC-${Date.now()}-${Math.random().toString(36).substr(2, 6).toUpperCase()}`;
+      baseUserFields.licenseNumber = userInfo.licenseNumber || assigned.licenseNumber || `LIC-${Date.now()}-${Math.random().toString(36).substr(2, 6).toUpperCase()}`;
     }
 
-    // If a user with this email already exists (e.g., pre-created by admin), update that user instead of creating a new one
-    let user = await User.findOne({ email: (assigned.email || '').toLowerCase() });
-
-    if (user) {
-      // If an existing user was found by device with same email, we will just update it
-      user.set({
-        ...baseUserFields,
-        username: user.username || `user_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`,
-        password: user.password || crypto.randomBytes(32).toString('hex')
-      });
-      await user.save();
-    } else if (existingUserByDevice) {
-      // Rare: device found but email lookup failed; still update that device user to avoid duplicates
-      existingUserByDevice.set({
-        ...baseUserFields,
-        username: existingUserByDevice.username || `user_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`,
-        password: existingUserByDevice.password || crypto.randomBytes(32).toString('hex')
-      });
-      await existingUserByDevice.save();
-      user = existingUserByDevice;
+    // Renewal keys belong to a specific account; otherwise, if a user with this email already exists
+    // (e.g., pre-created by admin), update that user instead of creating a new one
+    let user;
+    if (keyDoc.renewalFor) {
+      user = await User.findById(keyDoc.renewalFor);
+    } else if (isTeamKey) {
+      user = teamRedemption ? await User.findById(teamRedemption.userId) : null;
+      if (user) {
+        // Re-activation on the same device; the account keeps its email
+        baseUserFields.email = user.email;
+      } else if (await User.exists({ email })) {
+        await activationKeyService.recordEvent(keyDoc, 'validation_failed', {
+          ...audit,
+          reason: 'Email already registered',
+          code: 'EMAIL_ALREADY_REGISTERED'
+        });
+        return res.status(409).json({
+          success: false,
+          error: 'An account with this email already exists; ask an administrator for a personal key',
+          code: 'EMAIL_ALREADY_REGISTERED'
+        });
+      }
     } else {
-      // Create new user account
-      const userData = {
+      user = await User.findOne({ email });
+    }
+
+    // A new account is built first, so the key's use can be claimed in its name before anything is written
+    const isNewUser = !user && !existingUserByDevice;
+    if (isNewUser) {
+      user = new User({
         username: `user_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`,
-        email: (assigned.email || '').toLowerCase(),
+        email,
         password: crypto.randomBytes(32).toString('hex'), // Random password
         ...baseUserFields
-      };
-      user = new User(userData);
-      await user.save();
+      });
     }
+    const account = user || existingUserByDevice;
+
+    // Claim the use (online activation) before the account or device is touched, so a key used up by a
+    // concurrent activation changes nothing; a device re-activating a team key does not take another use
+    const redemption = { userId: account._id, deviceId };
+    let redeemed = null;
+    if (!isTeamKey || !teamRedemption) {
+      redeemed = await keyDoc.use(redemption);
+      if (!redeemed) {
+        await activationKeyService.recordEvent(keyDoc, 'validation_failed', {
+          ...audit,
+          reason: 'Quota exhausted',
+          code: 'ACTIVATION_KEY_EXHAUSTED'
+        });
+        return res.status(409).json({
+          success: false,
+          error: 'Activation key has no uses left',
+          code: 'ACTIVATION_KEY_EXHAUSTED'
+        });
+      }
+    }
+
+    // Gives the use back when the activation fails after claiming it
+    const releaseUse = async () => {
+      if (!redeemed) return;
+      await keyDoc.release(redemption)
+        .catch(releaseError => console.error('Error releasing activation key use:', releaseError));
+    };
+
+    const refuseRegistration = async (registration) => {
+      await releaseUse();
+      await activationKeyService.recordEvent(keyDoc, 'validation_failed', {
+        ...audit,
+        reason: registration.error,
+        code: registration.code
+      });
+      return res.status(403).json({
+        success: false,
+        error: registration.error,
+        code: registration.code
+      });
+    };
 
-    // Mark key as used (online activation)
     try {
-      await keyDoc.use();
-    } catch (e) {
-      console.warn('Failed to mark key as used:', e);
+      let registration = null;
+
+      if (!isNewUser && user) {
+        // An existing account activating on another device goes through the device limit first
+        registration = await deviceService.registerDevice(user, deviceId, deviceInfo);
+        if (!registration.success) {
+          return refuseRegistration(registration);
+        }
+
+        const previousExpiresAt = user.activationKeyExpires;
+
+        // If an existing user was found by device with same email, we will just update it
+        user.set({
+          ...baseUserFields,
+          licenseNumber: userInfo.licenseNumber || user.licenseNumber || baseUserFields.licenseNumber,
+          username: user.username || `user_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`,
+          password: user.password || crypto.randomBytes(32).toString('hex')
+        });
+
+        if (keyDoc.renewalFor) {
+          user.licenseHistory.push({
+            action: 'renewed',
+            previousExpiresAt,
+            newExpiresAt: keyDoc.expiresAt,
+            activationKeyId: keyDoc._id
+          });
+        }
+        await user.save();
+      } else if (existingUserByDevice) {
+        // Rare: device found but email lookup failed; still update that device user to avoid duplicates
+        existingUserByDevice.set({
+          ...baseUserFields,
+          username: existingUserByDevice.username || `user_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`,
+          password: existingUserByDevice.password || crypto.randomBytes(32).toString('hex')
+        });
+        await existingUserByDevice.save();
+        user = existingUserByDevice;
+      } else {
+        // Create new user account
+        await user.save();
+      }
+
+      // Bind the device to a newly created or device-matched account
+      if (!registration) {
+        registration = await deviceService.registerDevice(user, deviceId, deviceInfo);
+        if (!registration.success) {
+          // A device bound elsewhere in the meantime leaves no account behind
+          if (isNewUser) {
+            await User.deleteOne({ _id: user._id });
+          }
+          return refuseRegistration(registration);
+        }
+      }
+    } catch (error) {
+      await releaseUse();
+      throw error;
+    }
+
+    await bruteForceService.recordSuccess(attemptContext);
+
+    if (redeemed) {
+      await activationKeyService.recordEvent(keyDoc, 'redeemed', {
+        ...audit,
+        actor: user._id,
+        details: { usageCount: redeemed.usageCount, maxUses: redeemed.maxUses, qr: !!qrPayload }
+      });
     }
 
-    // Generate tokens
-    const token = generateToken(user);
-    const refreshToken = generateRefreshToken(user);
+    // Generate tokens (starts a new refresh token family)
+    const { token, refreshToken } = await tokenService.issueTokens(user, { deviceId });
 
     // Log activation activity
     const activity = new Activity({
@@ -215,7 +476,8 @@ router.post('/activate', validateActivation, async (req, res) => {
         refreshToken,
         expiresIn: '24h',
         keyExpiresAt: keyDoc.expiresAt,
-        remainingDays: Math.max(0, remainingDays)
+        remainingDays: Math.max(0, remainingDays),
+        remainingUses: keyDoc.remainingUses
       }
     });
 
@@ -238,16 +500,56 @@ router.post('/login', validateLogin, async (req, res) => {
     const { activationKey, deviceId, location, sessionId } = req.body;
 
     // Normalize key
-    const normalizedKey = String(activationKey).replace(/\D/g, '');
+    const normalizedKey = activationKeyFormat.normalizeKey(activationKey);
+
+    // Refuse clients that are backing off after repeated failures
+    const attemptContext = bruteForceService.getContext(req, normalizedKey);
+    const block = await bruteForceService.check(attemptContext);
+    if (block.blocked) {
+      return sendAttemptBlocked(res, block);
+    }
+
+    // Reject mistyped new-format keys before any lookup
+    if (activationKeyFormat.checkKey(normalizedKey) === 'unchecked' && !activationKeyFormat.acceptsLegacyKeys()) {
+      await bruteForceService.recordFailure(attemptContext, { weight: TYPO_FAILURE_WEIGHT });
+      return res.status(400).json({
+        success: false,
+        error: 'Activation key looks mistyped; please check the digits',
+        code: 'ACTIVATION_KEY_TYPO'
+      });
+    }
 
-    // Find user by activation key
-    const user = await User.findOne({
+    // A device whose account is locked cannot be used to keep guessing
+    const deviceOwnerId = await deviceService.findDeviceOwner(deviceId);
+    const deviceOwner = deviceOwnerId ? await User.findById(deviceOwnerId) : null;
+    if (deviceOwner && deviceOwner.isLocked) {
+      return res.status(401).json({
+        success: false,
+        error: 'Account is locked',
+        code: 'ACCOUNT_LOCKED'
+      });
+    }
+
+    // Find user by activation key; the device is checked against the registry below
+    let user = await User.findOne({
       activationKey: normalizedKey,
-      deviceId,
       isActive: true
     });
 
+    // Team keys are shared: the device's redemption tells which user it activated
+    if (!user) {
+      const redeemerId = await activationKeyService.findRedeemer(normalizedKey, deviceId);
+      user = redeemerId ? await User.findOne({ _id: redeemerId, isActive: true }) : null;
+    }
+
     if (!user) {
+      await bruteForceService.recordFailure(attemptContext);
+
+      // A wrong key from a registered device counts towards that account's lockout
+      if (deviceOwner) {
+        await deviceOwner.incLoginAttempts();
+      }
+
       return res.status(401).json({
         success: false,
         error: 'Invalid credentials',
@@ -264,14 +566,30 @@ router.post('/login', validateLogin, async (req, res) => {
       });
     }
 
+    // Refuse logins once the licence has lapsed beyond the grace period
+    const license = applyLicenseStatus(user, res);
+    if (license.state === 'expired') {
+      return res.status(403).json(licenseExpiredResponse(license));
+    }
+
+    // Register the device (or refuse it when revoked, pending or over the limit)
+    const registration = await deviceService.registerDevice(user, deviceId, req.body.deviceInfo);
+    if (!registration.success) {
+      return res.status(403).json({
+        success: false,
+        error: registration.error,
+        code: registration.code
+      });
+    }
+
     // Update last login
     user.lastLogin = new Date();
     await user.resetLoginAttempts();
     await user.save();
+    await bruteForceService.recordSuccess(attemptContext);
 
-    // Generate tokens
-    const token = generateToken(user);
-    const refreshToken = generateRefreshToken(user);
+    // Generate tokens (starts a new refresh token family)
+    const { token, refreshToken } = await tokenService.issueTokens(user, { deviceId });
 
     // Log login activity
     const activity = new Activity({
@@ -309,7 +627,12 @@ router.post('/login', validateLogin, async (req, res) => {
         },
         token,
         refreshToken,
-        expiresIn: '24h'
+        expiresIn: '24h',
+        license: {
+          state: license.state,
+          expiresAt: license.expiresAt || null,
+          remainingDays: license.state === 'none' ? null : license.remainingDays
+        }
       }
     });
 
@@ -329,7 +652,15 @@ router.post('/login', validateLogin, async (req, res) => {
  */
 router.post('/logout', authenticateToken, verifyDevice, extractSession, async (req, res) => {
   try {
-    const { location } = req.body;
+    const { location, allDevices = false } = req.body;
+
+    // Kill the refresh token family of this session (or every session)
+    if (allDevices) {
+      await tokenService.revokeUserTokens(req.user._id, 'logout_all');
+    } else {
+      await tokenService.revokeFamily(req.tokenPayload.fam, 'logout');
+    }
+    await tokenService.revokeAccessToken(req.tokenPayload, 'logout');
 
     // Log logout activity
     const activity = new Activity({
@@ -399,9 +730,32 @@ router.get('/verify', authenticateToken, async (req, res) => {
   }
 });
 
+/**
+ * GET /api/v1/auth/offline-keys
+ * Public keys the mobile app uses to verify v2 offline activation payloads
+ */
+router.get('/offline-keys', (req, res) => {
+  try {
+    res.json({
+      success: true,
+      data: {
+        keys: offlineSigningService.getPublicKeys(),
+        formats: config.OFFLINE_PAYLOAD_FORMATS
+      }
+    });
+  } catch (error) {
+    console.error('Get offline keys error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to retrieve offline verification keys',
+      code: 'GET_OFFLINE_KEYS_ERROR'
+    });
+  }
+});
+
 /**
  * POST /api/v1/auth/refresh
- * Refresh access token using refresh token
+ * Rotate refresh token and issue a new access token
  */
 router.post('/refresh', async (req, res) => {
   try {
@@ -415,27 +769,34 @@ router.post('/refresh', async (req, res) => {
       });
     }
 
-    // Verify refresh token
-    const decoded = verifyRefreshToken(refreshToken);
-    
-    // Find user
-    const user = await User.findById(decoded.userId).select('-password');
-    if (!user || !user.isActive) {
+    // Rotate: the presented token is invalidated and a new pair is issued
+    const result = await tokenService.rotateRefreshToken(refreshToken);
+    if (!result.success) {
+      if (result.code === 'LICENSE_EXPIRED') {
+        applyLicenseStatus(result.user, res);
+        return res.status(403).json({
+          success: false,
+          error: result.error,
+          code: result.code,
+          data: result.data
+        });
+      }
+
       return res.status(401).json({
         success: false,
-        error: 'Invalid refresh token',
-        code: 'INVALID_REFRESH_TOKEN'
+        error: result.error,
+        code: result.code
       });
     }
 
-    // Generate new access token
-    const newToken = generateToken(user);
+    applyLicenseStatus(result.data.user, res);
 
     res.json({
       success: true,
       message: 'Token refreshed successfully',
       data: {
-        token: newToken,
+        token: result.data.token,
+        refreshToken: result.data.refreshToken,
         expiresIn: '24h'
       }
     });
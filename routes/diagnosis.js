@@ -1,6 +1,7 @@
 const express = require('express');
 const Diagnosis = require('../models/Diagnosis');
 const Activity = require('../models/Activity');
+const Tombstone = require('../models/Tombstone');
 const { 
   authenticateToken, 
   verifyDevice, 
@@ -21,6 +22,19 @@ router.use(logRequest);
 router.use(authenticateToken);
 router.use(verifyDevice);
 
+/**
+ * Read the expected revision from an If-Match header ("3", W/"3" or 3)
+ * @param {Object} req - Express request
+ * @returns {number|null|undefined} Revision; undefined when there is nothing to check, null when malformed
+ */
+const ifMatchRevision = (req) => {
+  const header = req.get('If-Match');
+  if (header === undefined || header.trim() === '*') return undefined;
+
+  const match = /^(?:W\/)?"?(\d+)"?$/.exec(header.trim());
+  return match ? parseInt(match[1], 10) : null;
+};
+
 /**
  * POST /api/v1/diagnosis
  * Create a new diagnosis
@@ -170,6 +184,8 @@ router.get('/:diagnosisId', validateObjectId('diagnosisId'), async (req, res) =>
       });
     }
 
+    // The revision doubles as the ETag, for PUT with If-Match (records without one are at 1)
+    res.set('ETag', `"${diagnosis.revision || 1}"`);
     res.json({
       success: true,
       data: { diagnosis }
@@ -187,28 +203,75 @@ router.get('/:diagnosisId', validateObjectId('diagnosisId'), async (req, res) =>
 
 /**
  * PUT /api/v1/diagnosis/:diagnosisId
- * Update a diagnosis
+ * Update a diagnosis (with If-Match: "<revision>", only if nobody changed it since)
  */
 router.put('/:diagnosisId', validateObjectId('diagnosisId'), async (req, res) => {
   try {
     const { diagnosisId } = req.params;
     const updateData = { ...req.body };
+
+    const expectedRevision = ifMatchRevision(req);
+    if (expectedRevision === null) {
+      return res.status(400).json({
+        success: false,
+        error: 'If-Match must be a diagnosis revision, e.g. "3"',
+        code: 'INVALID_IF_MATCH'
+      });
+    }
     
     // Remove fields that shouldn't be updated directly
     delete updateData.userId;
     delete updateData.deviceId;
     delete updateData.createdAt;
+    delete updateData.revision;
+    delete updateData.baseRevision;
     
     // Update lastModified timestamp
     updateData.lastModified = new Date();
 
-    const diagnosis = await Diagnosis.findOneAndUpdate(
-      { _id: diagnosisId, userId: req.user._id },
-      updateData,
-      { new: true, runValidators: true }
-    );
+    let filter = { _id: diagnosisId, userId: req.user._id };
+    if (expectedRevision !== undefined) {
+      filter = { ...filter, ...Diagnosis.revisionFilter(expectedRevision) };
+      // Set rather than incremented, so a record stored without a revision moves on from 1 too
+      updateData.revision = expectedRevision + 1;
+    }
+
+    // Archiving through an edit must reach the other devices too; only the write that archives it
+    // (not one that finds it archived already) records that
+    let diagnosis = null;
+    let archivedNow = false;
+    if (updateData.status === 'archived') {
+      diagnosis = await Diagnosis.findOneAndUpdate(
+        { ...filter, status: { $ne: 'archived' } },
+        updateData,
+        { new: true, runValidators: true }
+      );
+      archivedNow = !!diagnosis;
+    }
 
     if (!diagnosis) {
+      diagnosis = await Diagnosis.findOneAndUpdate(
+        filter,
+        updateData,
+        { new: true, runValidators: true }
+      );
+    }
+
+    if (!diagnosis) {
+      const current = expectedRevision !== undefined
+        ? await Diagnosis.findOne({ _id: diagnosisId, userId: req.user._id }).select('revision').lean()
+        : null;
+
+      if (current) {
+        res.set('ETag', `"${current.revision || 1}"`);
+        return res.status(412).json({
+          success: false,
+          error: 'Diagnosis has changed since it was read; reload it and apply the edit again',
+          code: 'REVISION_MISMATCH',
+          data: { revision: current.revision || 1 }
+        });
+      }
+
       return res.status(404).json({
         success: false,
         error: 'Diagnosis not found',
@@ -216,6 +279,10 @@ router.put('/:diagnosisId', validateObjectId('diagnosisId'), async (req, res) =>
       });
     }
 
+    if (archivedNow) {
+      await Tombstone.record('diagnoses', [diagnosis], { reason: 'archived', deletedBy: req.user._id });
+    }
+
     // Log diagnosis update activity
     const activity = new Activity({
       userId: req.user._id,
@@ -236,6 +303,7 @@ router.put('/:diagnosisId', validateObjectId('diagnosisId'), async (req, res) =>
     });
     await activity.save();
 
+    res.set('ETag', `"${diagnosis.revision}"`);
     res.json({
       success: true,
       message: 'Diagnosis updated successfully',
@@ -271,14 +339,16 @@ router.put('/:diagnosisId/status', validateObjectId('diagnosisId'), async (req,
       });
     }
 
+    // The record as it was, to tell whether this request is the one that archives it
+    const lastModified = new Date();
     const diagnosis = await Diagnosis.findOneAndUpdate(
       { _id: diagnosisId, userId: req.user._id },
       { 
         status, 
-        lastModified: new Date(),
+        lastModified,
         ...(notes && { 'metadata.statusNotes': notes })
       },
-      { new: true }
+      { new: false }
     );
 
     if (!diagnosis) {
@@ -289,6 +359,11 @@ router.put('/:diagnosisId/status', validateObjectId('diagnosisId'), async (req,
       });
     }
 
+    // Archiving removes the record from the user's other devices on their next sync
+    if (status === 'archived' && diagnosis.status !== 'archived') {
+      await Tombstone.record('diagnoses', [diagnosis], { reason: 'archived', deletedBy: req.user._id });
+    }
+
     // Log status change activity
     const activityType = status === 'completed' ? 'diagnosis_complete' : 'form_submit';
     const activity = new Activity({
@@ -316,8 +391,8 @@ router.put('/:diagnosisId/status', validateObjectId('diagnosisId'), async (req,
       message: `Diagnosis status updated to ${status}`,
       data: {
         diagnosisId: diagnosis._id,
-        status: diagnosis.status,
-        lastModified: diagnosis.lastModified
+        status,
+        lastModified
       }
     });
 
@@ -339,15 +414,17 @@ router.delete('/:diagnosisId', validateObjectId('diagnosisId'), async (req, res)
   try {
     const { diagnosisId } = req.params;
 
+    // The record as it was, to tell whether this request is the one that archives it
+    const archivedAt = new Date();
     const diagnosis = await Diagnosis.findOneAndUpdate(
       { _id: diagnosisId, userId: req.user._id },
       { 
         status: 'archived',
-        lastModified: new Date(),
-        'metadata.archivedAt': new Date(),
+        lastModified: archivedAt,
+        'metadata.archivedAt': archivedAt,
         'metadata.archivedBy': req.user._id
       },
-      { new: true }
+      { new: false }
     );
 
     if (!diagnosis) {
@@ -358,6 +435,11 @@ router.delete('/:diagnosisId', validateObjectId('diagnosisId'), async (req, res)
       });
     }
 
+    // Only the request that archives it writes the tombstone, so retries don't repeat it
+    if (diagnosis.status !== 'archived') {
+      await Tombstone.record('diagnoses', [diagnosis], { reason: 'archived', deletedBy: req.user._id });
+    }
+
     // Log deletion activity
     const activity = new Activity({
       userId: req.user._id,
@@ -381,7 +463,7 @@ router.delete('/:diagnosisId', validateObjectId('diagnosisId'), async (req, res)
       message: 'Diagnosis archived successfully',
       data: {
         diagnosisId: diagnosis._id,
-        archivedAt: diagnosis.metadata.archivedAt
+        archivedAt
       }
     });
 
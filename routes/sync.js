@@ -1,8 +1,5 @@
 const express = require('express');
-const Activity = require('../models/Activity');
-const Diagnosis = require('../models/Diagnosis');
 const SyncLog = require('../models/SyncLog');
-const User = require('../models/User');
 const { 
   authenticateToken, 
   verifyDevice, 
@@ -11,9 +8,15 @@ const {
 } = require('../middleware/auth');
 const { 
   validateSync,
+  validateSyncDownload,
+  validateConflictResolution,
+  validateUploadSession,
   validatePagination,
-  validateDateRange
+  validateDateRange,
+  validateObjectId
 } = require('../middleware/validation');
+const { idempotent } = require('../middleware/idempotency');
+const config = require('../config');
 
 const router = express.Router();
 
@@ -22,11 +25,47 @@ router.use(logRequest);
 router.use(authenticateToken);
 router.use(verifyDevice);
 
+// Upload chunks are read as raw bytes so their checksum covers exactly what was sent
+const rawChunkParser = express.raw({ type: () => true, limit: config.SYNC_UPLOAD_CHUNK_MAX_BYTES });
+
+/**
+ * Read an upload chunk body, answering oversized chunks with an API error
+ */
+const readChunk = (req, res, next) => {
+  rawChunkParser(req, res, (error) => {
+    if (error) {
+      return res.status(error.status === 413 ? 413 : 400).json({
+        success: false,
+        error: error.status === 413
+          ? `Chunks cannot exceed ${config.SYNC_UPLOAD_CHUNK_MAX_BYTES} bytes`
+          : 'Chunk body could not be read',
+        code: error.status === 413 ? 'CHUNK_TOO_LARGE' : 'CHUNK_MALFORMED'
+      });
+    }
+    next();
+  });
+};
+
+// Failure codes of upload sessions
+const uploadSessionStatusByCode = {
+  INVALID_ITEM_COUNTS: 400,
+  INVALID_CHUNK_INDEX: 400,
+  CHUNK_MALFORMED: 400,
+  CHUNK_CHECKSUM_MISMATCH: 422,
+  ITEM_COUNT_MISMATCH: 422,
+  UPLOAD_TOO_LARGE: 413,
+  UPLOAD_SESSION_NOT_FOUND: 404,
+  UPLOAD_SESSION_CLOSED: 409,
+  CHUNK_CONFLICT: 409,
+  UPLOAD_INCOMPLETE: 409,
+  UPLOAD_COMMIT_IN_PROGRESS: 409
+};
+
 /**
  * POST /api/v1/sync/upload
- * Upload data from mobile app to server
+ * Upload data from mobile app to server (retries with the same Idempotency-Key replay the first response)
  */
-router.post('/upload', validateSync, async (req, res) => {
+router.post('/upload', validateSync, idempotent('sync-upload'), async (req, res) => {
   let syncLog = null;
   
   try {
@@ -57,144 +96,11 @@ router.post('/upload', validateSync, async (req, res) => {
     });
     await syncLog.save();
 
-    const results = {
-      successful: [],
-      failed: [],
-      conflicts: []
-    };
-
-    // Process each data type
-    for (const dataType of dataTypes) {
-      if (!data[dataType] || !Array.isArray(data[dataType])) continue;
-
-      for (const item of data[dataType]) {
-        try {
-          let savedItem = null;
-          
-          switch (dataType) {
-            case 'activities':
-              // Check for existing activity to prevent duplicates
-              const existingActivity = await Activity.findOne({
-                userId: req.user._id,
-                deviceId: req.deviceId,
-                sessionId: item.sessionId,
-                activityType: item.activityType,
-                timestamp: new Date(item.timestamp)
-              });
-
-              if (!existingActivity) {
-                const activity = new Activity({
-                  ...item,
-                  userId: req.user._id,
-                  deviceId: req.deviceId,
-                  syncStatus: 'synced',
-                  syncedAt: new Date()
-                });
-                savedItem = await activity.save();
-              } else {
-                savedItem = existingActivity;
-              }
-              break;
-
-            case 'diagnoses':
-              // Check for existing diagnosis
-              const existingDiagnosis = await Diagnosis.findOne({
-                userId: req.user._id,
-                deviceId: req.deviceId,
-                sessionId: item.sessionId,
-                'patient.id': item.patient?.id,
-                createdAt: new Date(item.createdAt)
-              });
-
-              if (!existingDiagnosis) {
-                const diagnosis = new Diagnosis({
-                  ...item,
-                  userId: req.user._id,
-                  deviceId: req.deviceId,
-                  syncStatus: 'synced',
-                  syncedAt: new Date()
-                });
-                savedItem = await diagnosis.save();
-              } else {
-                // Check for conflicts
-                if (existingDiagnosis.lastModified < new Date(item.lastModified)) {
-                  // Server version is older, update it
-                  Object.assign(existingDiagnosis, item);
-                  existingDiagnosis.syncStatus = 'synced';
-                  existingDiagnosis.syncedAt = new Date();
-                  savedItem = await existingDiagnosis.save();
-                } else if (existingDiagnosis.lastModified > new Date(item.lastModified)) {
-                  // Client version is older, conflict detected
-                  await syncLog.addConflict(
-                    item._id || item.id,
-                    dataType,
-                    'concurrent_modification',
-                    item,
-                    existingDiagnosis.toObject()
-                  );
-                  results.conflicts.push({
-                    itemId: item._id || item.id,
-                    dataType,
-                    reason: 'concurrent_modification'
-                  });
-                  continue;
-                } else {
-                  savedItem = existingDiagnosis;
-                }
-              }
-              break;
-
-            case 'user_profile':
-              // Update user profile
-              const updateFields = {};
-              if (item.firstName) updateFields.firstName = item.firstName;
-              if (item.lastName) updateFields.lastName = item.lastName;
-              if (item.facility) updateFields.facility = item.facility;
-              if (item.state) updateFields.state = item.state;
-              if (item.contactInfo) updateFields.contactInfo = item.contactInfo;
-
-              if (Object.keys(updateFields).length > 0) {
-                await User.findByIdAndUpdate(req.user._id, updateFields);
-                savedItem = { updated: true, fields: Object.keys(updateFields) };
-              }
-              break;
-
-            default:
-              throw new Error(`Unsupported data type: ${dataType}`);
-          }
-
-          results.successful.push({
-            itemId: item._id || item.id,
-            dataType,
-            serverId: savedItem?._id
-          });
-
-          // Update progress
-          await syncLog.updateProgress(
-            results.successful.length + results.failed.length,
-            results.successful.length,
-            results.failed.length
-          );
-
-        } catch (itemError) {
-          console.error(`Error processing ${dataType} item:`, itemError);
-          
-          results.failed.push({
-            itemId: item._id || item.id,
-            dataType,
-            error: itemError.message
-          });
-
-          await syncLog.addError(
-            'ITEM_PROCESSING_ERROR',
-            itemError.message,
-            'medium',
-            dataType,
-            item._id || item.id
-          );
-        }
-      }
-    }
+    const syncUploadService = require('../services/syncUploadService');
+    const results = await syncUploadService.processUpload(
+      { user: req.user, deviceId: req.deviceId, syncLog },
+      { dataTypes, data }
+    );
 
     // Mark sync as completed
     const status = results.failed.length > 0 ? 'partial' : 'completed';
@@ -205,12 +111,7 @@ router.post('/upload', validateSync, async (req, res) => {
       message: `Upload ${status}`,
       data: {
         syncId: syncLog._id,
-        results: {
-          successful: results.successful.length,
-          failed: results.failed.length,
-          conflicts: results.conflicts.length
-        },
-        details: results
+        ...syncUploadService.summarizeResults(results)
       }
     });
 
@@ -230,11 +131,183 @@ router.post('/upload', validateSync, async (req, res) => {
   }
 });
 
+/**
+ * POST /api/v1/sync/upload/sessions
+ * Start a chunked upload (declares item counts per data type and the number of chunks)
+ */
+router.post('/upload/sessions', validateSync, validateUploadSession, async (req, res) => {
+  try {
+    const syncUploadService = require('../services/syncUploadService');
+    const result = await syncUploadService.beginSession(
+      { user: req.user, deviceId: req.deviceId },
+      {
+        syncType: req.body.syncType,
+        operation: req.body.operation,
+        dataTypes: req.body.dataTypes,
+        itemCounts: req.body.itemCounts,
+        totalChunks: req.body.totalChunks,
+        sessionId: req.body.sessionId,
+        deviceInfo: req.body.deviceInfo,
+        networkInfo: req.body.networkInfo
+      }
+    );
+
+    if (!result.success) {
+      return res.status(uploadSessionStatusByCode[result.code] || 500).json({
+        success: false,
+        error: result.error,
+        code: result.code
+      });
+    }
+
+    res.status(201).json({
+      success: true,
+      message: 'Upload session started',
+      data: result.data
+    });
+
+  } catch (error) {
+    console.error('Start upload session error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to start upload session',
+      code: 'UPLOAD_SESSION_ERROR'
+    });
+  }
+});
+
+/**
+ * PUT /api/v1/sync/upload/sessions/:uploadId/chunks/:index
+ * Store one chunk (raw JSON bytes, X-Chunk-SHA256 header); chunks may arrive in any order
+ */
+router.put('/upload/sessions/:uploadId/chunks/:index', validateObjectId('uploadId'), readChunk, async (req, res) => {
+  try {
+    const index = Number(req.params.index);
+    if (!Number.isInteger(index) || index < 0) {
+      return res.status(400).json({
+        success: false,
+        error: 'Chunk index must be a non-negative integer',
+        code: 'INVALID_CHUNK_INDEX'
+      });
+    }
+
+    if (!Buffer.isBuffer(req.body) || req.body.length === 0) {
+      return res.status(415).json({
+        success: false,
+        error: 'Send the chunk as the raw request body with Content-Type: application/octet-stream',
+        code: 'CHUNK_MALFORMED'
+      });
+    }
+
+    const syncUploadService = require('../services/syncUploadService');
+    const result = await syncUploadService.appendChunk(
+      { user: req.user, deviceId: req.deviceId },
+      req.params.uploadId,
+      index,
+      { body: req.body, checksum: req.get('X-Chunk-SHA256') }
+    );
+
+    if (!result.success) {
+      return res.status(uploadSessionStatusByCode[result.code] || 500).json({
+        success: false,
+        error: result.error,
+        code: result.code
+      });
+    }
+
+    res.status(result.data.alreadyReceived ? 200 : 201).json({
+      success: true,
+      message: result.data.alreadyReceived ? 'Chunk already received' : 'Chunk stored',
+      data: result.data
+    });
+
+  } catch (error) {
+    console.error('Upload chunk error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to store chunk',
+      code: 'UPLOAD_CHUNK_ERROR'
+    });
+  }
+});
+
+/**
+ * GET /api/v1/sync/upload/sessions/:uploadId
+ * Get an upload's received and missing chunks (and its result once committed)
+ */
+router.get('/upload/sessions/:uploadId', validateObjectId('uploadId'), async (req, res) => {
+  try {
+    const syncUploadService = require('../services/syncUploadService');
+    const result = await syncUploadService.getSession(
+      { user: req.user, deviceId: req.deviceId },
+      req.params.uploadId
+    );
+
+    if (!result.success) {
+      return res.status(uploadSessionStatusByCode[result.code] || 500).json({
+        success: false,
+        error: result.error,
+        code: result.code
+      });
+    }
+
+    res.json({
+      success: true,
+      data: result.data
+    });
+
+  } catch (error) {
+    console.error('Get upload session error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to get upload session',
+      code: 'UPLOAD_SESSION_ERROR'
+    });
+  }
+});
+
+/**
+ * POST /api/v1/sync/upload/sessions/:uploadId/commit
+ * Apply the items of a complete upload
+ */
+router.post('/upload/sessions/:uploadId/commit', validateObjectId('uploadId'), async (req, res) => {
+  try {
+    const syncUploadService = require('../services/syncUploadService');
+    const result = await syncUploadService.commitSession(
+      { user: req.user, deviceId: req.deviceId },
+      req.params.uploadId
+    );
+
+    if (!result.success) {
+      return res.status(uploadSessionStatusByCode[result.code] || 500).json({
+        success: false,
+        error: result.error,
+        code: result.code,
+        ...(result.data && { data: result.data })
+      });
+    }
+
+    res.json({
+      success: true,
+      message: `Upload ${result.data.status}`,
+      data: result.data
+    });
+
+  } catch (error) {
+    console.error('Commit upload session error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to commit upload',
+      code: 'UPLOAD_COMMIT_ERROR'
+    });
+  }
+});
+
 /**
  * POST /api/v1/sync/download
- * Download data from server to mobile app
+ * Download the next page of server changes (repeat with `cursor` while `hasMore`)
  */
-router.post('/download', validateSync, async (req, res) => {
+router.post('/download', validateSync, validateSyncDownload, async (req, res) => {
   let syncLog = null;
   
   try {
@@ -242,12 +315,29 @@ router.post('/download', validateSync, async (req, res) => {
       syncType,
       operation,
       dataTypes,
+      cursor,
+      watermark,
+      limit,
       lastSyncTimestamp,
       sessionId,
       deviceInfo,
       networkInfo
     } = req.body;
 
+    const syncDownloadService = require('../services/syncDownloadService');
+
+    // Reject a bad cursor before anything is logged
+    if (cursor || watermark) {
+      const decoded = syncDownloadService.decodeCursor(cursor || watermark);
+      if (!decoded.success) {
+        return res.status(400).json({
+          success: false,
+          error: decoded.error,
+          code: decoded.code
+        });
+      }
+    }
+
     // Create sync log
     syncLog = new SyncLog({
       userId: req.user._id,
@@ -262,78 +352,53 @@ router.post('/download', validateSync, async (req, res) => {
     });
     await syncLog.save();
 
-    const data = {};
-    const lastSync = lastSyncTimestamp ? new Date(lastSyncTimestamp) : new Date(0);
-
-    // Fetch data for each requested type
-    for (const dataType of dataTypes) {
-      try {
-        switch (dataType) {
-          case 'activities':
-            data.activities = await Activity.find({
-              userId: req.user._id,
-              updatedAt: { $gt: lastSync },
-              syncStatus: 'synced'
-            })
-            .sort({ updatedAt: -1 })
-            .limit(1000) // Limit to prevent large responses
-            .lean();
-            break;
-
-          case 'diagnoses':
-            data.diagnoses = await Diagnosis.find({
-              userId: req.user._id,
-              updatedAt: { $gt: lastSync },
-              syncStatus: 'synced'
-            })
-            .sort({ updatedAt: -1 })
-            .limit(500)
-            .lean();
-            break;
-
-          case 'user_profile':
-            const user = await User.findById(req.user._id)
-              .select('firstName lastName facility state contactInfo updatedAt')
-              .lean();
-            
-            if (user && user.updatedAt > lastSync) {
-              data.user_profile = user;
-            }
-            break;
-
-          default:
-            console.warn(`Unsupported download data type: ${dataType}`);
-        }
-      } catch (typeError) {
-        console.error(`Error fetching ${dataType}:`, typeError);
-        await syncLog.addError(
-          'DATA_FETCH_ERROR',
-          typeError.message,
-          'medium',
-          dataType
-        );
-      }
+    const result = await syncDownloadService.downloadPage(req.user._id, {
+      dataTypes,
+      cursor,
+      watermark,
+      limit,
+      lastSyncTimestamp
+    });
+    const page = result.data;
+
+    for (const fetchError of page.errors) {
+      await syncLog.addError(
+        'DATA_FETCH_ERROR',
+        fetchError.error,
+        'medium',
+        fetchError.dataType
+      );
     }
 
     // Calculate total items
-    const totalItems = Object.values(data).reduce((sum, items) => {
+    const totalItems = Object.values(page.data).reduce((sum, items) => {
       return sum + (Array.isArray(items) ? items.length : (items ? 1 : 0));
     }, 0);
 
+    const totalTombstones = Object.values(page.tombstones).reduce((sum, items) => sum + items.length, 0);
+
     // Update sync log progress
     await syncLog.updateProgress(totalItems, totalItems, 0);
-    await syncLog.markCompleted('completed');
+    await syncLog.markCompleted(page.errors.length > 0 ? 'partial' : 'completed');
 
     res.json({
       success: true,
-      message: 'Download completed',
+      message: page.hasMore ? 'Download page completed; more data available' : 'Download completed',
       data: {
         syncId: syncLog._id,
         timestamp: new Date(),
-        data,
+        data: page.data,
+        tombstones: page.tombstones,
+        // Set when the watermark is older than tombstones are kept: replace local data with this download
+        fullResync: page.fullResync,
+        cursor: page.cursor,
+        hasMore: page.hasMore,
+        hasMoreByType: page.hasMoreByType,
+        watermark: page.watermark,
         summary: {
           totalItems,
-          dataTypes: Object.keys(data)
+          totalTombstones,
+          dataTypes: Object.keys(page.data)
         }
       }
     });
@@ -487,53 +552,41 @@ router.get('/conflicts', validatePagination, async (req, res) => {
 
 /**
  * POST /api/v1/sync/resolve-conflict
- * Resolve a sync conflict
+ * Resolve a sync conflict and write the chosen version to the record
  */
-router.post('/resolve-conflict', async (req, res) => {
+router.post('/resolve-conflict', validateConflictResolution, async (req, res) => {
   try {
     const { syncId, conflictItemId, resolution, mergedData } = req.body;
 
-    const syncLog = await SyncLog.findOne({
-      _id: syncId,
-      userId: req.user._id,
-      deviceId: req.deviceId
+    const syncConflictService = require('../services/syncConflictService');
+    const result = await syncConflictService.resolveConflict(req.user, {
+      syncId,
+      conflictItemId,
+      resolution,
+      mergedData
     });
 
-    if (!syncLog) {
-      return res.status(404).json({
-        success: false,
-        error: 'Sync log not found',
-        code: 'SYNC_LOG_NOT_FOUND'
-      });
-    }
-
-    // Find and update the conflict
-    const conflict = syncLog.conflicts.find(c => c.itemId === conflictItemId);
-    if (!conflict) {
-      return res.status(404).json({
+    if (!result.success) {
+      const statusByCode = {
+        SYNC_LOG_NOT_FOUND: 404,
+        CONFLICT_NOT_FOUND: 404,
+        DIAGNOSIS_NOT_FOUND: 404,
+        CONFLICT_ALREADY_RESOLVED: 409,
+        DIAGNOSIS_CHANGED: 409,
+        UNSUPPORTED_CONFLICT_TYPE: 400,
+        MERGED_DATA_REQUIRED: 400
+      };
+      return res.status(statusByCode[result.code] || 500).json({
         success: false,
-        error: 'Conflict not found',
-        code: 'CONFLICT_NOT_FOUND'
+        error: result.error,
+        code: result.code
       });
     }
 
-    conflict.resolution = resolution;
-    conflict.resolvedAt = new Date();
-    conflict.resolvedBy = req.user._id;
-    
-    if (mergedData) {
-      conflict.mergedVersion = mergedData;
-    }
-
-    await syncLog.save();
-
     res.json({
       success: true,
       message: 'Conflict resolved successfully',
-      data: {
-        conflictItemId,
-        resolution
-      }
+      data: result.data
     });
 
   } catch (error) {
@@ -2,6 +2,8 @@ const express = require('express');
 const User = require('../models/User');
 const Activity = require('../models/Activity');
 const Diagnosis = require('../models/Diagnosis');
+const tokenService = require('../services/tokenService');
+const deviceService = require('../services/deviceService');
 const { 
   authenticateToken, 
   verifyDevice,
@@ -298,6 +300,44 @@ router.get('/device-info', verifyDevice, async (req, res) => {
   }
 });
 
+/**
+ * GET /api/v1/users/devices
+ * Get the devices bound to the current user
+ */
+router.get('/devices', async (req, res) => {
+  try {
+    const currentDeviceId = req.headers['x-device-id'] || req.tokenPayload?.deviceId;
+    const devices = await deviceService.getUserDevices(req.user._id);
+
+    res.json({
+      success: true,
+      data: {
+        devices: devices.map(device => ({
+          id: device._id,
+          deviceId: device.deviceId,
+          platform: device.platform,
+          model: device.model,
+          osVersion: device.osVersion,
+          appVersion: device.appVersion,
+          status: device.status,
+          firstSeenAt: device.firstSeenAt,
+          lastSeenAt: device.lastSeenAt,
+          isCurrent: device.deviceId === currentDeviceId
+        })),
+        deviceLimit: deviceService.getDeviceLimit(req.user.role)
+      }
+    });
+
+  } catch (error) {
+    console.error('Get devices error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to retrieve devices',
+      code: 'GET_DEVICES_ERROR'
+    });
+  }
+});
+
 /**
  * POST /api/v1/users/update-device-info
  * Update device information
@@ -323,6 +363,11 @@ router.post('/update-device-info', verifyDevice, async (req, res) => {
     });
     await activity.save();
 
+    // Keep the registry entry's platform/model/OS details current
+    if (req.device && deviceInfo) {
+      await req.device.touch(deviceInfo);
+    }
+
     res.json({
       success: true,
       message: 'Device information updated successfully',
@@ -483,6 +528,9 @@ router.delete('/account', verifyDevice, async (req, res) => {
       { new: true }
     ).select('-password -activationKey');
 
+    // Deactivated accounts must not be able to refresh their way back in
+    await tokenService.revokeUserTokens(req.user._id, 'account_deactivated');
+
     // Log account deactivation activity
     const activity = new Activity({
       userId: req.user._id,
@@ -0,0 +1,50 @@
+#!/usr/bin/env node
+/*
+  Gives every diagnosis saved before revisions existed an explicit revision 1.
+
+  Usage:
+  node scripts/backfillDiagnosisRevisions.js [--dry-run]
+
+  Such records are read as revision 1 already, and compare-and-set writes
+  (If-Match, sync uploads, conflict resolutions) match them, but updates that
+  only increment the revision would start them at 1 again. Run once after
+  deploying revisions; running it again is harmless.
+*/
+
+const mongoose = require('mongoose');
+const config = require('../config');
+const Diagnosis = require('../models/Diagnosis');
+
+async function backfillDiagnosisRevisions() {
+  const dryRun = process.argv.includes('--dry-run');
+
+  try {
+    console.log('Connecting to MongoDB...');
+    await mongoose.connect(config.MONGODB_URL, {
+      serverSelectionTimeoutMS: 10000,
+      connectTimeoutMS: 10000,
+    });
+    console.log('✅ Connected to MongoDB successfully');
+
+    const filter = { revision: { $exists: false } };
+
+    if (dryRun) {
+      console.log('🔍 Dry run: diagnoses without a revision:', await Diagnosis.countDocuments(filter));
+      return;
+    }
+
+    // Setting the revision keeps the update hook from incrementing it
+    const result = await Diagnosis.updateMany(filter, { $set: { revision: 1 } });
+    console.log('✅ Diagnoses given revision 1:', result.modifiedCount);
+
+  } catch (error) {
+    console.error('❌ Error backfilling diagnosis revisions:', error);
+    process.exitCode = 1;
+  } finally {
+    await mongoose.connection.close();
+    console.log('Database connection closed');
+  }
+}
+
+// Run the script
+backfillDiagnosisRevisions();
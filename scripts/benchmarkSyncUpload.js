@@ -0,0 +1,434 @@
+#!/usr/bin/env node
+/*
+  Measures sync upload throughput: the same generated items applied by the
+  code /sync/upload ran before batching (copied below: a findOne, a save() and
+  a sync log progress save per item) and by the batched pipeline
+  (syncUploadService.processUpload). Prints items/s for both and, with --out,
+  writes them to a JSON file.
+
+  Usage:
+  node scripts/benchmarkSyncUpload.js [--items 2000] [--type activities|diagnoses] [--out results.json]
+
+  Runs against MONGODB_URL under throwaway user IDs and removes everything it
+  wrote afterwards. Refuses to run when NODE_ENV is production. Batch size
+  comes from SYNC_BATCH_SIZE.
+*/
+
+const fs = require('fs');
+const mongoose = require('mongoose');
+const crypto = require('crypto');
+const Activity = require('../models/Activity');
+const Diagnosis = require('../models/Diagnosis');
+const DiagnosisRevision = require('../models/DiagnosisRevision');
+const SyncLog = require('../models/SyncLog');
+const Tombstone = require('../models/Tombstone');
+const User = require('../models/User');
+const syncUploadService = require('../services/syncUploadService');
+const config = require('../config');
+const { isValidUUID } = require('../utils/helpers');
+const { mergeDiagnosis, diffDiagnosis } = require('../utils/diagnosisMerge');
+
+// Record types matched by the client-generated UUID each item carries
+const CLIENT_ID_TYPES = ['activities', 'diagnoses'];
+
+const MODELS = { activities: Activity, diagnoses: Diagnosis };
+
+function argValue(name) {
+  const index = process.argv.indexOf(`--${name}`);
+  return index > -1 ? process.argv[index + 1] : undefined;
+}
+
+function generateItems(dataType, count) {
+  const items = [];
+  for (let i = 0; i < count; i++) {
+    const base = { clientId: crypto.randomUUID(), sessionId: 'benchmark' };
+
+    items.push(dataType === 'activities'
+      ? {
+        ...base,
+        activityType: 'screen_view',
+        screenName: `screen-${i % 20}`,
+        deviceInfo: { platform: 'android' },
+        timestamp: new Date()
+      }
+      : {
+        ...base,
+        patient: { name: `Patient ${i}`, age: 20 + (i % 60), gender: i % 2 ? 'female' : 'male' },
+        complaint: { primary: 'Fever' },
+        symptoms: [{ name: 'fever' }, { name: 'headache' }]
+      });
+  }
+  return items;
+}
+
+function createSyncLog(userId, dataType, totalItems) {
+  return SyncLog.create({
+    userId,
+    deviceId: 'benchmark-device',
+    sessionId: 'benchmark',
+    syncType: 'upload',
+    operation: 'full_sync',
+    dataTypes: [dataType],
+    status: 'in_progress',
+    progress: { totalItems }
+  });
+}
+
+// syncUploadService.processUpload as it was before batching (one item at a time), kept unchanged
+const perItemUpload = {
+  async processUpload(context, upload) {
+    const { syncLog } = context;
+    const { dataTypes, data } = upload;
+
+    const results = {
+      successful: [],
+      failed: [],
+      conflicts: [],
+      idMap: {}
+    };
+
+    for (const dataType of dataTypes) {
+      if (!data[dataType] || !Array.isArray(data[dataType])) continue;
+
+      for (const item of data[dataType]) {
+        const clientId = item && item.clientId;
+
+        try {
+          if (CLIENT_ID_TYPES.includes(dataType) && !isValidUUID(clientId)) {
+            results.failed.push({
+              itemId: clientId || item?._id || item?.id,
+              dataType,
+              error: 'clientId must be a UUID generated on the device',
+              code: 'CLIENT_ID_REQUIRED'
+            });
+            await syncLog.addError('CLIENT_ID_REQUIRED', 'Item without a valid clientId', 'low', dataType, clientId || null, false);
+            continue;
+          }
+
+          const outcome = await this._applyItem(context, dataType, item);
+
+          if (outcome.conflict) {
+            await syncLog.addConflict(
+              clientId,
+              dataType,
+              outcome.conflict.reason,
+              item,
+              outcome.conflict.serverVersion,
+              { fields: outcome.conflict.fields, baseVersion: outcome.conflict.baseVersion }
+            );
+            results.conflicts.push({
+              itemId: clientId,
+              clientId,
+              dataType,
+              serverId: outcome.conflict.serverId,
+              serverRevision: outcome.conflict.serverRevision,
+              reason: outcome.conflict.reason,
+              fields: outcome.conflict.fields
+            });
+            continue;
+          }
+
+          const serverId = outcome.savedItem?._id;
+          results.successful.push({
+            itemId: clientId || item._id || item.id,
+            clientId,
+            dataType,
+            serverId,
+            revision: outcome.savedItem?.revision,
+            duplicate: !!outcome.duplicate,
+            merged: !!outcome.merged
+          });
+
+          if (clientId && serverId) {
+            results.idMap[dataType] = results.idMap[dataType] || {};
+            results.idMap[dataType][clientId] = serverId;
+          }
+
+        } catch (itemError) {
+          console.error(`Error processing ${dataType} item:`, itemError);
+
+          results.failed.push({
+            itemId: clientId || item?._id || item?.id,
+            dataType,
+            error: itemError.message
+          });
+
+          await syncLog.addError(
+            'ITEM_PROCESSING_ERROR',
+            itemError.message,
+            'medium',
+            dataType,
+            clientId || item?._id || item?.id
+          );
+        }
+
+        // Update progress
+        await syncLog.updateProgress(
+          results.successful.length + results.failed.length + results.conflicts.length,
+          results.successful.length,
+          results.failed.length
+        );
+      }
+    }
+
+    return results;
+  },
+
+  async _applyItem(context, dataType, item) {
+    switch (dataType) {
+      case 'activities':
+        return this._applyActivity(context, item);
+
+      case 'diagnoses':
+        return this._applyDiagnosis(context, item);
+
+      case 'user_profile': {
+        // Update user profile
+        const updateFields = {};
+        if (item.firstName) updateFields.firstName = item.firstName;
+        if (item.lastName) updateFields.lastName = item.lastName;
+        if (item.facility) updateFields.facility = item.facility;
+        if (item.state) updateFields.state = item.state;
+        if (item.contactInfo) updateFields.contactInfo = item.contactInfo;
+
+        if (Object.keys(updateFields).length > 0) {
+          await User.findByIdAndUpdate(context.user._id, updateFields);
+          return { savedItem: { updated: true, fields: Object.keys(updateFields) } };
+        }
+        return { savedItem: null };
+      }
+
+      default:
+        throw new Error(`Unsupported data type: ${dataType}`);
+    }
+  },
+
+  async _applyActivity(context, item) {
+    const { user, deviceId } = context;
+
+    // Activities are immutable events: a known clientId is a repeated upload
+    const existing = await Activity.findOne({ userId: user._id, clientId: item.clientId });
+    if (existing) {
+      return { savedItem: existing, duplicate: true };
+    }
+
+    const activity = new Activity({
+      ...syncUploadService.clientFields(item),
+      userId: user._id,
+      deviceId,
+      syncStatus: 'synced',
+      syncedAt: new Date()
+    });
+
+    try {
+      return { savedItem: await activity.save() };
+    } catch (error) {
+      // A concurrent upload of the same item won the unique index
+      if (error.code === 11000) {
+        return { savedItem: await Activity.findOne({ userId: user._id, clientId: item.clientId }), duplicate: true };
+      }
+      throw error;
+    }
+  },
+
+  async _applyDiagnosis(context, item) {
+    const { user, deviceId } = context;
+
+    const existing = await Diagnosis.findOne({ userId: user._id, clientId: item.clientId });
+
+    if (!existing) {
+      const diagnosis = new Diagnosis({
+        ...syncUploadService.clientFields(item),
+        userId: user._id,
+        deviceId,
+        syncStatus: 'synced',
+        syncedAt: new Date()
+      });
+
+      try {
+        return { savedItem: await diagnosis.save() };
+      } catch (error) {
+        if (error.code === 11000) {
+          return { savedItem: await Diagnosis.findOne({ userId: user._id, clientId: item.clientId }), duplicate: true };
+        }
+        throw error;
+      }
+    }
+
+    // The device edited from baseRevision; a first upload without one was edited from the created record
+    const baseRevision = item.baseRevision === undefined || item.baseRevision === null
+      ? 1
+      : Number(item.baseRevision);
+
+    const fields = syncUploadService.clientFields(item);
+    delete fields.clientId;
+    delete fields.createdAt;
+
+    if (!Number.isInteger(baseRevision) || baseRevision > existing.revision) {
+      return this._revisionConflict(existing, fields);
+    }
+
+    if (baseRevision < existing.revision) {
+      // Edited on the server too since the device's copy: merge both edits onto the common ancestor
+      const ancestor = await DiagnosisRevision.findOne({ diagnosisId: existing._id, revision: baseRevision }).lean();
+      if (!ancestor) {
+        return this._revisionConflict(existing, fields);
+      }
+
+      // Fields the device left out are as it last saw them, not changed (or reset to defaults)
+      const clientVersion = { ...ancestor.snapshot, ...fields };
+      const merge = mergeDiagnosis(ancestor.snapshot, existing.toObject(), clientVersion);
+
+      if (merge.conflicts.length > 0) {
+        return {
+          conflict: {
+            reason: 'concurrent_modification',
+            serverId: existing._id,
+            serverRevision: existing.revision,
+            serverVersion: existing.toObject(),
+            baseVersion: ancestor.snapshot,
+            fields: merge.conflicts
+          }
+        };
+      }
+
+      const merged = await this._writeDiagnosis(existing, merge.merged, baseRevision);
+      return merged ? { savedItem: merged, merged: true } : this._revisionConflict(existing, fields);
+    }
+
+    const updated = await this._writeDiagnosis(existing, fields, baseRevision);
+    return updated ? { savedItem: updated } : this._revisionConflict(existing, fields);
+  },
+
+  async _writeDiagnosis(existing, fields, baseRevision) {
+    // Compare-and-set on the revision, so a write landing after the read above is not overwritten
+    const updated = await Diagnosis.findOneAndUpdate(
+      { _id: existing._id, ...Diagnosis.revisionFilter(existing.revision) },
+      {
+        $set: {
+          ...fields,
+          baseRevision,
+          syncStatus: 'synced',
+          syncedAt: new Date(),
+          lastModified: new Date(),
+          revision: existing.revision + 1
+        }
+      },
+      { new: true, runValidators: true }
+    );
+
+    // Archived by this upload (the compare-and-set saw the status it had before): the other devices drop it
+    if (updated && existing.status !== 'archived' && updated.status === 'archived') {
+      await Tombstone.record('diagnoses', [updated], { reason: 'archived', deletedBy: existing.userId });
+    }
+
+    return updated;
+  },
+
+  async _revisionConflict(existing, fields) {
+    const current = await Diagnosis.findById(existing._id) || existing;
+    const serverVersion = current.toObject();
+
+    return {
+      conflict: {
+        reason: 'version_mismatch',
+        serverId: current._id,
+        serverRevision: current.revision,
+        serverVersion,
+        // Only what the upload would have set can differ
+        fields: diffDiagnosis(serverVersion, { ...serverVersion, ...fields })
+      }
+    };
+  }
+};
+
+// Upload the generated items with one path, as the given user with its own sync log
+async function timeRun(label, userId, dataType, count, upload) {
+  const syncLog = await createSyncLog(userId, dataType, count);
+  const data = { [dataType]: generateItems(dataType, count) };
+
+  const startedAt = process.hrtime.bigint();
+  const results = await upload(
+    { user: { _id: userId }, deviceId: 'benchmark-device', syncLog },
+    { dataTypes: [dataType], data }
+  );
+  const seconds = Number(process.hrtime.bigint() - startedAt) / 1e9;
+  const itemsPerSecond = Math.round(count / seconds);
+
+  console.log(`${label.padEnd(10)} ${seconds.toFixed(2)}s  ${itemsPerSecond} items/s`);
+  if (results.failed.length > 0) {
+    console.warn(`⚠️  ${results.failed.length} item(s) failed in the ${label} run, e.g.:`, results.failed[0].error);
+  }
+  return { seconds, itemsPerSecond, failed: results.failed.length };
+}
+
+async function benchmarkSyncUpload() {
+  const count = parseInt(argValue('items') || '2000', 10);
+  const dataType = argValue('type') || 'activities';
+
+  if (!MODELS[dataType] || !(count > 0)) {
+    console.error('❌ Usage: node scripts/benchmarkSyncUpload.js [--items 2000] [--type activities|diagnoses] [--out results.json]');
+    process.exit(1);
+  }
+
+  if ((config.NODE_ENV || '').toLowerCase() === 'production') {
+    console.error('❌ Refusing to benchmark against a production database');
+    process.exit(1);
+  }
+
+  const userIds = [];
+
+  try {
+    console.log('Connecting to MongoDB...');
+    await mongoose.connect(config.MONGODB_URL, {
+      serverSelectionTimeoutMS: 10000,
+      connectTimeoutMS: 10000,
+    });
+    // Both runs need the clientId index the pipeline relies on
+    await MODELS[dataType].createIndexes();
+
+    console.log(`Uploading ${count} ${dataType} (SYNC_BATCH_SIZE=${config.SYNC_BATCH_SIZE})`);
+
+    userIds.push(new mongoose.Types.ObjectId(), new mongoose.Types.ObjectId());
+    const before = await timeRun('per-item', userIds[0], dataType, count, (context, upload) =>
+      perItemUpload.processUpload(context, upload));
+    const after = await timeRun('batched', userIds[1], dataType, count, (context, upload) =>
+      syncUploadService.processUpload(context, upload));
+
+    const speedUp = before.seconds / after.seconds;
+    console.log(`Speed-up: ${speedUp.toFixed(1)}x`);
+
+    const out = argValue('out');
+    if (out) {
+      fs.writeFileSync(out, JSON.stringify({
+        measuredAt: new Date().toISOString(),
+        dataType,
+        items: count,
+        batchSize: config.SYNC_BATCH_SIZE,
+        perItem: before,
+        batched: after,
+        speedUp: Number(speedUp.toFixed(2))
+      }, null, 2) + '\n');
+      console.log(`Results written to ${out}`);
+    }
+
+  } catch (error) {
+    console.error('❌ Benchmark failed:', error);
+    process.exitCode = 1;
+  } finally {
+    if (userIds.length > 0) {
+      const filter = { userId: { $in: userIds } };
+      await Promise.all([
+        Activity.deleteMany(filter),
+        Diagnosis.deleteMany(filter),
+        DiagnosisRevision.deleteMany(filter),
+        SyncLog.deleteMany(filter)
+      ]).catch(error => console.error('❌ Cleanup failed:', error));
+    }
+    await mongoose.connection.close();
+    console.log('Database connection closed');
+  }
+}
+
+// Run the script
+benchmarkSyncUpload();
@@ -0,0 +1,104 @@
+#!/usr/bin/env node
+/*
+  Creates (or resets the password of) an admin panel account.
+
+  Usage:
+  ADMIN_EMAIL=admin@nso.gov.ng ADMIN_PASSWORD='a-strong-password' node scripts/createAdminUser.js
+
+  Optional: ADMIN_FIRST_NAME, ADMIN_LAST_NAME,
+  ADMIN_ROLE=supervisor with ADMIN_STATE to create a supervisor who reviews key requests from that state
+*/
+
+const mongoose = require('mongoose');
+const crypto = require('crypto');
+const User = require('../models/User');
+const config = require('../config');
+
+const MIN_PASSWORD_LENGTH = 12;
+const PANEL_ROLES = ['admin', 'supervisor'];
+
+async function createAdminUser() {
+  const {
+    ADMIN_EMAIL,
+    ADMIN_PASSWORD,
+    ADMIN_FIRST_NAME = 'NSO',
+    ADMIN_LAST_NAME = 'Administrator',
+    ADMIN_ROLE = 'admin',
+    ADMIN_STATE
+  } = process.env;
+
+  if (!ADMIN_EMAIL || !ADMIN_PASSWORD) {
+    console.error('❌ ADMIN_EMAIL and ADMIN_PASSWORD must be set');
+    process.exit(1);
+  }
+
+  if (ADMIN_PASSWORD.length < MIN_PASSWORD_LENGTH) {
+    console.error(`❌ ADMIN_PASSWORD must be at least ${MIN_PASSWORD_LENGTH} characters`);
+    process.exit(1);
+  }
+
+  if (!PANEL_ROLES.includes(ADMIN_ROLE)) {
+    console.error(`❌ ADMIN_ROLE must be one of: ${PANEL_ROLES.join(', ')}`);
+    process.exit(1);
+  }
+
+  if (ADMIN_ROLE === 'supervisor' && !ADMIN_STATE) {
+    console.error('❌ ADMIN_STATE must be set for a supervisor');
+    process.exit(1);
+  }
+
+  try {
+    console.log('Connecting to MongoDB...');
+    await mongoose.connect(config.MONGODB_URL, {
+      serverSelectionTimeoutMS: 10000,
+      connectTimeoutMS: 10000,
+    });
+    console.log('✅ Connected to MongoDB successfully');
+
+    let user = await User.findOne({ email: ADMIN_EMAIL.toLowerCase() });
+
+    if (user) {
+      if (user.role !== ADMIN_ROLE) {
+        console.error(`❌ ${user.email} exists with role "${user.role}"; refusing to change it to ${ADMIN_ROLE}`);
+        process.exitCode = 1;
+        return;
+      }
+
+      // Password is re-hashed by the User pre-save hook
+      user.password = ADMIN_PASSWORD;
+      user.isActive = true;
+      user.loginAttempts = 0;
+      user.lockUntil = undefined;
+      await user.save();
+      console.log(`✅ ${ADMIN_ROLE === 'admin' ? 'Admin' : 'Supervisor'} password reset for:`, user.email);
+      return;
+    }
+
+    user = new User({
+      username: `${ADMIN_ROLE}_${crypto.randomBytes(4).toString('hex')}`,
+      email: ADMIN_EMAIL.toLowerCase(),
+      password: ADMIN_PASSWORD,
+      firstName: ADMIN_FIRST_NAME,
+      lastName: ADMIN_LAST_NAME,
+      role: ADMIN_ROLE,
+      state: ADMIN_STATE,
+      isActive: true,
+      isVerified: true
+    });
+    await user.save();
+
+    console.log(`✅ ${ADMIN_ROLE === 'admin' ? 'Admin' : 'Supervisor'} user created successfully!`);
+    console.log('Email:', user.email);
+    console.log('Username:', user.username);
+
+  } catch (error) {
+    console.error('❌ Error creating admin user:', error);
+    process.exitCode = 1;
+  } finally {
+    await mongoose.connection.close();
+    console.log('Database connection closed');
+  }
+}
+
+// Run the script
+createAdminUser();
@@ -0,0 +1,100 @@
+#!/usr/bin/env node
+/*
+  Generates a signed offline key pack: activation keys for the users in a CSV,
+  with the same offline payloads as keys issued by the server. No database
+  connection is needed, so packs can be prepared for areas with no connectivity
+  and imported later with POST /api/v1/admin/activation-keys/packs/import.
+
+  Usage:
+  node scripts/generateKeyPack.js --input users.csv [--output pack.json]
+    [--expires-at 2026-12-31] [--max-uses 1] [--notes "Kano outreach"] [--by admin@nso.gov.ng]
+
+  The CSV uses the bulk issuance columns (fullName, email, role, phone,
+  facility, state). Needs the same OFFLINE_SIGNING_PRIVATE_KEY (and
+  ACTIVATION_KEYRING for v1 payloads) as the server. The pack holds the keys
+  in clear: hand it over like a password list.
+*/
+
+const fs = require('fs');
+const path = require('path');
+const keyIssuanceService = require('../services/keyIssuanceService');
+const keyPackService = require('../services/keyPackService');
+
+function argValue(name) {
+  const index = process.argv.indexOf(`--${name}`);
+  return index > -1 ? process.argv[index + 1] : undefined;
+}
+
+async function generateKeyPack() {
+  const input = argValue('input');
+  if (!input) {
+    console.error('Usage: node scripts/generateKeyPack.js --input users.csv [--output pack.json] [--expires-at DATE] [--max-uses N] [--notes TEXT] [--by NAME]');
+    process.exitCode = 1;
+    return;
+  }
+
+  const expiresAt = argValue('expires-at') ? new Date(argValue('expires-at')) : undefined;
+  if (expiresAt && (isNaN(expiresAt.getTime()) || expiresAt <= new Date())) {
+    console.error('❌ --expires-at must be a future date');
+    process.exitCode = 1;
+    return;
+  }
+
+  const maxUses = argValue('max-uses') ? parseInt(argValue('max-uses'), 10) : undefined;
+  if (maxUses !== undefined && !(maxUses >= 1 && maxUses <= 1000)) {
+    console.error('❌ --max-uses must be between 1 and 1000');
+    process.exitCode = 1;
+    return;
+  }
+
+  try {
+    const parsed = await keyIssuanceService.parseRows(fs.readFileSync(input, 'utf8'));
+    if (!parsed.success) {
+      console.error(`❌ ${parsed.error}`);
+      process.exitCode = 1;
+      return;
+    }
+
+    const rows = parsed.data.rows;
+    for (const row of rows.filter(row => row.status !== 'pending')) {
+      console.warn(`⚠️  Row ${row.rowNumber} skipped (${row.status}): ${row.messages.join('; ')}`);
+    }
+
+    const entries = rows
+      .filter(row => row.status === 'pending')
+      .map(({ fullName, email, phone, role, facility, state }) => ({ fullName, email, phone, role, facility, state }));
+    if (entries.length === 0) {
+      console.error('❌ No valid rows to generate keys for');
+      process.exitCode = 1;
+      return;
+    }
+
+    const result = keyPackService.createPack(entries, {
+      expiresAt,
+      maxUses,
+      notes: argValue('notes'),
+      generatedBy: argValue('by')
+    });
+    if (!result.success) {
+      console.error(`❌ ${result.error}`);
+      process.exitCode = 1;
+      return;
+    }
+
+    const { pack } = result.data;
+    const output = argValue('output') || path.resolve(`key-pack-${pack.packId}.json`);
+    fs.writeFileSync(output, JSON.stringify(pack, null, 2), { mode: 0o600 });
+
+    console.log(`🔐 Key pack ${pack.packId} (signed with "${pack.signature.kid}")`);
+    console.log('Keys:   ', pack.keys.length);
+    console.log('Skipped:', rows.length - entries.length);
+    console.log('Output: ', output);
+
+  } catch (error) {
+    console.error('❌ Error generating key pack:', error);
+    process.exitCode = 1;
+  }
+}
+
+// Run the script
+generateKeyPack();
@@ -0,0 +1,44 @@
+#!/usr/bin/env node
+/*
+  Generates the Ed25519 key pair used to sign v2 offline activation payloads.
+
+  Usage:
+  node scripts/generateOfflineSigningKey.js [output-dir]   (default: ./keys)
+
+  The private key stays on the server (OFFLINE_SIGNING_PRIVATE_KEY_PATH).
+  The public key and key id are embedded in the mobile app.
+*/
+
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+
+function generateOfflineSigningKey() {
+  const outputDir = path.resolve(process.argv[2] || './keys');
+  const privateKeyPath = path.join(outputDir, 'offline-signing.pem');
+  const publicKeyPath = path.join(outputDir, 'offline-signing.pub.pem');
+
+  if (fs.existsSync(privateKeyPath)) {
+    console.error(`❌ ${privateKeyPath} already exists; move it away before generating a new key`);
+    process.exit(1);
+  }
+
+  const { publicKey, privateKey } = crypto.generateKeyPairSync('ed25519');
+  const kid = crypto.createHash('sha256')
+    .update(publicKey.export({ type: 'spki', format: 'der' }))
+    .digest('hex')
+    .slice(0, 16);
+
+  fs.mkdirSync(outputDir, { recursive: true });
+  fs.writeFileSync(privateKeyPath, privateKey.export({ type: 'pkcs8', format: 'pem' }), { mode: 0o600 });
+  fs.writeFileSync(publicKeyPath, publicKey.export({ type: 'spki', format: 'pem' }));
+
+  console.log('✅ Offline signing key generated');
+  console.log('Private key:', privateKeyPath);
+  console.log('Public key: ', publicKeyPath);
+  console.log('Key id:     ', kid);
+  console.log(`\nSet OFFLINE_SIGNING_PRIVATE_KEY_PATH=${privateKeyPath} on the server.`);
+}
+
+// Run the script
+generateOfflineSigningKey();
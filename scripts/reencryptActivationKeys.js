@@ -0,0 +1,56 @@
+#!/usr/bin/env node
+/*
+  Re-encrypts every ActivationKey offline payload (encryptedUserData) with the
+  current keyring key, migrating legacy AES-CBC payloads to AES-GCM.
+
+  Usage:
+  node scripts/reencryptActivationKeys.js [--dry-run]
+
+  Run after adding a new key to ACTIVATION_KEYRING and pointing
+  ACTIVATION_KEY_CURRENT_ID at it. Keep the old secret in the keyring
+  (and ACTIVATION_KEY_SECRET for legacy payloads) until this reports no failures.
+*/
+
+const mongoose = require('mongoose');
+const config = require('../config');
+const activationKeyService = require('../services/activationKeyService');
+
+async function reencryptActivationKeys() {
+  const dryRun = process.argv.includes('--dry-run');
+
+  try {
+    console.log('Connecting to MongoDB...');
+    await mongoose.connect(config.MONGODB_URL, {
+      serverSelectionTimeoutMS: 10000,
+      connectTimeoutMS: 10000,
+    });
+    console.log('✅ Connected to MongoDB successfully');
+
+    const result = await activationKeyService.reencryptPayloads({ dryRun });
+    const stats = result.data;
+
+    console.log(`${dryRun ? '🔍 Dry run' : '🔐 Re-encryption'} with key "${stats.currentKeyId}"`);
+    console.log('Scanned:        ', stats.scanned);
+    console.log('Migrated:       ', stats.migrated);
+    console.log('Already current:', stats.alreadyCurrent);
+    console.log('Failed:         ', stats.failed);
+
+    for (const failure of stats.failures) {
+      console.error(`❌ ${failure.id}: cannot decrypt payload (key "${failure.keyId}")`);
+    }
+
+    if (!result.success || stats.failed > 0) {
+      process.exitCode = 1;
+    }
+
+  } catch (error) {
+    console.error('❌ Error re-encrypting activation keys:', error);
+    process.exitCode = 1;
+  } finally {
+    await mongoose.connection.close();
+    console.log('Database connection closed');
+  }
+}
+
+// Run the script
+reencryptActivationKeys();
@@ -17,6 +17,7 @@ const adminRoutes = require('./routes/admin');
 
 // Import middleware and utilities
 const { globalErrorHandler, handleNotFound, setupErrorHandling } = require('./utils/errorHandler');
+const schedulerService = require('./services/schedulerService');
 
 // Setup error handling
 setupErrorHandling();
@@ -45,6 +46,9 @@ app.use(compression());
 // Request logging
 app.use(morgan('combined'));
 
+// Client IPs (rate limiting, attempt tracking) come from X-Forwarded-For only behind a trusted proxy
+app.set('trust proxy', config.TRUST_PROXY);
+
 // Rate limiting
 const limiter = rateLimit({
   windowMs: 15 * 60 * 1000, // 15 minutes
@@ -135,6 +139,11 @@ const startServer = async () => {
   // Attempt database connection
   const dbConnected = await connectToDatabase();
 
+  // Background jobs need the database
+  if (dbConnected) {
+    schedulerService.start();
+  }
+
   app.listen(PORT, () => {
     console.log(`🚀 NSO Backend Server running on port ${PORT}`);
     console.log(`📊 Health check: http://localhost:${PORT}/health`);
@@ -147,6 +156,7 @@ const startServer = async () => {
 // Graceful shutdown
 process.on('SIGTERM', () => {
   console.log('SIGTERM received, shutting down gracefully');
+  schedulerService.stop();
   mongoose.connection.close(() => {
     console.log('MongoDB connection closed');
     process.exit(0);
@@ -155,6 +165,7 @@ process.on('SIGTERM', () => {
 
 process.on('SIGINT', () => {
   console.log('SIGINT received, shutting down gracefully');
+  schedulerService.stop();
   mongoose.connection.close(() => {
     console.log('MongoDB connection closed');
     process.exit(0);
@@ -1,5 +1,10 @@
 const crypto = require('crypto');
 const ActivationKey = require('../models/ActivationKey');
+const KeyEvent = require('../models/KeyEvent');
+const offlineSigningService = require('./offlineSigningService');
+const keyring = require('../utils/keyring');
+const activationKeyFormat = require('../utils/activationKeyFormat');
+const activationQr = require('../utils/activationQr');
 
 /**
  * Service for managing 12-digit activation keys with offline validation
@@ -9,17 +14,21 @@ class ActivationKeyService {
   /**
    * Generate a new 12-digit activation key with user details
    * @param {Object} userDetails - User details to attach to the key
-   * @param {Object} options - Additional options (expiresAt, notes, createdBy)
+   * @param {Object} options - Additional options (expiresAt, notes, createdBy, renewalFor, maxUses, constraints, audit)
    * @returns {Promise<Object>} Generated activation key data
    */
   async generateKey(userDetails, options = {}) {
     try {
-      // Validate required user details
-      const requiredFields = ['fullName', 'email', 'role'];
-      for (const field of requiredFields) {
-        if (!userDetails[field]) {
-          throw new Error(`${field} is required`);
-        }
+      // A key that can never be used is the caller's mistake, not a generation failure
+      const notBefore = options.constraints && options.constraints.notBefore;
+      if (notBefore && new Date(notBefore) >= this._expiresAt(options)) {
+        return {
+          success: false,
+          error: options.expiresAt
+            ? 'constraints.notBefore must be before the expiration date'
+            : 'constraints.notBefore must be before the default expiration date (30 days from now)',
+          code: 'INVALID_CONSTRAINTS'
+        };
       }
 
       // Generate unique 12-digit key
@@ -41,52 +50,36 @@ class ActivationKeyService {
         throw new Error('Failed to generate unique activation key');
       }
 
-      // Prepare user data for encryption
-      const userData = {
-        fullName: userDetails.fullName,
-        email: userDetails.email,
-        phone: userDetails.phone || '',
-        role: userDetails.role,
-        facility: userDetails.facility || '',
-        state: userDetails.state || '',
-        generatedAt: new Date().toISOString(),
-        keyId: key
-      };
+      const activationKey = this.buildKey(key, userDetails, options);
+      await activationKey.save();
 
-      // Encrypt user data for offline validation
-      const encryptedUserData = ActivationKey.encryptUserData(userData, key);
-
-      // Set expiration date (default: 30 days from now)
-      const expiresAt = options.expiresAt || new Date(Date.now() + 30 * 24 * 60 * 60 * 1000);
-
-      // Create activation key record
-      const activationKey = new ActivationKey({
-        key,
-        encryptedUserData,
-        userDetails: {
-          fullName: userDetails.fullName,
-          email: userDetails.email,
-          phone: userDetails.phone || '',
-          role: userDetails.role,
-          facility: userDetails.facility || '',
-          state: userDetails.state || ''
-        },
-        expiresAt,
-        createdBy: options.createdBy,
-        notes: options.notes || ''
+      await this.recordEvent(activationKey, 'created', {
+        ...options.audit,
+        actor: options.createdBy,
+        details: {
+          ...(options.audit && options.audit.details),
+          maxUses: activationKey.maxUses,
+          expiresAt: activationKey.expiresAt,
+          ...(options.renewalFor ? { renewalFor: options.renewalFor } : {})
+        }
       });
 
-      await activationKey.save();
-
       return {
         success: true,
         data: {
+          id: activationKey._id,
           key: activationKey.key,
           userDetails: activationKey.userDetails,
           status: activationKey.status,
+          maxUses: activationKey.maxUses,
+          constraints: activationKey.constraints,
           expiresAt: activationKey.expiresAt,
           createdAt: activationKey.createdAt,
-          remainingDays: activationKey.getRemainingDays()
+          remainingDays: activationKey.getRemainingDays(),
+          offlinePayloads: {
+            v1: activationKey.encryptedUserData || null,
+            v2: activationKey.signedPayload || null
+          }
         }
       };
 
@@ -99,44 +92,230 @@ class ActivationKeyService {
     }
   }
 
+  /**
+   * Build an unsaved key document with its offline payloads (used for online keys and offline key packs)
+   * @param {string} key - 12-digit activation key
+   * @param {Object} userDetails - User details to attach to the key
+   * @param {Object} options - expiresAt, notes, createdBy, renewalFor, maxUses, constraints
+   * @returns {Object} ActivationKey document (throws on invalid details or missing payload format)
+   */
+  buildKey(key, userDetails, options = {}) {
+    // Validate required user details
+    const requiredFields = ['fullName', 'email', 'role'];
+    for (const field of requiredFields) {
+      if (!userDetails[field]) {
+        throw new Error(`${field} is required`);
+      }
+    }
+
+    const expiresAt = this._expiresAt(options);
+
+    const constraints = this._normalizeConstraints(options.constraints);
+    if (constraints.notBefore && constraints.notBefore >= new Date(expiresAt)) {
+      throw new Error('constraints.notBefore must be before the expiration date');
+    }
+
+    // Build the offline payloads enabled for the current transition window
+    let encryptedUserData;
+    let signedPayload;
+
+    if (offlineSigningService.isFormatEnabled('v1')) {
+      // Prepare user data for encryption
+      const userData = {
+        fullName: userDetails.fullName,
+        email: userDetails.email,
+        phone: userDetails.phone || '',
+        role: userDetails.role,
+        facility: userDetails.facility || '',
+        state: userDetails.state || '',
+        generatedAt: new Date().toISOString(),
+        keyId: key,
+        constraints: ActivationKey.toOfflineConstraints(constraints)
+      };
+
+      // Encrypt user data for offline validation
+      encryptedUserData = ActivationKey.encryptUserData(userData);
+    }
+
+    if (offlineSigningService.isFormatEnabled('v2')) {
+      signedPayload = this.createSignedPayload(key, userDetails, expiresAt, constraints);
+    }
+
+    if (!encryptedUserData && !signedPayload) {
+      throw new Error('No offline payload format available; configure OFFLINE_SIGNING_PRIVATE_KEY');
+    }
+
+    // Create activation key record
+    const activationKey = new ActivationKey({
+      key,
+      keyFormat: 'verhoeff',
+      encryptedUserData,
+      signedPayload,
+      userDetails: {
+        fullName: userDetails.fullName,
+        email: userDetails.email,
+        phone: userDetails.phone || '',
+        role: userDetails.role,
+        facility: userDetails.facility || '',
+        state: userDetails.state || '',
+        licenseNumber: userDetails.licenseNumber || undefined
+      },
+      expiresAt,
+      createdBy: options.createdBy,
+      renewalFor: options.renewalFor || null,
+      maxUses: options.maxUses || 1,
+      constraints,
+      notes: options.notes || ''
+    });
+
+    return activationKey;
+  }
+
   /**
    * Generate a unique 12-digit numeric key
-   * @returns {string} 12-digit key
+   * @returns {string} 12-digit key ending in a Verhoeff check digit
    */
   generateUniqueKey() {
-    let key = '';
-    for (let i = 0; i < 12; i++) {
-      key += Math.floor(Math.random() * 10).toString();
+    return activationKeyFormat.generateKey();
+  }
+
+  /**
+   * Find a key as typed by a user, telling typos apart from unknown keys
+   * @param {string|number} input - Key as typed (separators allowed)
+   * @returns {Promise<Object>} Key document or failure code
+   */
+  async lookupKey(input) {
+    const key = activationKeyFormat.normalizeKey(input);
+    const check = activationKeyFormat.checkKey(key);
+
+    if (check === 'malformed') {
+      return {
+        success: false,
+        error: 'Invalid activation key format - must be 12 digits',
+        code: 'INVALID_KEY_FORMAT'
+      };
+    }
+
+    const typo = {
+      success: false,
+      error: 'Activation key looks mistyped; please check the digits',
+      code: 'ACTIVATION_KEY_TYPO'
+    };
+
+    // A failed check digit is a typo unless legacy keys (no check digit) are still accepted
+    if (check === 'unchecked' && !activationKeyFormat.acceptsLegacyKeys()) {
+      return typo;
+    }
+
+    const activationKey = await ActivationKey.findByKey(key);
+
+    if (!activationKey || (check === 'unchecked' && activationKey.keyFormat === 'verhoeff')) {
+      return check === 'unchecked' ? typo : {
+        success: false,
+        error: 'Invalid activation key',
+        code: 'INVALID_KEY'
+      };
     }
-    return key;
+
+    return { success: true, data: { key, activationKey } };
   }
 
   /**
-   * Validate activation key for mobile app
+   * Create a v2 offline payload: claims signed with the server's Ed25519 key
    * @param {string} key - 12-digit activation key
-   * @returns {Promise<Object>} Validation result with user data
+   * @param {Object} userDetails - User details attached to the key
+   * @param {Date} expiresAt - Key expiry
+   * @param {Object} constraints - Redemption constraints of the key
+   * @returns {string|null} Signed payload, or null if no signing key is configured
    */
-  async validateKey(key) {
-    try {
-      // Find key in database
-      const activationKey = await ActivationKey.findByKey(key);
-      
-      if (!activationKey) {
+  createSignedPayload(key, userDetails, expiresAt, constraints = {}) {
+    const claims = {
+      // The app hashes the typed key to find and match its payload; the key itself is never embedded
+      keyId: crypto.createHash('sha256').update(key).digest('hex'),
+      fullName: userDetails.fullName,
+      role: userDetails.role,
+      facility: userDetails.facility || '',
+      state: userDetails.state || '',
+      constraints: ActivationKey.toOfflineConstraints(constraints),
+      iat: Math.floor(Date.now() / 1000),
+      exp: Math.floor(new Date(expiresAt).getTime() / 1000)
+    };
+    if (constraints.notBefore) {
+      claims.nbf = Math.floor(new Date(constraints.notBefore).getTime() / 1000);
+    }
+
+    return offlineSigningService.sign(claims);
+  }
+
+  /**
+   * Read the offline payload of a key, preferring the signed v2 format
+   * @param {Object} activationKey - ActivationKey document
+   * @returns {Object} Payload version and user data, or failure code
+   */
+  readOfflinePayload(activationKey) {
+    if (activationKey.signedPayload && offlineSigningService.isFormatEnabled('v2')) {
+      const verification = offlineSigningService.verify(activationKey.signedPayload);
+      if (!verification.success) {
+        return verification;
+      }
+
+      const { claims } = verification.data;
+      if (claims.keyId !== activationKey.keyHash) {
         return {
           success: false,
-          error: 'Invalid activation key',
-          code: 'INVALID_KEY'
+          error: 'Offline payload does not belong to this key',
+          code: 'PAYLOAD_KEY_MISMATCH'
         };
       }
 
+      return { success: true, data: { payloadVersion: 'v2', userData: claims } };
+    }
+
+    if (activationKey.encryptedUserData && offlineSigningService.isFormatEnabled('v1')) {
+      const userData = ActivationKey.decryptUserData(activationKey.encryptedUserData);
+      if (!userData) {
+        return {
+          success: false,
+          error: 'Failed to decrypt activation key data',
+          code: 'DECRYPTION_FAILED'
+        };
+      }
+
+      return { success: true, data: { payloadVersion: 'v1', userData } };
+    }
+
+    return {
+      success: false,
+      error: 'Activation key has no offline payload in an accepted format',
+      code: 'PAYLOAD_FORMAT_UNSUPPORTED'
+    };
+  }
+
+  /**
+   * Validate activation key for mobile app
+   * @param {string} key - 12-digit activation key
+   * @param {Object} context - Optional deviceId, platform and state to check the key's constraints against (plus ipAddress, userAgent for the audit trail)
+   * @returns {Promise<Object>} Validation result with user data
+   */
+  async validateKey(key, context = {}) {
+    try {
+      // Find key in database (check digit is verified first)
+      const lookup = await this.lookupKey(key);
+      if (!lookup.success) {
+        return lookup;
+      }
+      const { activationKey } = lookup.data;
+
       // Check if key can be used
       if (!activationKey.canUse()) {
         let reason = 'Unknown';
         if (activationKey.status === 'used') reason = 'Already used';
+        else if (activationKey.status === 'exhausted') reason = 'Quota exhausted';
         else if (activationKey.status === 'expired') reason = 'Expired';
         else if (activationKey.status === 'revoked') reason = 'Revoked';
         else if (activationKey.isExpired) reason = 'Expired';
 
+        await this.recordEvent(activationKey, 'validation_failed', { ...context, reason, code: 'KEY_UNUSABLE' });
         return {
           success: false,
           error: `Activation key cannot be used: ${reason}`,
@@ -145,25 +324,32 @@ class ActivationKeyService {
         };
       }
 
-      // Decrypt user data for offline validation
-      const userData = ActivationKey.decryptUserData(activationKey.encryptedUserData, key);
-      
-      if (!userData) {
-        return {
-          success: false,
-          error: 'Failed to decrypt activation key data',
-          code: 'DECRYPTION_FAILED'
-        };
+      // Constraints are checked for whatever the caller knows about the activation
+      const violation = activationKey.checkConstraints(context, { requireAll: false });
+      if (violation) {
+        await this.recordEvent(activationKey, 'validation_failed', { ...context, reason: violation.error, code: violation.code });
+        return { success: false, ...violation };
+      }
+
+      // Verify (v2) or decrypt (v1) the offline payload
+      const payload = this.readOfflinePayload(activationKey);
+      if (!payload.success) {
+        await this.recordEvent(activationKey, 'validation_failed', { ...context, reason: payload.error, code: payload.code });
+        return payload;
       }
 
       return {
         success: true,
         data: {
-          userData,
+          userData: payload.data.userData,
+          payloadVersion: payload.data.payloadVersion,
           keyDetails: {
             expiresAt: activationKey.expiresAt,
             remainingDays: activationKey.getRemainingDays(),
-            status: activationKey.status
+            status: activationKey.status,
+            maxUses: activationKey.maxUses,
+            remainingUses: activationKey.remainingUses,
+            constraints: ActivationKey.toOfflineConstraints(activationKey.constraints)
           }
         }
       };
@@ -179,11 +365,145 @@ class ActivationKeyService {
   }
 
   /**
-   * Use/activate a key (mark as used)
+   * Build the QR code payload of a key (the key plus its offline payloads)
+   * @param {string} keyId - ActivationKey ID
+   * @param {Object} options - offline (false for a code holding only the key)
+   * @returns {Promise<Object>} QR payload text and key summary
+   */
+  async getQrPayload(keyId, options = {}) {
+    const offline = options.offline !== false;
+
+    try {
+      const activationKey = await ActivationKey.findById(keyId);
+      if (!activationKey) {
+        return {
+          success: false,
+          error: 'Activation key not found',
+          code: 'ACTIVATION_KEY_NOT_FOUND'
+        };
+      }
+
+      if (!activationKey.canUse()) {
+        return {
+          success: false,
+          error: `Activation key cannot be used: ${activationKey.status}`,
+          code: 'KEY_UNUSABLE'
+        };
+      }
+
+      // Only embed the formats the app is currently allowed to accept
+      const payload = activationQr.encodeQrPayload({
+        key: activationKey.key,
+        encryptedUserData: offline && offlineSigningService.isFormatEnabled('v1') ? activationKey.encryptedUserData : null,
+        signedPayload: offline && offlineSigningService.isFormatEnabled('v2') ? activationKey.signedPayload : null
+      });
+
+      // Long user details and constraints can make the offline payloads outgrow a QR code
+      if (payload.length > activationQr.QR_MAX_BYTES) {
+        return {
+          success: false,
+          error: `QR payload is ${payload.length} bytes, more than a QR code holds (${activationQr.QR_MAX_BYTES}); ` +
+            'request a key-only code with offline=false, or hand the key over in an offline key pack',
+          code: 'QR_PAYLOAD_TOO_LARGE'
+        };
+      }
+
+      return {
+        success: true,
+        data: {
+          payload,
+          keyId: activationKey._id,
+          expiresAt: activationKey.expiresAt
+        }
+      };
+
+    } catch (error) {
+      console.error('Error building QR payload:', error);
+      return {
+        success: false,
+        error: 'Failed to build QR payload',
+        code: 'QR_PAYLOAD_ERROR'
+      };
+    }
+  }
+
+  /**
+   * Re-encrypt stored v1 payloads with the current keyring key
+   * @param {Object} options - batchSize, dryRun, audit
+   * @returns {Promise<Object>} Migration statistics
+   */
+  async reencryptPayloads(options = {}) {
+    const { batchSize = 200, dryRun = false } = options;
+    const { currentKeyId } = keyring.getKeyring();
+    const stats = { currentKeyId, scanned: 0, migrated: 0, alreadyCurrent: 0, failed: 0, failures: [] };
+
+    try {
+      const cursor = ActivationKey.find({ encryptedUserData: { $exists: true, $ne: null } })
+        .select('_id key encryptedUserData')
+        .lean()
+        .cursor({ batchSize });
+
+      let updates = [];
+      const flush = async () => {
+        if (updates.length > 0 && !dryRun) {
+          await ActivationKey.bulkWrite(updates, { ordered: false });
+          await this.recordEvent(updates.map(update => update.updateOne.filter._id), 'reencrypted', {
+            ...options.audit,
+            details: { keyId: currentKeyId }
+          });
+        }
+        updates = [];
+      };
+
+      for await (const doc of cursor) {
+        stats.scanned++;
+
+        if (keyring.isCurrent(doc.encryptedUserData)) {
+          stats.alreadyCurrent++;
+          continue;
+        }
+
+        const userData = ActivationKey.decryptUserData(doc.encryptedUserData);
+        if (!userData) {
+          stats.failed++;
+          stats.failures.push({ id: doc._id, keyId: keyring.getPayloadKeyId(doc.encryptedUserData) });
+          continue;
+        }
+
+        // Only replace the payload we read, in case it changed in the meantime
+        updates.push({
+          updateOne: {
+            filter: { _id: doc._id, encryptedUserData: doc.encryptedUserData },
+            update: { $set: { encryptedUserData: ActivationKey.encryptUserData(userData) } }
+          }
+        });
+        stats.migrated++;
+
+        if (updates.length >= batchSize) await flush();
+      }
+      await flush();
+
+      return { success: true, data: { ...stats, dryRun } };
+
+    } catch (error) {
+      console.error('Error re-encrypting activation key payloads:', error);
+      return {
+        success: false,
+        error: 'Failed to re-encrypt activation key payloads',
+        code: 'REENCRYPTION_ERROR',
+        data: stats
+      };
+    }
+  }
+
+  /**
+   * Use/activate a key (records a redemption against its quota)
    * @param {string} key - 12-digit activation key
+   * @param {Object} redemption - userId and deviceId of the activation
+   * @param {Object} audit - ipAddress, userAgent of the activation
    * @returns {Promise<Object>} Result of key usage
    */
-  async useKey(key) {
+  async useKey(key, redemption = {}, audit = {}) {
     try {
       const activationKey = await ActivationKey.findByKey(key);
       
@@ -196,6 +516,12 @@ class ActivationKeyService {
       }
 
       if (!activationKey.canUse()) {
+        await this.recordEvent(activationKey, 'validation_failed', {
+          ...audit,
+          deviceId: redemption.deviceId,
+          reason: `Key is ${activationKey.status}`,
+          code: 'KEY_UNUSABLE'
+        });
         return {
           success: false,
           error: 'Activation key cannot be used',
@@ -203,11 +529,37 @@ class ActivationKeyService {
         };
       }
 
-      await activationKey.use();
+      // Another activation may have taken the last use in the meantime
+      const used = await activationKey.use(redemption);
+      if (!used) {
+        await this.recordEvent(activationKey, 'validation_failed', {
+          ...audit,
+          deviceId: redemption.deviceId,
+          reason: 'Quota exhausted',
+          code: 'KEY_QUOTA_EXHAUSTED'
+        });
+        return {
+          success: false,
+          error: 'Activation key has no uses left',
+          code: 'KEY_QUOTA_EXHAUSTED'
+        };
+      }
+
+      await this.recordEvent(activationKey, 'redeemed', {
+        ...audit,
+        actor: redemption.userId,
+        deviceId: redemption.deviceId,
+        details: { usageCount: used.usageCount, maxUses: used.maxUses }
+      });
 
       return {
         success: true,
-        message: 'Activation key used successfully'
+        message: 'Activation key used successfully',
+        data: {
+          status: used.status,
+          usageCount: used.usageCount,
+          remainingUses: used.remainingUses
+        }
       };
 
     } catch (error) {
@@ -219,6 +571,141 @@ class ActivationKeyService {
     }
   }
 
+  /**
+   * Find the user a multi-use key was redeemed for on a device
+   * @param {string} key - 12-digit activation key
+   * @param {string} deviceId - Device ID
+   * @returns {Promise<string|null>} User ID, if the device redeemed the key
+   */
+  async findRedeemer(key, deviceId) {
+    if (!key || !deviceId) return null;
+
+    const activationKey = await ActivationKey.findByKey(key);
+    if (!activationKey || activationKey.maxUses <= 1) return null;
+
+    const redemption = activationKey.findRedemption(deviceId);
+    return redemption && redemption.userId ? redemption.userId : null;
+  }
+
+  /**
+   * Get the redemptions recorded against a key
+   * @param {string} keyId - ActivationKey ID
+   * @returns {Promise<Object>} Quota and redemptions
+   */
+  async getRedemptions(keyId) {
+    try {
+      const activationKey = await ActivationKey.findById(keyId)
+        .populate('redemptions.userId', 'username email firstName lastName');
+
+      if (!activationKey) {
+        return {
+          success: false,
+          error: 'Activation key not found',
+          code: 'ACTIVATION_KEY_NOT_FOUND'
+        };
+      }
+
+      return {
+        success: true,
+        data: {
+          keyId: activationKey._id,
+          status: activationKey.status,
+          maxUses: activationKey.maxUses,
+          usageCount: activationKey.usageCount,
+          remainingUses: activationKey.remainingUses,
+          redemptions: activationKey.redemptions
+        }
+      };
+
+    } catch (error) {
+      console.error('Error getting key redemptions:', error);
+      return {
+        success: false,
+        error: 'Failed to retrieve key redemptions',
+        code: 'REDEMPTIONS_ERROR'
+      };
+    }
+  }
+
+  /**
+   * Change the usage quota of a key
+   * @param {string} keyId - ActivationKey ID
+   * @param {number} maxUses - New quota
+   * @returns {Promise<Object>} Updated quota
+   */
+  async updateQuota(keyId, maxUses) {
+    try {
+      const activationKey = await ActivationKey.findById(keyId);
+
+      if (!activationKey) {
+        return {
+          success: false,
+          error: 'Activation key not found',
+          code: 'ACTIVATION_KEY_NOT_FOUND'
+        };
+      }
+
+      if (['revoked', 'expired'].includes(activationKey.status)) {
+        return {
+          success: false,
+          error: `Cannot change the quota of a ${activationKey.status} key`,
+          code: 'KEY_UNUSABLE'
+        };
+      }
+
+      // Keys used before quotas existed have no usage count but were redeemed once
+      const storedCount = activationKey.usageCount;
+      const usageCount = storedCount || (activationKey.status === 'used' ? 1 : 0);
+      if (maxUses < usageCount) {
+        return {
+          success: false,
+          error: `Key has already been redeemed ${usageCount} times`,
+          code: 'QUOTA_BELOW_USAGE'
+        };
+      }
+
+      const status = ActivationKey.statusForUsage(usageCount, maxUses);
+      // Only apply the change if no activation landed in between (compare-and-set on the count)
+      const updated = await ActivationKey.findOneAndUpdate(
+        {
+          _id: keyId,
+          usageCount: storedCount === 0 ? { $in: [0, null] } : storedCount,
+          status: activationKey.status
+        },
+        { $set: { maxUses, usageCount, status } },
+        { new: true }
+      );
+
+      if (!updated) {
+        return {
+          success: false,
+          error: 'Key was redeemed while updating; please retry',
+          code: 'QUOTA_UPDATE_CONFLICT'
+        };
+      }
+
+      return {
+        success: true,
+        data: {
+          keyId: updated._id,
+          status: updated.status,
+          previousMaxUses: activationKey.maxUses,
+          maxUses: updated.maxUses,
+          usageCount: updated.usageCount,
+          remainingUses: updated.remainingUses
+        }
+      };
+
+    } catch (error) {
+      console.error('Error updating key quota:', error);
+      return {
+        success: false,
+        error: 'Failed to update key quota',
+        code: 'QUOTA_UPDATE_ERROR'
+      };
+    }
+  }
+
   /**
    * Get all activation keys with filtering and pagination
    * @param {Object} filters - Filter options
@@ -274,9 +761,10 @@ class ActivationKeyService {
    * @param {string} key - 12-digit activation key
    * @param {string} revokedBy - User ID who revoked the key
    * @param {string} reason - Reason for revocation
+   * @param {Object} audit - ipAddress, userAgent of the request
    * @returns {Promise<Object>} Revocation result
    */
-  async revokeKey(key, revokedBy, reason) {
+  async revokeKey(key, revokedBy, reason, audit = {}) {
     try {
       const activationKey = await ActivationKey.findByKey(key);
       
@@ -297,6 +785,7 @@ class ActivationKeyService {
       }
 
       await activationKey.revoke(revokedBy, reason);
+      await this.recordEvent(activationKey, 'revoked', { ...audit, actor: revokedBy, reason });
 
       return {
         success: true,
@@ -311,6 +800,106 @@ class ActivationKeyService {
       };
     }
   }
+
+  /**
+   * Append an event to the audit trail of one or more keys
+   * @param {Object|Array} activationKeys - Key document(s) or ID(s)
+   * @param {string} event - KeyEvent event name
+   * @param {Object} context - actor, ipAddress, userAgent, deviceId, reason, code, details
+   * @returns {Promise<void>} Resolves even if the event could not be written
+   */
+  async recordEvent(activationKeys, event, context = {}) {
+    const keyIds = [].concat(activationKeys).filter(Boolean).map(key => key._id || key);
+    if (keyIds.length === 0) return;
+
+    const entry = {
+      event,
+      actor: context.actor || null,
+      ipAddress: context.ipAddress,
+      userAgent: context.userAgent ? String(context.userAgent).slice(0, 500) : undefined,
+      deviceId: context.deviceId,
+      reason: context.reason ? String(context.reason).slice(0, 500) : undefined,
+      code: context.code,
+      details: context.details || {}
+    };
+
+    // The audit trail must never fail the action it describes
+    try {
+      await KeyEvent.insertMany(keyIds.map(activationKeyId => ({ ...entry, activationKeyId })), { ordered: false });
+    } catch (error) {
+      console.error(`Error recording ${event} key event:`, error);
+    }
+  }
+
+  /**
+   * Get the audit trail of a key, oldest first
+   * @param {string} keyId - ActivationKey ID
+   * @param {Object} filters - event
+   * @param {Object} pagination - page, limit
+   * @returns {Promise<Object>} Key summary and events
+   */
+  async getKeyHistory(keyId, filters = {}, pagination = {}) {
+    try {
+      const { page = 1, limit = 50 } = pagination;
+      const query = { activationKeyId: keyId };
+      if (filters.event) query.event = filters.event;
+
+      const [activationKey, events, total] = await Promise.all([
+        ActivationKey.findById(keyId)
+          .select('status userDetails.fullName userDetails.email maxUses usageCount expiresAt createdBy createdAt revokedBy revokedAt')
+          .populate('createdBy', 'username email')
+          .populate('revokedBy', 'username email'),
+        KeyEvent.find(query)
+          .populate('actor', 'username email role')
+          .sort({ createdAt: 1, _id: 1 })
+          .skip((page - 1) * limit)
+          .limit(limit),
+        KeyEvent.countDocuments(query)
+      ]);
+
+      // Events outlive deleted keys, so a key with history is still found
+      if (!activationKey && total === 0) {
+        return {
+          success: false,
+          error: 'Activation key not found',
+          code: 'ACTIVATION_KEY_NOT_FOUND'
+        };
+      }
+
+      return {
+        success: true,
+        data: {
+          keyId,
+          activationKey,
+          events,
+          pagination: { page, limit, total, pages: Math.ceil(total / limit) }
+        }
+      };
+
+    } catch (error) {
+      console.error('Error getting key history:', error);
+      return {
+        success: false,
+        error: 'Failed to retrieve key history',
+        code: 'KEY_HISTORY_ERROR'
+      };
+    }
+  }
+
+  _normalizeConstraints(constraints) {
+    constraints = constraints || {};
+    return {
+      states: (constraints.states || []).map(state => String(state).trim()).filter(Boolean),
+      platforms: [...new Set((constraints.platforms || []).map(platform => String(platform).toLowerCase()))],
+      notBefore: constraints.notBefore ? new Date(constraints.notBefore) : null,
+      deviceId: constraints.deviceId ? String(constraints.deviceId).trim() : null
+    };
+  }
+
+  _expiresAt(options) {
+    // Default: 30 days from now
+    return options.expiresAt ? new Date(options.expiresAt) : new Date(Date.now() + 30 * 24 * 60 * 60 * 1000);
+  }
 }
 
 module.exports = new ActivationKeyService();
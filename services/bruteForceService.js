@@ -0,0 +1,220 @@
+const AuthAttempt = require('../models/AuthAttempt');
+const config = require('../config');
+
+const MINUTE = 60 * 1000;
+const KEY_PREFIX_LENGTH = 4;
+
+/**
+ * Service for slowing down activation key guessing.
+ *
+ * Failed /auth/activate and /auth/login attempts are counted per client IP,
+ * per deviceId and per key prefix. Past a number of free attempts each
+ * further failure blocks the identifier for an exponentially growing
+ * period; devices that keep failing are banned for a longer time.
+ */
+class BruteForceService {
+
+  /**
+   * Build the identifiers an auth request is tracked under
+   * @param {Object} req - Express request
+   * @param {string} normalizedKey - Activation key digits, if any
+   * @returns {Object} ip, deviceId and keyPrefix
+   */
+  getContext(req, normalizedKey) {
+    return {
+      ip: req.ip,
+      deviceId: req.body.deviceId || req.headers['x-device-id'],
+      keyPrefix: normalizedKey && normalizedKey.length >= KEY_PREFIX_LENGTH
+        ? normalizedKey.slice(0, KEY_PREFIX_LENGTH)
+        : undefined,
+      path: req.originalUrl
+    };
+  }
+
+  /**
+   * Check whether any identifier of the request is currently blocked
+   * @param {Object} context - Identifiers from getContext
+   * @returns {Promise<Object>} Block status
+   */
+  async check(context) {
+    const entries = await AuthAttempt.find({
+      $or: this._filters(context),
+      blockedUntil: { $gt: new Date() }
+    }).lean();
+
+    return this._toBlockStatus(entries);
+  }
+
+  /**
+   * Record a failed attempt and block identifiers that exceeded their allowance
+   * @param {Object} context - Identifiers from getContext
+   * @param {Object} options - weight (how much the failure counts, default 1)
+   * @returns {Promise<Object>} Block status after this failure
+   */
+  async recordFailure(context, options = {}) {
+    const weight = options.weight === undefined ? 1 : options.weight;
+    const now = new Date();
+    const windowMs = config.BRUTE_FORCE_WINDOW_MINUTES * MINUTE;
+    const entries = [];
+
+    for (const filter of this._filters(context)) {
+      // Start a fresh window once the previous one is over (bans are kept)
+      await AuthAttempt.updateOne(
+        { ...filter, windowStartedAt: { $lt: new Date(now - windowMs) }, banned: false },
+        { $set: { failures: 0, windowStartedAt: now } }
+      );
+
+      const entry = await AuthAttempt.findOneAndUpdate(
+        filter,
+        {
+          $inc: { failures: weight },
+          $set: { lastFailureAt: now, lastPath: context.path },
+          $setOnInsert: { windowStartedAt: now, expiresAt: new Date(now.getTime() + windowMs) }
+        },
+        { upsert: true, new: true }
+      );
+
+      const update = this._blockFor(entry, now);
+      if (update) {
+        Object.assign(entry, update);
+        await AuthAttempt.updateOne({ _id: entry._id }, { $set: update });
+      } else {
+        await AuthAttempt.updateOne(
+          { _id: entry._id, expiresAt: { $lt: new Date(now.getTime() + windowMs) } },
+          { $set: { expiresAt: new Date(now.getTime() + windowMs) } }
+        );
+      }
+
+      entries.push(entry);
+    }
+
+    return this._toBlockStatus(entries.filter(e => e.blockedUntil && e.blockedUntil > now));
+  }
+
+  /**
+   * Clear the failure count of a device after a successful attempt
+   * @param {Object} context - Identifiers from getContext
+   */
+  async recordSuccess(context) {
+    if (!context.deviceId) return;
+
+    await AuthAttempt.updateOne(
+      { scope: 'device', identifier: context.deviceId, banned: false },
+      { $set: { failures: 0, windowStartedAt: new Date() } }
+    );
+  }
+
+  /**
+   * List identifiers that are currently blocked or banned
+   * @param {Object} filters - scope, includeExpired
+   * @param {Object} pagination - page, limit
+   * @returns {Promise<Object>} Blocks with pagination
+   */
+  async getBlocks(filters = {}, pagination = {}) {
+    const { page = 1, limit = 20 } = pagination;
+    const query = {};
+    if (filters.scope) query.scope = filters.scope;
+    if (!filters.includeExpired) query.blockedUntil = { $gt: new Date() };
+
+    const [blocks, total] = await Promise.all([
+      AuthAttempt.find(query)
+        .populate('unblockedBy', 'username email')
+        .sort({ lastFailureAt: -1 })
+        .skip((page - 1) * limit)
+        .limit(limit),
+      AuthAttempt.countDocuments(query)
+    ]);
+
+    return {
+      blocks: blocks.map(block => ({ ...block.toJSON(), isBlocked: block.isBlocked })),
+      pagination: { page, limit, total, pages: Math.ceil(total / limit) }
+    };
+  }
+
+  /**
+   * Lift a block or ban manually
+   * @param {string} blockId - AuthAttempt ID
+   * @param {string} adminId - Admin user ID
+   * @returns {Promise<Object>} Unblock result
+   */
+  async unblock(blockId, adminId) {
+    const now = new Date();
+    const entry = await AuthAttempt.findByIdAndUpdate(
+      blockId,
+      {
+        $set: {
+          failures: 0,
+          windowStartedAt: now,
+          blockedUntil: null,
+          banned: false,
+          bannedAt: null,
+          unblockedBy: adminId,
+          unblockedAt: now,
+          expiresAt: new Date(now.getTime() + config.BRUTE_FORCE_WINDOW_MINUTES * MINUTE)
+        }
+      },
+      { new: true }
+    );
+
+    if (!entry) {
+      return { success: false, error: 'Block not found', code: 'BLOCK_NOT_FOUND' };
+    }
+
+    return { success: true, data: { block: entry } };
+  }
+
+  _filters(context) {
+    const filters = [];
+    if (context.ip) filters.push({ scope: 'ip', identifier: context.ip });
+    if (context.deviceId) filters.push({ scope: 'device', identifier: context.deviceId });
+    if (context.keyPrefix) filters.push({ scope: 'keyPrefix', identifier: context.keyPrefix });
+    return filters;
+  }
+
+  _blockFor(entry, now) {
+    // Devices that keep failing are banned outright for a longer period
+    if (entry.scope === 'device' && entry.failures >= config.BRUTE_FORCE_DEVICE_BAN_THRESHOLD) {
+      const bannedUntil = new Date(now.getTime() + config.BRUTE_FORCE_DEVICE_BAN_HOURS * 60 * MINUTE);
+      return { banned: true, bannedAt: entry.bannedAt || now, blockedUntil: bannedUntil, expiresAt: bannedUntil };
+    }
+
+    // Key prefixes are shared by legitimate users, so they get a larger allowance
+    const freeAttempts = entry.scope === 'keyPrefix'
+      ? config.BRUTE_FORCE_FREE_ATTEMPTS * 4
+      : config.BRUTE_FORCE_FREE_ATTEMPTS;
+    // Lighter failures count fractionally; the delay doubles per whole failure over the allowance
+    const excess = Math.ceil(entry.failures - freeAttempts);
+    if (excess <= 0) return null;
+
+    const delayMs = Math.min(
+      config.BRUTE_FORCE_BASE_DELAY_SECONDS * 1000 * Math.pow(2, excess - 1),
+      config.BRUTE_FORCE_MAX_DELAY_MINUTES * MINUTE
+    );
+    const blockedUntil = new Date(now.getTime() + delayMs);
+    const windowEnd = new Date(entry.windowStartedAt.getTime() + config.BRUTE_FORCE_WINDOW_MINUTES * MINUTE);
+
+    return { blockedUntil, expiresAt: blockedUntil > windowEnd ? blockedUntil : windowEnd };
+  }
+
+  _toBlockStatus(entries) {
+    if (entries.length === 0) {
+      return { blocked: false };
+    }
+
+    const banned = entries.find(entry => entry.banned);
+    const until = new Date(Math.max(...entries.map(entry => new Date(entry.blockedUntil).getTime())));
+
+    return {
+      blocked: true,
+      code: banned ? 'DEVICE_BANNED' : 'TOO_MANY_ATTEMPTS',
+      error: banned
+        ? 'This device has been temporarily banned after repeated failed attempts'
+        : 'Too many failed attempts; please try again later',
+      scopes: entries.map(entry => entry.scope),
+      blockedUntil: until,
+      retryAfter: Math.max(1, Math.ceil((until - Date.now()) / 1000))
+    };
+  }
+}
+
+module.exports = new BruteForceService();
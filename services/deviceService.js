@@ -0,0 +1,300 @@
+const Device = require('../models/Device');
+const User = require('../models/User');
+const config = require('../config');
+const tokenService = require('./tokenService');
+
+/**
+ * Service for the per-user device registry.
+ *
+ * A user may have several devices bound to their account. Each role has a
+ * limit on active devices; devices registered beyond the limit are parked as
+ * pending until an admin approves them or revokes another device.
+ */
+class DeviceService {
+
+  /**
+   * Get the maximum number of active devices for a role
+   * @param {string} role - User role
+   * @returns {number} Device limit
+   */
+  getDeviceLimit(role) {
+    const limits = config.DEVICE_LIMITS || {};
+    const limit = parseInt(limits[role], 10);
+    return Number.isInteger(limit) && limit > 0 ? limit : limits.default;
+  }
+
+  /**
+   * Find the user a device is currently bound to
+   * @param {string} deviceId - Device ID
+   * @returns {Promise<Object|null>} Owning user ID or null
+   */
+  async findDeviceOwner(deviceId) {
+    const device = await Device.findOne({
+      deviceId,
+      status: { $in: ['active', 'pending'] }
+    }).select('userId').lean();
+    if (device) return device.userId;
+
+    // Bindings made before the registry existed only live on the user
+    const legacyUser = await User.findOne({ deviceId }).select('_id').lean();
+    return legacyUser ? legacyUser._id : null;
+  }
+
+  /**
+   * Register a device for a user, respecting the role's device limit
+   * @param {Object} user - User document
+   * @param {string} deviceId - Device ID
+   * @param {Object} deviceInfo - Device details sent by the app
+   * @param {Object} options - approvedBy to register as an admin (ignores the limit)
+   * @returns {Promise<Object>} Registration result
+   */
+  async registerDevice(user, deviceId, deviceInfo = {}, options = {}) {
+    try {
+      const ownerId = await this.findDeviceOwner(deviceId);
+      if (ownerId && ownerId.toString() !== user._id.toString()) {
+        return {
+          success: false,
+          error: 'Device already registered to another user',
+          code: 'DEVICE_ALREADY_REGISTERED'
+        };
+      }
+
+      let device = await Device.findOne({ userId: user._id, deviceId });
+
+      if (device && device.status === 'revoked' && !options.approvedBy) {
+        return {
+          success: false,
+          error: 'Device has been revoked',
+          code: 'DEVICE_REVOKED'
+        };
+      }
+
+      if (device && device.status === 'pending' && !options.approvedBy) {
+        await device.touch(deviceInfo);
+        return {
+          success: false,
+          error: 'Device is awaiting admin approval',
+          code: 'DEVICE_PENDING_APPROVAL',
+          data: { device }
+        };
+      }
+
+      if (device && device.status === 'active') {
+        await device.touch(deviceInfo);
+        return { success: true, data: { device } };
+      }
+
+      const activeCount = await Device.countDocuments({ userId: user._id, status: 'active' });
+      const limit = this.getDeviceLimit(user.role);
+      const withinLimit = activeCount < limit || !!options.approvedBy;
+
+      if (!device) {
+        device = new Device({ userId: user._id, deviceId });
+      }
+
+      device.set({
+        ...Device.detailsFromDeviceInfo(deviceInfo),
+        status: withinLimit ? 'active' : 'pending',
+        lastSeenAt: new Date(),
+        approvedBy: options.approvedBy || null,
+        approvedAt: options.approvedBy ? new Date() : null,
+        revokedBy: null,
+        revokedAt: null,
+        revocationReason: undefined
+      });
+      await device.save();
+
+      if (!withinLimit) {
+        return {
+          success: false,
+          error: `Device limit of ${limit} reached; the new device is awaiting admin approval`,
+          code: 'DEVICE_LIMIT_REACHED',
+          data: { device, limit }
+        };
+      }
+
+      return { success: true, data: { device } };
+
+    } catch (error) {
+      console.error('Error registering device:', error);
+      return {
+        success: false,
+        error: 'Device registration failed',
+        code: 'DEVICE_REGISTRATION_ERROR'
+      };
+    }
+  }
+
+  /**
+   * Get the devices bound to a user
+   * @param {string} userId - User ID
+   * @param {Object} filters - Optional status filter
+   * @returns {Promise<Array>} Device records, most recently seen first
+   */
+  async getUserDevices(userId, filters = {}) {
+    const query = { userId };
+    if (filters.status) query.status = filters.status;
+
+    return Device.find(query)
+      .populate('approvedBy', 'username firstName lastName')
+      .populate('revokedBy', 'username firstName lastName')
+      .sort({ lastSeenAt: -1 })
+      .lean();
+  }
+
+  /**
+   * Approve a pending (or re-enable a revoked) device binding
+   * @param {string} deviceRecordId - Device record ID
+   * @param {string} approvedBy - Admin user ID
+   * @returns {Promise<Object>} Approval result
+   */
+  async approveDevice(deviceRecordId, approvedBy) {
+    try {
+      const device = await Device.findById(deviceRecordId);
+      if (!device) {
+        return { success: false, error: 'Device not found', code: 'DEVICE_NOT_FOUND' };
+      }
+
+      if (device.status === 'active') {
+        return { success: false, error: 'Device is already active', code: 'DEVICE_ALREADY_ACTIVE' };
+      }
+
+      const ownerId = await this.findDeviceOwner(device.deviceId);
+      if (ownerId && ownerId.toString() !== device.userId.toString()) {
+        return {
+          success: false,
+          error: 'Device is bound to another user; transfer it instead',
+          code: 'DEVICE_ALREADY_REGISTERED'
+        };
+      }
+
+      device.set({
+        status: 'active',
+        approvedBy,
+        approvedAt: new Date(),
+        revokedBy: null,
+        revokedAt: null,
+        revocationReason: undefined
+      });
+      await device.save();
+
+      return { success: true, data: { device } };
+
+    } catch (error) {
+      console.error('Error approving device:', error);
+      return { success: false, error: 'Failed to approve device', code: 'APPROVE_DEVICE_ERROR' };
+    }
+  }
+
+  /**
+   * Revoke a device binding and end the sessions opened from it
+   * @param {string} deviceRecordId - Device record ID
+   * @param {string} revokedBy - Admin user ID
+   * @param {string} reason - Reason for revocation
+   * @returns {Promise<Object>} Revocation result
+   */
+  async revokeDevice(deviceRecordId, revokedBy, reason) {
+    try {
+      const device = await Device.findById(deviceRecordId);
+      if (!device) {
+        return { success: false, error: 'Device not found', code: 'DEVICE_NOT_FOUND' };
+      }
+
+      if (device.status === 'revoked') {
+        return { success: false, error: 'Device is already revoked', code: 'DEVICE_ALREADY_REVOKED' };
+      }
+
+      device.set({
+        status: 'revoked',
+        revokedBy,
+        revokedAt: new Date(),
+        revocationReason: reason || 'Revoked by admin'
+      });
+      await device.save();
+
+      await this._releaseLegacyBinding(device.userId, device.deviceId);
+      await tokenService.revokeUserTokens(device.userId, 'device_revoked', { deviceId: device.deviceId });
+
+      return { success: true, data: { device } };
+
+    } catch (error) {
+      console.error('Error revoking device:', error);
+      return { success: false, error: 'Failed to revoke device', code: 'REVOKE_DEVICE_ERROR' };
+    }
+  }
+
+  /**
+   * Move a device binding to another user (e.g. a handed-over facility phone)
+   * @param {string} deviceRecordId - Device record ID
+   * @param {string} toUserId - User ID receiving the device
+   * @param {string} actorId - Admin user ID
+   * @param {string} reason - Reason for the transfer
+   * @returns {Promise<Object>} Transfer result
+   */
+  async transferDevice(deviceRecordId, toUserId, actorId, reason) {
+    try {
+      const device = await Device.findById(deviceRecordId);
+      if (!device) {
+        return { success: false, error: 'Device not found', code: 'DEVICE_NOT_FOUND' };
+      }
+
+      if (device.userId.toString() === toUserId.toString()) {
+        return { success: false, error: 'Device already belongs to this user', code: 'DEVICE_TRANSFER_SAME_USER' };
+      }
+
+      const targetUser = await User.findById(toUserId).select('_id isActive');
+      if (!targetUser || !targetUser.isActive) {
+        return { success: false, error: 'Target user not found or inactive', code: 'USER_NOT_FOUND' };
+      }
+
+      const now = new Date();
+      const fromUserId = device.userId;
+
+      device.set({
+        status: 'revoked',
+        revokedBy: actorId,
+        revokedAt: now,
+        revocationReason: reason || `Transferred to user ${toUserId}`
+      });
+      await device.save();
+
+      const transferred = await Device.findOneAndUpdate(
+        { userId: toUserId, deviceId: device.deviceId },
+        {
+          $set: {
+            platform: device.platform,
+            model: device.model,
+            osVersion: device.osVersion,
+            appVersion: device.appVersion,
+            status: 'active',
+            lastSeenAt: now,
+            approvedBy: actorId,
+            approvedAt: now,
+            transferredFrom: fromUserId,
+            revokedBy: null,
+            revokedAt: null
+          },
+          $unset: { revocationReason: '' },
+          $setOnInsert: { firstSeenAt: now }
+        },
+        { upsert: true, new: true, runValidators: true }
+      );
+
+      await this._releaseLegacyBinding(fromUserId, device.deviceId);
+      await tokenService.revokeUserTokens(fromUserId, 'device_transferred', { deviceId: device.deviceId });
+
+      return { success: true, data: { device: transferred, previous: device } };
+
+    } catch (error) {
+      console.error('Error transferring device:', error);
+      return { success: false, error: 'Failed to transfer device', code: 'TRANSFER_DEVICE_ERROR' };
+    }
+  }
+
+  // User.deviceId is unique, so a released device must be cleared from its old owner
+  async _releaseLegacyBinding(userId, deviceId) {
+    await User.updateOne({ _id: userId, deviceId }, { $unset: { deviceId: '' } });
+  }
+}
+
+module.exports = new DeviceService();
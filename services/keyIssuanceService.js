@@ -0,0 +1,312 @@
+const { validationResult } = require('express-validator');
+const ActivationKey = require('../models/ActivationKey');
+const KeyIssuanceBatch = require('../models/KeyIssuanceBatch');
+const activationKeyService = require('./activationKeyService');
+const { activationKeyUserDetailsRules } = require('../middleware/validation');
+const { parseCsv, toCsv } = require('../utils/csv');
+const config = require('../config');
+
+// Accepted spellings of each CSV column (compared lowercase, without spaces/underscores)
+const COLUMN_ALIASES = {
+  fullName: ['fullname', 'name'],
+  email: ['email', 'emailaddress'],
+  phone: ['phone', 'phonenumber', 'mobile'],
+  role: ['role'],
+  facility: ['facility', 'facilityname'],
+  state: ['state']
+};
+const REQUIRED_COLUMNS = ['fullName', 'email', 'role'];
+const REPORT_COLUMNS = ['rowNumber', 'fullName', 'email', 'phone', 'role', 'facility', 'state', 'status', 'key', 'messages'];
+
+// Persist progress every N rows so the status endpoint stays current
+const PROGRESS_SAVE_INTERVAL = 25;
+
+// A batch that stops again after this many resumes is failed instead
+const MAX_BATCH_RESUMES = 3;
+
+const MINUTE = 60 * 1000;
+
+/**
+ * Service for issuing activation keys in bulk from a CSV upload.
+ *
+ * Rows are validated when the file is uploaded; keys are then generated
+ * in the background and each row records its outcome for the report.
+ */
+class KeyIssuanceService {
+
+  /**
+   * Parse and validate an uploaded CSV and store it as a pending batch
+   * @param {string} csvText - CSV file content
+   * @param {Object} options - fileName, createdBy, expiresAt, notes
+   * @returns {Promise<Object>} Created batch or failure code
+   */
+  async createBatch(csvText, options = {}) {
+    try {
+      const parsed = await this.parseRows(csvText);
+      if (!parsed.success) {
+        return parsed;
+      }
+      const { rows } = parsed.data;
+
+      const batch = new KeyIssuanceBatch({
+        fileName: options.fileName,
+        createdBy: options.createdBy,
+        expiresAt: options.expiresAt || null,
+        notes: options.notes,
+        totalRows: rows.length,
+        rows
+      });
+      batch.updateSummary();
+      await batch.save();
+
+      return { success: true, data: { batch } };
+
+    } catch (error) {
+      console.error('Error creating key issuance batch:', error);
+      return {
+        success: false,
+        error: 'Failed to create key issuance batch',
+        code: 'BATCH_CREATION_ERROR'
+      };
+    }
+  }
+
+  /**
+   * Parse and validate the user rows of a key issuance CSV
+   * @param {string} csvText - CSV file content
+   * @returns {Promise<Object>} Rows ('pending', 'invalid' or 'duplicate_email'), or failure code
+   */
+  async parseRows(csvText) {
+    const [header, ...records] = parseCsv(csvText);
+
+    if (!header || records.length === 0) {
+      return {
+        success: false,
+        error: 'CSV file has no data rows',
+        code: 'CSV_EMPTY'
+      };
+    }
+
+    const columnIndex = this._mapColumns(header);
+    const missing = REQUIRED_COLUMNS.filter(column => columnIndex[column] === undefined);
+    if (missing.length > 0) {
+      return {
+        success: false,
+        error: `CSV is missing required columns: ${missing.join(', ')}`,
+        code: 'CSV_MISSING_COLUMNS'
+      };
+    }
+
+    if (records.length > config.BULK_KEY_MAX_ROWS) {
+      return {
+        success: false,
+        error: `CSV has ${records.length} rows; the limit is ${config.BULK_KEY_MAX_ROWS}`,
+        code: 'CSV_TOO_MANY_ROWS'
+      };
+    }
+
+    const seenEmails = new Set();
+    const rows = [];
+
+    for (let i = 0; i < records.length; i++) {
+      const userDetails = {};
+      for (const [column, index] of Object.entries(columnIndex)) {
+        userDetails[column] = (records[i][index] || '').trim();
+      }
+      userDetails.email = userDetails.email.toLowerCase();
+
+      // Header is line 1, so data rows start at 2 (matches what spreadsheets show)
+      const row = { rowNumber: i + 2, ...userDetails, status: 'pending', messages: [] };
+
+      const messages = await this._validateRow(userDetails);
+      if (messages.length > 0) {
+        row.status = 'invalid';
+        row.messages = messages;
+      } else if (seenEmails.has(userDetails.email)) {
+        row.status = 'duplicate_email';
+        row.messages = ['Email appears earlier in this file'];
+      }
+
+      if (userDetails.email) seenEmails.add(userDetails.email);
+      rows.push(row);
+    }
+
+    return { success: true, data: { rows } };
+  }
+
+  /**
+   * Process a batch in the background
+   * @param {string} batchId - Batch ID
+   */
+  startBatch(batchId) {
+    setImmediate(() => {
+      this.processBatch(batchId).catch(error => {
+        console.error('Key issuance batch error:', error);
+      });
+    });
+  }
+
+  /**
+   * Generate keys for every pending row of a batch
+   * @param {string} batchId - Batch ID
+   * @returns {Promise<Object>} Processed batch
+   */
+  async processBatch(batchId) {
+    const batch = await KeyIssuanceBatch.findById(batchId);
+    if (!batch || batch.status === 'completed') {
+      return batch;
+    }
+
+    batch.status = 'processing';
+    batch.startedAt = batch.startedAt || new Date();
+    await batch.save();
+
+    try {
+      let sinceSave = 0;
+
+      for (const row of batch.rows) {
+        if (row.status !== 'pending') continue;
+
+        await this._issueRow(batch, row);
+
+        if (++sinceSave >= PROGRESS_SAVE_INTERVAL) {
+          batch.updateSummary();
+          await batch.save();
+          sinceSave = 0;
+        }
+      }
+
+      batch.status = 'completed';
+      batch.completedAt = new Date();
+    } catch (error) {
+      console.error('Error processing key issuance batch:', error);
+      batch.status = 'failed';
+      batch.failureReason = error.message;
+    }
+
+    batch.updateSummary();
+    await batch.save();
+    return batch;
+  }
+
+  /**
+   * Resume batches left 'processing' by a restart (no progress saved for
+   * KEY_ISSUANCE_BATCH_TIMEOUT_MINUTES), or fail them after MAX_BATCH_RESUMES
+   * @returns {Promise<Object>} counts and errors
+   */
+  async recoverStuckBatches() {
+    const staleBefore = new Date(Date.now() - config.KEY_ISSUANCE_BATCH_TIMEOUT_MINUTES * MINUTE);
+    const counts = { resumed: 0, failed: 0 };
+    const errors = [];
+
+    const stuck = await KeyIssuanceBatch.find({ status: 'processing', updatedAt: { $lt: staleBefore } })
+      .select('_id resumeCount')
+      .lean();
+
+    for (const { _id, resumeCount } of stuck) {
+      try {
+        const giveUp = resumeCount >= MAX_BATCH_RESUMES;
+
+        // Claimed only while still stale, so a batch another server picked up is left alone
+        const claimed = await KeyIssuanceBatch.findOneAndUpdate(
+          { _id, status: 'processing', updatedAt: { $lt: staleBefore } },
+          giveUp
+            ? { $set: { status: 'failed', failureReason: `Processing stopped ${resumeCount + 1} times without finishing` } }
+            : { $inc: { resumeCount: 1 } }
+        );
+        if (!claimed) continue;
+
+        if (giveUp) {
+          counts.failed++;
+          continue;
+        }
+
+        // Rows already issued are skipped; pending rows are issued as usual
+        const batch = await this.processBatch(_id);
+        if (batch.status === 'failed') {
+          counts.failed++;
+        } else {
+          counts.resumed++;
+        }
+      } catch (error) {
+        errors.push(`Batch ${_id}: ${error.message}`);
+      }
+    }
+
+    return { counts, errors };
+  }
+
+  /**
+   * Build the per-row result report as CSV
+   * @param {Object} batch - KeyIssuanceBatch document
+   * @returns {string} CSV content
+   */
+  buildReport(batch) {
+    const records = batch.rows.map(row => ({
+      ...(row.toObject ? row.toObject() : row),
+      messages: (row.messages || []).join('; ')
+    }));
+    return toCsv(records, REPORT_COLUMNS);
+  }
+
+  async _issueRow(batch, row) {
+    // Keys already issued to this email (and still usable or used) make the row a duplicate
+    const existing = await ActivationKey.exists({
+      'userDetails.email': row.email,
+      status: { $in: ['unused', 'used', 'exhausted'] }
+    });
+    if (existing) {
+      row.status = 'duplicate_email';
+      row.messages = ['An activation key already exists for this email'];
+      return;
+    }
+
+    const result = await activationKeyService.generateKey({
+      fullName: row.fullName,
+      email: row.email,
+      phone: row.phone,
+      role: row.role,
+      facility: row.facility,
+      state: row.state
+    }, {
+      expiresAt: batch.expiresAt || undefined,
+      notes: batch.notes || `Bulk issuance ${batch._id}`,
+      createdBy: batch.createdBy,
+      audit: { details: { batchId: batch._id } }
+    });
+
+    if (!result.success) {
+      row.status = 'failed';
+      row.messages = [result.error || 'Key generation failed'];
+      return;
+    }
+
+    row.status = 'created';
+    row.key = result.data.key;
+    row.activationKeyId = result.data.id;
+  }
+
+  async _validateRow(userDetails) {
+    // Run the same express-validator chains as POST /admin/activation-keys
+    const req = { body: { userDetails: { ...userDetails } } };
+    for (const rule of activationKeyUserDetailsRules) {
+      await rule.run(req);
+    }
+    return validationResult(req).array().map(error => error.msg);
+  }
+
+  _mapColumns(header) {
+    const columnIndex = {};
+    header.forEach((name, index) => {
+      const normalized = name.toLowerCase().replace(/[\s_-]/g, '');
+      for (const [column, aliases] of Object.entries(COLUMN_ALIASES)) {
+        if (aliases.includes(normalized) && columnIndex[column] === undefined) {
+          columnIndex[column] = index;
+        }
+      }
+    });
+    return columnIndex;
+  }
+}
+
+module.exports = new KeyIssuanceService();
@@ -0,0 +1,126 @@
+const ActivationKey = require('../models/ActivationKey');
+const User = require('../models/User');
+const notificationService = require('./notificationService');
+const config = require('../config');
+const { isValidPhone } = require('../utils/helpers');
+
+const DAY = 24 * 60 * 60 * 1000;
+
+/**
+ * Service for the scheduled activation key lifecycle.
+ *
+ * Keys only expire through the save hook when something saves them, so the
+ * lifecycle job expires stale keys in bulk and reminds users whose licence
+ * expires within one of the LICENSE_REMINDER_DAYS thresholds.
+ */
+class KeyLifecycleService {
+
+  /**
+   * Run the lifecycle job once
+   * @param {Object} options - now (Date) for the cut-off
+   * @returns {Promise<Object>} counts and errors
+   */
+  async run(options = {}) {
+    const now = options.now || new Date();
+    const errors = [];
+
+    const expiredKeys = await this.expireStaleKeys(now);
+    const reminders = await this.sendExpiryReminders(now, errors);
+
+    return {
+      counts: { expiredKeys, ...reminders },
+      errors
+    };
+  }
+
+  /**
+   * Mark unused keys past their expiry as expired
+   * @param {Date} now - Cut-off
+   * @returns {Promise<number>} Number of keys expired
+   */
+  async expireStaleKeys(now = new Date()) {
+    const result = await ActivationKey.updateMany(
+      { status: 'unused', expiresAt: { $lte: now } },
+      { $set: { status: 'expired' } }
+    );
+    return result.modifiedCount;
+  }
+
+  /**
+   * Flag users whose licence expires within a reminder threshold and queue their reminders
+   * @param {Date} now - Reference time
+   * @param {Array} errors - Collects per-user error messages
+   * @returns {Promise<Object>} usersReminded, per-threshold counts, notificationsSent, notificationsFailed
+   */
+  async sendExpiryReminders(now = new Date(), errors = []) {
+    const thresholds = [...config.LICENSE_REMINDER_DAYS].sort((a, b) => a - b);
+    const counts = {
+      usersReminded: 0,
+      byThreshold: Object.fromEntries(thresholds.map(days => [days, 0])),
+      notificationsSent: 0,
+      notificationsFailed: 0
+    };
+    if (thresholds.length === 0) return counts;
+
+    const cursor = User.find({
+      isActive: true,
+      activationKeyExpires: { $gt: now, $lte: new Date(now.getTime() + thresholds[thresholds.length - 1] * DAY) }
+    }).select('email firstName contactInfo activationKeyExpires licenseReminders').cursor();
+
+    for await (const user of cursor) {
+      try {
+        const expiresAt = user.activationKeyExpires;
+        const remainingDays = Math.ceil((expiresAt - now) / DAY);
+        const threshold = thresholds.find(days => remainingDays <= days);
+
+        // One reminder per threshold and expiry; a later (smaller) threshold still gets its own
+        const alreadySent = (user.licenseReminders || []).some(reminder =>
+          reminder.expiresAt && reminder.expiresAt.getTime() === expiresAt.getTime() &&
+          reminder.thresholdDays <= threshold
+        );
+        if (alreadySent) continue;
+
+        // Flag first so a failing transport cannot cause repeated reminders; deliveries retry on their own
+        const flagged = await User.updateOne(
+          {
+            _id: user._id,
+            licenseReminders: { $not: { $elemMatch: { expiresAt, thresholdDays: { $lte: threshold } } } }
+          },
+          { $push: { licenseReminders: { thresholdDays: threshold, expiresAt, sentAt: now } } }
+        );
+        if (flagged.modifiedCount === 0) continue;
+
+        counts.usersReminded++;
+        counts.byThreshold[threshold]++;
+
+        const data = {
+          firstName: user.firstName,
+          remainingDays,
+          expiresOn: expiresAt.toISOString().slice(0, 10)
+        };
+        // contactInfo is free text; only text it when it is a phone number
+        const recipients = {
+          email: user.email,
+          sms: user.contactInfo && isValidPhone(user.contactInfo) ? user.contactInfo : null
+        };
+
+        for (const channel of config.LICENSE_REMINDER_CHANNELS) {
+          if (!recipients[channel]) continue;
+
+          const delivery = await notificationService.send(
+            { channel, to: recipients[channel], template: 'license_expiry_reminder', data },
+            { userId: user._id }
+          );
+          if (delivery.status === 'sent') counts.notificationsSent++;
+          else counts.notificationsFailed++;
+        }
+      } catch (error) {
+        errors.push(`User ${user._id}: ${error.message}`);
+      }
+    }
+
+    return counts;
+  }
+}
+
+module.exports = new KeyLifecycleService();
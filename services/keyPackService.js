@@ -0,0 +1,265 @@
+const { v4: uuidv4 } = require('uuid');
+const ActivationKey = require('../models/ActivationKey');
+const activationKeyService = require('./activationKeyService');
+const offlineSigningService = require('./offlineSigningService');
+const activationKeyFormat = require('../utils/activationKeyFormat');
+const config = require('../config');
+
+const PACK_FORMAT = 'nso-key-pack';
+const PACK_VERSION = 1;
+
+// Fields of a key carried in a pack; everything else is set on import
+const PACK_KEY_FIELDS = ['key', 'userDetails', 'expiresAt', 'maxUses', 'constraints', 'notes', 'encryptedUserData', 'signedPayload'];
+
+// JSON with sorted object keys, so a pack verifies however it was re-serialized
+const canonicalJson = (value) => {
+  if (Array.isArray(value)) {
+    return `[${value.map(canonicalJson).join(',')}]`;
+  }
+  if (value && typeof value === 'object') {
+    return `{${Object.keys(value).sort()
+      .filter(name => value[name] !== undefined)
+      .map(name => `${JSON.stringify(name)}:${canonicalJson(value[name])}`)
+      .join(',')}}`;
+  }
+  return JSON.stringify(value === undefined ? null : value);
+};
+
+/**
+ * Service for offline key packs.
+ *
+ * A key pack is a JSON file of activation keys generated without a database
+ * (e.g. for areas with no connectivity), with the same offline payloads as
+ * online keys, signed as a whole with the offline signing key. Importing a
+ * pack registers its keys so online activation and the audit trail work.
+ */
+class KeyPackService {
+
+  /**
+   * Generate a signed key pack
+   * @param {Array} entries - User details per key (fullName, email, role, phone, facility, state)
+   * @param {Object} options - expiresAt, maxUses, notes, generatedBy (free-text label)
+   * @returns {Object} Signed pack, or failure code
+   */
+  createPack(entries, options = {}) {
+    try {
+      if (!offlineSigningService.isEnabled()) {
+        return {
+          success: false,
+          error: 'Key packs are signed with the offline signing key; configure OFFLINE_SIGNING_PRIVATE_KEY',
+          code: 'SIGNING_KEY_MISSING'
+        };
+      }
+
+      const packId = uuidv4();
+      const seenKeys = new Set();
+      const keys = [];
+
+      for (const userDetails of entries) {
+        // No database to check against here; import rejects the (unlikely) clash with an existing key
+        let key;
+        do {
+          key = activationKeyService.generateUniqueKey();
+        } while (seenKeys.has(key));
+        seenKeys.add(key);
+
+        const activationKey = activationKeyService.buildKey(key, userDetails, {
+          expiresAt: options.expiresAt,
+          maxUses: options.maxUses,
+          notes: options.notes || `Key pack ${packId}`
+        });
+        keys.push(this._toPackEntry(activationKey));
+      }
+
+      const pack = {
+        format: PACK_FORMAT,
+        version: PACK_VERSION,
+        packId,
+        generatedAt: new Date().toISOString(),
+        generatedBy: options.generatedBy || null,
+        keys
+      };
+      pack.signature = offlineSigningService.signDetached(canonicalJson(pack));
+
+      return { success: true, data: { pack } };
+
+    } catch (error) {
+      console.error('Error creating key pack:', error);
+      return {
+        success: false,
+        error: error.message || 'Failed to create key pack',
+        code: 'KEY_PACK_ERROR'
+      };
+    }
+  }
+
+  /**
+   * Check the format and signature of a key pack
+   * @param {Object} pack - Parsed key pack
+   * @returns {Object} Verification result, or failure code
+   */
+  verifyPack(pack) {
+    if (!pack || pack.format !== PACK_FORMAT || typeof pack.packId !== 'string' || !Array.isArray(pack.keys)) {
+      return { success: false, error: 'Not an NSO key pack', code: 'KEY_PACK_MALFORMED' };
+    }
+
+    if (pack.version !== PACK_VERSION) {
+      return { success: false, error: `Unsupported key pack version: ${pack.version}`, code: 'KEY_PACK_UNSUPPORTED' };
+    }
+
+    if (pack.keys.length === 0 || pack.keys.length > config.BULK_KEY_MAX_ROWS) {
+      return {
+        success: false,
+        error: `A key pack must hold between 1 and ${config.BULK_KEY_MAX_ROWS} keys`,
+        code: 'KEY_PACK_SIZE'
+      };
+    }
+
+    const { signature, ...signed } = pack;
+    const verification = offlineSigningService.verifyDetached(canonicalJson(signed), signature);
+    if (!verification.success) {
+      return {
+        success: false,
+        error: `Key pack signature check failed: ${verification.error}`,
+        code: 'KEY_PACK_SIGNATURE_INVALID'
+      };
+    }
+
+    return { success: true, data: { packId: pack.packId, kid: verification.data.kid } };
+  }
+
+  /**
+   * Register the keys of a signed pack (importing the same pack again is a no-op)
+   * @param {Object} pack - Parsed key pack
+   * @param {string} importedBy - Admin user ID (recorded as the keys' creator)
+   * @param {Object} audit - ipAddress, userAgent of the request
+   * @returns {Promise<Object>} Per-key results and summary, or failure code
+   */
+  async importPack(pack, importedBy, audit = {}) {
+    try {
+      const verification = this.verifyPack(pack);
+      if (!verification.success) {
+        return verification;
+      }
+
+      const results = [];
+      const imported = [];
+
+      for (let index = 0; index < pack.keys.length; index++) {
+        const result = await this._importEntry(pack, pack.keys[index], importedBy);
+        results.push({ index, ...result });
+        if (result.status === 'imported') imported.push(result.activationKeyId);
+      }
+
+      await activationKeyService.recordEvent(imported, 'created', {
+        ...audit,
+        actor: importedBy,
+        details: { source: 'key_pack', packId: pack.packId, generatedAt: pack.generatedAt, generatedBy: pack.generatedBy }
+      });
+
+      const count = (status) => results.filter(result => result.status === status).length;
+
+      return {
+        success: true,
+        data: {
+          packId: pack.packId,
+          generatedAt: pack.generatedAt,
+          generatedBy: pack.generatedBy,
+          summary: {
+            total: results.length,
+            imported: count('imported'),
+            alreadyImported: count('already_imported'),
+            conflicts: count('conflict'),
+            invalid: count('invalid')
+          },
+          results
+        }
+      };
+
+    } catch (error) {
+      console.error('Error importing key pack:', error);
+      return {
+        success: false,
+        error: 'Failed to import key pack',
+        code: 'KEY_PACK_IMPORT_ERROR'
+      };
+    }
+  }
+
+  async _importEntry(pack, entry, importedBy) {
+    const key = activationKeyFormat.normalizeKey(entry && entry.key);
+    // Results carry only the last digits; the full key stays in the pack file
+    const keySuffix = key ? key.slice(-4) : null;
+
+    if (activationKeyFormat.checkKey(key) !== 'valid') {
+      return { keySuffix, status: 'invalid', code: 'INVALID_KEY_FORMAT', error: 'Key is not a 12-digit key with a valid check digit' };
+    }
+
+    const existing = await ActivationKey.findByKey(key);
+    if (existing) {
+      return existing.keyPackId === pack.packId
+        ? { keySuffix, status: 'already_imported', activationKeyId: existing._id }
+        : { keySuffix, status: 'conflict', code: 'KEY_EXISTS', error: 'Key already exists outside this pack' };
+    }
+
+    const fields = {};
+    for (const field of PACK_KEY_FIELDS) {
+      if (entry[field] !== undefined) fields[field] = entry[field];
+    }
+
+    const activationKey = new ActivationKey({
+      ...fields,
+      key,
+      keyFormat: 'verhoeff',
+      createdBy: importedBy,
+      keyPackId: pack.packId
+    });
+
+    // Validation also derives the key hash the v2 payload is matched against
+    try {
+      await activationKey.validate();
+    } catch (error) {
+      return { keySuffix, status: 'invalid', code: 'VALIDATION_ERROR', error: error.message };
+    }
+
+    // The payload must still be readable here and, for v2, belong to this key
+    const payload = activationKeyService.readOfflinePayload(activationKey);
+    if (!payload.success && payload.code !== 'PAYLOAD_EXPIRED') {
+      return { keySuffix, status: 'invalid', code: payload.code, error: payload.error };
+    }
+
+    try {
+      await activationKey.save();
+    } catch (error) {
+      if (error.code === 11000) {
+        return { keySuffix, status: 'conflict', code: 'KEY_EXISTS', error: 'Key already exists outside this pack' };
+      }
+      throw error;
+    }
+
+    return { keySuffix, status: 'imported', activationKeyId: activationKey._id, keyStatus: activationKey.status };
+  }
+
+  _toPackEntry(activationKey) {
+    const keyObject = activationKey.toObject();
+    return {
+      key: keyObject.key,
+      userDetails: {
+        fullName: keyObject.userDetails.fullName,
+        email: keyObject.userDetails.email,
+        phone: keyObject.userDetails.phone,
+        role: keyObject.userDetails.role,
+        facility: keyObject.userDetails.facility,
+        state: keyObject.userDetails.state
+      },
+      expiresAt: keyObject.expiresAt.toISOString(),
+      maxUses: keyObject.maxUses,
+      constraints: ActivationKey.toOfflineConstraints(keyObject.constraints),
+      notes: keyObject.notes,
+      encryptedUserData: keyObject.encryptedUserData || null,
+      signedPayload: keyObject.signedPayload || null
+    };
+  }
+}
+
+module.exports = new KeyPackService();
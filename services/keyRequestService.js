@@ -0,0 +1,242 @@
+const KeyRequest = require('../models/KeyRequest');
+const activationKeyService = require('./activationKeyService');
+
+// Roles a supervisor may approve requests for (supervisor requests need an admin)
+const SUPERVISOR_APPROVABLE_ROLES = ['doctor', 'nurse', 'technician', 'inspector'];
+
+/**
+ * Service for self-service activation key requests.
+ *
+ * Health workers submit their details from the app; an admin, or a
+ * supervisor of the same state, approves the request, which generates an
+ * activation key bound to the requesting device, or rejects it.
+ */
+class KeyRequestService {
+
+  /**
+   * Store a new key request
+   * @param {Object} details - fullName, email, phone, role, facility, state, licenseNumber, deviceId, message
+   * @param {Object} options - ipAddress of the requester
+   * @returns {Promise<Object>} Created request or failure code
+   */
+  async createRequest(details, options = {}) {
+    try {
+      const email = details.email.toLowerCase();
+
+      // One open request per person and per device
+      const pending = await KeyRequest.exists({
+        status: 'pending',
+        $or: [{ email }, { deviceId: details.deviceId }]
+      });
+      if (pending) {
+        return {
+          success: false,
+          error: 'A key request for this email or device is already awaiting review',
+          code: 'KEY_REQUEST_PENDING'
+        };
+      }
+
+      const request = new KeyRequest({
+        fullName: details.fullName,
+        email,
+        phone: details.phone,
+        role: details.role,
+        facility: details.facility,
+        state: details.state,
+        licenseNumber: details.licenseNumber,
+        deviceId: details.deviceId,
+        message: details.message,
+        ipAddress: options.ipAddress
+      });
+      await request.save();
+
+      return { success: true, data: { request } };
+
+    } catch (error) {
+      console.error('Error creating key request:', error);
+      return {
+        success: false,
+        error: 'Failed to submit key request',
+        code: 'KEY_REQUEST_ERROR'
+      };
+    }
+  }
+
+  /**
+   * List key requests visible to a reviewer
+   * @param {Object} reviewer - Admin or supervisor user
+   * @param {Object} filters - status (default pending, or 'all'), state, role, email
+   * @param {Object} pagination - page, limit
+   * @returns {Promise<Object>} Requests with pagination
+   */
+  async getRequests(reviewer, filters = {}, pagination = {}) {
+    const { page = 1, limit = 20 } = pagination;
+    const query = { ...this._scopeFor(reviewer) };
+
+    const status = filters.status || 'pending';
+    if (status !== 'all') query.status = status;
+    if (filters.role) query.role = filters.role;
+    if (filters.email) query.email = filters.email.toLowerCase();
+    if (filters.state && !query.state) query.state = filters.state;
+
+    const [requests, total] = await Promise.all([
+      KeyRequest.find(query)
+        .populate('reviewedBy', 'username email')
+        .sort({ createdAt: -1 })
+        .skip((page - 1) * limit)
+        .limit(limit),
+      KeyRequest.countDocuments(query)
+    ]);
+
+    return {
+      requests,
+      pagination: { page, limit, total, pages: Math.ceil(total / limit) }
+    };
+  }
+
+  /**
+   * Approve a pending request and generate its activation key
+   * @param {string} requestId - KeyRequest ID
+   * @param {Object} reviewer - Admin or supervisor user
+   * @param {Object} options - expiresAt, notes, audit (ipAddress, userAgent)
+   * @returns {Promise<Object>} Approved request and generated key
+   */
+  async approveRequest(requestId, reviewer, options = {}) {
+    try {
+      const request = await KeyRequest.findOne({ _id: requestId, ...this._scopeFor(reviewer) });
+      const check = this._checkReviewable(request, reviewer);
+      if (check) return check;
+
+      // Claim the request first so two reviewers cannot both generate a key
+      const claimed = await KeyRequest.findOneAndUpdate(
+        { _id: request._id, status: 'pending' },
+        { $set: { status: 'approved', reviewedBy: reviewer._id, reviewedAt: new Date(), reviewNotes: options.notes } },
+        { new: true }
+      );
+      if (!claimed) {
+        return {
+          success: false,
+          error: 'Key request has already been reviewed',
+          code: 'KEY_REQUEST_ALREADY_REVIEWED'
+        };
+      }
+
+      const result = await activationKeyService.generateKey({
+        fullName: claimed.fullName,
+        email: claimed.email,
+        phone: claimed.phone || '',
+        role: claimed.role,
+        facility: claimed.facility,
+        state: claimed.state,
+        licenseNumber: claimed.licenseNumber
+      }, {
+        expiresAt: options.expiresAt,
+        notes: options.notes || `Self-service request ${claimed._id}`,
+        createdBy: reviewer._id,
+        constraints: { deviceId: claimed.deviceId },
+        audit: { ...options.audit, details: { keyRequestId: claimed._id } }
+      });
+
+      if (!result.success) {
+        // Put the request back in the queue so it can be approved again
+        await KeyRequest.updateOne(
+          { _id: claimed._id },
+          { $set: { status: 'pending', reviewedBy: null, reviewedAt: null } }
+        );
+        return {
+          success: false,
+          error: result.error,
+          code: 'KEY_GENERATION_FAILED'
+        };
+      }
+
+      claimed.activationKeyId = result.data.id;
+      await claimed.save();
+
+      return {
+        success: true,
+        data: { request: claimed, activationKey: result.data }
+      };
+
+    } catch (error) {
+      console.error('Error approving key request:', error);
+      return {
+        success: false,
+        error: 'Failed to approve key request',
+        code: 'KEY_REQUEST_APPROVAL_ERROR'
+      };
+    }
+  }
+
+  /**
+   * Reject a pending request
+   * @param {string} requestId - KeyRequest ID
+   * @param {Object} reviewer - Admin or supervisor user
+   * @param {string} reason - Reason shown to reviewers
+   * @returns {Promise<Object>} Rejected request
+   */
+  async rejectRequest(requestId, reviewer, reason) {
+    try {
+      const request = await KeyRequest.findOne({ _id: requestId, ...this._scopeFor(reviewer) });
+      const check = this._checkReviewable(request, reviewer);
+      if (check) return check;
+
+      const rejected = await KeyRequest.findOneAndUpdate(
+        { _id: request._id, status: 'pending' },
+        { $set: { status: 'rejected', reviewedBy: reviewer._id, reviewedAt: new Date(), reviewNotes: reason } },
+        { new: true }
+      );
+      if (!rejected) {
+        return {
+          success: false,
+          error: 'Key request has already been reviewed',
+          code: 'KEY_REQUEST_ALREADY_REVIEWED'
+        };
+      }
+
+      return { success: true, data: { request: rejected } };
+
+    } catch (error) {
+      console.error('Error rejecting key request:', error);
+      return {
+        success: false,
+        error: 'Failed to reject key request',
+        code: 'KEY_REQUEST_REJECTION_ERROR'
+      };
+    }
+  }
+
+  _scopeFor(reviewer) {
+    // Supervisors only see requests from their own state
+    if (reviewer.role === 'supervisor') {
+      return { state: reviewer.state || null };
+    }
+    return {};
+  }
+
+  _checkReviewable(request, reviewer) {
+    if (!request) {
+      return { success: false, error: 'Key request not found', code: 'KEY_REQUEST_NOT_FOUND' };
+    }
+
+    if (request.status !== 'pending') {
+      return {
+        success: false,
+        error: 'Key request has already been reviewed',
+        code: 'KEY_REQUEST_ALREADY_REVIEWED'
+      };
+    }
+
+    if (reviewer.role === 'supervisor' && !SUPERVISOR_APPROVABLE_ROLES.includes(request.role)) {
+      return {
+        success: false,
+        error: `Only an admin can review requests for the ${request.role} role`,
+        code: 'INSUFFICIENT_PERMISSIONS'
+      };
+    }
+
+    return null;
+  }
+}
+
+module.exports = new KeyRequestService();
@@ -0,0 +1,126 @@
+const User = require('../models/User');
+const ActivationKey = require('../models/ActivationKey');
+const activationKeyService = require('./activationKeyService');
+
+/**
+ * Service for renewing user activation licences.
+ *
+ * A renewal either extends the existing licence in place or issues a
+ * renewal key linked to the account; redeeming that key through
+ * /auth/activate updates the same user, so history is kept.
+ */
+class LicenseService {
+
+  /**
+   * Renew a user's licence
+   * @param {string} userId - User ID
+   * @param {Object} options - mode ('extend' or 'key'), validityMonths or expiresAt, notes, performedBy, audit (ipAddress, userAgent)
+   * @returns {Promise<Object>} Renewal result
+   */
+  async renewLicense(userId, options = {}) {
+    try {
+      const { mode = 'extend', validityMonths = 12, notes, performedBy } = options;
+
+      const user = await User.findById(userId);
+      if (!user) {
+        return { success: false, error: 'User not found', code: 'USER_NOT_FOUND' };
+      }
+
+      const previousExpiresAt = user.activationKeyExpires || null;
+      const newExpiresAt = this.calculateRenewalExpiry(previousExpiresAt, options.expiresAt, validityMonths);
+
+      if (newExpiresAt <= new Date()) {
+        return { success: false, error: 'Renewal expiry must be in the future', code: 'INVALID_RENEWAL_EXPIRY' };
+      }
+
+      if (mode === 'key') {
+        const result = await activationKeyService.generateKey({
+          fullName: `${user.firstName} ${user.lastName}`.trim(),
+          email: user.email,
+          phone: user.contactInfo || '',
+          role: user.role,
+          facility: user.facility || '',
+          state: user.state || ''
+        }, {
+          expiresAt: newExpiresAt,
+          notes: notes || `Licence renewal for ${user.email}`,
+          createdBy: performedBy,
+          renewalFor: user._id,
+          audit: options.audit
+        });
+
+        if (!result.success) {
+          return { success: false, error: result.error, code: 'KEY_GENERATION_FAILED' };
+        }
+
+        user.licenseHistory.push({
+          action: 'renewal_key_issued',
+          previousExpiresAt,
+          newExpiresAt,
+          activationKeyId: result.data.id,
+          performedBy,
+          notes
+        });
+        await user.save();
+
+        return {
+          success: true,
+          data: { mode, user, previousExpiresAt, newExpiresAt, activationKey: result.data }
+        };
+      }
+
+      // Extend in place: the user and the key they activated with both move to the new expiry
+      user.activationKeyExpires = newExpiresAt;
+      user.licenseHistory.push({
+        action: 'extended',
+        previousExpiresAt,
+        newExpiresAt,
+        performedBy,
+        notes
+      });
+      await user.save();
+
+      const keyDoc = user.activationKey ? await ActivationKey.findByKey(user.activationKey) : null;
+      if (keyDoc) {
+        keyDoc.expiresAt = newExpiresAt;
+        await keyDoc.save();
+        await activationKeyService.recordEvent(keyDoc, 'renewed', {
+          ...options.audit,
+          actor: performedBy,
+          reason: notes,
+          details: { userId: user._id, previousExpiresAt, newExpiresAt }
+        });
+      }
+
+      return {
+        success: true,
+        data: { mode, user, previousExpiresAt, newExpiresAt }
+      };
+
+    } catch (error) {
+      console.error('Error renewing licence:', error);
+      return { success: false, error: 'Failed to renew licence', code: 'LICENSE_RENEWAL_ERROR' };
+    }
+  }
+
+  /**
+   * Work out the new expiry of a renewal
+   * @param {Date|null} currentExpiresAt - Current licence expiry
+   * @param {string|Date} explicitExpiresAt - Expiry requested by the admin, if any
+   * @param {number} validityMonths - Months to add otherwise
+   * @returns {Date} New expiry
+   */
+  calculateRenewalExpiry(currentExpiresAt, explicitExpiresAt, validityMonths) {
+    if (explicitExpiresAt) {
+      return new Date(explicitExpiresAt);
+    }
+
+    // Renewing early extends from the current expiry, renewing late from today
+    const now = new Date();
+    const base = currentExpiresAt && currentExpiresAt > now ? new Date(currentExpiresAt) : now;
+    base.setMonth(base.getMonth() + validityMonths);
+    return base;
+  }
+}
+
+module.exports = new LicenseService();
@@ -0,0 +1,278 @@
+const NotificationDelivery = require('../models/NotificationDelivery');
+const activationKeyService = require('./activationKeyService');
+const config = require('../config');
+const { renderTemplate } = require('../utils/notificationTemplates');
+const {
+  createSmtpTransport,
+  createSmsHttpTransport,
+  createFileTransport,
+  createConsoleTransport
+} = require('../utils/notificationTransports');
+
+/**
+ * Service for sending templated notifications by email and SMS.
+ *
+ * Every message is recorded in the delivery log before it is sent. Failed
+ * deliveries are retried with exponential backoff until
+ * NOTIFICATION_MAX_ATTEMPTS is reached, after which they are abandoned.
+ */
+class NotificationService {
+
+  constructor() {
+    this.transports = {};
+  }
+
+  /**
+   * Get the transport configured for a channel
+   * @param {string} channel - 'email' or 'sms'
+   * @returns {Object} Transport
+   */
+  getTransport(channel) {
+    if (!this.transports[channel]) {
+      this.transports[channel] = this._createTransport(channel);
+    }
+    return this.transports[channel];
+  }
+
+  /**
+   * Replace the transport of a channel (e.g. a file transport in tests)
+   * @param {string} channel - 'email' or 'sms'
+   * @param {Object} transport - Object with name and async send(message)
+   */
+  setTransport(channel, transport) {
+    this.transports[channel] = transport;
+  }
+
+  /**
+   * Record and send a notification
+   * @param {Object} notification - channel, to, template, data
+   * @param {Object} context - activationKeyId, userId, requestedBy
+   * @returns {Promise<Object>} Delivery log entry after the first attempt
+   */
+  async send(notification, context = {}) {
+    const delivery = new NotificationDelivery({
+      channel: notification.channel,
+      recipient: notification.to,
+      template: notification.template,
+      data: notification.data,
+      activationKeyId: context.activationKeyId || null,
+      userId: context.userId || null,
+      requestedBy: context.requestedBy || null
+    });
+    await delivery.save();
+
+    return this._attempt(delivery);
+  }
+
+  /**
+   * Send an activation key to the email and/or phone attached to it
+   * @param {Object} keyData - Key summary from activationKeyService.generateKey
+   * @param {Object} options - channels (default email and sms), userId, requestedBy, audit (ipAddress, userAgent)
+   * @returns {Promise<Array>} Delivery summaries, one per channel
+   */
+  async deliverActivationKey(keyData, options = {}) {
+    const { channels = ['email', 'sms'], userId, requestedBy } = options;
+    const details = keyData.userDetails || {};
+    const recipients = { email: details.email, sms: details.phone };
+
+    const data = {
+      fullName: details.fullName,
+      firstName: (details.fullName || '').split(' ')[0],
+      key: keyData.key,
+      formattedKey: keyData.key.replace(/(\d{4})(?=\d)/g, '$1-'),
+      expiresOn: new Date(keyData.expiresAt).toISOString().slice(0, 10)
+    };
+
+    const deliveries = [];
+    for (const channel of channels) {
+      if (!recipients[channel]) {
+        deliveries.push({ channel, status: 'skipped', reason: `No ${channel === 'sms' ? 'phone number' : 'email'} on the key` });
+        continue;
+      }
+
+      try {
+        const delivery = await this.send(
+          { channel, to: recipients[channel], template: 'activation_key', data },
+          { activationKeyId: keyData.id, userId, requestedBy }
+        );
+        deliveries.push(this._summarize(delivery));
+
+        await activationKeyService.recordEvent(keyData.id, 'delivered', {
+          ...options.audit,
+          actor: requestedBy,
+          details: { channel, recipient: delivery.recipient, status: delivery.status, deliveryId: delivery._id }
+        });
+      } catch (error) {
+        console.error('Error queueing activation key notification:', error);
+        deliveries.push({ channel, status: 'failed', reason: 'Could not record the delivery' });
+      }
+    }
+
+    return deliveries;
+  }
+
+  /**
+   * Retry one failed delivery now
+   * @param {string} deliveryId - NotificationDelivery ID
+   * @returns {Promise<Object>} Retry result
+   */
+  async retryDelivery(deliveryId) {
+    const delivery = await NotificationDelivery.findById(deliveryId);
+    if (!delivery) {
+      return { success: false, error: 'Delivery not found', code: 'DELIVERY_NOT_FOUND' };
+    }
+
+    if (!['failed', 'abandoned'].includes(delivery.status)) {
+      return { success: false, error: `Delivery is ${delivery.status}`, code: 'DELIVERY_NOT_RETRYABLE' };
+    }
+
+    // A manual retry gets a fresh set of attempts
+    if (delivery.status === 'abandoned') {
+      delivery.attempts = 0;
+    }
+
+    return { success: true, data: { delivery: await this._attempt(delivery) } };
+  }
+
+  /**
+   * Retry failed deliveries whose backoff has passed
+   * @param {Object} options - limit
+   * @returns {Promise<Object>} Counts of retried, sent and failed deliveries
+   */
+  async retryDueDeliveries(options = {}) {
+    const { limit = 50 } = options;
+    const due = await NotificationDelivery.find({
+      status: 'failed',
+      nextAttemptAt: { $lte: new Date() }
+    }).sort({ nextAttemptAt: 1 }).limit(limit);
+
+    const stats = { retried: 0, sent: 0, failed: 0 };
+    for (const delivery of due) {
+      const result = await this._attempt(delivery);
+      stats.retried++;
+      if (result.status === 'sent') stats.sent++;
+      else stats.failed++;
+    }
+    return stats;
+  }
+
+  /**
+   * List delivery log entries
+   * @param {Object} filters - status, channel, activationKeyId, recipient
+   * @param {Object} pagination - page, limit
+   * @returns {Promise<Object>} Deliveries with pagination
+   */
+  async getDeliveries(filters = {}, pagination = {}) {
+    const { page = 1, limit = 20 } = pagination;
+    const query = {};
+    if (filters.status) query.status = filters.status;
+    if (filters.channel) query.channel = filters.channel;
+    if (filters.activationKeyId) query.activationKeyId = filters.activationKeyId;
+    if (filters.recipient) query.recipient = filters.recipient;
+
+    const [deliveries, total] = await Promise.all([
+      NotificationDelivery.find(query)
+        .populate('requestedBy', 'username email')
+        .sort({ createdAt: -1 })
+        .skip((page - 1) * limit)
+        .limit(limit),
+      NotificationDelivery.countDocuments(query)
+    ]);
+
+    return {
+      deliveries,
+      pagination: { page, limit, total, pages: Math.ceil(total / limit) }
+    };
+  }
+
+  async _attempt(delivery) {
+    const now = new Date();
+    delivery.attempts += 1;
+    delivery.lastAttemptAt = now;
+
+    try {
+      const transport = this.getTransport(delivery.channel);
+      const rendered = renderTemplate(delivery.template, delivery.channel, delivery.data);
+      delivery.transport = transport.name;
+
+      const result = await transport.send({
+        channel: delivery.channel,
+        to: delivery.recipient,
+        subject: rendered.subject,
+        text: rendered.text
+      });
+
+      delivery.status = 'sent';
+      delivery.sentAt = new Date();
+      delivery.nextAttemptAt = null;
+      delivery.lastError = undefined;
+      delivery.providerMessageId = result && result.messageId ? String(result.messageId) : undefined;
+    } catch (error) {
+      delivery.lastError = String(error.message || error).slice(0, 500);
+
+      if (delivery.attempts >= config.NOTIFICATION_MAX_ATTEMPTS) {
+        delivery.status = 'abandoned';
+        delivery.nextAttemptAt = null;
+      } else {
+        const delayMs = config.NOTIFICATION_RETRY_BASE_SECONDS * 1000 * Math.pow(2, delivery.attempts - 1);
+        delivery.status = 'failed';
+        delivery.nextAttemptAt = new Date(now.getTime() + delayMs);
+      }
+    }
+
+    await delivery.save();
+    return delivery;
+  }
+
+  _createTransport(channel) {
+    const name = channel === 'email' ? config.NOTIFICATION_EMAIL_TRANSPORT : config.NOTIFICATION_SMS_TRANSPORT;
+
+    if (name === 'file') {
+      return createFileTransport({ dir: config.NOTIFICATION_FILE_DIR });
+    }
+    if (!name) {
+      throw new Error(`No ${channel} transport configured; set NOTIFICATION_${channel.toUpperCase()}_TRANSPORT`);
+    }
+    if (name === 'console') {
+      // Messages carry activation keys; printing them to production logs would leak them
+      if (config.NODE_ENV === 'production') {
+        throw new Error(`The console ${channel} transport cannot be used in production`);
+      }
+      return createConsoleTransport();
+    }
+    if (channel === 'email' && name === 'smtp') {
+      return createSmtpTransport({
+        host: config.SMTP_HOST,
+        port: config.SMTP_PORT,
+        secure: config.SMTP_SECURE,
+        user: config.SMTP_USER,
+        pass: config.SMTP_PASS,
+        from: config.NOTIFICATION_FROM_EMAIL
+      });
+    }
+    if (channel === 'sms' && name === 'http') {
+      return createSmsHttpTransport({
+        url: config.SMS_GATEWAY_URL,
+        apiKey: config.SMS_GATEWAY_API_KEY,
+        senderId: config.SMS_SENDER_ID,
+        timeoutMs: config.SMS_GATEWAY_TIMEOUT_MS
+      });
+    }
+
+    throw new Error(`Unknown ${channel} transport: ${name}`);
+  }
+
+  _summarize(delivery) {
+    return {
+      id: delivery._id,
+      channel: delivery.channel,
+      recipient: delivery.recipient,
+      status: delivery.status,
+      attempts: delivery.attempts,
+      nextAttemptAt: delivery.nextAttemptAt,
+      lastError: delivery.lastError
+    };
+  }
+}
+
+module.exports = new NotificationService();
@@ -0,0 +1,211 @@
+const crypto = require('crypto');
+const fs = require('fs');
+const config = require('../config');
+
+const PAYLOAD_VERSION = 2;
+const PAYLOAD_ALGORITHM = 'EdDSA';
+const PAYLOAD_TYPE = 'NSO-OFFLINE';
+
+const base64url = (buffer) => Buffer.from(buffer).toString('base64url');
+
+/**
+ * Service for v2 offline activation payloads.
+ *
+ * A v2 payload is a compact, JWS-style token `header.claims.signature`
+ * (each part base64url) signed with an Ed25519 private key that only the
+ * server holds. The mobile app ships the matching public key(s) and can
+ * verify payloads offline, but cannot mint new ones.
+ */
+class OfflineSigningService {
+
+  constructor() {
+    this._signingKey = undefined;
+    this._verificationKeys = undefined;
+  }
+
+  /**
+   * Check whether a signing key is configured
+   * @returns {boolean} True if v2 payloads can be issued
+   */
+  isEnabled() {
+    return !!this._getSigningKey();
+  }
+
+  /**
+   * Check whether a payload format is produced/accepted in the current transition window
+   * @param {string} version - 'v1' or 'v2'
+   * @returns {boolean} True if the format is enabled
+   */
+  isFormatEnabled(version) {
+    return config.OFFLINE_PAYLOAD_FORMATS.includes(version);
+  }
+
+  /**
+   * Sign offline activation claims
+   * @param {Object} claims - Claims to sign (exp/iat as seconds since epoch)
+   * @returns {string|null} Signed payload, or null if no signing key is configured
+   */
+  sign(claims) {
+    const signingKey = this._getSigningKey();
+    if (!signingKey) return null;
+
+    const header = { alg: PAYLOAD_ALGORITHM, typ: PAYLOAD_TYPE, v: PAYLOAD_VERSION, kid: signingKey.kid };
+    const signingInput = `${base64url(JSON.stringify(header))}.${base64url(JSON.stringify(claims))}`;
+    const signature = crypto.sign(null, Buffer.from(signingInput), signingKey.privateKey);
+
+    return `${signingInput}.${base64url(signature)}`;
+  }
+
+  /**
+   * Verify a signed offline payload
+   * @param {string} payload - Signed payload
+   * @param {Object} options - Optional `now` (Date) for expiry checks
+   * @returns {Object} Verification result with header and claims
+   */
+  verify(payload, options = {}) {
+    const parts = typeof payload === 'string' ? payload.split('.') : [];
+    if (parts.length !== 3) {
+      return { success: false, error: 'Malformed offline payload', code: 'PAYLOAD_MALFORMED' };
+    }
+
+    let header;
+    let claims;
+    try {
+      header = JSON.parse(Buffer.from(parts[0], 'base64url').toString('utf8'));
+      claims = JSON.parse(Buffer.from(parts[1], 'base64url').toString('utf8'));
+    } catch (error) {
+      return { success: false, error: 'Malformed offline payload', code: 'PAYLOAD_MALFORMED' };
+    }
+
+    if (header.v !== PAYLOAD_VERSION || header.alg !== PAYLOAD_ALGORITHM) {
+      return { success: false, error: 'Unsupported offline payload version', code: 'PAYLOAD_UNSUPPORTED' };
+    }
+
+    const publicKey = this._getVerificationKeys().get(header.kid);
+    if (!publicKey) {
+      return { success: false, error: 'Unknown signing key', code: 'PAYLOAD_UNKNOWN_KEY' };
+    }
+
+    const valid = crypto.verify(
+      null,
+      Buffer.from(`${parts[0]}.${parts[1]}`),
+      publicKey,
+      Buffer.from(parts[2], 'base64url')
+    );
+    if (!valid) {
+      return { success: false, error: 'Invalid offline payload signature', code: 'PAYLOAD_SIGNATURE_INVALID' };
+    }
+
+    const now = Math.floor((options.now || new Date()).getTime() / 1000);
+    if (claims.exp && claims.exp < now) {
+      return { success: false, error: 'Offline payload has expired', code: 'PAYLOAD_EXPIRED' };
+    }
+
+    return { success: true, data: { header, claims } };
+  }
+
+  /**
+   * Sign arbitrary bytes with the offline signing key (detached signature)
+   * @param {string|Buffer} data - Data to sign
+   * @returns {Object|null} alg, kid and base64url signature, or null if no signing key is configured
+   */
+  signDetached(data) {
+    const signingKey = this._getSigningKey();
+    if (!signingKey) return null;
+
+    return {
+      alg: PAYLOAD_ALGORITHM,
+      kid: signingKey.kid,
+      value: base64url(crypto.sign(null, Buffer.from(data), signingKey.privateKey))
+    };
+  }
+
+  /**
+   * Verify a detached signature made by signDetached
+   * @param {string|Buffer} data - Signed data
+   * @param {Object} signature - alg, kid and base64url value
+   * @returns {Object} Verification result with the key id
+   */
+  verifyDetached(data, signature) {
+    if (!signature || signature.alg !== PAYLOAD_ALGORITHM || typeof signature.value !== 'string') {
+      return { success: false, error: 'Unsupported signature', code: 'PAYLOAD_UNSUPPORTED' };
+    }
+
+    const publicKey = this._getVerificationKeys().get(signature.kid);
+    if (!publicKey) {
+      return { success: false, error: 'Unknown signing key', code: 'PAYLOAD_UNKNOWN_KEY' };
+    }
+
+    const valid = crypto.verify(null, Buffer.from(data), publicKey, Buffer.from(signature.value, 'base64url'));
+    if (!valid) {
+      return { success: false, error: 'Invalid signature', code: 'PAYLOAD_SIGNATURE_INVALID' };
+    }
+
+    return { success: true, data: { kid: signature.kid } };
+  }
+
+  /**
+   * Get the public keys the mobile app should trust, as JWKs
+   * @returns {Array} Public keys with their key ids
+   */
+  getPublicKeys() {
+    return Array.from(this._getVerificationKeys().entries()).map(([kid, publicKey]) => ({
+      ...publicKey.export({ format: 'jwk' }),
+      kid,
+      alg: PAYLOAD_ALGORITHM,
+      use: 'sig'
+    }));
+  }
+
+  _getSigningKey() {
+    if (this._signingKey !== undefined) return this._signingKey;
+
+    let pem = config.OFFLINE_SIGNING_PRIVATE_KEY;
+    if (!pem && config.OFFLINE_SIGNING_PRIVATE_KEY_PATH) {
+      pem = fs.readFileSync(config.OFFLINE_SIGNING_PRIVATE_KEY_PATH, 'utf8');
+    }
+
+    if (!pem) {
+      console.warn('OFFLINE_SIGNING_PRIVATE_KEY is not set; v2 offline payloads are disabled');
+      this._signingKey = null;
+      return null;
+    }
+
+    const privateKey = crypto.createPrivateKey(pem.replace(/\\n/g, '\n'));
+    if (privateKey.asymmetricKeyType !== 'ed25519') {
+      throw new Error('OFFLINE_SIGNING_PRIVATE_KEY must be an Ed25519 key');
+    }
+
+    const publicKey = crypto.createPublicKey(privateKey);
+    this._signingKey = {
+      kid: config.OFFLINE_SIGNING_KEY_ID || this._fingerprint(publicKey),
+      privateKey,
+      publicKey
+    };
+    return this._signingKey;
+  }
+
+  _getVerificationKeys() {
+    if (this._verificationKeys) return this._verificationKeys;
+
+    const keys = new Map();
+
+    // Retired keys stay verifiable until every payload they signed has expired
+    for (const [kid, pem] of Object.entries(config.OFFLINE_VERIFICATION_PUBLIC_KEYS)) {
+      keys.set(kid, crypto.createPublicKey(pem.replace(/\\n/g, '\n')));
+    }
+
+    const signingKey = this._getSigningKey();
+    if (signingKey) keys.set(signingKey.kid, signingKey.publicKey);
+
+    this._verificationKeys = keys;
+    return keys;
+  }
+
+  _fingerprint(publicKey) {
+    const der = publicKey.export({ type: 'spki', format: 'der' });
+    return crypto.createHash('sha256').update(der).digest('hex').slice(0, 16);
+  }
+}
+
+module.exports = new OfflineSigningService();
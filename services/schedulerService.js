@@ -0,0 +1,184 @@
+const os = require('os');
+const cron = require('node-cron');
+const JobRun = require('../models/JobRun');
+const keyLifecycleService = require('./keyLifecycleService');
+const notificationService = require('./notificationService');
+const keyIssuanceService = require('./keyIssuanceService');
+const syncUploadService = require('./syncUploadService');
+const config = require('../config');
+
+const MINUTE = 60 * 1000;
+
+/**
+ * Service for scheduled background jobs.
+ *
+ * Jobs run on node-cron schedules (or on demand from the admin panel) and
+ * every run is recorded in JobRun. A partial unique index on running runs
+ * keeps several server processes from running the same job at once.
+ */
+class SchedulerService {
+
+  constructor() {
+    this.tasks = [];
+    this.jobs = {
+      'key-lifecycle': {
+        description: 'Expire stale activation keys and send licence expiry reminders',
+        schedule: () => config.KEY_LIFECYCLE_CRON,
+        run: () => keyLifecycleService.run()
+      },
+      'notification-retry': {
+        description: 'Retry failed notification deliveries whose backoff has passed',
+        schedule: () => config.NOTIFICATION_RETRY_CRON,
+        run: async () => ({ counts: await notificationService.retryDueDeliveries(), errors: [] })
+      },
+      'key-issuance-recovery': {
+        description: 'Resume bulk key issuance batches left processing by a restart, or fail them',
+        schedule: () => config.KEY_ISSUANCE_RECOVERY_CRON,
+        run: () => keyIssuanceService.recoverStuckBatches()
+      },
+      'upload-session-expiry': {
+        description: 'Remove expired chunked upload sessions and close their sync logs',
+        schedule: () => config.UPLOAD_SESSION_EXPIRY_CRON,
+        run: () => syncUploadService.expireSessions()
+      }
+    };
+  }
+
+  /**
+   * Schedule every job (no-op when SCHEDULER_ENABLED is false)
+   */
+  start() {
+    if (!config.SCHEDULER_ENABLED || this.tasks.length > 0) return;
+
+    for (const [name, job] of Object.entries(this.jobs)) {
+      const expression = job.schedule();
+      if (!cron.validate(expression)) {
+        console.error(`❌ Invalid cron expression for ${name}: ${expression}`);
+        continue;
+      }
+
+      this.tasks.push(cron.schedule(expression, () => {
+        this.runJob(name).catch(error => {
+          console.error(`Scheduled job ${name} error:`, error);
+        });
+      }, { timezone: config.SCHEDULER_TIMEZONE }));
+      console.log(`⏰ Scheduled ${name} (${expression})`);
+    }
+  }
+
+  /**
+   * Stop all scheduled jobs
+   */
+  stop() {
+    this.tasks.forEach(task => task.stop());
+    this.tasks = [];
+  }
+
+  /**
+   * List registered jobs with their schedule and latest run
+   * @returns {Promise<Array>} Jobs
+   */
+  async getJobs() {
+    return Promise.all(Object.entries(this.jobs).map(async ([name, job]) => ({
+      name,
+      description: job.description,
+      schedule: job.schedule(),
+      scheduled: this.tasks.length > 0,
+      lastRun: await JobRun.findOne({ job: name }).sort({ startedAt: -1 })
+    })));
+  }
+
+  /**
+   * Run a job now and record the run
+   * @param {string} name - Job name
+   * @param {Object} options - trigger ('schedule' or 'manual'), triggeredBy
+   * @returns {Promise<Object>} Finished JobRun, or failure code
+   */
+  async runJob(name, options = {}) {
+    const job = this.jobs[name];
+    if (!job) {
+      return { success: false, error: `Unknown job: ${name}`, code: 'JOB_NOT_FOUND' };
+    }
+
+    const run = await this._claim(name, options);
+    if (!run) {
+      return { success: false, error: `${name} is already running`, code: 'JOB_ALREADY_RUNNING' };
+    }
+
+    try {
+      const result = await job.run();
+      run.status = 'succeeded';
+      run.counts = result.counts;
+      run.errorMessages = (result.errors || []).map(message => String(message).slice(0, 500));
+    } catch (error) {
+      console.error(`Job ${name} failed:`, error);
+      run.status = 'failed';
+      run.errorMessages = [String(error.message || error).slice(0, 500)];
+    }
+
+    run.finishedAt = new Date();
+    run.durationMs = run.finishedAt - run.startedAt;
+    await run.save();
+
+    return { success: true, data: { run } };
+  }
+
+  /**
+   * List recorded job runs
+   * @param {Object} filters - job, status
+   * @param {Object} pagination - page, limit
+   * @returns {Promise<Object>} Runs with pagination
+   */
+  async getRuns(filters = {}, pagination = {}) {
+    const { page = 1, limit = 20 } = pagination;
+    const query = {};
+    if (filters.job) query.job = filters.job;
+    if (filters.status) query.status = filters.status;
+
+    const [runs, total] = await Promise.all([
+      JobRun.find(query)
+        .populate('triggeredBy', 'username email')
+        .sort({ startedAt: -1 })
+        .skip((page - 1) * limit)
+        .limit(limit),
+      JobRun.countDocuments(query)
+    ]);
+
+    return {
+      runs,
+      pagination: { page, limit, total, pages: Math.ceil(total / limit) }
+    };
+  }
+
+  async _claim(name, options) {
+    const create = () => JobRun.create({
+      job: name,
+      trigger: options.trigger || 'schedule',
+      triggeredBy: options.triggeredBy || null,
+      startedAt: new Date(),
+      host: os.hostname()
+    });
+
+    try {
+      return await create();
+    } catch (error) {
+      if (error.code !== 11000) throw error;
+    }
+
+    // A run left 'running' by a crashed process is failed so the job can start again
+    const stale = await JobRun.updateOne(
+      { job: name, status: 'running', startedAt: { $lt: new Date(Date.now() - config.JOB_LOCK_MINUTES * MINUTE) } },
+      { $set: { status: 'failed', finishedAt: new Date(), errorMessages: ['Run did not finish; lock released'] } }
+    );
+    if (stale.modifiedCount === 0) return null;
+
+    try {
+      return await create();
+    } catch (error) {
+      if (error.code === 11000) return null;
+      throw error;
+    }
+  }
+}
+
+module.exports = new SchedulerService();
@@ -0,0 +1,199 @@
+const mongoose = require('mongoose');
+const Diagnosis = require('../models/Diagnosis');
+const SyncLog = require('../models/SyncLog');
+const Tombstone = require('../models/Tombstone');
+const syncUploadService = require('./syncUploadService');
+
+// Resolutions that write a version back to the record
+const APPLIED_RESOLUTIONS = ['server_wins', 'client_wins', 'merge'];
+
+/**
+ * Service for resolving sync conflicts.
+ *
+ * A resolution is written to the Diagnosis itself with a compare-and-set on
+ * the revision the conflict showed, so a change made after the conflict was
+ * recorded (by any device) is never overwritten. The new revision (and
+ * updatedAt) makes every device pick the outcome up on its next download, and
+ * the conflict is closed in every sync log that recorded it. The diagnosis
+ * remembers which conflict wrote its revision, so a retry after closing the
+ * conflict failed finishes the job instead of reporting a changed diagnosis.
+ */
+class SyncConflictService {
+
+  /**
+   * Resolve a diagnosis conflict recorded in a sync log
+   * @param {Object} user - User resolving the conflict
+   * @param {Object} request - syncId, conflictItemId, resolution, mergedData
+   * @returns {Promise<Object>} Resolved diagnosis revision, or failure code
+   */
+  async resolveConflict(user, request) {
+    try {
+      const { syncId, conflictItemId, resolution, mergedData } = request;
+
+      const syncLog = await SyncLog.findOne({ _id: syncId, userId: user._id });
+      if (!syncLog) {
+        return { success: false, error: 'Sync log not found', code: 'SYNC_LOG_NOT_FOUND' };
+      }
+
+      const conflict = syncLog.conflicts.find(c => c.itemId === conflictItemId);
+      if (!conflict) {
+        return { success: false, error: 'Conflict not found', code: 'CONFLICT_NOT_FOUND' };
+      }
+
+      if (conflict.resolvedAt) {
+        return { success: false, error: 'Conflict has already been resolved', code: 'CONFLICT_ALREADY_RESOLVED' };
+      }
+
+      if (conflict.dataType !== 'diagnoses') {
+        return { success: false, error: `Conflicts on ${conflict.dataType} cannot be resolved here`, code: 'UNSUPPORTED_CONFLICT_TYPE' };
+      }
+
+      if (resolution === 'merge' && (!mergedData || typeof mergedData !== 'object')) {
+        return { success: false, error: 'mergedData is required for a merge resolution', code: 'MERGED_DATA_REQUIRED' };
+      }
+
+      let diagnosis = null;
+      if (APPLIED_RESOLUTIONS.includes(resolution)) {
+        const applied = await this._applyResolution(user, conflict, resolution, mergedData);
+        if (!applied.success) return applied;
+        diagnosis = applied.data.diagnosis;
+      }
+
+      const resolvedConflicts = await this._markResolved(user, conflict, resolution, mergedData);
+
+      return {
+        success: true,
+        data: {
+          conflictItemId,
+          resolution,
+          diagnosisId: diagnosis ? diagnosis._id : null,
+          revision: diagnosis ? diagnosis.revision : null,
+          resolvedConflicts
+        }
+      };
+
+    } catch (error) {
+      console.error('Error resolving conflict:', error);
+      return {
+        success: false,
+        error: 'Failed to resolve conflict',
+        code: 'RESOLVE_CONFLICT_ERROR'
+      };
+    }
+  }
+
+  async _applyResolution(user, conflict, resolution, mergedData) {
+    const diagnosis = await Diagnosis.findOne({ userId: user._id, ...this._itemFilter(conflict.itemId) });
+    if (!diagnosis) {
+      return { success: false, error: 'Diagnosis not found', code: 'DIAGNOSIS_NOT_FOUND' };
+    }
+
+    // server_wins keeps the record as it is; the new revision still sends it to the device that lost
+    let fields = {};
+    if (resolution === 'client_wins') {
+      fields = syncUploadService.clientFields(conflict.localVersion || {});
+    } else if (resolution === 'merge') {
+      fields = syncUploadService.clientFields(mergedData);
+    }
+    delete fields.clientId;
+    delete fields.createdAt;
+
+    // A retry after the write below went through but closing the conflict failed: finish closing it
+    if (this._appliedBefore(diagnosis, conflict, resolution)) {
+      return { success: true, data: { diagnosis } };
+    }
+
+    // The resolution was decided against the server version shown in the conflict; anything newer must not be overwritten
+    const shownRevision = this._shownRevision(conflict, diagnosis);
+    if (shownRevision === null) {
+      return this._diagnosisChanged();
+    }
+
+    const updated = await Diagnosis.findOneAndUpdate(
+      { _id: diagnosis._id, ...Diagnosis.revisionFilter(shownRevision) },
+      {
+        $set: {
+          ...fields,
+          syncStatus: 'synced',
+          syncedAt: new Date(),
+          lastModified: new Date(),
+          revision: shownRevision + 1,
+          resolvedConflict: { conflictId: conflict._id, resolution, revision: shownRevision + 1 }
+        }
+      },
+      { new: true, runValidators: true }
+    );
+
+    if (!updated) {
+      return this._diagnosisChanged();
+    }
+
+    // A resolution that archives the diagnosis removes it from the other devices
+    if (diagnosis.status !== 'archived' && updated.status === 'archived') {
+      await Tombstone.record('diagnoses', [updated], { reason: 'archived', deletedBy: user._id });
+    }
+
+    return { success: true, data: { diagnosis: updated } };
+  }
+
+  _appliedBefore(diagnosis, conflict, resolution) {
+    const applied = diagnosis.resolvedConflict;
+    return !!applied &&
+      String(applied.conflictId) === String(conflict._id) &&
+      applied.resolution === resolution &&
+      applied.revision === diagnosis.revision;
+  }
+
+  _shownRevision(conflict, diagnosis) {
+    const serverVersion = conflict.serverVersion || {};
+    if (Number.isInteger(serverVersion.revision)) {
+      return serverVersion.revision;
+    }
+
+    // Conflicts recorded before revisions existed: the record must be unchanged since then
+    const shownAt = serverVersion.updatedAt ? new Date(serverVersion.updatedAt).getTime() : NaN;
+    return shownAt === new Date(diagnosis.updatedAt).getTime() ? diagnosis.revision : null;
+  }
+
+  _diagnosisChanged() {
+    return {
+      success: false,
+      error: 'Diagnosis changed after the conflict was recorded; sync again and resolve the new conflict',
+      code: 'DIAGNOSIS_CHANGED'
+    };
+  }
+
+  async _markResolved(user, conflict, resolution, mergedData) {
+    const update = {
+      'conflicts.$[open].resolution': resolution,
+      'conflicts.$[open].resolvedAt': new Date(),
+      'conflicts.$[open].resolvedBy': user._id
+    };
+    if (mergedData) {
+      update['conflicts.$[open].mergedVersion'] = mergedData;
+    }
+
+    // The same item may have conflicted in several uploads (from any of the user's devices)
+    const result = await SyncLog.updateMany(
+      {
+        userId: user._id,
+        conflicts: { $elemMatch: { itemId: conflict.itemId, dataType: conflict.dataType, resolvedAt: null } }
+      },
+      { $set: update },
+      {
+        arrayFilters: [{ 'open.itemId': conflict.itemId, 'open.dataType': conflict.dataType, 'open.resolvedAt': null }]
+      }
+    );
+
+    return result.modifiedCount;
+  }
+
+  _itemFilter(itemId) {
+    // Conflicts from before client IDs were required carry the server _id
+    return mongoose.Types.ObjectId.isValid(itemId) && String(new mongoose.Types.ObjectId(itemId)) === itemId
+      ? { $or: [{ clientId: itemId }, { _id: itemId }] }
+      : { clientId: itemId };
+  }
+}
+
+module.exports = new SyncConflictService();
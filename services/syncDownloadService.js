@@ -0,0 +1,249 @@
+const mongoose = require('mongoose');
+const Activity = require('../models/Activity');
+const Diagnosis = require('../models/Diagnosis');
+const Tombstone = require('../models/Tombstone');
+const User = require('../models/User');
+const config = require('../config');
+
+const CURSOR_VERSION = 1;
+const MIN_OBJECT_ID = '000000000000000000000000';
+const DAY = 24 * 60 * 60 * 1000;
+
+// Record types downloaded page by page, in (updatedAt, _id) order
+const COLLECTIONS = {
+  activities: Activity,
+  diagnoses: Diagnosis
+};
+
+// What counts as a live record of a type; archived diagnoses go out as tombstones
+const LIVE = {
+  diagnoses: { status: { $ne: 'archived' } }
+};
+
+// Cursor position of a type's tombstones (removals, in (createdAt, _id) order)
+const tombstoneKey = (dataType) => `tombstones:${dataType}`;
+
+/**
+ * Service for paged sync downloads.
+ *
+ * Records are returned oldest change first and each page ends with an opaque
+ * cursor holding, per data type, the (updatedAt, _id) of the last record sent.
+ * A device keeps requesting with the cursor while `hasMore` is true; the last
+ * cursor is its watermark for the next incremental sync. Records updated while
+ * paging move past the cursor and come in a later page, so nothing is skipped.
+ *
+ * Deleted and archived records come as tombstones alongside the records. Tombstones
+ * are only kept for SYNC_TOMBSTONE_RETENTION_DAYS, so a device whose cursor is older
+ * than that is sent everything again (`fullResync`) instead of missing removals.
+ */
+class SyncDownloadService {
+
+  /**
+   * Encode download positions as an opaque cursor
+   * @param {Object} positions - Per data type { u: updatedAt (ms), i: last _id }
+   * @param {number} issuedAt - Time the cursor was issued (ms)
+   * @returns {string} Cursor
+   */
+  encodeCursor(positions, issuedAt = Date.now()) {
+    return Buffer.from(JSON.stringify({ v: CURSOR_VERSION, p: positions, t: issuedAt })).toString('base64url');
+  }
+
+  /**
+   * Decode a cursor or watermark
+   * @param {string} cursor - Cursor from a previous download
+   * @returns {Object} Per data type positions, or failure code
+   */
+  decodeCursor(cursor) {
+    const invalid = {
+      success: false,
+      error: 'Sync cursor is not valid; start a full download without one',
+      code: 'INVALID_SYNC_CURSOR'
+    };
+
+    let decoded;
+    try {
+      decoded = JSON.parse(Buffer.from(String(cursor), 'base64url').toString('utf8'));
+    } catch (error) {
+      return invalid;
+    }
+
+    if (!decoded || decoded.v !== CURSOR_VERSION || !decoded.p || typeof decoded.p !== 'object' ||
+      (decoded.t !== undefined && !Number.isFinite(decoded.t))) {
+      return invalid;
+    }
+
+    for (const position of Object.values(decoded.p)) {
+      if (!position || !Number.isFinite(position.u) ||
+        (position.i !== undefined && !mongoose.Types.ObjectId.isValid(position.i))) {
+        return invalid;
+      }
+    }
+
+    // Cursors from before issue times were recorded are dated by the newest record they saw
+    const positionTimes = Object.values(decoded.p).map(position => position.u);
+    const issuedAt = decoded.t !== undefined ? decoded.t : Math.max(0, ...positionTimes);
+
+    return { success: true, data: { positions: decoded.p, issuedAt } };
+  }
+
+  /**
+   * Download the next page of changes for a user
+   * @param {string} userId - User ID
+   * @param {Object} options - dataTypes, cursor (or watermark), lastSyncTimestamp (legacy), limit
+   * @returns {Promise<Object>} Data, tombstones, next cursor and hasMore, or failure code
+   */
+  async downloadPage(userId, options = {}) {
+    const { dataTypes = [], lastSyncTimestamp } = options;
+    const limit = options.limit || config.SYNC_DOWNLOAD_PAGE_SIZE;
+    const token = options.cursor || options.watermark;
+
+    // Leave the last few seconds for writes still in flight, so a late commit is not skipped
+    const settledBefore = new Date(Date.now() - config.SYNC_SETTLE_SECONDS * 1000);
+    const horizon = Date.now() - config.SYNC_TOMBSTONE_RETENTION_DAYS * DAY;
+
+    let positions = {};
+    let lastSyncAt = null;
+    if (token) {
+      const decoded = this.decodeCursor(token);
+      if (!decoded.success) return decoded;
+      positions = decoded.data.positions;
+      lastSyncAt = decoded.data.issuedAt;
+    } else if (lastSyncTimestamp) {
+      // Clients from before cursors existed still start from their own timestamp
+      const since = new Date(lastSyncTimestamp).getTime();
+      if (Number.isFinite(since)) {
+        for (const dataType of [...Object.keys(COLLECTIONS), 'user_profile']) {
+          positions[dataType] = { u: since, i: MIN_OBJECT_ID };
+        }
+        lastSyncAt = since;
+      }
+    }
+
+    // Removals older than the horizon are gone, so the device cannot catch up incrementally
+    const fullResync = lastSyncAt !== null && lastSyncAt < horizon;
+    const fullDownload = lastSyncAt === null || fullResync;
+    if (fullDownload) {
+      positions = {};
+    }
+
+    for (const dataType of Object.keys(COLLECTIONS)) {
+      // A full download has nothing to remove, only what is removed while it runs;
+      // cursors from before tombstones existed take them from the time they were issued
+      if (!positions[tombstoneKey(dataType)]) {
+        const from = fullDownload ? settledBefore.getTime() : lastSyncAt;
+        positions[tombstoneKey(dataType)] = { u: from, i: MIN_OBJECT_ID };
+      }
+    }
+
+    const data = {};
+    const tombstones = {};
+    const hasMoreByType = {};
+    const errors = [];
+    const next = { ...positions };
+
+    for (const dataType of dataTypes) {
+      try {
+        if (COLLECTIONS[dataType]) {
+          const page = await this._fetchPage(
+            COLLECTIONS[dataType],
+            { userId, syncStatus: 'synced', ...LIVE[dataType] },
+            'updatedAt',
+            positions[dataType],
+            settledBefore,
+            limit
+          );
+
+          const removed = await this._fetchPage(
+            Tombstone,
+            { userId, dataType },
+            'createdAt',
+            positions[tombstoneKey(dataType)],
+            settledBefore,
+            limit
+          );
+
+          data[dataType] = page.items;
+          tombstones[dataType] = removed.items.map(tombstone => ({
+            recordId: tombstone.recordId,
+            clientId: tombstone.clientId,
+            reason: tombstone.reason,
+            deletedAt: tombstone.createdAt
+          }));
+          hasMoreByType[dataType] = page.hasMore || removed.hasMore;
+
+          if (page.items.length > 0) {
+            const last = page.items[page.items.length - 1];
+            next[dataType] = { u: last.updatedAt.getTime(), i: last._id.toString() };
+          }
+          if (removed.items.length > 0) {
+            const last = removed.items[removed.items.length - 1];
+            next[tombstoneKey(dataType)] = { u: last.createdAt.getTime(), i: last._id.toString() };
+          }
+        } else if (dataType === 'user_profile') {
+          const user = await User.findById(userId)
+            .select('firstName lastName facility state contactInfo updatedAt')
+            .lean();
+          const since = positions.user_profile ? positions.user_profile.u : -1;
+
+          if (user && user.updatedAt.getTime() > since) {
+            data.user_profile = user;
+            next.user_profile = { u: user.updatedAt.getTime() };
+          }
+          hasMoreByType.user_profile = false;
+        }
+      } catch (error) {
+        console.error(`Error fetching ${dataType}:`, error);
+        // The position is not advanced, so the type is fetched again with the next request
+        errors.push({ dataType, error: error.message });
+        hasMoreByType[dataType] = true;
+      }
+    }
+
+    const hasMore = Object.values(hasMoreByType).some(Boolean);
+    const cursor = this.encodeCursor(next);
+
+    return {
+      success: true,
+      data: {
+        data,
+        tombstones,
+        fullResync,
+        cursor,
+        hasMore,
+        hasMoreByType,
+        // Once everything is sent, the cursor doubles as the watermark for the next sync
+        watermark: hasMore ? null : cursor,
+        errors
+      }
+    };
+  }
+
+  async _fetchPage(Model, filter, timeField, position, settledBefore, limit) {
+    const query = {
+      ...filter,
+      [timeField]: { $lte: settledBefore }
+    };
+
+    if (position) {
+      const since = new Date(position.u);
+      const afterId = new mongoose.Types.ObjectId(position.i || MIN_OBJECT_ID);
+      query.$or = [
+        { [timeField]: { $gt: since } },
+        { [timeField]: since, _id: { $gt: afterId } }
+      ];
+    }
+
+    // One extra record tells whether another page follows
+    const items = await Model.find(query)
+      .sort({ [timeField]: 1, _id: 1 })
+      .limit(limit + 1)
+      .lean();
+
+    return {
+      items: items.slice(0, limit),
+      hasMore: items.length > limit
+    };
+  }
+}
+
+module.exports = new SyncDownloadService();
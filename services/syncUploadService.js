@@ -0,0 +1,1028 @@
+const crypto = require('crypto');
+const Activity = require('../models/Activity');
+const Diagnosis = require('../models/Diagnosis');
+const DiagnosisRevision = require('../models/DiagnosisRevision');
+const SyncLog = require('../models/SyncLog');
+const Tombstone = require('../models/Tombstone');
+const UploadChunk = require('../models/UploadChunk');
+const UploadSession = require('../models/UploadSession');
+const User = require('../models/User');
+const config = require('../config');
+const { isValidUUID } = require('../utils/helpers');
+const { mergeDiagnosis, diffDiagnosis } = require('../utils/diagnosisMerge');
+
+// Record types matched by the client-generated UUID each item carries
+const CLIENT_ID_TYPES = ['activities', 'diagnoses'];
+
+// Fields the server owns; never taken from an uploaded item
+const SERVER_FIELDS = ['_id', 'id', '__v', 'userId', 'deviceId', 'syncStatus', 'syncedAt', 'updatedAt', 'revision', 'baseRevision', 'resolvedConflict'];
+
+/**
+ * Service for applying items uploaded by a device.
+ *
+ * Activities and diagnoses carry a `clientId` (UUID generated on the device)
+ * that is stored with a unique index per user, so uploading the same item
+ * twice returns the existing record instead of creating a duplicate.
+ *
+ * Items are applied in batches: one query finds the records a batch already
+ * has, one bulkWrite inserts or updates the rest, and each item still gets its
+ * own result (saved, duplicate, merged, conflict or error).
+ *
+ * Large backlogs can be sent as an upload session: the device declares the
+ * item counts, sends the items in checksummed chunks (in any order, resending
+ * only what did not arrive) and commits once every chunk is stored.
+ */
+class SyncUploadService {
+
+  /**
+   * Start a chunked upload
+   * @param {Object} context - user, deviceId
+   * @param {Object} request - syncType, operation, dataTypes, itemCounts, totalChunks, sessionId, deviceInfo, networkInfo
+   * @returns {Promise<Object>} Upload and sync log IDs, or failure code
+   */
+  async beginSession(context, request) {
+    try {
+      const { user, deviceId } = context;
+      const { dataTypes, itemCounts, totalChunks } = request;
+
+      const undeclared = Object.keys(itemCounts).filter(dataType => !dataTypes.includes(dataType));
+      if (undeclared.length > 0) {
+        return {
+          success: false,
+          error: `Item counts given for data types not in dataTypes: ${undeclared.join(', ')}`,
+          code: 'INVALID_ITEM_COUNTS'
+        };
+      }
+
+      // Chunks are stored until the commit, so the whole upload must fit the session limit
+      const maxChunks = Math.floor(config.SYNC_UPLOAD_SESSION_MAX_BYTES / config.SYNC_UPLOAD_CHUNK_MAX_BYTES);
+      if (totalChunks > maxChunks) {
+        return {
+          success: false,
+          error: `An upload can have at most ${maxChunks} chunks of up to ${config.SYNC_UPLOAD_CHUNK_MAX_BYTES} bytes`,
+          code: 'UPLOAD_TOO_LARGE'
+        };
+      }
+
+      const totalItems = Object.values(itemCounts).reduce((sum, count) => sum + count, 0);
+
+      const syncLog = new SyncLog({
+        userId: user._id,
+        deviceId,
+        sessionId: request.sessionId,
+        syncType: request.syncType,
+        operation: request.operation,
+        dataTypes,
+        status: 'initiated',
+        deviceInfo: request.deviceInfo,
+        networkInfo: request.networkInfo,
+        progress: { totalItems, totalChunks }
+      });
+      await syncLog.save();
+
+      const session = await UploadSession.create({
+        userId: user._id,
+        deviceId,
+        syncLogId: syncLog._id,
+        dataTypes,
+        itemCounts,
+        totalChunks,
+        expiresAt: new Date(Date.now() + config.SYNC_UPLOAD_SESSION_TTL_HOURS * 60 * 60 * 1000)
+      });
+
+      return {
+        success: true,
+        data: {
+          uploadId: session._id,
+          syncId: syncLog._id,
+          totalChunks,
+          maxChunkBytes: config.SYNC_UPLOAD_CHUNK_MAX_BYTES,
+          expiresAt: session.expiresAt
+        }
+      };
+
+    } catch (error) {
+      console.error('Error starting upload session:', error);
+      return {
+        success: false,
+        error: 'Failed to start upload session',
+        code: 'UPLOAD_SESSION_ERROR'
+      };
+    }
+  }
+
+  /**
+   * Store one chunk of an upload (sending a stored chunk again is a no-op)
+   * @param {Object} context - user, deviceId
+   * @param {string} uploadId - Upload session ID
+   * @param {number} index - Chunk index (0 to totalChunks - 1)
+   * @param {Object} chunk - body (raw bytes of `{ dataType: [items] }` JSON) and checksum (SHA-256 hex)
+   * @returns {Promise<Object>} Stored chunk details, or failure code
+   */
+  async appendChunk(context, uploadId, index, chunk) {
+    try {
+      const session = await this._findSession(context, uploadId);
+      if (!session) {
+        return { success: false, error: 'Upload session not found', code: 'UPLOAD_SESSION_NOT_FOUND' };
+      }
+
+      if (session.status !== 'open') {
+        return { success: false, error: 'Upload session no longer accepts chunks', code: 'UPLOAD_SESSION_CLOSED' };
+      }
+
+      if (index >= session.totalChunks) {
+        return {
+          success: false,
+          error: `Chunk index must be below ${session.totalChunks}`,
+          code: 'INVALID_CHUNK_INDEX'
+        };
+      }
+
+      const checksum = String(chunk.checksum || '').toLowerCase();
+      const actual = crypto.createHash('sha256').update(chunk.body).digest('hex');
+      if (checksum !== actual) {
+        return {
+          success: false,
+          error: 'Chunk checksum does not match its content; send the chunk again',
+          code: 'CHUNK_CHECKSUM_MISMATCH'
+        };
+      }
+
+      const payload = chunk.body.toString('utf8');
+      const itemCounts = this._countItems(payload, session.dataTypes);
+      if (!itemCounts) {
+        return {
+          success: false,
+          error: 'A chunk must be a JSON object of item arrays keyed by the session\'s data types',
+          code: 'CHUNK_MALFORMED'
+        };
+      }
+
+      try {
+        await UploadChunk.create({
+          uploadSessionId: session._id,
+          index,
+          checksum,
+          size: chunk.body.length,
+          itemCounts,
+          payload
+        });
+      } catch (error) {
+        if (error.code !== 11000) throw error;
+
+        const stored = await UploadChunk.findOne({ uploadSessionId: session._id, index }).select('checksum');
+        if (stored && stored.checksum === checksum) {
+          return { success: true, data: { index, itemCounts, alreadyReceived: true } };
+        }
+        return {
+          success: false,
+          error: `Chunk ${index} was already received with different content`,
+          code: 'CHUNK_CONFLICT'
+        };
+      }
+
+      // Counters only move for newly stored chunks, whatever order they arrive in
+      await SyncLog.updateOne(
+        { _id: session.syncLogId },
+        {
+          $set: { status: 'in_progress' },
+          $inc: {
+            'progress.receivedChunks': 1,
+            'progress.receivedItems': Object.values(itemCounts).reduce((sum, count) => sum + count, 0),
+            'dataTransfer.uploadedBytes': chunk.body.length
+          }
+        }
+      );
+
+      return { success: true, data: { index, itemCounts, alreadyReceived: false } };
+
+    } catch (error) {
+      console.error('Error storing upload chunk:', error);
+      return {
+        success: false,
+        error: 'Failed to store chunk',
+        code: 'UPLOAD_CHUNK_ERROR'
+      };
+    }
+  }
+
+  /**
+   * Get the state of an upload, including which chunks are still missing
+   * @param {Object} context - user, deviceId
+   * @param {string} uploadId - Upload session ID
+   * @returns {Promise<Object>} Upload state (and result once committed), or failure code
+   */
+  async getSession(context, uploadId) {
+    try {
+      const session = await this._findSession(context, uploadId);
+      if (!session) {
+        return { success: false, error: 'Upload session not found', code: 'UPLOAD_SESSION_NOT_FOUND' };
+      }
+
+      const chunks = await UploadChunk.find({ uploadSessionId: session._id })
+        .select('index size itemCounts')
+        .sort({ index: 1 })
+        .lean();
+
+      return {
+        success: true,
+        data: {
+          uploadId: session._id,
+          syncId: session.syncLogId,
+          status: session.status,
+          totalChunks: session.totalChunks,
+          // Chunks are removed once committed; the result shows what was applied
+          receivedChunks: chunks.map(stored => stored.index),
+          missingChunks: session.status === 'committed' ? [] : this._missingChunks(session, chunks),
+          itemCounts: session.itemCounts,
+          receivedItemCounts: this._sumItemCounts(chunks),
+          expiresAt: session.expiresAt,
+          result: session.result
+        }
+      };
+
+    } catch (error) {
+      console.error('Error getting upload session:', error);
+      return {
+        success: false,
+        error: 'Failed to get upload session',
+        code: 'UPLOAD_SESSION_ERROR'
+      };
+    }
+  }
+
+  /**
+   * Apply the items of a complete upload (committing again returns the first result)
+   * @param {Object} context - user, deviceId
+   * @param {string} uploadId - Upload session ID
+   * @returns {Promise<Object>} Upload result, or failure code
+   */
+  async commitSession(context, uploadId) {
+    let claimed = null;
+
+    try {
+      const session = await this._findSession(context, uploadId);
+      if (!session) {
+        return { success: false, error: 'Upload session not found', code: 'UPLOAD_SESSION_NOT_FOUND' };
+      }
+
+      if (session.status === 'committed') {
+        return { success: true, data: session.result };
+      }
+
+      // A commit claimed longer ago than the lock window died with its process and may be taken over
+      const staleBefore = new Date(Date.now() - config.SYNC_UPLOAD_COMMIT_LOCK_MINUTES * 60 * 1000);
+      if (session.status === 'committing' && session.committingAt > staleBefore) {
+        return {
+          success: false,
+          error: 'Upload is being committed; check its status shortly',
+          code: 'UPLOAD_COMMIT_IN_PROGRESS'
+        };
+      }
+
+      const chunks = await UploadChunk.find({ uploadSessionId: session._id }).select('index itemCounts').lean();
+
+      const missingChunks = this._missingChunks(session, chunks);
+      if (missingChunks.length > 0) {
+        return {
+          success: false,
+          error: `${missingChunks.length} chunk(s) have not been received`,
+          code: 'UPLOAD_INCOMPLETE',
+          data: { missingChunks }
+        };
+      }
+
+      const received = this._sumItemCounts(chunks);
+      const declared = session.itemCounts || {};
+      const dataTypes = new Set([...Object.keys(declared), ...Object.keys(received)]);
+      if ([...dataTypes].some(dataType => (declared[dataType] || 0) !== (received[dataType] || 0))) {
+        return {
+          success: false,
+          error: 'Items received do not match the counts declared when the upload began',
+          code: 'ITEM_COUNT_MISMATCH',
+          data: { declared, received }
+        };
+      }
+
+      // Only one commit runs; a retry while it does is told to wait. Items a dead commit
+      // already applied are found again by clientId, so taking it over duplicates nothing
+      claimed = await UploadSession.findOneAndUpdate(
+        {
+          _id: session._id,
+          $or: [
+            { status: 'open' },
+            { status: 'committing', committingAt: null },
+            { status: 'committing', committingAt: { $lt: staleBefore } }
+          ]
+        },
+        { $set: { status: 'committing', committingAt: new Date() } },
+        { new: true }
+      );
+      if (!claimed) {
+        return {
+          success: false,
+          error: 'Upload is being committed; check its status shortly',
+          code: 'UPLOAD_COMMIT_IN_PROGRESS'
+        };
+      }
+
+      const syncLog = await SyncLog.findById(claimed.syncLogId);
+      syncLog.status = 'in_progress';
+
+      const uploadContext = { user: context.user, deviceId: context.deviceId, syncLog };
+      const results = this._emptyResults();
+
+      // One chunk is read at a time, in index order, and its items applied before the next
+      const cursor = UploadChunk.find({ uploadSessionId: claimed._id })
+        .sort({ index: 1 })
+        .batchSize(1)
+        .lean()
+        .cursor();
+      for await (const stored of cursor) {
+        const items = JSON.parse(stored.payload);
+        for (const dataType of claimed.dataTypes) {
+          if (Array.isArray(items[dataType])) {
+            await this._processItems(uploadContext, dataType, items[dataType], results);
+          }
+        }
+
+        // Renew the claim after every chunk, so a live commit never looks stale; one that was
+        // taken over anyway stops here and leaves the rest to the commit that took it
+        if (!await this._renewClaim(claimed)) {
+          return this._commitTakenOver();
+        }
+      }
+
+      const status = results.failed.length > 0 ? 'partial' : 'completed';
+
+      // Stored as plain JSON, as the response replayed to later commits
+      const result = JSON.parse(JSON.stringify({
+        uploadId: claimed._id,
+        syncId: syncLog._id,
+        status,
+        ...this.summarizeResults(results)
+      }));
+
+      const committed = await UploadSession.updateOne(
+        { _id: claimed._id, status: 'committing', committingAt: claimed.committingAt },
+        { $set: { status: 'committed', committedAt: new Date(), result } }
+      );
+      if (committed.modifiedCount === 0) {
+        return this._commitTakenOver();
+      }
+
+      await syncLog.markCompleted(status);
+      await UploadChunk.deleteMany({ uploadSessionId: claimed._id });
+
+      return { success: true, data: result };
+
+    } catch (error) {
+      console.error('Error committing upload session:', error);
+
+      // The chunks are kept, so the device can commit again without resending them
+      if (claimed) {
+        await UploadSession.updateOne(
+          { _id: claimed._id, status: 'committing', committingAt: claimed.committingAt },
+          { $set: { status: 'open', committingAt: null } }
+        )
+          .catch(resetError => console.error('Error reopening upload session:', resetError));
+      }
+
+      return {
+        success: false,
+        error: 'Failed to commit upload',
+        code: 'UPLOAD_COMMIT_ERROR'
+      };
+    }
+  }
+
+  /**
+   * Remove upload sessions past expiresAt with their chunks, closing the sync log of any not committed
+   * @returns {Promise<Object>} Counts (cancelled, failed, removed) and errors
+   */
+  async expireSessions() {
+    const counts = { cancelled: 0, failed: 0, removed: 0 };
+    const errors = [];
+
+    // A commit that is still running is left to finish; the next run removes its session
+    const staleBefore = new Date(Date.now() - config.SYNC_UPLOAD_COMMIT_LOCK_MINUTES * 60 * 1000);
+    const sessions = await UploadSession.find({
+      expiresAt: { $lte: new Date() },
+      $or: [
+        { status: { $in: ['open', 'committed'] } },
+        { status: 'committing', committingAt: null },
+        { status: 'committing', committingAt: { $lt: staleBefore } }
+      ]
+    })
+      .select('status committingAt syncLogId')
+      .lean();
+
+    for (const session of sessions) {
+      try {
+        // Never committed: the device gave up (cancelled) or its commit died (failed)
+        const logStatus = { open: 'cancelled', committing: 'failed' }[session.status];
+        if (logStatus) {
+          const syncLog = await SyncLog.findById(session.syncLogId);
+          if (syncLog && ['initiated', 'in_progress'].includes(syncLog.status)) {
+            syncLog.pushError('UPLOAD_SESSION_EXPIRED', 'Upload session expired before it was committed', 'medium', null, null, false);
+            await syncLog.markCompleted(logStatus);
+          }
+        }
+
+        // Only removed as found, so a commit that renewed its claim in between keeps its session
+        const removed = await UploadSession.deleteOne({
+          _id: session._id,
+          status: session.status,
+          committingAt: session.committingAt
+        });
+        if (removed.deletedCount === 0) continue;
+
+        await UploadChunk.deleteMany({ uploadSessionId: session._id });
+        if (logStatus) counts[logStatus]++;
+        counts.removed++;
+      } catch (error) {
+        errors.push(`Upload session ${session._id}: ${error.message}`);
+      }
+    }
+
+    return { counts, errors };
+  }
+
+  /**
+   * Shape upload results for the API response
+   * @param {Object} results - Result of processUpload
+   * @returns {Object} Counts, idMap and per-item details
+   */
+  summarizeResults(results) {
+    return {
+      results: {
+        successful: results.successful.length,
+        failed: results.failed.length,
+        conflicts: results.conflicts.length
+      },
+      // clientId -> server _id per data type, for the device to link its local records
+      idMap: results.idMap,
+      details: {
+        successful: results.successful,
+        failed: results.failed,
+        conflicts: results.conflicts
+      }
+    };
+  }
+
+  /**
+   * Apply uploaded items to the database, in batches of SYNC_BATCH_SIZE per data type.
+   * Each batch looks up the records it already has in one query and writes the rest
+   * with one bulkWrite; the sync log (progress, errors, conflicts) is saved once per batch.
+   * @param {Object} context - user, deviceId, syncLog
+   * @param {Object} upload - dataTypes and data (items per data type)
+   * @returns {Promise<Object>} successful, failed and conflicts lists, and idMap (clientId -> server _id per type)
+   */
+  async processUpload(context, upload) {
+    const { dataTypes, data } = upload;
+    const results = this._emptyResults();
+
+    for (const dataType of dataTypes) {
+      if (!data[dataType] || !Array.isArray(data[dataType])) continue;
+      await this._processItems(context, dataType, data[dataType], results);
+    }
+
+    return results;
+  }
+
+  _emptyResults() {
+    return {
+      successful: [],
+      failed: [],
+      conflicts: [],
+      idMap: {}
+    };
+  }
+
+  // Applies one data type's items batch by batch, adding to results
+  async _processItems(context, dataType, items, results) {
+    const { syncLog } = context;
+
+    for (let start = 0; start < items.length; start += config.SYNC_BATCH_SIZE) {
+      const batch = items.slice(start, start + config.SYNC_BATCH_SIZE);
+
+      let outcomes;
+      try {
+        outcomes = await this._applyBatch(context, dataType, batch);
+      } catch (batchError) {
+        // Writes from a failed batch are found again by clientId when the device retries
+        console.error(`Error processing ${dataType} batch:`, batchError);
+        outcomes = batch.map(() => ({ error: batchError.message }));
+      }
+
+      batch.forEach((item, position) => this._recordOutcome(results, syncLog, dataType, item, outcomes[position]));
+
+      // Saves the errors and conflicts recorded above too
+      await syncLog.updateProgress(
+        results.successful.length + results.failed.length + results.conflicts.length,
+        results.successful.length,
+        results.failed.length
+      );
+    }
+  }
+
+  _recordOutcome(results, syncLog, dataType, item, outcome) {
+    const clientId = item && item.clientId;
+    const itemId = clientId || item?._id || item?.id;
+
+    if (outcome.error) {
+      results.failed.push({ itemId, dataType, error: outcome.error, code: outcome.code });
+      if (outcome.code === 'CLIENT_ID_REQUIRED') {
+        syncLog.pushError('CLIENT_ID_REQUIRED', 'Item without a valid clientId', 'low', dataType, clientId || null, false);
+      } else {
+        syncLog.pushError('ITEM_PROCESSING_ERROR', outcome.error, 'medium', dataType, itemId);
+      }
+      return;
+    }
+
+    if (outcome.conflict) {
+      syncLog.pushConflict(
+        clientId,
+        dataType,
+        outcome.conflict.reason,
+        item,
+        outcome.conflict.serverVersion,
+        { fields: outcome.conflict.fields, baseVersion: outcome.conflict.baseVersion }
+      );
+      results.conflicts.push({
+        itemId: clientId,
+        clientId,
+        dataType,
+        serverId: outcome.conflict.serverId,
+        serverRevision: outcome.conflict.serverRevision,
+        reason: outcome.conflict.reason,
+        fields: outcome.conflict.fields
+      });
+      return;
+    }
+
+    const serverId = outcome.savedItem?._id;
+    results.successful.push({
+      itemId,
+      clientId,
+      dataType,
+      serverId,
+      revision: outcome.savedItem?.revision,
+      duplicate: !!outcome.duplicate,
+      merged: !!outcome.merged
+    });
+
+    if (clientId && serverId) {
+      results.idMap[dataType] = results.idMap[dataType] || {};
+      results.idMap[dataType][clientId] = serverId;
+    }
+  }
+
+  async _applyBatch(context, dataType, batch) {
+    if (dataType === 'user_profile') {
+      const outcomes = [];
+      for (const item of batch) {
+        outcomes.push(await this._applyUserProfile(context, item).catch(error => ({ error: error.message })));
+      }
+      return outcomes;
+    }
+
+    if (!CLIENT_ID_TYPES.includes(dataType)) {
+      return batch.map(() => ({ error: `Unsupported data type: ${dataType}` }));
+    }
+
+    const outcomes = new Array(batch.length);
+    const unique = [];
+    const repeats = [];
+    const seen = new Set();
+
+    batch.forEach((item, position) => {
+      const clientId = item && item.clientId;
+      if (!isValidUUID(clientId)) {
+        outcomes[position] = { error: 'clientId must be a UUID generated on the device', code: 'CLIENT_ID_REQUIRED' };
+      } else if (seen.has(clientId)) {
+        repeats.push(position);
+      } else {
+        seen.add(clientId);
+        unique.push(position);
+      }
+    });
+
+    const items = unique.map(position => batch[position]);
+    let applied = [];
+    if (items.length > 0) {
+      applied = dataType === 'activities'
+        ? await this._applyActivities(context, items)
+        : await this._applyDiagnoses(context, items);
+    }
+    unique.forEach((position, index) => { outcomes[position] = applied[index]; });
+
+    // An item sent twice in one upload is applied after the first copy, as if uploaded in order
+    if (repeats.length > 0) {
+      const later = await this._applyBatch(context, dataType, repeats.map(position => batch[position]));
+      repeats.forEach((position, index) => { outcomes[position] = later[index]; });
+    }
+
+    return outcomes;
+  }
+
+  async _applyUserProfile(context, item) {
+    const updateFields = {};
+    if (item.firstName) updateFields.firstName = item.firstName;
+    if (item.lastName) updateFields.lastName = item.lastName;
+    if (item.facility) updateFields.facility = item.facility;
+    if (item.state) updateFields.state = item.state;
+    if (item.contactInfo) updateFields.contactInfo = item.contactInfo;
+
+    if (Object.keys(updateFields).length > 0) {
+      await User.findByIdAndUpdate(context.user._id, updateFields);
+      return { savedItem: { updated: true, fields: Object.keys(updateFields) } };
+    }
+    return { savedItem: null };
+  }
+
+  async _applyActivities(context, items) {
+    const { user, deviceId } = context;
+    const outcomes = new Array(items.length);
+    const syncedAt = new Date();
+
+    // Activities are immutable events: a known clientId is a repeated upload
+    const existing = await this._findByClientId(Activity, user, items, '_id clientId');
+    const inserts = [];
+
+    for (const [position, item] of items.entries()) {
+      const stored = existing.get(item.clientId);
+      if (stored) {
+        outcomes[position] = { savedItem: stored, duplicate: true };
+        continue;
+      }
+
+      const activity = new Activity({
+        ...this.clientFields(item),
+        userId: user._id,
+        deviceId,
+        syncStatus: 'synced',
+        syncedAt
+      });
+
+      const invalid = await this._validationError(activity);
+      if (invalid) {
+        outcomes[position] = { error: invalid };
+        continue;
+      }
+
+      inserts.push({ position, document: activity });
+    }
+
+    const raced = await this._insertDocuments(Activity, inserts, outcomes);
+    await this._resolveRaced(Activity, user, items, raced, outcomes);
+
+    return outcomes;
+  }
+
+  async _applyDiagnoses(context, items) {
+    const { user, deviceId } = context;
+    const outcomes = new Array(items.length);
+    const syncedAt = new Date();
+
+    const existing = await this._findByClientId(Diagnosis, user, items);
+    const inserts = [];
+    const updates = [];
+    const stale = [];
+
+    for (const [position, item] of items.entries()) {
+      const stored = existing.get(item.clientId);
+
+      if (!stored) {
+        const diagnosis = new Diagnosis({
+          ...this.clientFields(item),
+          userId: user._id,
+          deviceId,
+          syncStatus: 'synced',
+          syncedAt,
+          lastModified: syncedAt
+        });
+
+        const invalid = await this._validationError(diagnosis);
+        if (invalid) {
+          outcomes[position] = { error: invalid };
+          continue;
+        }
+
+        inserts.push({ position, document: diagnosis });
+        continue;
+      }
+
+      // The device edited from baseRevision; a first upload without one was edited from the created record
+      const baseRevision = item.baseRevision === undefined || item.baseRevision === null
+        ? 1
+        : Number(item.baseRevision);
+
+      const fields = this.clientFields(item);
+      delete fields.clientId;
+      delete fields.createdAt;
+
+      if (!Number.isInteger(baseRevision) || baseRevision > stored.revision) {
+        outcomes[position] = this._revisionConflict(stored, fields);
+        continue;
+      }
+
+      const update = { position, existing: stored, fields, baseRevision };
+      if (baseRevision < stored.revision) {
+        stale.push(update);
+      } else {
+        updates.push(update);
+      }
+    }
+
+    if (stale.length > 0) {
+      // Edited on the server too since the device's copy: merge both edits onto the common ancestor
+      const ancestors = await this._findAncestors(stale);
+
+      for (const update of stale) {
+        const ancestor = ancestors.get(`${update.existing._id}:${update.baseRevision}`);
+        if (!ancestor) {
+          outcomes[update.position] = this._revisionConflict(update.existing, update.fields);
+          continue;
+        }
+
+        // Fields the device left out are as it last saw them, not changed (or reset to defaults)
+        const clientVersion = { ...ancestor.snapshot, ...update.fields };
+        const merge = mergeDiagnosis(ancestor.snapshot, update.existing.toObject(), clientVersion);
+
+        if (merge.conflicts.length > 0) {
+          outcomes[update.position] = {
+            conflict: {
+              reason: 'concurrent_modification',
+              serverId: update.existing._id,
+              serverRevision: update.existing.revision,
+              serverVersion: update.existing.toObject(),
+              baseVersion: ancestor.snapshot,
+              fields: merge.conflicts
+            }
+          };
+          continue;
+        }
+
+        updates.push({ ...update, fields: merge.merged, merged: true });
+      }
+    }
+
+    const raced = await this._insertDocuments(Diagnosis, inserts, outcomes);
+    await this._resolveRaced(Diagnosis, user, items, raced, outcomes);
+    await this._updateDiagnoses(updates, outcomes, syncedAt);
+
+    // Bulk writes skip the model's hooks, so the merge ancestors are recorded here
+    await Diagnosis.recordRevisions(outcomes
+      .filter(outcome => outcome.savedItem && !outcome.duplicate)
+      .map(outcome => outcome.savedItem));
+
+    // Archived by this upload (the compare-and-set saw the status it had before): the other devices drop it
+    const archived = updates
+      .map(update => ({ before: update.existing, after: outcomes[update.position].savedItem }))
+      .filter(({ before, after }) => after && before.status !== 'archived' && after.status === 'archived')
+      .map(({ after }) => after);
+    await Tombstone.record('diagnoses', archived, { reason: 'archived', deletedBy: user._id });
+
+    return outcomes;
+  }
+
+  async _updateDiagnoses(updates, outcomes, syncedAt) {
+    const pending = [];
+
+    for (const update of updates) {
+      const set = {
+        ...update.fields,
+        baseRevision: update.baseRevision,
+        syncStatus: 'synced',
+        syncedAt,
+        lastModified: syncedAt
+      };
+
+      // Validated as the whole record will read after the update
+      const candidate = Diagnosis.hydrate(update.existing.toObject());
+      candidate.set({ ...set, revision: update.existing.revision + 1 });
+
+      const invalid = await this._validationError(candidate);
+      if (invalid) {
+        outcomes[update.position] = { error: invalid };
+        continue;
+      }
+
+      pending.push({ ...update, set, candidate });
+    }
+
+    if (pending.length === 0) return;
+
+    // Compare-and-set on the revision, so a write landing after the lookup is not overwritten
+    const { errors, matchedCount } = await this._bulkWrite(Diagnosis, pending.map(update => ({
+      updateOne: {
+        filter: { _id: update.existing._id, ...Diagnosis.revisionFilter(update.existing.revision) },
+        update: { $set: { ...update.set, revision: update.existing.revision + 1 } }
+      }
+    })));
+
+    // Only when some updates did not match is it worth reading back which ones
+    let current = null;
+    if (matchedCount < pending.length) {
+      const records = await Diagnosis.find({ _id: { $in: pending.map(update => update.existing._id) } });
+      current = new Map(records.map(record => [String(record._id), record]));
+    }
+
+    pending.forEach((update, index) => {
+      if (errors[index]) {
+        outcomes[update.position] = { error: errors[index].errmsg || errors[index].message };
+        return;
+      }
+
+      const latest = current && current.get(String(update.existing._id));
+      const applied = !current || (latest &&
+        latest.revision === update.existing.revision + 1 &&
+        latest.syncedAt && latest.syncedAt.getTime() === syncedAt.getTime());
+
+      outcomes[update.position] = applied
+        ? { savedItem: update.candidate, merged: !!update.merged }
+        : this._revisionConflict(latest || update.existing, update.fields);
+    });
+  }
+
+  async _findByClientId(Model, user, items, projection) {
+    const query = Model.find({ userId: user._id, clientId: { $in: items.map(item => item.clientId) } });
+    if (projection) query.select(projection);
+
+    const records = await query;
+    return new Map(records.map(record => [record.clientId, record]));
+  }
+
+  async _findAncestors(updates) {
+    const snapshots = await DiagnosisRevision.find({
+      $or: updates.map(update => ({ diagnosisId: update.existing._id, revision: update.baseRevision }))
+    }).lean();
+
+    return new Map(snapshots.map(snapshot => [`${snapshot.diagnosisId}:${snapshot.revision}`, snapshot]));
+  }
+
+  async _insertDocuments(Model, inserts, outcomes) {
+    if (inserts.length === 0) return [];
+
+    const { errors } = await this._bulkWrite(Model, inserts.map(insert => ({
+      insertOne: { document: insert.document.toObject() }
+    })));
+
+    const raced = [];
+    inserts.forEach((insert, index) => {
+      const writeError = errors[index];
+      if (!writeError) {
+        outcomes[insert.position] = { savedItem: insert.document };
+      } else if (writeError.code === 11000) {
+        raced.push(insert.position);
+      } else {
+        outcomes[insert.position] = { error: writeError.errmsg || writeError.message };
+      }
+    });
+    return raced;
+  }
+
+  async _resolveRaced(Model, user, items, raced, outcomes) {
+    if (raced.length === 0) return;
+
+    // A concurrent upload of the same items won the unique index
+    const winners = await this._findByClientId(Model, user, raced.map(position => items[position]), '_id clientId revision');
+    for (const position of raced) {
+      const winner = winners.get(items[position].clientId);
+      outcomes[position] = winner
+        ? { savedItem: winner, duplicate: true }
+        : { error: 'Item was written concurrently; upload it again' };
+    }
+  }
+
+  async _bulkWrite(Model, ops) {
+    let result;
+    try {
+      // Documents were validated one by one above, so each item reports its own error
+      result = await Model.bulkWrite(ops, { ordered: false, skipValidation: true });
+    } catch (error) {
+      // Unordered: operations without a write error were still applied
+      if (!error.writeErrors) throw error;
+      result = error;
+    }
+
+    // Per operation: null, or the error it failed with
+    let errors = ops.map(() => null);
+    if (result.mongoose && result.mongoose.results) {
+      errors = result.mongoose.results.map(opResult => opResult || null);
+    } else {
+      for (const writeError of [].concat(result.writeErrors || [])) {
+        errors[writeError.index] = writeError;
+      }
+    }
+
+    return { errors, matchedCount: result.matchedCount || 0 };
+  }
+
+  async _validationError(document) {
+    try {
+      await document.validate();
+      return null;
+    } catch (error) {
+      return error.message;
+    }
+  }
+
+  _revisionConflict(current, fields) {
+    const serverVersion = current.toObject();
+
+    return {
+      conflict: {
+        reason: 'version_mismatch',
+        serverId: current._id,
+        serverRevision: current.revision,
+        serverVersion,
+        // Only what the upload would have set can differ
+        fields: diffDiagnosis(serverVersion, { ...serverVersion, ...fields })
+      }
+    };
+  }
+
+  async _renewClaim(session) {
+    const committingAt = new Date();
+    const renewed = await UploadSession.updateOne(
+      { _id: session._id, status: 'committing', committingAt: session.committingAt },
+      { $set: { committingAt } }
+    );
+    if (renewed.modifiedCount === 0) return false;
+
+    session.committingAt = committingAt;
+    return true;
+  }
+
+  _commitTakenOver() {
+    return {
+      success: false,
+      error: 'Upload is being committed by a later request; check its status shortly',
+      code: 'UPLOAD_COMMIT_IN_PROGRESS'
+    };
+  }
+
+  _findSession(context, uploadId) {
+    // An expired session is gone for the device even before the expiry job removes it
+    return UploadSession.findOne({
+      _id: uploadId,
+      userId: context.user._id,
+      deviceId: context.deviceId,
+      expiresAt: { $gt: new Date() }
+    });
+  }
+
+  _countItems(payload, dataTypes) {
+    let items;
+    try {
+      items = JSON.parse(payload);
+    } catch (error) {
+      return null;
+    }
+
+    if (!items || typeof items !== 'object' || Array.isArray(items)) return null;
+
+    const counts = {};
+    for (const [dataType, list] of Object.entries(items)) {
+      if (!dataTypes.includes(dataType) || !Array.isArray(list)) return null;
+      counts[dataType] = list.length;
+    }
+    return counts;
+  }
+
+  _sumItemCounts(chunks) {
+    const totals = {};
+    for (const stored of chunks) {
+      for (const [dataType, count] of Object.entries(stored.itemCounts || {})) {
+        totals[dataType] = (totals[dataType] || 0) + count;
+      }
+    }
+    return totals;
+  }
+
+  _missingChunks(session, chunks) {
+    const received = new Set(chunks.map(stored => stored.index));
+    const missing = [];
+    for (let index = 0; index < session.totalChunks; index++) {
+      if (!received.has(index)) missing.push(index);
+    }
+    return missing;
+  }
+
+  /**
+   * Copy an uploaded item without the fields the server owns
+   * @param {Object} item - Item as sent by the device
+   * @returns {Object} Fields that may be written to the record
+   */
+  clientFields(item) {
+    const fields = { ...item };
+    for (const field of SERVER_FIELDS) {
+      delete fields[field];
+    }
+    return fields;
+  }
+}
+
+module.exports = new SyncUploadService();
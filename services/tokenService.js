@@ -0,0 +1,254 @@
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+const { v4: uuidv4 } = require('uuid');
+const User = require('../models/User');
+const RefreshToken = require('../models/RefreshToken');
+const RevokedToken = require('../models/RevokedToken');
+const {
+  generateToken,
+  generateRefreshToken,
+  verifyRefreshToken,
+  licenseExpiredResponse
+} = require('../middleware/auth');
+
+/**
+ * Service for issuing, rotating and revoking mobile app tokens.
+ *
+ * Every login starts a refresh token family. Each refresh rotates the
+ * presented token and issues a new one in the same family; presenting a
+ * token that was already rotated is treated as theft and revokes the
+ * whole family, including the access tokens issued with it.
+ */
+class TokenService {
+
+  /**
+   * Issue an access/refresh token pair and persist the refresh token
+   * @param {Object} user - User document
+   * @param {Object} options - deviceId and, when rotating, the existing family
+   * @returns {Promise<Object>} Tokens and their identifiers
+   */
+  async issueTokens(user, options = {}) {
+    const family = options.family || uuidv4();
+    const accessJti = uuidv4();
+    const refreshJti = uuidv4();
+
+    const token = generateToken(user, { jti: accessJti, family, deviceId: options.deviceId });
+    const refreshToken = generateRefreshToken(user, { jti: refreshJti, family });
+
+    await RefreshToken.create({
+      jti: refreshJti,
+      family,
+      userId: user._id,
+      deviceId: options.deviceId,
+      accessJti,
+      accessExpiresAt: new Date(jwt.decode(token).exp * 1000),
+      expiresAt: new Date(jwt.decode(refreshToken).exp * 1000)
+    });
+
+    return { token, refreshToken, family, refreshJti };
+  }
+
+  /**
+   * Exchange a refresh token for a new token pair
+   * @param {string} refreshToken - Refresh token presented by the client
+   * @returns {Promise<Object>} New tokens or failure code
+   */
+  async rotateRefreshToken(refreshToken) {
+    try {
+      let decoded;
+      try {
+        decoded = verifyRefreshToken(refreshToken);
+      } catch (error) {
+        return {
+          success: false,
+          error: 'Invalid refresh token',
+          code: 'INVALID_REFRESH_TOKEN'
+        };
+      }
+
+      if (decoded.type !== 'refresh') {
+        return {
+          success: false,
+          error: 'Invalid refresh token',
+          code: 'INVALID_REFRESH_TOKEN'
+        };
+      }
+
+      const user = await User.findById(decoded.userId).select('-password');
+      if (!user || !user.isActive) {
+        return {
+          success: false,
+          error: 'Invalid refresh token',
+          code: 'INVALID_REFRESH_TOKEN'
+        };
+      }
+
+      // A lapsed licence cannot be kept alive by refreshing
+      const license = user.getLicenseStatus();
+      if (license.state === 'expired') {
+        return { ...licenseExpiredResponse(license), user };
+      }
+
+      // Tokens issued before rotation was introduced carry no jti; they are
+      // exchanged once for a tracked family and expire on their own within 7d
+      if (!decoded.jti) {
+        return this._exchangeLegacyToken(refreshToken, decoded, user);
+      }
+
+      // Atomically claim the token so concurrent refreshes cannot both succeed
+      const current = await RefreshToken.findOneAndUpdate(
+        { jti: decoded.jti, status: 'active' },
+        { status: 'rotated', rotatedAt: new Date() },
+        { new: true }
+      );
+
+      if (!current) {
+        const existing = await RefreshToken.findOne({ jti: decoded.jti });
+
+        if (existing && existing.status === 'rotated') {
+          await this.revokeFamily(existing.family, 'refresh_token_reuse');
+          return {
+            success: false,
+            error: 'Refresh token reuse detected; all sessions from this login were revoked',
+            code: 'REFRESH_TOKEN_REUSED'
+          };
+        }
+
+        return {
+          success: false,
+          error: 'Refresh token has been revoked',
+          code: 'REFRESH_TOKEN_REVOKED'
+        };
+      }
+
+      const issued = await this.issueTokens(user, {
+        deviceId: current.deviceId,
+        family: current.family
+      });
+
+      current.replacedBy = issued.refreshJti;
+      await current.save();
+
+      return { success: true, data: { ...issued, user } };
+
+    } catch (error) {
+      console.error('Error rotating refresh token:', error);
+      return {
+        success: false,
+        error: 'Token refresh failed',
+        code: 'TOKEN_REFRESH_ERROR'
+      };
+    }
+  }
+
+  /**
+   * Revoke every refresh token in a family and the access tokens issued with them
+   * @param {string} family - Token family ID
+   * @param {string} reason - Reason recorded on the revoked tokens
+   * @returns {Promise<number>} Number of refresh tokens revoked
+   */
+  async revokeFamily(family, reason) {
+    if (!family) return 0;
+    return this._revoke({ family }, reason);
+  }
+
+  /**
+   * Revoke all outstanding tokens of a user, optionally only for one device
+   * @param {string} userId - User ID
+   * @param {string} reason - Reason recorded on the revoked tokens
+   * @param {Object} options - Optional deviceId filter
+   * @returns {Promise<number>} Number of refresh tokens revoked
+   */
+  async revokeUserTokens(userId, reason, options = {}) {
+    const filter = { userId };
+    if (options.deviceId) filter.deviceId = options.deviceId;
+    return this._revoke(filter, reason);
+  }
+
+  /**
+   * Revoke a single access token until it expires
+   * @param {Object} payload - Decoded access token
+   * @param {string} reason - Reason for revocation
+   */
+  async revokeAccessToken(payload, reason) {
+    if (!payload || !payload.jti) return;
+
+    await RevokedToken.updateOne(
+      { jti: payload.jti },
+      {
+        $setOnInsert: {
+          userId: payload.userId,
+          reason,
+          expiresAt: new Date(payload.exp * 1000)
+        }
+      },
+      { upsert: true }
+    );
+  }
+
+  async _exchangeLegacyToken(refreshToken, decoded, user) {
+    // The token itself is the only identifier; its hash names the family it is exchanged into
+    const digest = crypto.createHash('sha256').update(refreshToken).digest('hex');
+    const family = `legacy-${digest}`;
+
+    try {
+      await RevokedToken.create({
+        jti: `legacy-refresh:${digest}`,
+        userId: user._id,
+        reason: 'legacy_refresh_exchanged',
+        expiresAt: new Date(decoded.exp * 1000)
+      });
+    } catch (error) {
+      if (error.code !== 11000) throw error;
+
+      await this.revokeFamily(family, 'refresh_token_reuse');
+      return {
+        success: false,
+        error: 'Refresh token reuse detected; all sessions from this login were revoked',
+        code: 'REFRESH_TOKEN_REUSED'
+      };
+    }
+
+    const issued = await this.issueTokens(user, { deviceId: user.deviceId, family });
+    return { success: true, data: { ...issued, user } };
+  }
+
+  async _revoke(filter, reason) {
+    const now = new Date();
+    const tokens = await RefreshToken.find({ ...filter, status: { $ne: 'revoked' } })
+      .select('userId accessJti accessExpiresAt')
+      .lean();
+
+    if (tokens.length === 0) return 0;
+
+    // Block the access tokens that are still within their lifetime
+    const accessEntries = tokens
+      .filter(t => t.accessJti && t.accessExpiresAt > now)
+      .map(t => ({
+        updateOne: {
+          filter: { jti: t.accessJti },
+          update: {
+            $setOnInsert: {
+              userId: t.userId,
+              reason,
+              expiresAt: t.accessExpiresAt
+            }
+          },
+          upsert: true
+        }
+      }));
+
+    if (accessEntries.length > 0) {
+      await RevokedToken.bulkWrite(accessEntries, { ordered: false });
+    }
+
+    const result = await RefreshToken.updateMany(
+      { _id: { $in: tokens.map(t => t._id) } },
+      { status: 'revoked', revokedAt: now, revocationReason: reason }
+    );
+
+    return result.modifiedCount;
+  }
+}
+
+module.exports = new TokenService();
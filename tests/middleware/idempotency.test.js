@@ -0,0 +1,178 @@
+jest.mock('../../models/IdempotencyRecord', () => ({
+  create: jest.fn(),
+  findOne: jest.fn(),
+  deleteOne: jest.fn(),
+  updateOne: jest.fn()
+}));
+
+const crypto = require('crypto');
+const IdempotencyRecord = require('../../models/IdempotencyRecord');
+const { idempotent } = require('../../middleware/idempotency');
+
+const duplicateKey = () => Object.assign(new Error('E11000 duplicate key'), { code: 11000 });
+
+const request = (key, body = { data: [1] }) => ({
+  body,
+  user: { _id: 'user-1' },
+  get: (header) => (header === 'Idempotency-Key' ? key : undefined)
+});
+
+const response = () => {
+  const res = { statusCode: 200, headers: {}, sent: null };
+  res.status = jest.fn((code) => { res.statusCode = code; return res; });
+  res.set = jest.fn((name, value) => { res.headers[name] = value; return res; });
+  res.json = jest.fn((body) => { res.sent = body; return res; });
+  return res;
+};
+
+// The stored request hash of a body, as a matching record would carry it
+const hashOf = (body) => crypto.createHash('sha256').update(JSON.stringify(body)).digest('hex');
+
+const run = async (req, res = response()) => {
+  const next = jest.fn();
+  await idempotent('sync-upload')(req, res, next);
+  return { res, next };
+};
+
+beforeEach(() => {
+  jest.resetAllMocks();
+  IdempotencyRecord.deleteOne.mockResolvedValue({ deletedCount: 1 });
+  IdempotencyRecord.updateOne.mockResolvedValue({ modifiedCount: 1 });
+});
+
+describe('idempotent', () => {
+  test('passes requests without the header straight through', async () => {
+    const { next } = await run(request(undefined));
+
+    expect(next).toHaveBeenCalled();
+    expect(IdempotencyRecord.create).not.toHaveBeenCalled();
+  });
+
+  test('rejects an empty or oversized key', async () => {
+    const { res, next } = await run(request('x'.repeat(256)));
+
+    expect(next).not.toHaveBeenCalled();
+    expect(res.statusCode).toBe(400);
+    expect(res.sent.code).toBe('INVALID_IDEMPOTENCY_KEY');
+  });
+
+  test('claims a new key and stores the response before sending it', async () => {
+    IdempotencyRecord.create.mockResolvedValue({ _id: 'record-1' });
+    const { res, next } = await run(request('key-1'));
+
+    expect(next).toHaveBeenCalled();
+    res.status(201).json({ success: true });
+    await new Promise(setImmediate);
+
+    expect(IdempotencyRecord.updateOne).toHaveBeenCalledWith(
+      { _id: 'record-1' },
+      { status: 'completed', responseStatus: 201, responseBody: { success: true } }
+    );
+    expect(res.sent).toEqual({ success: true });
+  });
+
+  test('forgets the key when the handler fails with a server error', async () => {
+    IdempotencyRecord.create.mockResolvedValue({ _id: 'record-1' });
+    const { res } = await run(request('key-1'));
+
+    res.status(500).json({ success: false });
+    await new Promise(setImmediate);
+
+    expect(IdempotencyRecord.deleteOne).toHaveBeenCalledWith({ _id: 'record-1' });
+    expect(IdempotencyRecord.updateOne).not.toHaveBeenCalled();
+  });
+
+  test('replays a completed response to a retry', async () => {
+    const body = { data: [1] };
+    IdempotencyRecord.create.mockRejectedValue(duplicateKey());
+    IdempotencyRecord.findOne.mockResolvedValue({
+      status: 'completed',
+      requestHash: hashOf(body),
+      responseStatus: 201,
+      responseBody: { success: true, replayed: 'first' },
+      expiresAt: new Date(Date.now() + 60000),
+      createdAt: new Date()
+    });
+
+    const { res, next } = await run(request('key-1', body));
+
+    expect(next).not.toHaveBeenCalled();
+    expect(res.headers['Idempotent-Replayed']).toBe('true');
+    expect(res.statusCode).toBe(201);
+    expect(res.sent).toEqual({ success: true, replayed: 'first' });
+  });
+
+  test('refuses a key reused with a different body', async () => {
+    IdempotencyRecord.create.mockRejectedValue(duplicateKey());
+    IdempotencyRecord.findOne.mockResolvedValue({
+      status: 'completed',
+      requestHash: hashOf({ data: [2] }),
+      expiresAt: new Date(Date.now() + 60000),
+      createdAt: new Date()
+    });
+
+    const { res } = await run(request('key-1', { data: [1] }));
+
+    expect(res.statusCode).toBe(422);
+    expect(res.sent.code).toBe('IDEMPOTENCY_KEY_REUSED');
+  });
+
+  test('tells a retry to wait while the first request is processing', async () => {
+    const body = { data: [1] };
+    IdempotencyRecord.create.mockRejectedValue(duplicateKey());
+    IdempotencyRecord.findOne.mockResolvedValue({
+      status: 'processing',
+      requestHash: hashOf(body),
+      expiresAt: new Date(Date.now() + 60000),
+      createdAt: new Date()
+    });
+
+    const { res } = await run(request('key-1', body));
+
+    expect(res.statusCode).toBe(409);
+    expect(res.sent.code).toBe('IDEMPOTENCY_REQUEST_IN_PROGRESS');
+  });
+
+  test('reclaims a key abandoned while processing', async () => {
+    const body = { data: [1] };
+    const abandoned = {
+      _id: 'record-old',
+      status: 'processing',
+      requestHash: hashOf(body),
+      expiresAt: new Date(Date.now() + 60000),
+      createdAt: new Date(Date.now() - 60 * 60 * 1000)
+    };
+    IdempotencyRecord.create
+      .mockRejectedValueOnce(duplicateKey())
+      .mockResolvedValueOnce({ _id: 'record-new' });
+    IdempotencyRecord.findOne.mockResolvedValue(abandoned);
+
+    const { next } = await run(request('key-1', body));
+
+    expect(IdempotencyRecord.deleteOne).toHaveBeenCalledWith({
+      _id: 'record-old',
+      status: 'processing',
+      createdAt: abandoned.createdAt
+    });
+    expect(next).toHaveBeenCalled();
+  });
+
+  test('claims the key again when its record disappears after the insert failed', async () => {
+    IdempotencyRecord.create
+      .mockRejectedValueOnce(duplicateKey())
+      .mockResolvedValueOnce({ _id: 'record-new' });
+    IdempotencyRecord.findOne.mockResolvedValue(null);
+
+    const { res, next } = await run(request('key-1'));
+
+    expect(IdempotencyRecord.create).toHaveBeenCalledTimes(2);
+    expect(next).toHaveBeenCalled();
+
+    res.json({ success: true });
+    await new Promise(setImmediate);
+    expect(IdempotencyRecord.updateOne).toHaveBeenCalledWith(
+      { _id: 'record-new' },
+      expect.objectContaining({ status: 'completed' })
+    );
+  });
+});
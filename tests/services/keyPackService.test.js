@@ -0,0 +1,75 @@
+const crypto = require('crypto');
+
+// Read by config when it is first required, so set before the services load
+const { privateKey } = crypto.generateKeyPairSync('ed25519');
+process.env.OFFLINE_SIGNING_PRIVATE_KEY = privateKey.export({ type: 'pkcs8', format: 'pem' });
+
+const keyPackService = require('../../services/keyPackService');
+
+const entries = [
+  { fullName: 'Amina Bello', email: 'amina@example.com', role: 'doctor', phone: '+2348012345678', facility: 'PHC Ikeja', state: 'Lagos' },
+  { fullName: 'Chidi Okafor', email: 'chidi@example.com', role: 'nurse', phone: '+2348098765432', facility: 'PHC Ikeja', state: 'Lagos' }
+];
+
+const copy = (value) => JSON.parse(JSON.stringify(value));
+
+// The same object with its keys written in reverse order, at every level
+const reordered = (value) => {
+  if (Array.isArray(value)) return value.map(reordered);
+  if (value && typeof value === 'object') {
+    return Object.fromEntries(Object.keys(value).reverse().map(name => [name, reordered(value[name])]));
+  }
+  return value;
+};
+
+let pack;
+
+beforeAll(() => {
+  const result = keyPackService.createPack(entries, { generatedBy: 'field office' });
+  expect(result.success).toBe(true);
+  pack = result.data.pack;
+});
+
+describe('verifyPack', () => {
+  test('accepts the pack as generated', () => {
+    expect(keyPackService.verifyPack(copy(pack))).toMatchObject({
+      success: true,
+      data: { packId: pack.packId }
+    });
+  });
+
+  test('accepts the pack however its JSON was re-serialized', () => {
+    const rewritten = JSON.parse(JSON.stringify(reordered(pack), null, 2));
+
+    expect(JSON.stringify(rewritten)).not.toBe(JSON.stringify(pack));
+    expect(keyPackService.verifyPack(rewritten).success).toBe(true);
+  });
+
+  test('rejects a pack whose keys were changed after signing', () => {
+    const tampered = copy(pack);
+    tampered.keys[0].maxUses = 50;
+
+    expect(keyPackService.verifyPack(tampered).code).toBe('KEY_PACK_SIGNATURE_INVALID');
+  });
+
+  test('rejects a pack with a key added after signing', () => {
+    const tampered = copy(pack);
+    tampered.keys.push(copy(tampered.keys[0]));
+
+    expect(keyPackService.verifyPack(tampered).code).toBe('KEY_PACK_SIGNATURE_INVALID');
+  });
+
+  test('rejects a pack without its signature', () => {
+    const { signature, ...unsigned } = copy(pack);
+
+    expect(signature).toBeDefined();
+    expect(keyPackService.verifyPack(unsigned).code).toBe('KEY_PACK_SIGNATURE_INVALID');
+  });
+
+  test('rejects files that are not key packs, or of another version', () => {
+    expect(keyPackService.verifyPack({ keys: [] }).code).toBe('KEY_PACK_MALFORMED');
+    expect(keyPackService.verifyPack(null).code).toBe('KEY_PACK_MALFORMED');
+    expect(keyPackService.verifyPack({ ...copy(pack), version: 2 }).code).toBe('KEY_PACK_UNSUPPORTED');
+    expect(keyPackService.verifyPack({ ...copy(pack), keys: [] }).code).toBe('KEY_PACK_SIZE');
+  });
+});
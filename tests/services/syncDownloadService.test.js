@@ -0,0 +1,39 @@
+const syncDownloadService = require('../../services/syncDownloadService');
+
+const lastId = '65a1f0c2e4b0a1b2c3d4e5f6';
+
+// A cursor with arbitrary contents, as a client could send it
+const tokenOf = (value) => Buffer.from(JSON.stringify(value)).toString('base64url');
+
+describe('decodeCursor', () => {
+  test('reads back the positions and issue time it was encoded with', () => {
+    const positions = { activities: { u: 1700000000000, i: lastId }, 'tombstones:diagnoses': { u: 1700000000500 } };
+    const cursor = syncDownloadService.encodeCursor(positions, 1700000001000);
+
+    expect(syncDownloadService.decodeCursor(cursor)).toEqual({
+      success: true,
+      data: { positions, issuedAt: 1700000001000 }
+    });
+  });
+
+  test('dates a cursor without an issue time by the newest record it saw', () => {
+    const cursor = tokenOf({ v: 1, p: { activities: { u: 100, i: lastId }, diagnoses: { u: 300 } } });
+
+    expect(syncDownloadService.decodeCursor(cursor).data.issuedAt).toBe(300);
+  });
+
+  test.each([
+    ['not base64 JSON', 'not a cursor'],
+    ['another version', tokenOf({ v: 2, p: {} })],
+    ['no positions', tokenOf({ v: 1 })],
+    ['a non-numeric issue time', tokenOf({ v: 1, p: {}, t: 'yesterday' })],
+    ['a position without a time', tokenOf({ v: 1, p: { activities: { i: lastId } } })],
+    ['a position with a bad record ID', tokenOf({ v: 1, p: { activities: { u: 100, i: 'nope' } } })],
+    ['a null position', tokenOf({ v: 1, p: { activities: null } })]
+  ])('rejects a cursor with %s', (description, cursor) => {
+    expect(syncDownloadService.decodeCursor(cursor)).toMatchObject({
+      success: false,
+      code: 'INVALID_SYNC_CURSOR'
+    });
+  });
+});
@@ -0,0 +1,218 @@
+const crypto = require('crypto');
+const mongoose = require('mongoose');
+const Activity = require('../../models/Activity');
+const Diagnosis = require('../../models/Diagnosis');
+const Tombstone = require('../../models/Tombstone');
+const syncUploadService = require('../../services/syncUploadService');
+
+const user = { _id: new mongoose.Types.ObjectId() };
+const context = { user, deviceId: 'device-1' };
+
+// What Model.find resolves to, with the select() the lookups chain on
+const query = (records) => {
+  const promise = Promise.resolve(records);
+  promise.select = () => promise;
+  return promise;
+};
+
+const duplicateKey = (index) => ({ index, code: 11000, errmsg: 'E11000 duplicate key' });
+
+// A bulkWrite that failed for some operations; the rest were applied
+const bulkWriteError = (writeErrors, matchedCount = 0) =>
+  Object.assign(new Error('BulkWriteError'), { writeErrors, matchedCount });
+
+const activityItem = (clientId = crypto.randomUUID()) => ({
+  clientId,
+  sessionId: 'session-1',
+  activityType: 'screen_view',
+  screenName: 'home',
+  deviceInfo: { platform: 'android' },
+  timestamp: new Date()
+});
+
+const storedDiagnosis = (fields = {}) => Diagnosis.hydrate({
+  _id: new mongoose.Types.ObjectId(),
+  clientId: crypto.randomUUID(),
+  userId: user._id,
+  deviceId: 'device-1',
+  sessionId: 'session-1',
+  patient: { name: 'Ada', age: 30, gender: 'female' },
+  complaint: { primary: 'Fever' },
+  status: 'in_progress',
+  revision: 2,
+  ...fields
+});
+
+// The device's edit of a stored diagnosis, made from the revision it holds
+const diagnosisEdit = (stored, fields) => ({
+  clientId: stored.clientId,
+  sessionId: 'session-1',
+  baseRevision: stored.revision,
+  ...fields
+});
+
+// The record as the compare-and-set in a bulkWrite operation left it
+const written = (stored, op) => Diagnosis.hydrate({ ...stored.toObject(), ...op.updateOne.update.$set });
+
+beforeEach(() => {
+  jest.restoreAllMocks();
+  jest.spyOn(Diagnosis, 'recordRevisions').mockResolvedValue();
+  jest.spyOn(Tombstone, 'record').mockResolvedValue([]);
+});
+
+describe('_bulkWrite', () => {
+  test('maps write errors to the operations they belong to', async () => {
+    jest.spyOn(Activity, 'bulkWrite').mockRejectedValue(bulkWriteError([duplicateKey(2)], 2));
+
+    const { errors, matchedCount } = await syncUploadService._bulkWrite(Activity, [{}, {}, {}]);
+
+    expect(errors[0]).toBeNull();
+    expect(errors[1]).toBeNull();
+    expect(errors[2].code).toBe(11000);
+    expect(matchedCount).toBe(2);
+  });
+
+  test('reads per-operation results when mongoose reports them', async () => {
+    const validationError = new Error('Path `x` is required');
+    jest.spyOn(Activity, 'bulkWrite').mockResolvedValue({
+      matchedCount: 0,
+      mongoose: { results: [null, validationError] }
+    });
+
+    const { errors } = await syncUploadService._bulkWrite(Activity, [{}, {}]);
+
+    expect(errors).toEqual([null, validationError]);
+  });
+
+  test('rethrows errors that are not per-operation write errors', async () => {
+    jest.spyOn(Activity, 'bulkWrite').mockRejectedValue(new Error('connection lost'));
+
+    await expect(syncUploadService._bulkWrite(Activity, [{}])).rejects.toThrow('connection lost');
+  });
+});
+
+describe('_applyBatch: activities', () => {
+  test('answers an insert that lost the unique-index race with the record that won', async () => {
+    const [ours, raced] = [activityItem(), activityItem()];
+    const winner = { _id: new mongoose.Types.ObjectId(), clientId: raced.clientId, revision: 1 };
+
+    jest.spyOn(Activity, 'find')
+      .mockReturnValueOnce(query([]))
+      .mockReturnValueOnce(query([winner]));
+    jest.spyOn(Activity, 'bulkWrite').mockRejectedValue(bulkWriteError([duplicateKey(1)]));
+
+    const outcomes = await syncUploadService._applyBatch(context, 'activities', [ours, raced]);
+
+    expect(outcomes[0].savedItem.clientId).toBe(ours.clientId);
+    expect(outcomes[0].duplicate).toBeUndefined();
+    expect(outcomes[1]).toEqual({ savedItem: winner, duplicate: true });
+  });
+
+  test('fails a raced insert whose winner cannot be read back, and other write errors per item', async () => {
+    const items = [activityItem(), activityItem()];
+
+    jest.spyOn(Activity, 'find')
+      .mockReturnValueOnce(query([]))
+      .mockReturnValueOnce(query([]));
+    jest.spyOn(Activity, 'bulkWrite').mockRejectedValue(bulkWriteError([
+      duplicateKey(0),
+      { index: 1, code: 2, errmsg: 'write failed' }
+    ]));
+
+    const outcomes = await syncUploadService._applyBatch(context, 'activities', items);
+
+    expect(outcomes[0].error).toMatch(/written concurrently/);
+    expect(outcomes[1]).toEqual({ error: 'write failed' });
+  });
+
+  test('applies an item repeated in one upload after its first copy', async () => {
+    const item = activityItem();
+    const stored = [];
+
+    jest.spyOn(Activity, 'find').mockImplementation(() => query([...stored]));
+    jest.spyOn(Activity, 'bulkWrite').mockImplementation(async (ops) => {
+      stored.push(...ops.map(op => op.insertOne.document));
+      return { matchedCount: 0 };
+    });
+
+    const outcomes = await syncUploadService._applyBatch(context, 'activities', [item, activityItem(), { ...item }]);
+
+    expect(Activity.bulkWrite).toHaveBeenCalledTimes(1);
+    expect(stored).toHaveLength(2);
+    expect(outcomes[2]).toEqual({ savedItem: stored[0], duplicate: true });
+    expect(String(outcomes[2].savedItem._id)).toBe(String(outcomes[0].savedItem._id));
+  });
+
+  test('rejects items without a UUID clientId without writing them', async () => {
+    jest.spyOn(Activity, 'find').mockReturnValue(query([]));
+    jest.spyOn(Activity, 'bulkWrite').mockResolvedValue({ matchedCount: 0 });
+
+    const outcomes = await syncUploadService._applyBatch(context, 'activities', [activityItem('not-a-uuid'), activityItem()]);
+
+    expect(outcomes[0].code).toBe('CLIENT_ID_REQUIRED');
+    expect(Activity.bulkWrite.mock.calls[0][0]).toHaveLength(1);
+  });
+});
+
+describe('_applyBatch: diagnosis updates', () => {
+  test('reads back only when the compare-and-set missed, and reports the missed one as a conflict', async () => {
+    const kept = storedDiagnosis();
+    const overtaken = storedDiagnosis();
+    let ops;
+
+    jest.spyOn(Diagnosis, 'find')
+      .mockReturnValueOnce(query([kept, overtaken]))
+      .mockImplementationOnce(() => query([
+        written(kept, ops[0]),
+        // Written by someone else after the lookup
+        storedDiagnosis({ _id: overtaken._id, clientId: overtaken.clientId, revision: 3, complaint: { primary: 'Cough' } })
+      ]));
+    jest.spyOn(Diagnosis, 'bulkWrite').mockImplementation(async (operations) => {
+      ops = operations;
+      return { matchedCount: 1 };
+    });
+
+    const outcomes = await syncUploadService._applyBatch(context, 'diagnoses', [
+      diagnosisEdit(kept, { complaint: { primary: 'Headache' } }),
+      diagnosisEdit(overtaken, { complaint: { primary: 'Headache' } })
+    ]);
+
+    expect(ops[0].updateOne.filter).toEqual({ _id: kept._id, revision: 2 });
+    expect(ops[0].updateOne.update.$set.revision).toBe(3);
+    expect(Diagnosis.find).toHaveBeenCalledTimes(2);
+    expect(outcomes[0].savedItem.revision).toBe(3);
+    expect(outcomes[1].conflict).toMatchObject({ reason: 'version_mismatch', serverRevision: 3 });
+    expect(Diagnosis.recordRevisions).toHaveBeenCalledWith([outcomes[0].savedItem]);
+  });
+
+  test('skips the read-back when every compare-and-set matched', async () => {
+    const stored = storedDiagnosis();
+
+    jest.spyOn(Diagnosis, 'find').mockReturnValueOnce(query([stored]));
+    jest.spyOn(Diagnosis, 'bulkWrite').mockResolvedValue({ matchedCount: 1 });
+
+    const outcomes = await syncUploadService._applyBatch(context, 'diagnoses', [diagnosisEdit(stored, { complaint: { primary: 'Headache' } })]);
+
+    expect(Diagnosis.find).toHaveBeenCalledTimes(1);
+    expect(outcomes[0].savedItem.complaint.primary).toBe('Headache');
+  });
+
+  test('records a tombstone for a diagnosis the upload archived', async () => {
+    const stored = storedDiagnosis();
+    const alreadyArchived = storedDiagnosis({ status: 'archived' });
+
+    jest.spyOn(Diagnosis, 'find').mockReturnValueOnce(query([stored, alreadyArchived]));
+    jest.spyOn(Diagnosis, 'bulkWrite').mockResolvedValue({ matchedCount: 2 });
+
+    const outcomes = await syncUploadService._applyBatch(context, 'diagnoses', [
+      diagnosisEdit(stored, { status: 'archived' }),
+      diagnosisEdit(alreadyArchived, { status: 'archived' })
+    ]);
+
+    expect(Tombstone.record).toHaveBeenCalledWith(
+      'diagnoses',
+      [outcomes[0].savedItem],
+      { reason: 'archived', deletedBy: user._id }
+    );
+  });
+});
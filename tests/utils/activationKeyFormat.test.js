@@ -0,0 +1,76 @@
+const {
+  computeCheckDigit,
+  hasValidCheckDigit,
+  generateKey,
+  normalizeKey,
+  checkKey
+} = require('../../utils/activationKeyFormat');
+
+// Replace the digit at a position
+const withDigit = (key, position, digit) => key.slice(0, position) + digit + key.slice(position + 1);
+
+// Swap the digits at a position and the next
+const swapped = (key, position) =>
+  key.slice(0, position) + key[position + 1] + key[position] + key.slice(position + 2);
+
+describe('Verhoeff check digit', () => {
+  test('matches the published example', () => {
+    expect(computeCheckDigit('236')).toBe('3');
+    expect(hasValidCheckDigit('2363')).toBe(true);
+  });
+
+  test('catches every single-digit typo', () => {
+    const key = generateKey();
+
+    for (let position = 0; position < key.length; position++) {
+      for (let digit = 0; digit < 10; digit++) {
+        if (String(digit) === key[position]) continue;
+        expect(hasValidCheckDigit(withDigit(key, position, String(digit)))).toBe(false);
+      }
+    }
+  });
+
+  test('catches every swap of two different adjacent digits', () => {
+    const key = '123456789012';
+    const checked = key.slice(0, 11) + computeCheckDigit(key.slice(0, 11));
+
+    for (let position = 0; position < checked.length - 1; position++) {
+      if (checked[position] === checked[position + 1]) continue;
+      expect(hasValidCheckDigit(swapped(checked, position))).toBe(false);
+    }
+  });
+
+  test('rejects anything that is not digits', () => {
+    expect(hasValidCheckDigit('')).toBe(false);
+    expect(hasValidCheckDigit('2363a')).toBe(false);
+  });
+});
+
+describe('generateKey', () => {
+  test('makes 12-digit keys that carry a valid check digit', () => {
+    for (let i = 0; i < 50; i++) {
+      const key = generateKey();
+      expect(key).toMatch(/^\d{12}$/);
+      expect(checkKey(key)).toBe('valid');
+    }
+  });
+});
+
+describe('checkKey', () => {
+  test('classifies keys by shape and check digit', () => {
+    const key = generateKey();
+    const typo = withDigit(key, 3, String((Number(key[3]) + 1) % 10));
+
+    expect(checkKey(key)).toBe('valid');
+    expect(checkKey(typo)).toBe('unchecked');
+    expect(checkKey(key.slice(1))).toBe('malformed');
+    expect(checkKey(`${key}0`)).toBe('malformed');
+  });
+
+  test('reads keys typed with separators once normalized', () => {
+    const key = generateKey();
+    const typed = `${key.slice(0, 4)}-${key.slice(4, 8)} ${key.slice(8)}`;
+
+    expect(checkKey(normalizeKey(typed))).toBe('valid');
+  });
+});
@@ -0,0 +1,45 @@
+const { QR_PREFIX, encodeQrPayload, decodeQrPayload } = require('../../utils/activationQr');
+
+const key = '123456789012';
+
+// The fields inside a payload, and a payload built from edited fields
+const fieldsOf = (payload) => JSON.parse(Buffer.from(payload.slice(QR_PREFIX.length), 'base64url').toString('utf8'));
+const payloadOf = (fields) => QR_PREFIX + Buffer.from(JSON.stringify(fields)).toString('base64url');
+
+describe('encodeQrPayload / decodeQrPayload', () => {
+  test('round-trips the key and both offline payloads', () => {
+    const payload = encodeQrPayload({ key, encryptedUserData: 'gcm1:v1:abc', signedPayload: 'eyJ.sig' });
+
+    expect(payload.startsWith(QR_PREFIX)).toBe(true);
+    expect(decodeQrPayload(payload)).toEqual({
+      success: true,
+      data: { key, encryptedUserData: 'gcm1:v1:abc', signedPayload: 'eyJ.sig' }
+    });
+  });
+
+  test('leaves out offline payloads the key does not have', () => {
+    const payload = encodeQrPayload({ key });
+
+    expect(fieldsOf(payload)).not.toHaveProperty('e');
+    expect(decodeQrPayload(payload).data).toEqual({ key, encryptedUserData: null, signedPayload: null });
+  });
+
+  test('rejects text that is not an activation payload', () => {
+    expect(decodeQrPayload('https://example.com').code).toBe('QR_PAYLOAD_MALFORMED');
+    expect(decodeQrPayload(`${QR_PREFIX}not json`).code).toBe('QR_PAYLOAD_MALFORMED');
+    expect(decodeQrPayload(undefined).code).toBe('QR_PAYLOAD_MALFORMED');
+  });
+
+  test('rejects a payload whose key is not 12 digits', () => {
+    const fields = fieldsOf(encodeQrPayload({ key }));
+
+    expect(decodeQrPayload(payloadOf({ ...fields, k: '12345' })).code).toBe('QR_PAYLOAD_MALFORMED');
+  });
+
+  test('detects a payload changed after it was encoded', () => {
+    const fields = fieldsOf(encodeQrPayload({ key, signedPayload: 'eyJ.sig' }));
+
+    expect(decodeQrPayload(payloadOf({ ...fields, k: '123456789013' })).code).toBe('QR_CHECKSUM_MISMATCH');
+    expect(decodeQrPayload(payloadOf({ ...fields, s: 'eyJ.other' })).code).toBe('QR_CHECKSUM_MISMATCH');
+  });
+});
@@ -0,0 +1,185 @@
+const { mergeDiagnosis, diffDiagnosis } = require('../../utils/diagnosisMerge');
+
+const base = {
+  _id: 'diagnosis-1',
+  revision: 2,
+  status: 'completed',
+  priority: 'high',
+  patient: { name: 'Amina Bello', age: 34 },
+  symptoms: [
+    { _id: 's1', name: 'fever', severity: 'moderate' },
+    { _id: 's2', name: 'headache', severity: 'mild' }
+  ],
+  diagnosis: {
+    differential: [
+      { _id: 'd1', code: 'B54', description: 'Malaria', probability: 60 },
+      { _id: 'd2', description: 'Typhoid fever', probability: 30 }
+    ]
+  }
+};
+
+const copy = (value) => JSON.parse(JSON.stringify(value));
+
+describe('mergeDiagnosis', () => {
+  test('keeps changes made to different fields on each side', () => {
+    const server = { ...copy(base), revision: 3, priority: 'urgent' };
+    const client = { ...copy(base), patient: { name: 'Amina Bello', age: 35 } };
+
+    const { merged, conflicts } = mergeDiagnosis(base, server, client);
+
+    expect(conflicts).toEqual([]);
+    expect(merged.priority).toBe('urgent');
+    expect(merged.patient).toEqual({ name: 'Amina Bello', age: 35 });
+  });
+
+  test('reports a field changed differently on both sides and keeps the server value', () => {
+    const server = { ...copy(base), patient: { name: 'Amina Bello', age: 36 } };
+    const client = { ...copy(base), patient: { name: 'Amina Bello', age: 35 } };
+
+    const { merged, conflicts } = mergeDiagnosis(base, server, client);
+
+    expect(conflicts).toEqual(['patient.age']);
+    expect(merged.patient.age).toBe(36);
+  });
+
+  test('does not report the same change made on both sides', () => {
+    const server = { ...copy(base), status: 'reviewed' };
+    const client = { ...copy(base), status: 'reviewed' };
+
+    expect(mergeDiagnosis(base, server, client)).toEqual({
+      merged: expect.objectContaining({ status: 'reviewed' }),
+      conflicts: []
+    });
+  });
+
+  test('never merges or reports server-owned fields', () => {
+    const server = { ...copy(base), revision: 5, syncStatus: 'synced' };
+    const client = { ...copy(base), revision: 1, syncStatus: 'pending', userId: 'someone-else' };
+
+    const { merged, conflicts } = mergeDiagnosis(base, server, client);
+
+    expect(conflicts).toEqual([]);
+    expect(merged).not.toHaveProperty('revision');
+    expect(merged).not.toHaveProperty('syncStatus');
+    expect(merged).not.toHaveProperty('userId');
+  });
+
+  describe('identity arrays', () => {
+    test('keeps symptoms added on either side, matched by name', () => {
+      const server = copy(base);
+      server.symptoms.push({ name: 'cough' });
+      const client = copy(base);
+      client.symptoms.push({ name: 'Vomiting' });
+
+      const { merged, conflicts } = mergeDiagnosis(base, server, client);
+
+      expect(conflicts).toEqual([]);
+      expect(merged.symptoms.map(symptom => symptom.name)).toEqual(['fever', 'headache', 'cough', 'Vomiting']);
+    });
+
+    test('drops a symptom removed on one side and unchanged on the other', () => {
+      const server = copy(base);
+      const client = copy(base);
+      client.symptoms = client.symptoms.filter(symptom => symptom.name !== 'headache');
+
+      const { merged, conflicts } = mergeDiagnosis(base, server, client);
+
+      expect(conflicts).toEqual([]);
+      expect(merged.symptoms.map(symptom => symptom.name)).toEqual(['fever']);
+    });
+
+    test('reports a symptom removed on one side and edited on the other', () => {
+      const server = copy(base);
+      server.symptoms[1].severity = 'severe';
+      const client = copy(base);
+      client.symptoms = client.symptoms.filter(symptom => symptom.name !== 'headache');
+
+      const { merged, conflicts } = mergeDiagnosis(base, server, client);
+
+      expect(conflicts).toEqual(['symptoms[headache]']);
+      expect(merged.symptoms.map(symptom => symptom.severity)).toEqual(['moderate', 'severe']);
+    });
+
+    test('merges edits to the same item field by field and keeps the server _id', () => {
+      const server = copy(base);
+      server.symptoms[0].severity = 'severe';
+      const client = copy(base);
+      client.symptoms[0] = { name: 'Fever', severity: 'moderate', duration: '3 days' };
+
+      const { merged, conflicts } = mergeDiagnosis(base, server, client);
+
+      expect(conflicts).toEqual([]);
+      expect(merged.symptoms[0]).toEqual({ _id: 's1', name: 'Fever', severity: 'severe', duration: '3 days' });
+    });
+
+    test('matches differentials by code, or by description when there is no code', () => {
+      const server = copy(base);
+      server.diagnosis.differential[0].probability = 70;
+      const client = copy(base);
+      client.diagnosis.differential[1].probability = 20;
+
+      const { merged, conflicts } = mergeDiagnosis(base, server, client);
+
+      expect(conflicts).toEqual([]);
+      expect(merged.diagnosis.differential.map(item => item.probability)).toEqual([70, 20]);
+    });
+
+    test('treats a list with repeated identities as one conflicting field', () => {
+      const server = copy(base);
+      server.symptoms.push({ name: 'cough' });
+      const client = copy(base);
+      client.symptoms.push({ name: 'Fever', severity: 'severe' });
+
+      const { merged, conflicts } = mergeDiagnosis(base, server, client);
+
+      expect(conflicts).toEqual(['symptoms']);
+      expect(merged.symptoms).toEqual(server.symptoms);
+    });
+
+    test('treats items without an identity as one conflicting field', () => {
+      const server = copy(base);
+      server.symptoms.push({ name: 'cough' });
+      const client = copy(base);
+      client.symptoms.push({ severity: 'mild' });
+
+      expect(mergeDiagnosis(base, server, client).conflicts).toEqual(['symptoms']);
+    });
+  });
+
+  describe('partial uploads', () => {
+    // What the upload pipeline merges: the device's fields over the revision it edited from
+    const partialClient = (fields) => ({ ...copy(base), ...fields });
+
+    test('keeps fields the device did not send as they are on the server', () => {
+      const server = { ...copy(base), revision: 3, symptoms: [...copy(base.symptoms), { name: 'cough' }] };
+      const client = partialClient({ patient: { name: 'Amina Bello', age: 35 } });
+
+      const { merged, conflicts } = mergeDiagnosis(base, server, client);
+
+      expect(conflicts).toEqual([]);
+      expect(merged.status).toBe('completed');
+      expect(merged.priority).toBe('high');
+      expect(merged.symptoms.map(symptom => symptom.name)).toEqual(['fever', 'headache', 'cough']);
+      expect(merged.patient.age).toBe(35);
+    });
+
+    test('still reports a sent field the server changed too', () => {
+      const server = { ...copy(base), status: 'reviewed' };
+      const client = partialClient({ status: 'in_progress' });
+
+      expect(mergeDiagnosis(base, server, client).conflicts).toEqual(['status']);
+    });
+  });
+});
+
+describe('diffDiagnosis', () => {
+  test('lists differing paths and ignores server-owned fields and subdocument _ids', () => {
+    const client = copy(base);
+    client.revision = 1;
+    client.patient.age = 35;
+    client.symptoms[0]._id = 'other';
+    client.priority = 'low';
+
+    expect(diffDiagnosis(base, client)).toEqual(['priority', 'patient.age']);
+  });
+});
@@ -0,0 +1,109 @@
+const crypto = require('crypto');
+const config = require('../config');
+
+const KEY_LENGTH = 12;
+
+// Verhoeff tables: multiplication in the dihedral group D5, position permutation and inverse
+const VERHOEFF_D = [
+  [0, 1, 2, 3, 4, 5, 6, 7, 8, 9],
+  [1, 2, 3, 4, 0, 6, 7, 8, 9, 5],
+  [2, 3, 4, 0, 1, 7, 8, 9, 5, 6],
+  [3, 4, 0, 1, 2, 8, 9, 5, 6, 7],
+  [4, 0, 1, 2, 3, 9, 5, 6, 7, 8],
+  [5, 9, 8, 7, 6, 0, 4, 3, 2, 1],
+  [6, 5, 9, 8, 7, 1, 0, 4, 3, 2],
+  [7, 6, 5, 9, 8, 2, 1, 0, 4, 3],
+  [8, 7, 6, 5, 9, 3, 2, 1, 0, 4],
+  [9, 8, 7, 6, 5, 4, 3, 2, 1, 0]
+];
+const VERHOEFF_P = [
+  [0, 1, 2, 3, 4, 5, 6, 7, 8, 9],
+  [1, 5, 7, 6, 2, 8, 3, 0, 9, 4],
+  [5, 8, 0, 3, 7, 9, 6, 1, 4, 2],
+  [8, 9, 1, 6, 0, 4, 3, 5, 2, 7],
+  [9, 4, 5, 3, 1, 2, 6, 8, 7, 0],
+  [4, 2, 8, 6, 5, 7, 3, 9, 0, 1],
+  [2, 7, 9, 3, 8, 0, 6, 4, 1, 5],
+  [7, 0, 4, 6, 9, 1, 3, 2, 5, 8]
+];
+const VERHOEFF_INV = [0, 4, 3, 2, 1, 5, 6, 7, 8, 9];
+
+/**
+ * Compute the Verhoeff check digit for a string of digits
+ * @param {string} digits - Digits without check digit
+ * @returns {string} Check digit
+ */
+const computeCheckDigit = (digits) => {
+  let c = 0;
+  const reversed = digits.split('').reverse();
+  for (let i = 0; i < reversed.length; i++) {
+    c = VERHOEFF_D[c][VERHOEFF_P[(i + 1) % 8][parseInt(reversed[i], 10)]];
+  }
+  return VERHOEFF_INV[c].toString();
+};
+
+/**
+ * Check whether the last digit is a valid Verhoeff check digit
+ * @param {string} digits - Digits including check digit
+ * @returns {boolean} True if the check digit matches
+ */
+const hasValidCheckDigit = (digits) => {
+  if (!/^\d+$/.test(digits)) return false;
+
+  let c = 0;
+  const reversed = digits.split('').reverse();
+  for (let i = 0; i < reversed.length; i++) {
+    c = VERHOEFF_D[c][VERHOEFF_P[i % 8][parseInt(reversed[i], 10)]];
+  }
+  return c === 0;
+};
+
+/**
+ * Generate a 12-digit activation key: 11 CSPRNG digits and a Verhoeff check digit
+ * @returns {string} 12-digit key
+ */
+const generateKey = () => {
+  let digits = '';
+  for (let i = 0; i < KEY_LENGTH - 1; i++) {
+    digits += crypto.randomInt(0, 10).toString();
+  }
+  return digits + computeCheckDigit(digits);
+};
+
+/**
+ * Strip separators from user input (e.g. "1234-5678-9012")
+ * @param {string|number} input - Key as typed
+ * @returns {string} Digits only
+ */
+const normalizeKey = (input) => {
+  return String(input).replace(/\D/g, '');
+};
+
+/**
+ * Classify a key without touching the database
+ * @param {string} key - Normalized key
+ * @returns {string} 'malformed', 'valid' (check digit matches), or 'unchecked'
+ *   (no valid check digit: a typo, or a legacy key issued before check digits)
+ */
+const checkKey = (key) => {
+  if (!new RegExp(`^\\d{${KEY_LENGTH}}$`).test(key)) return 'malformed';
+  return hasValidCheckDigit(key) ? 'valid' : 'unchecked';
+};
+
+/**
+ * Check whether keys without a check digit are still accepted
+ * @returns {boolean} True during the legacy key migration window
+ */
+const acceptsLegacyKeys = () => {
+  return config.ACCEPT_LEGACY_ACTIVATION_KEYS;
+};
+
+module.exports = {
+  KEY_LENGTH,
+  computeCheckDigit,
+  hasValidCheckDigit,
+  generateKey,
+  normalizeKey,
+  checkKey,
+  acceptsLegacyKeys
+};
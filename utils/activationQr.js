@@ -0,0 +1,102 @@
+const crypto = require('crypto');
+const QRCode = require('qrcode');
+
+// Scanned text starts with this prefix so the app can tell activation QR codes apart
+const QR_PREFIX = 'NSOQR1:';
+const CHECKSUM_LENGTH = 16;
+// Largest payload a QR code holds (version 40, error correction M, byte mode)
+const QR_MAX_BYTES = 2331;
+
+/**
+ * Compute the checksum of the fields carried in a QR payload
+ * @param {Object} fields - k (key), e (v1 payload), s (v2 payload)
+ * @returns {string} First 16 hex chars of the SHA-256
+ */
+const computeChecksum = (fields) => {
+  const input = [fields.k, fields.e || '', fields.s || ''].join('|');
+  return crypto.createHash('sha256').update(input).digest('hex').slice(0, CHECKSUM_LENGTH);
+};
+
+/**
+ * Build the text encoded in an activation QR code
+ * @param {Object} data - key, encryptedUserData (v1) and/or signedPayload (v2)
+ * @returns {string} QR payload: prefix + base64url JSON { k, e, s, c }
+ */
+const encodeQrPayload = (data) => {
+  const fields = { k: data.key };
+  if (data.encryptedUserData) fields.e = data.encryptedUserData;
+  if (data.signedPayload) fields.s = data.signedPayload;
+  fields.c = computeChecksum(fields);
+
+  return QR_PREFIX + Buffer.from(JSON.stringify(fields)).toString('base64url');
+};
+
+/**
+ * Decode and check a scanned activation QR payload
+ * @param {string} text - Scanned text
+ * @returns {Object} key and offline payloads, or failure code
+ */
+const decodeQrPayload = (text) => {
+  const malformed = {
+    success: false,
+    error: 'QR code is not an NSO activation code',
+    code: 'QR_PAYLOAD_MALFORMED'
+  };
+
+  if (typeof text !== 'string' || !text.startsWith(QR_PREFIX)) {
+    return malformed;
+  }
+
+  let fields;
+  try {
+    fields = JSON.parse(Buffer.from(text.slice(QR_PREFIX.length), 'base64url').toString('utf8'));
+  } catch (error) {
+    return malformed;
+  }
+
+  if (!fields || typeof fields.k !== 'string' || !/^\d{12}$/.test(fields.k) || typeof fields.c !== 'string') {
+    return malformed;
+  }
+
+  if (computeChecksum(fields) !== fields.c) {
+    return {
+      success: false,
+      error: 'QR code checksum does not match; please scan again',
+      code: 'QR_CHECKSUM_MISMATCH'
+    };
+  }
+
+  return {
+    success: true,
+    data: {
+      key: fields.k,
+      encryptedUserData: fields.e || null,
+      signedPayload: fields.s || null
+    }
+  };
+};
+
+/**
+ * Render a QR payload as an image
+ * @param {string} payload - Text to encode
+ * @param {Object} options - format ('png' or 'svg'), size in pixels
+ * @returns {Promise<Buffer|string>} PNG buffer or SVG markup
+ */
+const renderQrCode = (payload, options = {}) => {
+  const { format = 'png', size = 400 } = options;
+  const renderOptions = { errorCorrectionLevel: 'M', margin: 2, width: size };
+
+  if (format === 'svg') {
+    return QRCode.toString(payload, { ...renderOptions, type: 'svg' });
+  }
+  return QRCode.toBuffer(payload, { ...renderOptions, type: 'png' });
+};
+
+module.exports = {
+  QR_PREFIX,
+  QR_MAX_BYTES,
+  computeChecksum,
+  encodeQrPayload,
+  decodeQrPayload,
+  renderQrCode
+};
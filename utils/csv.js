@@ -0,0 +1,87 @@
+/**
+ * Parse CSV text (RFC 4180: quoted fields, escaped quotes, CRLF/LF line endings)
+ * @param {string} text - CSV content
+ * @param {string} delimiter - Field delimiter (default: comma)
+ * @returns {Array<Array<string>>} Rows of fields, blank lines skipped
+ */
+const parseCsv = (text, delimiter = ',') => {
+  const rows = [];
+  let row = [];
+  let field = '';
+  let inQuotes = false;
+
+  // Strip UTF-8 BOM added by spreadsheet exports
+  const input = text.charCodeAt(0) === 0xfeff ? text.slice(1) : text;
+
+  for (let i = 0; i < input.length; i++) {
+    const char = input[i];
+
+    if (inQuotes) {
+      if (char === '"' && input[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (char === '"') {
+        inQuotes = false;
+      } else {
+        field += char;
+      }
+    } else if (char === '"') {
+      inQuotes = true;
+    } else if (char === delimiter) {
+      row.push(field);
+      field = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && input[i + 1] === '\n') i++;
+      row.push(field);
+      rows.push(row);
+      row = [];
+      field = '';
+    } else {
+      field += char;
+    }
+  }
+
+  if (field !== '' || row.length > 0) {
+    row.push(field);
+    rows.push(row);
+  }
+
+  return rows.filter(r => r.some(value => value.trim() !== ''));
+};
+
+/**
+ * Escape a value for CSV output, neutralising spreadsheet formulas
+ * @param {*} value - Value to escape
+ * @returns {string} CSV field
+ */
+const escapeCsvValue = (value) => {
+  if (value === null || value === undefined) return '';
+
+  let str = value instanceof Date ? value.toISOString() : String(value);
+  // Phone numbers like +234... are data, not formulas
+  if (/^[=+\-@\t\r]/.test(str) && !/^[+-][\d\s()-]+$/.test(str)) {
+    str = `'${str}`;
+  }
+
+  return /[",\r\n]/.test(str) ? `"${str.replace(/"/g, '""')}"` : str;
+};
+
+/**
+ * Build CSV text from objects
+ * @param {Array<Object>} records - Records to write
+ * @param {Array<string>} columns - Column keys, in order
+ * @returns {string} CSV content with header row
+ */
+const toCsv = (records, columns) => {
+  const lines = [columns.map(escapeCsvValue).join(',')];
+  for (const record of records) {
+    lines.push(columns.map(column => escapeCsvValue(record[column])).join(','));
+  }
+  return lines.join('\r\n') + '\r\n';
+};
+
+module.exports = {
+  parseCsv,
+  escapeCsvValue,
+  toCsv
+};
@@ -0,0 +1,172 @@
+// Arrays merged item by item, with the field that identifies an item
+const IDENTITY_ARRAYS = {
+  'symptoms': item => item.name,
+  'diagnosis.differential': item => item.code || item.description,
+  'treatment.medications': item => item.name,
+  'treatment.procedures': item => item.name
+};
+
+// Fields the server owns; never merged or reported as conflicting
+const IGNORED_FIELDS = [
+  '_id', 'id', '__v', 'userId', 'deviceId', 'clientId', 'syncStatus', 'syncedAt', 'syncAttempts',
+  'createdAt', 'updatedAt', 'lastModified', 'revision', 'baseRevision', 'resolvedConflict'
+];
+
+const isPlainObject = (value) => value !== null && typeof value === 'object' && !Array.isArray(value);
+
+// JSON with sorted keys and without nulls or subdocument _ids, so equal content compares equal
+const canonical = (value) => {
+  if (Array.isArray(value)) {
+    return `[${value.map(canonical).join(',')}]`;
+  }
+  if (isPlainObject(value)) {
+    return `{${Object.keys(value).sort()
+      .filter(name => name !== '_id' && value[name] !== null && value[name] !== undefined)
+      .map(name => `${JSON.stringify(name)}:${canonical(value[name])}`)
+      .join(',')}}`;
+  }
+  return JSON.stringify(value === undefined ? null : value);
+};
+
+const same = (a, b) => canonical(a) === canonical(b);
+
+const identityOf = (path, item) => {
+  const id = isPlainObject(item) ? IDENTITY_ARRAYS[path](item) : null;
+  return id === null || id === undefined || id === '' ? null : String(id).trim().toLowerCase();
+};
+
+const indexItems = (path, items) => {
+  const index = new Map();
+  for (const item of items) {
+    const id = identityOf(path, item);
+    // Items without an identity (or with a repeated one) cannot be matched up
+    if (id === null || index.has(id)) return null;
+    index.set(id, item);
+  }
+  return index;
+};
+
+const mergeArray = (path, base, server, client, conflicts) => {
+  const baseItems = indexItems(path, Array.isArray(base) ? base : []);
+  const serverItems = indexItems(path, server);
+  const clientItems = indexItems(path, client);
+
+  if (!baseItems || !serverItems || !clientItems) {
+    conflicts.push(path);
+    return server;
+  }
+
+  const merged = [];
+
+  for (const [id, serverItem] of serverItems) {
+    const baseItem = baseItems.get(id);
+    const clientItem = clientItems.get(id);
+    const itemPath = `${path}[${id}]`;
+
+    if (!clientItems.has(id)) {
+      // Added on the server, or removed on the device
+      if (!baseItems.has(id)) {
+        merged.push(serverItem);
+      } else if (!same(baseItem, serverItem)) {
+        conflicts.push(itemPath);
+        merged.push(serverItem);
+      }
+      continue;
+    }
+
+    merged.push(mergeValue(itemPath, baseItem, serverItem, clientItem, conflicts));
+  }
+
+  for (const [id, clientItem] of clientItems) {
+    if (serverItems.has(id)) continue;
+
+    // Added on the device, or removed on the server
+    if (!baseItems.has(id)) {
+      merged.push(clientItem);
+    } else if (!same(baseItems.get(id), clientItem)) {
+      conflicts.push(`${path}[${id}]`);
+    }
+  }
+
+  return merged;
+};
+
+const mergeValue = (path, base, server, client, conflicts) => {
+  if (same(server, client)) return server;
+  if (same(base, server)) return client;
+  if (same(base, client)) return server;
+
+  if (IDENTITY_ARRAYS[path] && Array.isArray(server) && Array.isArray(client)) {
+    return mergeArray(path, base, server, client, conflicts);
+  }
+
+  if (isPlainObject(server) && isPlainObject(client) && (base === undefined || base === null || isPlainObject(base))) {
+    return mergeObject(path, base || {}, server, client, conflicts);
+  }
+
+  conflicts.push(path);
+  return server;
+};
+
+const mergeObject = (path, base, server, client, conflicts, ignored = []) => {
+  const merged = {};
+  const names = new Set([...Object.keys(server), ...Object.keys(client)]);
+
+  for (const name of names) {
+    if (ignored.includes(name)) continue;
+    // Subdocuments keep the server's _id
+    if (name === '_id') {
+      if (server._id !== undefined) merged._id = server._id;
+      continue;
+    }
+    const value = mergeValue(path ? `${path}.${name}` : name, base[name], server[name], client[name], conflicts);
+    if (value !== undefined) merged[name] = value;
+  }
+
+  return merged;
+};
+
+/**
+ * Three-way merge of a diagnosis edited on the server and on a device
+ * @param {Object} base - Common ancestor (the revision the device edited from)
+ * @param {Object} server - Current server version
+ * @param {Object} client - Version uploaded by the device
+ * @returns {Object} merged (client-editable fields) and conflicts (paths changed differently on both sides)
+ */
+const mergeDiagnosis = (base, server, client) => {
+  const conflicts = [];
+  const json = (value) => JSON.parse(JSON.stringify(value || {}));
+
+  const merged = mergeObject('', json(base), json(server), json(client), conflicts, IGNORED_FIELDS);
+  return { merged, conflicts };
+};
+
+/**
+ * List the fields that differ between two versions of a diagnosis (no ancestor to merge with)
+ * @param {Object} server - Current server version
+ * @param {Object} client - Version uploaded by the device
+ * @returns {Array<string>} Paths of differing fields
+ */
+const diffDiagnosis = (server, client) => {
+  const paths = [];
+
+  const walk = (path, a, b) => {
+    if (same(a, b)) return;
+    if (isPlainObject(a) && isPlainObject(b)) {
+      for (const name of new Set([...Object.keys(a), ...Object.keys(b)])) {
+        if (name === '_id' || (!path && IGNORED_FIELDS.includes(name))) continue;
+        walk(path ? `${path}.${name}` : name, a[name], b[name]);
+      }
+      return;
+    }
+    paths.push(path);
+  };
+
+  walk('', JSON.parse(JSON.stringify(server || {})), JSON.parse(JSON.stringify(client || {})));
+  return paths;
+};
+
+module.exports = {
+  mergeDiagnosis,
+  diffDiagnosis
+};
@@ -36,6 +36,16 @@ const generateUUID = () => {
   });
 };
 
+/**
+ * Validate UUID format (any version)
+ * @param {string} uuid - UUID to validate
+ * @returns {boolean} True if valid UUID format
+ */
+const isValidUUID = (uuid) => {
+  const uuidRegex = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+  return typeof uuid === 'string' && uuidRegex.test(uuid);
+};
+
 /**
  * Sanitize user input to prevent XSS
  * @param {string} input - Input string to sanitize
@@ -299,6 +309,7 @@ module.exports = {
   generateRandomString,
   generateHash,
   generateUUID,
+  isValidUUID,
   sanitizeInput,
   isValidEmail,
   isValidPhone,
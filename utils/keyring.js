@@ -0,0 +1,124 @@
+const crypto = require('crypto');
+const config = require('../config');
+
+// Prefix of authenticated payloads: `<PREFIX>:<keyId>:<iv>:<authTag>:<ciphertext>` (hex parts)
+const PAYLOAD_PREFIX = 'gcm1';
+const LEGACY_KEY_ID = 'legacy';
+
+/**
+ * Derive the 32-byte key used by legacy AES-256-CBC payloads (must match the mobile app)
+ * @param {string} secret - Raw secret
+ * @returns {Buffer} Derived key
+ */
+const deriveLegacyKey = (secret) => {
+  return Buffer.from(secret.padEnd(32, '0').slice(0, 32), 'utf8');
+};
+
+/**
+ * Derive an AES-256-GCM key from a keyring secret
+ * @param {string} secret - Raw secret
+ * @param {string} keyId - Key id, bound into the derivation
+ * @returns {Buffer} Derived key
+ */
+const deriveKey = (secret, keyId) => {
+  return Buffer.from(crypto.hkdfSync('sha256', secret, keyId, 'nso-activation-payload', 32));
+};
+
+/**
+ * Get the configured keyring
+ * @returns {Object} Current key id and secrets by key id
+ */
+const getKeyring = () => {
+  const secrets = { ...config.ACTIVATION_KEYRING };
+
+  // Without an explicit keyring the single ACTIVATION_KEY_SECRET acts as key "legacy"
+  if (Object.keys(secrets).length === 0) {
+    secrets[LEGACY_KEY_ID] = config.ACTIVATION_KEY_SECRET;
+  }
+
+  const currentKeyId = config.ACTIVATION_KEY_CURRENT_ID || Object.keys(secrets).pop();
+  if (!secrets[currentKeyId]) {
+    throw new Error(`ACTIVATION_KEY_CURRENT_ID "${currentKeyId}" is not in ACTIVATION_KEYRING`);
+  }
+
+  return { currentKeyId, secrets };
+};
+
+/**
+ * Get the key id a payload was encrypted with
+ * @param {string} payload - Encrypted payload
+ * @returns {string} Key id, or "legacy" for unversioned CBC payloads
+ */
+const getPayloadKeyId = (payload) => {
+  if (typeof payload === 'string' && payload.startsWith(`${PAYLOAD_PREFIX}:`)) {
+    return payload.split(':')[1];
+  }
+  return LEGACY_KEY_ID;
+};
+
+/**
+ * Check whether a payload is AES-GCM encrypted with the current key
+ * @param {string} payload - Encrypted payload
+ * @returns {boolean} True if no re-encryption is needed
+ */
+const isCurrent = (payload) => {
+  return typeof payload === 'string' &&
+    payload.startsWith(`${PAYLOAD_PREFIX}:`) &&
+    getPayloadKeyId(payload) === getKeyring().currentKeyId;
+};
+
+/**
+ * Encrypt a JSON-serialisable value with the current key (AES-256-GCM)
+ * @param {*} data - Data to encrypt
+ * @returns {string} Versioned payload
+ */
+const encrypt = (data) => {
+  const { currentKeyId, secrets } = getKeyring();
+  const iv = crypto.randomBytes(12);
+  const cipher = crypto.createCipheriv('aes-256-gcm', deriveKey(secrets[currentKeyId], currentKeyId), iv);
+
+  const ciphertext = Buffer.concat([cipher.update(JSON.stringify(data), 'utf8'), cipher.final()]);
+  const authTag = cipher.getAuthTag();
+
+  return [PAYLOAD_PREFIX, currentKeyId, iv.toString('hex'), authTag.toString('hex'), ciphertext.toString('hex')].join(':');
+};
+
+/**
+ * Decrypt a versioned AES-GCM payload or a legacy IV-prefixed AES-CBC payload
+ * @param {string} payload - Encrypted payload
+ * @returns {*} Decrypted data, or null if the payload cannot be decrypted
+ */
+const decrypt = (payload) => {
+  try {
+    const { secrets } = getKeyring();
+
+    if (payload.startsWith(`${PAYLOAD_PREFIX}:`)) {
+      const [, keyId, ivHex, tagHex, ciphertextHex] = payload.split(':');
+      if (!secrets[keyId]) return null;
+
+      const decipher = crypto.createDecipheriv('aes-256-gcm', deriveKey(secrets[keyId], keyId), Buffer.from(ivHex, 'hex'));
+      decipher.setAuthTag(Buffer.from(tagHex, 'hex'));
+      const decrypted = Buffer.concat([decipher.update(Buffer.from(ciphertextHex, 'hex')), decipher.final()]);
+      return JSON.parse(decrypted.toString('utf8'));
+    }
+
+    // Legacy: first 32 hex chars are the IV, the rest is CBC ciphertext
+    const legacySecret = config.ACTIVATION_KEY_SECRET;
+    const decipher = crypto.createDecipheriv('aes-256-cbc', deriveLegacyKey(legacySecret), Buffer.from(payload.slice(0, 32), 'hex'));
+    let decrypted = decipher.update(payload.slice(32), 'hex', 'utf8');
+    decrypted += decipher.final('utf8');
+    return JSON.parse(decrypted);
+  } catch (error) {
+    return null;
+  }
+};
+
+module.exports = {
+  PAYLOAD_PREFIX,
+  LEGACY_KEY_ID,
+  getKeyring,
+  getPayloadKeyId,
+  isCurrent,
+  encrypt,
+  decrypt
+};
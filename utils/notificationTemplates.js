@@ -0,0 +1,85 @@
+/**
+ * Message templates, per template name and channel.
+ * Placeholders are written as {{name}} and filled from the message data.
+ */
+const TEMPLATES = {
+  activation_key: {
+    email: {
+      subject: 'Your NSO activation key',
+      text: [
+        'Hello {{fullName}},',
+        '',
+        'Your NSO app activation key is: {{formattedKey}}',
+        '',
+        'Open the NSO app, choose "Activate" and enter the key. It can be used until {{expiresOn}}.',
+        '',
+        'Do not share this key. If you did not expect this message, please ignore it.'
+      ].join('\n')
+    },
+    sms: {
+      text: 'NSO: hello {{firstName}}, your activation key is {{formattedKey}} (valid until {{expiresOn}}). Do not share it.'
+    }
+  },
+  license_expiry_reminder: {
+    email: {
+      subject: 'Your NSO licence expires in {{remainingDays}} day(s)',
+      text: [
+        'Hello {{firstName}},',
+        '',
+        'Your NSO app licence expires on {{expiresOn}} ({{remainingDays}} day(s) from now).',
+        '',
+        'Please contact your supervisor or the NSO administrator to renew it before then.'
+      ].join('\n')
+    },
+    sms: {
+      text: 'NSO: hello {{firstName}}, your app licence expires on {{expiresOn}} ({{remainingDays}} day(s)). Contact your supervisor to renew it.'
+    }
+  }
+};
+
+/**
+ * Fill {{placeholders}} in a template string
+ * @param {string} template - Template text
+ * @param {Object} data - Values by placeholder name
+ * @returns {string} Rendered text (unknown placeholders become empty)
+ */
+const fill = (template, data) => {
+  return template.replace(/\{\{\s*(\w+)\s*\}\}/g, (match, name) => {
+    const value = data[name];
+    return value === undefined || value === null ? '' : String(value);
+  });
+};
+
+/**
+ * Render a template for a channel
+ * @param {string} name - Template name
+ * @param {string} channel - 'email' or 'sms'
+ * @param {Object} data - Template data
+ * @returns {Object} subject (email only) and text
+ */
+const renderTemplate = (name, channel, data = {}) => {
+  const template = TEMPLATES[name] && TEMPLATES[name][channel];
+  if (!template) {
+    throw new Error(`No ${channel} template named ${name}`);
+  }
+
+  return {
+    subject: template.subject ? fill(template.subject, data) : undefined,
+    text: fill(template.text, data)
+  };
+};
+
+/**
+ * Check whether a template exists for a channel
+ * @param {string} name - Template name
+ * @param {string} channel - 'email' or 'sms'
+ * @returns {boolean} True if the template exists
+ */
+const hasTemplate = (name, channel) => {
+  return !!(TEMPLATES[name] && TEMPLATES[name][channel]);
+};
+
+module.exports = {
+  renderTemplate,
+  hasTemplate
+};
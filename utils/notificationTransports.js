@@ -0,0 +1,136 @@
+const fs = require('fs');
+const path = require('path');
+const http = require('http');
+const https = require('https');
+const crypto = require('crypto');
+const nodemailer = require('nodemailer');
+
+/*
+  Notification transports. Each factory returns an object with a `name`
+  and an async `send(message)` that resolves to `{ messageId }` or throws.
+  A message is `{ channel, to, subject, text }`.
+*/
+
+/**
+ * Create an SMTP email transport (nodemailer)
+ * @param {Object} options - host, port, secure, user, pass, from
+ * @returns {Object} Transport
+ */
+const createSmtpTransport = (options) => {
+  if (!options.host) {
+    throw new Error('SMTP_HOST is required for the smtp email transport');
+  }
+
+  const transporter = nodemailer.createTransport({
+    host: options.host,
+    port: options.port,
+    secure: options.secure,
+    auth: options.user ? { user: options.user, pass: options.pass } : undefined
+  });
+
+  return {
+    name: 'smtp',
+    send: async (message) => {
+      const info = await transporter.sendMail({
+        from: options.from,
+        to: message.to,
+        subject: message.subject,
+        text: message.text
+      });
+      return { messageId: info.messageId };
+    }
+  };
+};
+
+/**
+ * Create an SMS transport that posts JSON to an HTTP gateway
+ * @param {Object} options - url, apiKey, senderId, timeoutMs
+ * @returns {Object} Transport
+ */
+const createSmsHttpTransport = (options) => {
+  if (!options.url) {
+    throw new Error('SMS_GATEWAY_URL is required for the http SMS transport');
+  }
+
+  const url = new URL(options.url);
+  const client = url.protocol === 'https:' ? https : http;
+
+  return {
+    name: 'http',
+    send: (message) => new Promise((resolve, reject) => {
+      const body = JSON.stringify({ to: message.to, from: options.senderId, message: message.text });
+      const req = client.request(url, {
+        method: 'POST',
+        timeout: options.timeoutMs,
+        headers: {
+          'Content-Type': 'application/json',
+          'Content-Length': Buffer.byteLength(body),
+          ...(options.apiKey && { Authorization: `Bearer ${options.apiKey}` })
+        }
+      }, (res) => {
+        let raw = '';
+        res.setEncoding('utf8');
+        res.on('data', chunk => { raw += chunk; });
+        res.on('end', () => {
+          if (res.statusCode < 200 || res.statusCode >= 300) {
+            return reject(new Error(`SMS gateway responded with ${res.statusCode}: ${raw.slice(0, 200)}`));
+          }
+
+          let parsed = {};
+          try {
+            parsed = raw ? JSON.parse(raw) : {};
+          } catch (error) {
+            // Some gateways answer with plain text; the status code is what matters
+          }
+          resolve({ messageId: parsed.messageId || parsed.id || null });
+        });
+      });
+
+      req.on('timeout', () => req.destroy(new Error('SMS gateway request timed out')));
+      req.on('error', reject);
+      req.end(body);
+    })
+  };
+};
+
+/**
+ * Create a transport that appends messages to a JSON-lines file (development and tests)
+ * @param {Object} options - dir
+ * @returns {Object} Transport
+ */
+const createFileTransport = (options) => {
+  return {
+    name: 'file',
+    send: async (message) => {
+      const messageId = crypto.randomUUID();
+      await fs.promises.mkdir(options.dir, { recursive: true });
+      await fs.promises.appendFile(
+        path.join(options.dir, `${message.channel}.jsonl`),
+        JSON.stringify({ messageId, sentAt: new Date().toISOString(), ...message }) + '\n'
+      );
+      return { messageId };
+    }
+  };
+};
+
+/**
+ * Create a transport that prints messages to the console (development)
+ * @returns {Object} Transport
+ */
+const createConsoleTransport = () => {
+  return {
+    name: 'console',
+    send: async (message) => {
+      const messageId = crypto.randomUUID();
+      console.log(`[notification:${message.channel}] to ${message.to}${message.subject ? ` - ${message.subject}` : ''}\n${message.text}`);
+      return { messageId };
+    }
+  };
+};
+
+module.exports = {
+  createSmtpTransport,
+  createSmsHttpTransport,
+  createFileTransport,
+  createConsoleTransport
+};